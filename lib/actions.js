@@ -0,0 +1,135 @@
+/*
+ * Corporate actions: stock splits and cash dividends, stored per symbol next
+ * to the price bars as
+ *
+ *   { type: 'split', date: 'YYYY-MM-DD', ratio: 4 }       4 new shares per old one
+ *   { type: 'split', date: 'YYYY-MM-DD', ratio: 0.1 }     1-for-10 reverse split
+ *   { type: 'dividend', date: 'YYYY-MM-DD', amount: 0.24 } cash per share
+ *
+ * `date` is the day the action takes effect (the ex-date of a dividend).
+ * Stored bars are raw traded prices; adjustBars() back-adjusts the bars
+ * before each action so a split does not look like a crash and, with
+ * dividends included, the series reflects total return.
+ */
+
+const TYPES = ['split', 'dividend'];
+const ADJUSTMENTS = ['all', 'splits', 'none'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const round = (n, digits = 4) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Error raised for invalid corporate actions; `status` is the HTTP status.
+ */
+class ActionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ActionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validates a corporate action.
+ * @param {Object} input
+ * @returns {{type: string, date: string, ratio?: number, amount?: number}}
+ */
+function createAction(input) {
+  const type = String((input && input.type) || '').toLowerCase();
+  if (!TYPES.includes(type)) throw new ActionError(`Action type must be one of: ${TYPES.join(', ')}.`);
+  if (typeof input.date !== 'string' || !DATE_PATTERN.test(input.date) || isNaN(Date.parse(input.date))) {
+    throw new ActionError('Date must be formatted as YYYY-MM-DD.');
+  }
+  if (type === 'split') {
+    if (typeof input.ratio !== 'number' || !(input.ratio > 0) || input.ratio === 1) {
+      throw new ActionError('A split needs a positive ratio of new shares per old share other than 1.');
+    }
+    return { type, date: input.date, ratio: input.ratio };
+  }
+  if (typeof input.amount !== 'number' || !(input.amount > 0)) {
+    throw new ActionError('A dividend needs a positive amount per share.');
+  }
+  return { type, date: input.date, amount: input.amount };
+}
+
+/**
+ * Orders actions by date.
+ * @param {Array<Object>} [actions]
+ * @returns {Array<Object>}
+ */
+function sortActions(actions = []) {
+  return [...actions].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+/**
+ * Merges new actions into a symbol's list; an action of the same type on the
+ * same date replaces the stored one.
+ * @param {Array<Object>} existing
+ * @param {Array<Object>} incoming validated actions
+ * @returns {{actions: Array<Object>, added: number, updated: number}}
+ */
+function mergeActions(existing, incoming) {
+  const byKey = new Map(existing.map(action => [`${action.date}:${action.type}`, action]));
+  let added = 0;
+  let updated = 0;
+  incoming.forEach(action => {
+    const key = `${action.date}:${action.type}`;
+    if (byKey.has(key)) updated++;
+    else added++;
+    byKey.set(key, action);
+  });
+  return { actions: sortActions([...byKey.values()]), added, updated };
+}
+
+/**
+ * Back-adjusts price bars for corporate actions. Bars before a split are
+ * divided by its ratio (volumes multiplied); with `all`, bars before a
+ * dividend are also scaled by (1 - amount / previous close). Actions outside
+ * the bars' date range change nothing, so the latest close stays the traded
+ * price.
+ * @param {Array<Object>} bars raw bars, oldest first
+ * @param {Array<Object>} [actions]
+ * @param {('all'|'splits'|'none')} [mode='all']
+ * @returns {Array<Object>} adjusted copies (the input when nothing applies)
+ */
+function adjustBars(bars, actions = [], mode = 'all') {
+  if (!ADJUSTMENTS.includes(mode)) throw new ActionError(`adjust must be one of: ${ADJUSTMENTS.join(', ')}.`);
+  if (mode === 'none' || bars.length < 2) return bars;
+  const first = bars[0].date;
+  const last = bars[bars.length - 1].date;
+  const effective = sortActions(actions)
+    .filter(action => mode === 'all' || action.type === 'split')
+    .map(action => ({ ...action, time: Date.parse(action.date) }))
+    .filter(action => action.time > first && action.time <= last)
+    .reverse();
+  if (effective.length === 0) return bars;
+
+  const adjusted = new Array(bars.length);
+  let priceFactor = 1;
+  let volumeFactor = 1;
+  let next = 0;
+  for (let i = bars.length - 1; i >= 0; i--) {
+    const bar = bars[i];
+    // Actions dated after this bar apply to it and everything before it
+    while (next < effective.length && effective[next].time > bar.date) {
+      const action = effective[next++];
+      if (action.type === 'split') {
+        priceFactor /= action.ratio;
+        volumeFactor *= action.ratio;
+      } else if (action.amount < bar.close) {
+        priceFactor *= 1 - action.amount / bar.close;
+      }
+    }
+    adjusted[i] = priceFactor === 1 && volumeFactor === 1 ? bar : {
+      ...bar,
+      open: round(bar.open * priceFactor),
+      high: round(bar.high * priceFactor),
+      low: round(bar.low * priceFactor),
+      close: round(bar.close * priceFactor),
+      volume: Math.round(bar.volume * volumeFactor)
+    };
+  }
+  return adjusted;
+}
+
+module.exports = { ActionError, TYPES, ADJUSTMENTS, createAction, sortActions, mergeActions, adjustBars };
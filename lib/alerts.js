@@ -0,0 +1,332 @@
+/*
+ * Alert rules and the triggered-alert log. Rules are evaluated whenever a
+ * symbol's price updates; each rule type keeps a small `state` so that it
+ * fires once when its condition becomes true (an edge) rather than on every
+ * tick while the condition holds. Rules are primed with the current market
+ * state when they are created, so a condition that is already true does not
+ * fire immediately.
+ *
+ * The document stored in alerts.json looks like
+ * `{ rules: [{ id, owner, symbol, type, params, enabled, state, createdAt }],
+ *    log: [{ id, owner, ruleId, symbol, type, message, value, status, triggeredAt }] }`
+ * where a log entry's status is `new`, `acknowledged` or `dismissed` and
+ * `owner` is the id of the user the rule belongs to.
+ */
+
+const { recommend } = require('./recommendation');
+const sentiment = require('./sentiment');
+
+// Triggered alerts kept in the log; older entries are dropped first
+const MAX_LOG_ENTRIES = 500;
+const STATUSES = ['new', 'acknowledged', 'dismissed'];
+// Hysteresis so a price hovering around a threshold does not fire repeatedly:
+// a price_cross rule re-arms once the price is back beyond the level by this
+// fraction of it, a percent_move rule once the move shrinks below this
+// fraction of its threshold
+const PRICE_REARM_BAND = 0.005;
+const MOVE_REARM_FRACTION = 0.8;
+
+/**
+ * Error raised for invalid alert operations; `status` is the HTTP status.
+ */
+class AlertError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AlertError';
+    this.status = status;
+  }
+}
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+const positiveNumber = (value, field) => {
+  if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+    throw new AlertError(`${field} must be a positive number.`);
+  }
+  return value;
+};
+
+const oneOf = (value, allowed, field, fallback) => {
+  const v = value === undefined ? fallback : value;
+  if (!allowed.includes(v)) throw new AlertError(`${field} must be one of: ${allowed.join(', ')}.`);
+  return v;
+};
+
+// Each type validates its params and evaluates the rule against a context of
+// `{ quote, stock }`, returning the new state and whether the rule fired.
+const RULE_TYPES = {
+  price_cross: {
+    describe: (p) => `Price crosses ${p.direction} ${p.level}`,
+    params(input) {
+      return {
+        level: positiveNumber(input.level, 'level'),
+        direction: oneOf(input.direction, ['above', 'below'], 'direction', 'above')
+      };
+    },
+    evaluate(rule, { quote }) {
+      const { level, direction } = rule.params;
+      const band = level * PRICE_REARM_BAND;
+      let side = rule.state.side;
+      if (side === undefined) {
+        side = quote.price >= level ? 'above' : 'below';
+      } else if (direction === 'above') {
+        if (quote.price >= level) side = 'above';
+        else if (quote.price < level - band) side = 'below';
+      } else if (quote.price < level) {
+        side = 'below';
+      } else if (quote.price > level + band) {
+        side = 'above';
+      }
+      const triggered = rule.state.side !== undefined && rule.state.side !== side && side === direction;
+      return {
+        state: { side },
+        triggered,
+        value: quote.price,
+        message: `${rule.symbol} crossed ${side} ${rule.params.level} (now ${quote.price.toFixed(2)}).`
+      };
+    }
+  },
+  percent_move: {
+    describe: (p) => `Moves ${p.direction === 'any' ? '±' : p.direction === 'up' ? '+' : '-'}${p.percent}% over ${p.days} day${p.days === 1 ? '' : 's'}`,
+    params(input) {
+      const days = input.days === undefined ? 1 : input.days;
+      if (!Number.isInteger(days) || days < 1 || days > 250) throw new AlertError('days must be an integer between 1 and 250.');
+      return {
+        percent: positiveNumber(input.percent, 'percent'),
+        days,
+        direction: oneOf(input.direction, ['up', 'down', 'any'], 'direction', 'any')
+      };
+    },
+    evaluate(rule, { quote, stock }) {
+      const bars = stock.priceData;
+      const reference = bars[bars.length - rule.params.days];
+      if (!reference) return { state: rule.state, triggered: false };
+      const move = (quote.price / reference.close - 1) * 100;
+      const { percent, direction } = rule.params;
+      const signed = direction === 'up' ? move : direction === 'down' ? -move : Math.abs(move);
+      const hit = signed >= percent;
+      const active = hit || (rule.state.active === true && signed >= percent * MOVE_REARM_FRACTION);
+      return {
+        state: { active },
+        triggered: hit && rule.state.active === false,
+        value: round(move),
+        message: `${rule.symbol} moved ${move >= 0 ? '+' : ''}${move.toFixed(2)}% over ${rule.params.days} day${rule.params.days === 1 ? '' : 's'}.`
+      };
+    }
+  },
+  recommendation_change: {
+    describe: (p) => (p.to ? `Recommendation changes to ${p.to}` : 'Recommendation changes'),
+    params(input) {
+      return input.to === undefined || input.to === null || input.to === ''
+        ? {}
+        : { to: oneOf(input.to, ['Buy', 'Sell', 'Hold'], 'to') };
+    },
+    evaluate(rule, { stock }) {
+      if (stock.priceData.length < 2) return { state: rule.state, triggered: false };
+      const { sentiment: newsSentiment } = sentiment.analyseNews(stock.news);
+      const { recommendation } = recommend(stock.priceData, { sentiment: newsSentiment });
+      const previous = rule.state.recommendation;
+      const changed = previous !== undefined && previous !== recommendation;
+      return {
+        state: { recommendation },
+        triggered: changed && (!rule.params.to || rule.params.to === recommendation),
+        value: recommendation,
+        message: `${rule.symbol} recommendation changed from ${previous} to ${recommendation}.`
+      };
+    }
+  },
+  sentiment_negative: {
+    describe: () => 'News sentiment turns negative',
+    params() {
+      return {};
+    },
+    evaluate(rule, { stock }) {
+      const { sentiment: overall } = sentiment.analyseNews(stock.news);
+      const negative = overall.label === 'negative';
+      return {
+        state: { negative },
+        triggered: negative && rule.state.negative === false,
+        value: overall.score,
+        message: `${rule.symbol} news sentiment turned negative (${overall.score.toFixed(2)}).`
+      };
+    }
+  }
+};
+
+/**
+ * Returns a well-formed alerts document.
+ * @param {*} raw parsed alerts.json (or undefined)
+ * @returns {{rules: Array<Object>, log: Array<Object>}}
+ */
+function normaliseAlerts(raw) {
+  return {
+    rules: raw && Array.isArray(raw.rules) ? raw.rules : [],
+    log: raw && Array.isArray(raw.log) ? raw.log : []
+  };
+}
+
+/**
+ * Schema migrations of alerts.json, oldest first (see lib/storage).
+ */
+const MIGRATIONS = [
+  { version: 1, description: 'Versioned rules and alert log', up: raw => normaliseAlerts(raw) }
+];
+
+const nextId = (list) => list.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+
+/**
+ * The rules owned by a user.
+ * @param {{rules: Array<Object>}} doc
+ * @param {number} owner user id
+ * @returns {Array<Object>}
+ */
+function rulesOf(doc, owner) {
+  return doc.rules.filter(rule => rule.owner === owner);
+}
+
+/**
+ * Validates input and adds a rule, primed against the current context.
+ * @param {{rules: Array<Object>}} doc
+ * @param {{symbol: string, type: string}} input symbol must already be validated
+ * @param {{quote: Object, stock: Object}} context
+ * @param {number} owner
+ * @returns {Object} the new rule
+ */
+function createRule(doc, input, context, owner) {
+  const type = RULE_TYPES[input.type];
+  if (!type) throw new AlertError(`Alert type must be one of: ${Object.keys(RULE_TYPES).join(', ')}.`);
+  const params = type.params(input);
+  const rule = {
+    id: nextId(doc.rules),
+    owner,
+    symbol: input.symbol.toUpperCase(),
+    type: input.type,
+    params,
+    description: type.describe(params),
+    enabled: true,
+    state: {},
+    createdAt: new Date().toISOString()
+  };
+  rule.state = type.evaluate(rule, context).state;
+  doc.rules.push(rule);
+  return rule;
+}
+
+/**
+ * Deletes one of a user's rules.
+ * @param {{rules: Array<Object>}} doc
+ * @param {number|string} id
+ * @param {number} owner
+ * @returns {Object}
+ */
+function deleteRule(doc, id, owner) {
+  const rule = rulesOf(doc, owner).find(r => String(r.id) === String(id));
+  if (!rule) throw new AlertError('Alert rule not found', 404);
+  doc.rules = doc.rules.filter(r => r !== rule);
+  return rule;
+}
+
+/**
+ * Evaluates every enabled rule for a symbol, updating rule state in place and
+ * appending triggered alerts to the log.
+ * @param {{rules: Array<Object>, log: Array<Object>}} doc
+ * @param {string} symbol
+ * @param {{quote: Object, stock: Object}} context
+ * @returns {{changed: boolean, triggered: Array<Object>}} `changed` is true
+ *   when the document needs saving
+ */
+function evaluateRules(doc, symbol, context) {
+  let changed = false;
+  const triggered = [];
+  doc.rules
+    .filter(rule => rule.symbol === symbol && rule.enabled)
+    .forEach(rule => {
+      const result = RULE_TYPES[rule.type].evaluate(rule, context);
+      if (JSON.stringify(result.state) !== JSON.stringify(rule.state)) {
+        rule.state = result.state;
+        changed = true;
+      }
+      if (!result.triggered) return;
+      const entry = {
+        id: nextId(doc.log),
+        owner: rule.owner,
+        ruleId: rule.id,
+        symbol,
+        type: rule.type,
+        description: rule.description,
+        message: result.message,
+        value: result.value,
+        status: 'new',
+        triggeredAt: new Date().toISOString()
+      };
+      doc.log.push(entry);
+      triggered.push(entry);
+      changed = true;
+    });
+  if (doc.log.length > MAX_LOG_ENTRIES) doc.log = doc.log.slice(-MAX_LOG_ENTRIES);
+  return { changed, triggered };
+}
+
+/**
+ * Sets the status of one of a user's triggered alerts.
+ * @param {{log: Array<Object>}} doc
+ * @param {number|string} id
+ * @param {('acknowledged'|'dismissed')} status
+ * @param {number} owner
+ * @returns {Object}
+ */
+function setAlertStatus(doc, id, status, owner) {
+  if (!STATUSES.includes(status)) throw new AlertError(`Status must be one of: ${STATUSES.join(', ')}.`);
+  const entry = doc.log.find(e => e.owner === owner && String(e.id) === String(id));
+  if (!entry) throw new AlertError('Alert not found', 404);
+  entry.status = status;
+  entry.updatedAt = new Date().toISOString();
+  return entry;
+}
+
+/**
+ * Lists a user's triggered alerts, newest first.
+ * @param {{log: Array<Object>}} doc
+ * @param {string} [status] a status, or 'all'; by default dismissed alerts are hidden
+ * @param {number} owner
+ * @returns {{alerts: Array<Object>, unread: number}}
+ */
+function listAlerts(doc, status, owner) {
+  const own = doc.log.filter(e => e.owner === owner);
+  let alerts = [...own].reverse();
+  if (status && status !== 'all') {
+    if (!STATUSES.includes(status)) throw new AlertError(`Status must be one of: all, ${STATUSES.join(', ')}.`);
+    alerts = alerts.filter(e => e.status === status);
+  } else if (!status) {
+    alerts = alerts.filter(e => e.status !== 'dismissed');
+  }
+  return { alerts, unread: own.filter(e => e.status === 'new').length };
+}
+
+/**
+ * Assigns every unowned rule and triggered alert to a user.
+ * @param {{rules: Array<Object>, log: Array<Object>}} doc
+ * @param {number} owner
+ * @returns {number} how many rules were claimed
+ */
+function claimUnowned(doc, owner) {
+  const unowned = (item) => item.owner === null || item.owner === undefined;
+  const rules = doc.rules.filter(unowned);
+  rules.forEach(rule => { rule.owner = owner; });
+  doc.log.filter(unowned).forEach(entry => { entry.owner = owner; });
+  return rules.length;
+}
+
+module.exports = {
+  AlertError,
+  RULE_TYPES,
+  MIGRATIONS,
+  normaliseAlerts,
+  rulesOf,
+  createRule,
+  deleteRule,
+  evaluateRules,
+  setAlertStatus,
+  listAlerts,
+  claimUnowned
+};
@@ -0,0 +1,327 @@
+/*
+ * Portfolio analytics computed from the transaction ledger and stored price
+ * history: value over time, allocation, daily returns, risk metrics against an
+ * equal-weighted benchmark of every tracked symbol, and correlations between
+ * holdings.
+ *
+ * The value history replays the ledger day by day, so buys and sells change
+ * the quantities held. Daily returns are time-weighted: cash paid into or
+ * taken out of positions on a day is removed before the return is computed,
+ * so a new purchase does not show up as performance. When the ledger spans
+ * too few price bars for meaningful statistics (for example when every
+ * transaction postdates the stored history) the current holdings are valued
+ * over the whole price history instead; `basis` reports which series was used.
+ *
+ * Ledger values use the traded closes, with corporate actions replayed: a
+ * split changes the quantity held and a dividend credited on its ex-date is
+ * income. Everything else (the holdings basis, benchmark returns and
+ * correlations) uses closes adjusted for splits and dividends, so it reflects
+ * total return rather than a split or ex-dividend price drop.
+ *
+ * With a currency conversion every close and cash flow is converted into the
+ * base currency at the rate of its own day, so values and returns are those
+ * of an investor holding the base currency, exchange rate moves included.
+ */
+
+const ledger = require('./ledger');
+const { adjustBars } = require('./actions');
+const { seriesStats } = require('./backtest');
+
+// Fewest daily returns the ledger series needs before it is used for risk
+const MIN_OBSERVATIONS = 5;
+// Fewest overlapping returns needed for a beta or a correlation
+const MIN_PAIRS = 3;
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+
+/**
+ * Sample covariance of two equally long arrays.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function covariance(a, b) {
+  const ma = mean(a);
+  const mb = mean(b);
+  return a.reduce((sum, v, i) => sum + (v - ma) * (b[i] - mb), 0) / (a.length - 1);
+}
+
+/**
+ * Pearson correlation of two equally long arrays, or null when undefined.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number|null}
+ */
+function correlation(a, b) {
+  if (a.length < MIN_PAIRS) return null;
+  const denominator = Math.sqrt(covariance(a, a) * covariance(b, b));
+  return denominator > 0 ? covariance(a, b) / denominator : null;
+}
+
+/**
+ * Closing prices by date, with the live price appended as a final point when
+ * it is newer than the last bar.
+ * @param {Array<Object>} priceData
+ * @param {number} [livePrice]
+ * @param {number} [asOf] date of the live price
+ * @returns {Map<number, number>}
+ */
+function closesByDate(priceData, livePrice, asOf) {
+  const closes = new Map(priceData.map(bar => [bar.date, bar.close]));
+  const last = priceData.length ? priceData[priceData.length - 1].date : -Infinity;
+  if (typeof livePrice === 'number' && asOf > last) closes.set(asOf, livePrice);
+  return closes;
+}
+
+/**
+ * Closes converted into the base currency at each day's rate.
+ * @param {Map<number, number>} closes
+ * @param {string} symbol
+ * @param {Function} rateOf rate of a symbol's currency into the base on a date
+ * @returns {Map<number, number>}
+ */
+function closesInBase(closes, symbol, rateOf) {
+  return new Map([...closes].map(([date, close]) => [date, close * rateOf(symbol, date)]));
+}
+
+/**
+ * Daily close-to-close returns keyed by date.
+ * @param {Map<number, number>} closes
+ * @returns {Map<number, number>}
+ */
+function returnsByDate(closes) {
+  const returns = new Map();
+  let previous = null;
+  [...closes.keys()].sort((a, b) => a - b).forEach(date => {
+    const close = closes.get(date);
+    if (previous !== null) returns.set(date, close / previous - 1);
+    previous = close;
+  });
+  return returns;
+}
+
+/**
+ * Sorted union of the dates in several close maps, from `from` onwards.
+ * @param {Array<Map<number, number>>} closeMaps
+ * @param {number} [from]
+ * @returns {number[]}
+ */
+function unionDates(closeMaps, from = -Infinity) {
+  const dates = new Set();
+  closeMaps.forEach(closes => closes.forEach((close, date) => {
+    if (date >= from) dates.add(date);
+  }));
+  return [...dates].sort((a, b) => a - b);
+}
+
+/**
+ * Replays the ledger over the given dates. Transactions on non-trading days
+ * take effect on the next date in the series; a symbol without a close yet is
+ * valued at its transaction price.
+ * @param {Array<Object>} transactions ledger timeline, oldest first
+ * @param {Object<string, Map<number, number>>} closes in the base currency
+ * @param {number[]} dates
+ * @param {Function} rateOf converts transaction amounts into the base currency
+ * @returns {Array<{date: number, value: number, flow: number}>}
+ */
+function ledgerSeries(transactions, closes, dates, rateOf) {
+  const quantities = {};
+  const lastClose = {};
+  let next = 0;
+  return dates.map(date => {
+    let flow = 0;
+    while (next < transactions.length && Date.parse(transactions[next].date) <= date) {
+      const tx = transactions[next++];
+      const rate = rateOf(tx.symbol, tx.date);
+      if (tx.type === 'buy') {
+        quantities[tx.symbol] = (quantities[tx.symbol] || 0) + tx.quantity;
+        flow += (tx.quantity * tx.price + tx.fee) * rate;
+        if (lastClose[tx.symbol] === undefined) lastClose[tx.symbol] = tx.price * rate;
+      } else if (tx.type === 'sell') {
+        quantities[tx.symbol] = (quantities[tx.symbol] || 0) - tx.quantity;
+        flow -= (tx.quantity * tx.price - tx.fee) * rate;
+      } else if (tx.type === 'split') {
+        quantities[tx.symbol] = (quantities[tx.symbol] || 0) * tx.ratio;
+      } else if (tx.type === 'distribution') {
+        flow -= (quantities[tx.symbol] || 0) * tx.perShare * rate;
+      } else {
+        // Dividends are income: cash leaving the positions counts as return
+        flow -= (tx.amount - tx.fee) * rate;
+      }
+    }
+    let value = 0;
+    Object.keys(quantities).forEach(symbol => {
+      const close = closes[symbol] && closes[symbol].get(date);
+      if (close !== undefined) lastClose[symbol] = close;
+      value += quantities[symbol] * (lastClose[symbol] || 0);
+    });
+    return { date, value, flow };
+  });
+}
+
+/**
+ * Values fixed quantities over the given dates, carrying the last close
+ * forward over missing bars.
+ * @param {Object<string, number>} quantities
+ * @param {Object<string, Map<number, number>>} closes
+ * @param {number[]} dates
+ * @returns {Array<{date: number, value: number, flow: number}>}
+ */
+function holdingsSeries(quantities, closes, dates) {
+  const lastClose = {};
+  return dates.map(date => {
+    let value = 0;
+    Object.keys(quantities).forEach(symbol => {
+      const close = closes[symbol].get(date);
+      if (close !== undefined) lastClose[symbol] = close;
+      value += quantities[symbol] * (lastClose[symbol] || 0);
+    });
+    return { date, value, flow: 0 };
+  });
+}
+
+/**
+ * Time-weighted daily returns; days that start with nothing invested are
+ * skipped.
+ * @param {Array<{date: number, value: number, flow: number}>} series
+ * @returns {Array<{date: number, value: number}>}
+ */
+function timeWeightedReturns(series) {
+  const returns = [];
+  for (let i = 1; i < series.length; i++) {
+    const previous = series[i - 1].value;
+    if (previous <= 0) continue;
+    returns.push({ date: series[i].date, value: (series[i].value - series[i].flow) / previous - 1 });
+  }
+  return returns;
+}
+
+/**
+ * Computes the analytics.
+ * @param {Array<Object>} transactions ledger transactions
+ * @param {Object<string, Array<Object>>} histories raw price bars per symbol,
+ *   for every traded symbol and every benchmark symbol
+ * @param {Object} [options]
+ * @param {Object<string, Array<Object>>} [options.actions] corporate actions per symbol
+ * @param {Object<string, number>} [options.prices] live price per symbol
+ * @param {number} [options.asOf] date of the live prices (UTC midnight ms)
+ * @param {string[]} [options.benchmark] symbols in the equal-weighted benchmark
+ * @param {string} [options.method] cost-basis method for the holdings summary
+ * @param {Object} [options.conversion] base currency and rates (see fx.conversionFor)
+ * @returns {Object}
+ */
+function analysePortfolio(transactions, histories, options = {}) {
+  const prices = options.prices || {};
+  const actions = options.actions || {};
+  const conversion = options.conversion || null;
+  const rateOf = conversion ? conversion.rate : () => 1;
+  const summary = ledger.summarise(transactions, options.method || 'fifo', prices, actions, conversion);
+  const open = summary.holdings.filter(h => !h.closed);
+
+  const closes = {};
+  const adjusted = {};
+  Object.keys(histories).forEach(symbol => {
+    const raw = closesByDate(histories[symbol], prices[symbol], options.asOf);
+    const adjustedRaw = closesByDate(adjustBars(histories[symbol], actions[symbol]), prices[symbol], options.asOf);
+    closes[symbol] = conversion ? closesInBase(raw, symbol, rateOf) : raw;
+    adjusted[symbol] = conversion ? closesInBase(adjustedRaw, symbol, rateOf) : adjustedRaw;
+  });
+
+  // Allocation of the open positions at live prices
+  const totalValue = open.reduce((sum, h) => sum + (h.marketValue || 0), 0);
+  const allocation = open
+    .map(h => ({
+      symbol: h.symbol,
+      quantity: h.quantity,
+      marketValue: h.marketValue || 0,
+      weight: totalValue > 0 ? round(((h.marketValue || 0) / totalValue) * 100) : 0
+    }))
+    .sort((a, b) => b.marketValue - a.marketValue);
+
+  // Value series: the ledger replayed day by day, or the current holdings
+  // over the stored history when the ledger covers too little of it
+  const sorted = ledger.timeline(transactions, actions);
+  const traded = [...new Set(sorted.map(tx => tx.symbol))].filter(symbol => closes[symbol]);
+  let basis = 'ledger';
+  let series = [];
+  if (sorted.length) {
+    const from = Date.parse(sorted[0].date);
+    series = ledgerSeries(sorted, closes, unionDates(traded.map(symbol => closes[symbol]), from), rateOf);
+  }
+  let returns = timeWeightedReturns(series);
+  if (returns.length < MIN_OBSERVATIONS && open.length) {
+    basis = 'holdings';
+    const quantities = {};
+    open.filter(h => adjusted[h.symbol]).forEach(h => { quantities[h.symbol] = h.quantity; });
+    // Start once every holding has a price so the value does not jump
+    const from = Math.max(...Object.keys(quantities).map(symbol => Math.min(...adjusted[symbol].keys())));
+    series = holdingsSeries(quantities, adjusted, unionDates(Object.keys(quantities).map(s => adjusted[s]), from));
+    returns = timeWeightedReturns(series);
+  }
+
+  // Equal-weighted benchmark of every tracked symbol
+  const benchmarkSymbols = (options.benchmark || []).filter(symbol => adjusted[symbol]);
+  const symbolReturns = {};
+  benchmarkSymbols.concat(open.map(h => h.symbol)).forEach(symbol => {
+    if (adjusted[symbol] && !symbolReturns[symbol]) symbolReturns[symbol] = returnsByDate(adjusted[symbol]);
+  });
+  const benchmarkOn = (date) => {
+    const values = benchmarkSymbols.map(symbol => symbolReturns[symbol].get(date)).filter(r => r !== undefined);
+    return values.length ? mean(values) : null;
+  };
+
+  const paired = returns
+    .map(r => ({ date: r.date, portfolio: r.value, benchmark: benchmarkOn(r.date) }))
+    .filter(r => r.benchmark !== null);
+  const portfolioReturns = paired.map(r => r.portfolio);
+  const marketReturns = paired.map(r => r.benchmark);
+  const marketVariance = paired.length >= MIN_PAIRS ? covariance(marketReturns, marketReturns) : 0;
+
+  const index = [1];
+  returns.forEach(r => index.push(index[index.length - 1] * (1 + r.value)));
+  const benchmarkIndex = [1];
+  returns.forEach(r => {
+    const b = benchmarkOn(r.date);
+    benchmarkIndex.push(benchmarkIndex[benchmarkIndex.length - 1] * (1 + (b === null ? 0 : b)));
+  });
+  const stats = returns.length ? seriesStats(index) : null;
+  const benchmarkStats = returns.length ? seriesStats(benchmarkIndex) : null;
+
+  // Correlation of daily returns between the open holdings
+  const symbols = open.map(h => h.symbol).filter(symbol => symbolReturns[symbol]);
+  const matrix = symbols.map(a => symbols.map(b => {
+    if (a === b) return 1;
+    const shared = [...symbolReturns[a].keys()].filter(date => symbolReturns[b].has(date));
+    const value = correlation(shared.map(d => symbolReturns[a].get(d)), shared.map(d => symbolReturns[b].get(d)));
+    return value === null ? null : round(value, 3);
+  }));
+
+  return {
+    basis,
+    asOf: options.asOf || null,
+    currency: summary.currency,
+    totals: summary.totals,
+    allocation,
+    history: series.map(point => ({ date: point.date, value: round(point.value) })),
+    returns: returns.map(r => {
+      const b = benchmarkOn(r.date);
+      return { date: r.date, portfolio: round(r.value * 100, 4), benchmark: b === null ? null : round(b * 100, 4) };
+    }),
+    risk: {
+      observations: returns.length,
+      totalReturn: stats ? stats.totalReturn : null,
+      volatility: stats ? stats.volatility : null,
+      sharpeRatio: stats ? stats.sharpeRatio : null,
+      maxDrawdown: stats ? stats.maxDrawdown : null,
+      beta: marketVariance > 0 ? round(covariance(portfolioReturns, marketReturns) / marketVariance) : null,
+      benchmarkReturn: benchmarkStats ? benchmarkStats.totalReturn : null,
+      benchmarkVolatility: benchmarkStats ? benchmarkStats.volatility : null
+    },
+    benchmark: benchmarkSymbols,
+    correlation: { symbols, matrix }
+  };
+}
+
+module.exports = { analysePortfolio, correlation, covariance, MIN_OBSERVATIONS };
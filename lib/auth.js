@@ -0,0 +1,260 @@
+/*
+ * User accounts and sessions. Passwords are stored as salted scrypt hashes in
+ * users.json, `{ users: [{ id, username, passwordHash, createdAt, settings }] }`
+ * where `passwordHash` is `scrypt$<salt hex>$<hash hex>` and `settings` holds
+ * preferences such as `baseCurrency`. Sessions are stateless
+ * cookies holding the user id and an expiry, signed with HMAC-SHA256 so the
+ * server only has to keep the signing secret.
+ */
+
+const crypto = require('crypto');
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const COOKIE_NAME = 'session';
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Checked when the username is unknown, so a login takes as long whether or
+// not the account exists
+const DUMMY_HASH = `scrypt$${'0'.repeat(SALT_BYTES * 2)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+/**
+ * Error raised for failed registration, login or session checks; `status` is
+ * the HTTP status.
+ */
+class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Returns a well-formed users document.
+ * @param {*} raw parsed users.json (or undefined)
+ * @returns {{users: Array<Object>}}
+ */
+function normaliseUsers(raw) {
+  return raw && Array.isArray(raw.users) ? raw : { users: [] };
+}
+
+/**
+ * Schema migrations of users.json, oldest first (see lib/storage).
+ */
+const MIGRATIONS = [
+  { version: 1, description: 'Versioned users document', up: raw => normaliseUsers(raw) },
+  {
+    version: 2,
+    description: 'Per-user settings',
+    up: raw => ({ ...raw, users: raw.users.map(user => ({ ...user, settings: user.settings || {} })) })
+  }
+];
+
+/**
+ * Derives a scrypt key.
+ * @param {string} password
+ * @param {Buffer} salt
+ * @returns {Promise<Buffer>}
+ */
+function derive(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+/**
+ * Hashes a password with a fresh random salt.
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await derive(password, salt);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored hash in constant time.
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const key = await derive(password, Buffer.from(salt, 'hex'));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Validates the username and password given at registration.
+ * @param {{username: string, password: string}} input
+ * @returns {{username: string, password: string}}
+ */
+function validateCredentials(input) {
+  const { username, password } = input;
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw new AuthError('Usernames must be 3-32 letters, digits, dots, dashes or underscores.');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+  }
+  return { username, password };
+}
+
+/**
+ * Adds a user whose password has already been hashed. Hashing is slow, so it
+ * is done before the users document is loaded; adding is synchronous and the
+ * document can be saved straight away without another request interleaving.
+ * @param {{users: Array<Object>}} doc
+ * @param {string} username
+ * @param {string} passwordHash
+ * @returns {Object} the stored user
+ */
+function addUser(doc, username, passwordHash) {
+  if (doc.users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+    throw new AuthError('That username is already taken.', 409);
+  }
+  const user = {
+    id: doc.users.reduce((max, u) => Math.max(max, u.id), 0) + 1,
+    username,
+    passwordHash,
+    createdAt: new Date().toISOString(),
+    settings: {}
+  };
+  doc.users.push(user);
+  return user;
+}
+
+/**
+ * Looks up a user by username and password.
+ * @param {{users: Array<Object>}} doc
+ * @param {{username: string, password: string}} input
+ * @returns {Promise<Object>} the user; throws a 401 on bad credentials
+ */
+async function authenticate(doc, input) {
+  const user = doc.users.find(u => typeof input.username === 'string'
+    && u.username.toLowerCase() === input.username.toLowerCase());
+  const ok = typeof input.password === 'string'
+    && await verifyPassword(input.password, user ? user.passwordHash : DUMMY_HASH);
+  if (!ok || !user) throw new AuthError('Invalid username or password.', 401);
+  return user;
+}
+
+/**
+ * Stores changed settings of a user; settings given as null are cleared.
+ * @param {{users: Array<Object>}} doc
+ * @param {number} userId
+ * @param {Object} changes already validated
+ * @returns {Object} the user's settings
+ */
+function updateSettings(doc, userId, changes) {
+  const user = doc.users.find(u => u.id === userId);
+  if (!user) throw new AuthError('Account not found.', 404);
+  const settings = { ...user.settings };
+  Object.keys(changes).forEach(key => {
+    if (changes[key] === null) delete settings[key];
+    else settings[key] = changes[key];
+  });
+  user.settings = settings;
+  return settings;
+}
+
+/**
+ * The public view of a user.
+ * @param {Object} user
+ * @returns {{id: number, username: string, createdAt: string, settings: Object}}
+ */
+function publicUser(user) {
+  return { id: user.id, username: user.username, createdAt: user.createdAt, settings: user.settings || {} };
+}
+
+const sign = (value, secret) => crypto.createHmac('sha256', secret).update(value).digest('base64url');
+
+/**
+ * Creates a signed session token.
+ * @param {number} userId
+ * @param {string} secret
+ * @param {number} ttlMs
+ * @returns {string}
+ */
+function createSessionToken(userId, secret, ttlMs) {
+  const payload = Buffer.from(JSON.stringify({ uid: userId, exp: Date.now() + ttlMs })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Verifies a session token and returns the user id, or null when the token is
+ * missing, tampered with or expired.
+ * @param {string} token
+ * @param {string} secret
+ * @returns {number|null}
+ */
+function readSessionToken(token, secret) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const { uid, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return typeof uid === 'number' && exp > Date.now() ? uid : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Parses a Cookie header.
+ * @param {string} header
+ * @returns {Object<string, string>}
+ */
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    if (!name) return;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (err) {
+      // Ignore cookies that are not valid percent-encoding
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Builds the Set-Cookie header for a session token; an empty token clears
+ * the cookie.
+ * @param {string} token
+ * @param {{ttlMs: number, secure?: boolean, sameSite?: string}} options
+ * @returns {string}
+ */
+function sessionCookie(token, options) {
+  const parts = [`${COOKIE_NAME}=${token}`, 'Path=/', 'HttpOnly', `SameSite=${options.sameSite || 'Lax'}`];
+  parts.push(token ? `Max-Age=${Math.floor(options.ttlMs / 1000)}` : 'Max-Age=0');
+  if (options.secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+module.exports = {
+  AuthError,
+  COOKIE_NAME,
+  MIGRATIONS,
+  normaliseUsers,
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  addUser,
+  authenticate,
+  updateSettings,
+  publicUser,
+  createSessionToken,
+  readSessionToken,
+  parseCookies,
+  sessionCookie
+};
@@ -0,0 +1,234 @@
+/*
+ * Replays a symbol's price history through the recommendation engine to see
+ * how its signals would have performed. On each day the engine only sees the
+ * bars (and news) available up to that day's close; the resulting order is
+ * filled at the next day's open so the simulation never trades on
+ * information it could not have had. The strategy is long-only: a Buy opens
+ * a position sized as a fraction of equity, a Sell closes it and Hold does
+ * nothing.
+ */
+
+const { recommend } = require('./recommendation');
+const sentiment = require('./sentiment');
+
+const TRADING_DAYS_PER_YEAR = 252;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+  cash: 10000,
+  positionSize: 1,
+  commission: 0,
+  commissionRate: 0,
+  warmup: 20
+};
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Error raised for invalid backtest parameters or unusable price series.
+ */
+class BacktestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BacktestError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Validates and fills in backtest options.
+ * @param {Object} options
+ * @returns {{cash: number, positionSize: number, commission: number, commissionRate: number, warmup: number}}
+ */
+function resolveOptions(options = {}) {
+  const resolved = { ...DEFAULTS };
+  for (const key of Object.keys(DEFAULTS)) {
+    if (options[key] === undefined || options[key] === null || options[key] === '') continue;
+    const value = Number(options[key]);
+    if (!isFinite(value)) throw new BacktestError(`${key} must be a number.`);
+    resolved[key] = value;
+  }
+  if (resolved.cash <= 0) throw new BacktestError('cash must be positive.');
+  if (resolved.positionSize <= 0 || resolved.positionSize > 1) {
+    throw new BacktestError('positionSize must be greater than 0 and at most 1.');
+  }
+  if (resolved.commission < 0 || resolved.commissionRate < 0 || resolved.commissionRate >= 1) {
+    throw new BacktestError('Commission must be non-negative and commissionRate below 1.');
+  }
+  if (!Number.isInteger(resolved.warmup) || resolved.warmup < 2) {
+    throw new BacktestError('warmup must be an integer of at least 2.');
+  }
+  return resolved;
+}
+
+/**
+ * Commission charged on a trade of the given value.
+ * @param {number} value
+ * @param {Object} opts resolved options
+ * @returns {number}
+ */
+function commissionFor(value, opts) {
+  return opts.commission + value * opts.commissionRate;
+}
+
+/**
+ * Largest whole number of shares affordable with `budget` including commission.
+ * @param {number} budget
+ * @param {number} price
+ * @param {Object} opts
+ * @returns {number}
+ */
+function affordableShares(budget, price, opts) {
+  let shares = Math.floor((budget - opts.commission) / (price * (1 + opts.commissionRate)));
+  while (shares > 0 && shares * price + commissionFor(shares * price, opts) > budget) shares--;
+  return Math.max(0, shares);
+}
+
+/**
+ * Summary statistics for an equity series.
+ * @param {number[]} equity
+ * @returns {{totalReturn: number, maxDrawdown: number, sharpeRatio: number|null, volatility: number}}
+ */
+function seriesStats(equity) {
+  const returns = [];
+  for (let i = 1; i < equity.length; i++) returns.push(equity[i] / equity[i - 1] - 1);
+  const mean = returns.reduce((sum, r) => sum + r, 0) / (returns.length || 1);
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length > 1 ? returns.length - 1 : 1);
+  const sd = Math.sqrt(variance);
+  let peak = equity[0];
+  let maxDrawdown = 0;
+  equity.forEach(value => {
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+  });
+  return {
+    totalReturn: round((equity[equity.length - 1] / equity[0] - 1) * 100),
+    maxDrawdown: round(maxDrawdown * 100),
+    // Annualised, with a zero risk-free rate
+    sharpeRatio: sd > 0 ? round((mean / sd) * Math.sqrt(TRADING_DAYS_PER_YEAR)) : null,
+    volatility: round(sd * Math.sqrt(TRADING_DAYS_PER_YEAR) * 100)
+  };
+}
+
+/**
+ * News sentiment as it would have been known at the close of `date`.
+ * @param {Array<Object>} news
+ * @param {number} date timestamp in ms
+ * @returns {Object}
+ */
+function sentimentAsOf(news, date) {
+  const known = news.filter(article => {
+    const published = Date.parse(article.date);
+    return !isNaN(published) && published <= date + DAY_MS - 1;
+  });
+  const { news: scored } = sentiment.analyseNews(known);
+  return sentiment.aggregateSentiment(scored, date);
+}
+
+/**
+ * Runs the backtest.
+ * @param {Array<Object>} priceData OHLCV bars, oldest first
+ * @param {Array<Object>} news articles for the symbol
+ * @param {Object} [options] cash, positionSize (0-1], commission per trade,
+ *   commissionRate (fraction of trade value) and warmup (bars before the
+ *   first signal)
+ * @returns {Object}
+ */
+function runBacktest(priceData, news = [], options = {}) {
+  const opts = resolveOptions(options);
+  if (!priceData || priceData.length < opts.warmup + 2) {
+    throw new BacktestError(`At least ${opts.warmup + 2} bars are needed for a backtest with a warmup of ${opts.warmup}.`);
+  }
+  const startIndex = opts.warmup - 1;
+  let cash = opts.cash;
+  let shares = 0;
+  let entry = null;
+  let pending = null;
+  const trades = [];
+  const signals = [];
+  const equityCurve = [];
+
+  // Buy-and-hold benchmark enters at the first open the strategy could trade
+  const benchmarkPrice = priceData[startIndex + 1].open;
+  const benchmarkShares = affordableShares(opts.cash, benchmarkPrice, opts);
+  const benchmarkCash = opts.cash - benchmarkShares * benchmarkPrice - (benchmarkShares ? commissionFor(benchmarkShares * benchmarkPrice, opts) : 0);
+
+  for (let i = startIndex; i < priceData.length; i++) {
+    const bar = priceData[i];
+    // Fill yesterday's order at today's open
+    if (pending === 'Buy' && shares === 0) {
+      // Flat, so equity is all cash; size the position as a fraction of it
+      const qty = affordableShares(cash * opts.positionSize, bar.open, opts);
+      if (qty > 0) {
+        const fee = commissionFor(qty * bar.open, opts);
+        cash -= qty * bar.open + fee;
+        shares = qty;
+        entry = { date: bar.date, price: bar.open, quantity: qty, fee };
+        trades.push({ type: 'buy', date: bar.date, price: bar.open, quantity: qty, commission: round(fee), cash: round(cash) });
+      }
+    } else if (pending === 'Sell' && shares > 0) {
+      const value = shares * bar.open;
+      const fee = commissionFor(value, opts);
+      cash += value - fee;
+      const pl = value - fee - (entry.quantity * entry.price + entry.fee);
+      trades.push({
+        type: 'sell',
+        date: bar.date,
+        price: bar.open,
+        quantity: shares,
+        commission: round(fee),
+        cash: round(cash),
+        pl: round(pl),
+        returnPct: round((pl / (entry.quantity * entry.price + entry.fee)) * 100)
+      });
+      shares = 0;
+      entry = null;
+    }
+    pending = null;
+
+    const equity = cash + shares * bar.close;
+    equityCurve.push({
+      date: bar.date,
+      equity: round(equity),
+      benchmark: i === startIndex ? opts.cash : round(benchmarkCash + benchmarkShares * bar.close),
+      position: shares
+    });
+
+    // Decide on today's close; the last bar has no next open to trade at
+    if (i < priceData.length - 1) {
+      const result = recommend(priceData.slice(0, i + 1), { sentiment: sentimentAsOf(news, bar.date) });
+      signals.push({ date: bar.date, recommendation: result.recommendation, confidence: result.confidence });
+      if (result.recommendation === 'Buy' && shares === 0) pending = 'Buy';
+      if (result.recommendation === 'Sell' && shares > 0) pending = 'Sell';
+    }
+  }
+
+  const closed = trades.filter(t => t.type === 'sell');
+  const wins = closed.filter(t => t.pl > 0).length;
+  const lastBar = priceData[priceData.length - 1];
+  const strategy = seriesStats(equityCurve.map(p => p.equity));
+  const benchmark = seriesStats(equityCurve.map(p => p.benchmark));
+  return {
+    parameters: opts,
+    period: { start: priceData[startIndex].date, end: lastBar.date, bars: equityCurve.length },
+    metrics: {
+      finalEquity: equityCurve[equityCurve.length - 1].equity,
+      ...strategy,
+      tradeCount: trades.length,
+      closedTrades: closed.length,
+      winRate: closed.length ? round((wins / closed.length) * 100) : null,
+      openPosition: shares > 0
+        ? { quantity: shares, entryPrice: entry.price, unrealizedPL: round(shares * lastBar.close - (entry.quantity * entry.price + entry.fee)) }
+        : null
+    },
+    benchmark: {
+      finalEquity: equityCurve[equityCurve.length - 1].benchmark,
+      ...benchmark
+    },
+    equityCurve,
+    trades,
+    signals
+  };
+}
+
+module.exports = { runBacktest, resolveOptions, seriesStats, BacktestError, DEFAULTS };
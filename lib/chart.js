@@ -0,0 +1,152 @@
+/*
+ * Data behind the stock chart: OHLCV bars at the requested interval and the
+ * indicator series drawn over and beneath them.
+ *
+ * Weekly bars group daily bars by UTC week (Monday to Sunday) and are dated
+ * at the Monday, so a live session can be merged into the current week by
+ * date alone. Indicators are requested as `name:param:param`, e.g. `sma:20`,
+ * `bollinger:20:2` or `macd:12:26:9`, and come back aligned with the bars.
+ */
+
+const indicators = require('./indicators');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = ['daily', 'weekly'];
+const MAX_INDICATORS = 10;
+const MAX_PERIOD = 250;
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Error raised for invalid chart options; `status` is the HTTP status.
+ */
+class ChartError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ChartError';
+    this.status = status;
+  }
+}
+
+/**
+ * Indicators the chart can draw: their default parameters and how to compute
+ * them from the bars.
+ */
+const INDICATORS = {
+  sma: { params: [20], compute: (bars, [period]) => indicators.sma(bars.map(b => b.close), period) },
+  ema: { params: [20], compute: (bars, [period]) => indicators.ema(bars.map(b => b.close), period) },
+  bollinger: {
+    params: [20, 2],
+    compute: (bars, [period, multiplier]) => indicators.bollinger(bars.map(b => b.close), period, multiplier)
+  },
+  vwap: { params: [20], compute: (bars, [period]) => indicators.vwap(bars, period) },
+  rsi: { params: [14], compute: (bars, [period]) => indicators.rsi(bars.map(b => b.close), period) },
+  macd: {
+    params: [12, 26, 9],
+    compute: (bars, [fast, slow, signal]) => indicators.macd(bars.map(b => b.close), fast, slow, signal)
+  }
+};
+
+/**
+ * Validates the bar interval.
+ * @param {string} [value]
+ * @returns {('daily'|'weekly')}
+ */
+function parseInterval(value) {
+  if (value === undefined || value === null || value === '') return 'daily';
+  if (!INTERVALS.includes(value)) throw new ChartError(`interval must be one of: ${INTERVALS.join(', ')}.`);
+  return value;
+}
+
+/**
+ * Start of the UTC week (Monday 00:00) containing a date.
+ * @param {number} date ms
+ * @returns {number}
+ */
+function weekStart(date) {
+  const day = Math.floor(date / DAY_MS);
+  // 1 January 1970 was a Thursday: shift so that Monday is day 0 of the week
+  return (day - ((day + 3) % 7)) * DAY_MS;
+}
+
+/**
+ * Groups daily bars into bars of the given interval.
+ * @param {Array<Object>} bars daily OHLCV bars, oldest first
+ * @param {('daily'|'weekly')} interval
+ * @returns {Array<Object>}
+ */
+function resampleBars(bars, interval) {
+  if (interval === 'daily') return bars;
+  const weeks = [];
+  bars.forEach(bar => {
+    const date = weekStart(bar.date);
+    const current = weeks[weeks.length - 1];
+    if (current && current.date === date) {
+      current.high = Math.max(current.high, bar.high);
+      current.low = Math.min(current.low, bar.low);
+      current.close = bar.close;
+      current.volume += bar.volume;
+    } else {
+      weeks.push({ date, open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume });
+    }
+  });
+  return weeks;
+}
+
+/**
+ * Parses indicator requests.
+ * @param {string} [input] comma-separated, e.g. 'sma:20,bollinger:20:2,rsi'
+ * @returns {Array<{key: string, name: string, params: number[]}>}
+ */
+function parseIndicators(input) {
+  const items = String(input || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (items.length > MAX_INDICATORS) throw new ChartError(`At most ${MAX_INDICATORS} indicators can be requested.`);
+  return items.map(item => {
+    const [name, ...raw] = item.split(':');
+    const spec = INDICATORS[name.toLowerCase()];
+    if (!spec) throw new ChartError(`Unknown indicator "${name}". Use one of: ${Object.keys(INDICATORS).join(', ')}.`);
+    if (raw.length > spec.params.length) throw new ChartError(`Too many parameters for ${name}.`);
+    const params = spec.params.map((fallback, i) => {
+      if (raw[i] === undefined || raw[i] === '') return fallback;
+      const value = Number(raw[i]);
+      if (!isFinite(value) || value <= 0 || value > MAX_PERIOD) {
+        throw new ChartError(`Parameters of ${name} must be positive numbers up to ${MAX_PERIOD}.`);
+      }
+      // Bollinger's multiplier may be fractional; periods are whole bars
+      if (!(name.toLowerCase() === 'bollinger' && i === 1) && !Number.isInteger(value)) {
+        throw new ChartError(`Periods of ${name} must be whole numbers.`);
+      }
+      return value;
+    });
+    const key = [name.toLowerCase(), ...params].join(':');
+    return { key, name: name.toLowerCase(), params };
+  });
+}
+
+/**
+ * Rounds every number in an indicator result.
+ * @param {Array<number|null>|Object<string, Array<number|null>>} result
+ * @returns {Array<number|null>|Object<string, Array<number|null>>}
+ */
+function roundSeries(result) {
+  if (Array.isArray(result)) return result.map(v => (v === null ? null : round(v, 4)));
+  const out = {};
+  Object.keys(result).forEach(key => { out[key] = roundSeries(result[key]); });
+  return out;
+}
+
+/**
+ * Computes the requested indicators over the bars.
+ * @param {Array<Object>} bars
+ * @param {Array<{key: string, name: string, params: number[]}>} requested
+ * @returns {Object<string, Array<number|null>|Object>} series by key, aligned with the bars
+ */
+function computeIndicators(bars, requested) {
+  const out = {};
+  requested.forEach(({ key, name, params }) => {
+    out[key] = roundSeries(INDICATORS[name].compute(bars, params));
+  });
+  return out;
+}
+
+module.exports = { ChartError, INTERVALS, parseInterval, weekStart, resampleBars, parseIndicators, computeIndicators };
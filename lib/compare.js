@@ -0,0 +1,139 @@
+/*
+ * Side-by-side comparison of several symbols. Price histories rarely line up
+ * exactly (different listing dates, halts, imported CSVs with gaps), so the
+ * series are aligned on the union of their trading dates: a date missing for
+ * one symbol carries its previous close forward and is flagged as filled,
+ * and dates before its first bar are null. Each series is then normalised to
+ * the percent change since its first price in the window.
+ *
+ * Statistics only use real bars. Correlations pair the daily returns of two
+ * symbols on the dates both of them traded.
+ */
+
+const { seriesStats } = require('./backtest');
+const { correlation } = require('./analytics');
+
+const MIN_SYMBOLS = 2;
+const MAX_SYMBOLS = 8;
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Error raised for invalid comparison requests; `status` is the HTTP status.
+ */
+class CompareError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CompareError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parses the list of symbols to compare.
+ * @param {string} input comma-separated symbols
+ * @returns {string[]} upper-cased, without duplicates
+ */
+function parseSymbols(input) {
+  const symbols = [...new Set(String(input || '')
+    .split(',')
+    .map(s => s.trim().toUpperCase())
+    .filter(Boolean))];
+  if (symbols.length < MIN_SYMBOLS || symbols.length > MAX_SYMBOLS) {
+    throw new CompareError(`Choose between ${MIN_SYMBOLS} and ${MAX_SYMBOLS} symbols to compare.`);
+  }
+  return symbols;
+}
+
+/**
+ * Parses the optional start date.
+ * @param {string} [value] YYYY-MM-DD
+ * @returns {number|null} UTC midnight in ms
+ */
+function parseStart(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(value) : NaN;
+  if (isNaN(time)) throw new CompareError('from must be a date in YYYY-MM-DD format.');
+  return time;
+}
+
+/**
+ * Daily close-to-close returns between consecutive bars, keyed by date.
+ * @param {Array<{date: number, close: number}>} bars
+ * @returns {Map<number, number>}
+ */
+function returnsOf(bars) {
+  const returns = new Map();
+  for (let i = 1; i < bars.length; i++) returns.set(bars[i].date, bars[i].close / bars[i - 1].close - 1);
+  return returns;
+}
+
+/**
+ * Aligns and compares the price histories of several symbols.
+ * @param {Array<{symbol: string, name: string, priceData: Array<Object>}>} stocks
+ * @param {{from?: (number|null)}} [options] start of the window (UTC ms);
+ *   defaults to the earliest bar
+ * @returns {{from: number, to: number, dates: number[], series: Array<Object>, stats: Array<Object>, pairs: Array<Object>}}
+ */
+function compareSymbols(stocks, options = {}) {
+  const from = options.from === undefined || options.from === null ? -Infinity : options.from;
+  const windows = stocks.map(stock => stock.priceData.filter(bar => bar.date >= from));
+  const dates = [...new Set(windows.flatMap(bars => bars.map(bar => bar.date)))].sort((a, b) => a - b);
+  if (dates.length < 2) throw new CompareError('Not enough prices in the chosen period to compare.');
+
+  const series = stocks.map((stock, i) => {
+    const closes = new Map(windows[i].map(bar => [bar.date, bar.close]));
+    // The close before the window carries into dates the symbol did not trade
+    const earlier = stock.priceData.filter(bar => bar.date < from);
+    let previous = earlier.length ? earlier[earlier.length - 1].close : null;
+    let base = null;
+    const points = dates.map(date => {
+      const actual = closes.get(date);
+      const close = actual === undefined ? previous : actual;
+      previous = close;
+      if (close === null) return { close: null, percent: null, filled: false };
+      if (base === null) base = close;
+      return { close, percent: round((close / base - 1) * 100), filled: actual === undefined };
+    });
+    return {
+      symbol: stock.symbol,
+      name: stock.name,
+      closes: points.map(p => p.close),
+      percent: points.map(p => p.percent),
+      filled: points.reduce((list, p, index) => (p.filled ? [...list, index] : list), [])
+    };
+  });
+
+  const stats = stocks.map((stock, i) => {
+    const bars = windows[i];
+    const result = bars.length >= 2 ? seriesStats(bars.map(bar => bar.close)) : null;
+    return {
+      symbol: stock.symbol,
+      observations: bars.length,
+      missing: series[i].filled.length,
+      startPrice: bars.length ? bars[0].close : null,
+      endPrice: bars.length ? bars[bars.length - 1].close : null,
+      periodReturn: result ? result.totalReturn : null,
+      volatility: result ? result.volatility : null,
+      maxDrawdown: result ? result.maxDrawdown : null
+    };
+  });
+
+  const returns = windows.map(returnsOf);
+  const pairs = [];
+  for (let a = 0; a < stocks.length; a++) {
+    for (let b = a + 1; b < stocks.length; b++) {
+      const shared = [...returns[a].keys()].filter(date => returns[b].has(date));
+      const value = correlation(shared.map(d => returns[a].get(d)), shared.map(d => returns[b].get(d)));
+      pairs.push({
+        symbols: [stocks[a].symbol, stocks[b].symbol],
+        observations: shared.length,
+        correlation: value === null ? null : round(value, 3)
+      });
+    }
+  }
+
+  return { from: dates[0], to: dates[dates.length - 1], dates, series, stats, pairs };
+}
+
+module.exports = { CompareError, parseSymbols, parseStart, compareSymbols, MAX_SYMBOLS };
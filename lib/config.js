@@ -0,0 +1,152 @@
+/*
+ * Runtime configuration. Defaults are overridden by an optional config.json in
+ * the project root and then by environment variables, so the server still
+ * runs with no configuration at all.
+ *
+ *   PORT               HTTP port (default 3000)
+ *   DATA_PROVIDER      json | csv | http (default json)
+ *   DATA_FILE          JSON data file for the json provider (read only)
+ *   IMPORTS_FILE       JSON file the json provider keeps imported bars and
+ *                      actions in (default: imports.json in STORAGE_DIR)
+ *   CSV_DIR            directory of <SYMBOL>.csv files for the csv provider
+ *   PROVIDER_URL       base URL of an Alpha Vantage compatible server
+ *   PROVIDER_API_KEY   API key sent to that server
+ *   TICK_INTERVAL_MS   milliseconds between simulated price ticks (0 disables)
+ *   TICK_SEED          seed for the simulated price paths
+ *   SESSION_SECRET     key used to sign session cookies (random per process
+ *                      when unset, which logs everyone out on restart)
+ *   CORS_ORIGINS       comma-separated origins allowed to call the API from
+ *                      another site (none by default)
+ *   STORAGE_BACKEND    json | sqlite (default json)
+ *   STORAGE_DIR        directory of portfolio.json, users.json, ... for the
+ *                      json backend (default: the project root)
+ *   SQLITE_FILE        database file for the sqlite backend
+ *   BACKUP_DIR         directory for backups of the JSON files
+ *   FX_FILE            JSON file of historical exchange rates
+ *   BASE_CURRENCY      base currency of users who have not chosen one
+ *   NEWS_DIR           directory of RSS/Atom feed files to ingest
+ *   NEWS_FEEDS         comma-separated feed URLs to ingest
+ *   NEWS_INTERVAL_MINUTES  minutes between news ingestions (0 only ingests
+ *                      at startup and on request)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const DEFAULTS = {
+  port: 3000,
+  provider: {
+    type: 'json',
+    // Imports go to `imports` (null: imports.json in storage.dir) so the
+    // data file itself, sample_data.json by default, is never rewritten
+    json: { file: path.join(ROOT, 'sample_data.json'), imports: null },
+    csv: { dir: path.join(ROOT, 'data', 'csv') },
+    http: { baseUrl: 'http://127.0.0.1:8081', apiKey: 'demo', symbols: [], timeoutMs: 5000, cacheTtlMs: 60000 }
+  },
+  ticker: { intervalMs: 1000, ticksPerSession: 390, seed: 42, drift: 0, keepSessions: 20 },
+  // sameSite must be 'None' (with secureCookies) for a front end served from
+  // another site to send the session cookie
+  auth: { secret: null, sessionTtlHours: 168, secureCookies: false, sameSite: 'Lax' },
+  cors: { origins: [] },
+  // The json backend keeps portfolio.json, users.json, ... in `dir`; sqlite
+  // needs Node.js 22.5+ and carries those files over on first use
+  storage: {
+    type: 'json',
+    dir: ROOT,
+    sqlite: { file: path.join(ROOT, 'data', 'advisor.db') },
+    backups: { dir: path.join(ROOT, 'backups'), keep: 20, intervalMinutes: 60 }
+  },
+  fx: { file: path.join(ROOT, 'fx_rates.json'), baseCurrency: 'USD' },
+  news: { dir: path.join(ROOT, 'feeds'), urls: [], intervalMinutes: 15, timeoutMs: 5000 }
+};
+
+/**
+ * Reads config.json (if present) from the project root.
+ * @param {string} file
+ * @returns {Object}
+ */
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Resolves a path from the config file relative to the project root.
+ * @param {string} value
+ * @returns {string}
+ */
+function resolvePath(value) {
+  return path.isAbsolute(value) ? value : path.join(ROOT, value);
+}
+
+/**
+ * Builds the effective configuration.
+ * @param {Object} [env] defaults to process.env
+ * @param {string} [file] defaults to config.json in the project root
+ * @returns {Object}
+ */
+function loadConfig(env = process.env, file = path.join(ROOT, 'config.json')) {
+  const fromFile = readConfigFile(file);
+  const provider = fromFile.provider || {};
+  const storage = fromFile.storage || {};
+  const config = {
+    ...DEFAULTS,
+    ...fromFile,
+    provider: {
+      type: provider.type || DEFAULTS.provider.type,
+      json: { ...DEFAULTS.provider.json, ...provider.json },
+      csv: { ...DEFAULTS.provider.csv, ...provider.csv },
+      http: { ...DEFAULTS.provider.http, ...provider.http }
+    },
+    ticker: { ...DEFAULTS.ticker, ...fromFile.ticker },
+    auth: { ...DEFAULTS.auth, ...fromFile.auth },
+    cors: { ...DEFAULTS.cors, ...fromFile.cors },
+    fx: { ...DEFAULTS.fx, ...fromFile.fx },
+    news: { ...DEFAULTS.news, ...fromFile.news },
+    storage: {
+      ...DEFAULTS.storage,
+      ...storage,
+      sqlite: { ...DEFAULTS.storage.sqlite, ...storage.sqlite },
+      backups: { ...DEFAULTS.storage.backups, ...storage.backups }
+    }
+  };
+  if (provider.json && provider.json.file) config.provider.json.file = resolvePath(provider.json.file);
+  if (provider.json && provider.json.imports) config.provider.json.imports = resolvePath(provider.json.imports);
+  if (provider.csv && provider.csv.dir) config.provider.csv.dir = resolvePath(provider.csv.dir);
+  if (storage.dir) config.storage.dir = resolvePath(storage.dir);
+  if (storage.sqlite && storage.sqlite.file) config.storage.sqlite.file = resolvePath(storage.sqlite.file);
+  if (storage.backups && storage.backups.dir) config.storage.backups.dir = resolvePath(storage.backups.dir);
+  if (fromFile.fx && fromFile.fx.file) config.fx.file = resolvePath(fromFile.fx.file);
+  if (fromFile.news && fromFile.news.dir) config.news.dir = resolvePath(fromFile.news.dir);
+
+  if (env.PORT) config.port = Number(env.PORT);
+  if (env.DATA_PROVIDER) config.provider.type = env.DATA_PROVIDER;
+  if (env.DATA_FILE) config.provider.json.file = resolvePath(env.DATA_FILE);
+  if (env.IMPORTS_FILE) config.provider.json.imports = resolvePath(env.IMPORTS_FILE);
+  if (env.CSV_DIR) config.provider.csv.dir = resolvePath(env.CSV_DIR);
+  if (env.PROVIDER_URL) config.provider.http.baseUrl = env.PROVIDER_URL;
+  if (env.PROVIDER_API_KEY) config.provider.http.apiKey = env.PROVIDER_API_KEY;
+  if (env.TICK_INTERVAL_MS) config.ticker.intervalMs = Number(env.TICK_INTERVAL_MS);
+  if (env.TICK_SEED) config.ticker.seed = Number(env.TICK_SEED);
+  if (env.SESSION_SECRET) config.auth.secret = env.SESSION_SECRET;
+  if (env.STORAGE_BACKEND) config.storage.type = env.STORAGE_BACKEND;
+  if (env.STORAGE_DIR) config.storage.dir = resolvePath(env.STORAGE_DIR);
+  if (env.SQLITE_FILE) config.storage.sqlite.file = resolvePath(env.SQLITE_FILE);
+  if (env.BACKUP_DIR) config.storage.backups.dir = resolvePath(env.BACKUP_DIR);
+  if (env.FX_FILE) config.fx.file = resolvePath(env.FX_FILE);
+  if (env.BASE_CURRENCY) config.fx.baseCurrency = env.BASE_CURRENCY.toUpperCase();
+  if (env.NEWS_DIR) config.news.dir = resolvePath(env.NEWS_DIR);
+  if (env.NEWS_FEEDS) config.news.urls = env.NEWS_FEEDS.split(',').map(url => url.trim()).filter(Boolean);
+  if (env.NEWS_INTERVAL_MINUTES) config.news.intervalMinutes = Number(env.NEWS_INTERVAL_MINUTES);
+  if (env.CORS_ORIGINS) config.cors.origins = env.CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean);
+  if (!config.provider.json.imports) config.provider.json.imports = path.join(config.storage.dir, 'imports.json');
+  return config;
+}
+
+module.exports = { loadConfig, DEFAULTS, ROOT };
@@ -0,0 +1,149 @@
+/*
+ * Minimal RFC 4180 style CSV parsing plus helpers for reading OHLCV price
+ * files in the layouts exported by Yahoo Finance and Stooq:
+ *
+ *   Yahoo: Date,Open,High,Low,Close,Adj Close,Volume
+ *   Stooq: Date,Open,High,Low,Close,Volume
+ *
+ * Column matching is case-insensitive and ignores column order.
+ */
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings). Quoted fields may
+ * contain commas, doubled quotes and line breaks. Blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Converts a YYYY-MM-DD (or YYYYMMDD) date into a UTC midnight timestamp, the
+ * representation used by `priceData`.
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseDate(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(String(value).trim());
+  if (!match) return null;
+  const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Parses OHLCV CSV text into price bars sorted oldest first. Rows with
+ * missing values (Yahoo writes "null" for non-trading days) are skipped and
+ * reported.
+ * @param {string} text
+ * @returns {{bars: Array<Object>, skipped: Array<{line: number, reason: string}>}}
+ */
+function parseOhlcv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) throw new Error('CSV file is empty.');
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const column = (name) => header.indexOf(name);
+  const cols = {
+    date: column('date'),
+    open: column('open'),
+    high: column('high'),
+    low: column('low'),
+    close: column('close'),
+    volume: column('volume')
+  };
+  const missing = Object.keys(cols).filter(key => key !== 'volume' && cols[key] === -1);
+  if (missing.length) {
+    throw new Error(`CSV is missing required column(s): ${missing.join(', ')}.`);
+  }
+  const byDate = new Map();
+  const skipped = [];
+  rows.slice(1).forEach((row, i) => {
+    const line = i + 2;
+    const date = parseDate(row[cols.date] || '');
+    if (date === null) {
+      skipped.push({ line, reason: 'invalid date' });
+      return;
+    }
+    const bar = { date };
+    for (const key of ['open', 'high', 'low', 'close']) {
+      bar[key] = parseFloat(row[cols[key]]);
+    }
+    bar.volume = cols.volume === -1 ? 0 : parseInt(row[cols.volume], 10) || 0;
+    if (['open', 'high', 'low', 'close'].some(key => !isFinite(bar[key]))) {
+      skipped.push({ line, reason: 'missing price' });
+      return;
+    }
+    byDate.set(date, bar);
+  });
+  const bars = [...byDate.values()].sort((a, b) => a.date - b.date);
+  return { bars, skipped };
+}
+
+/**
+ * Serialises price bars in the Stooq layout.
+ * @param {Array<Object>} bars
+ * @returns {string}
+ */
+function formatOhlcv(bars) {
+  const lines = ['Date,Open,High,Low,Close,Volume'];
+  bars.forEach(bar => {
+    const date = new Date(bar.date).toISOString().slice(0, 10);
+    lines.push([date, bar.open, bar.high, bar.low, bar.close, bar.volume || 0].join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Merges imported bars into an existing series; bars on the same date are
+ * replaced by the imported ones.
+ * @param {Array<Object>} existing
+ * @param {Array<Object>} incoming
+ * @returns {{bars: Array<Object>, added: number, updated: number}}
+ */
+function mergeBars(existing, incoming) {
+  const byDate = new Map((existing || []).map(bar => [bar.date, bar]));
+  let added = 0;
+  let updated = 0;
+  incoming.forEach(bar => {
+    if (byDate.has(bar.date)) updated++; else added++;
+    byDate.set(bar.date, bar);
+  });
+  return { bars: [...byDate.values()].sort((a, b) => a.date - b.date), added, updated };
+}
+
+module.exports = { parseCsv, parseDate, parseOhlcv, formatOhlcv, mergeBars };
@@ -0,0 +1,226 @@
+/*
+ * Currencies and exchange rates. Every symbol is quoted in one currency and
+ * each user picks a base currency that portfolio values are reported in.
+ * Rates come from a local file (fx_rates.json by default) holding dated
+ * rates against the file's base currency:
+ *
+ *   { "base": "USD", "rates": { "EUR": { "2024-07-22": 1.0891, ... }, ... } }
+ *
+ * meaning one euro was worth 1.0891 dollars on that day. Conversions between
+ * two other currencies go through the base. A rate lookup uses the latest
+ * rate on or before the requested date, or the earliest one for dates before
+ * the table starts, so weekends and gaps carry the previous rate forward.
+ */
+
+const fs = require('fs');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Error raised for unknown currencies and unusable rate tables; `status` is
+ * the HTTP status.
+ */
+class FxError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FxError';
+    this.status = status;
+  }
+}
+
+/**
+ * Normalises a currency code, or throws for one that is not three letters.
+ * @param {*} code
+ * @returns {string}
+ */
+function currencyCode(code) {
+  const upper = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  if (!CURRENCY_PATTERN.test(upper)) throw new FxError('Currencies are three-letter ISO codes such as USD or EUR.');
+  return upper;
+}
+
+/**
+ * Turns a date given as YYYY-MM-DD or UTC milliseconds into YYYY-MM-DD.
+ * @param {string|number} date
+ * @returns {string}
+ */
+function dayOf(date) {
+  return typeof date === 'number' ? new Date(date).toISOString().slice(0, 10) : date;
+}
+
+/**
+ * Validates a parsed rate table and sorts each currency's rates by date.
+ * @param {*} raw
+ * @returns {{base: string, rates: Object<string, Array<[string, number]>>}}
+ */
+function normaliseRates(raw) {
+  if (!raw || typeof raw !== 'object' || typeof raw.rates !== 'object' || raw.rates === null) {
+    throw new FxError('An FX rate table needs a base currency and a rates object.');
+  }
+  const base = currencyCode(raw.base || DEFAULT_CURRENCY);
+  const rates = {};
+  Object.keys(raw.rates).forEach(code => {
+    const currency = currencyCode(code);
+    const series = raw.rates[code] || {};
+    rates[currency] = Object.keys(series).sort().map(date => {
+      const rate = series[date];
+      if (!DATE_PATTERN.test(date) || typeof rate !== 'number' || !(rate > 0)) {
+        throw new FxError(`Invalid ${currency} rate for ${date}; rates are positive numbers keyed by YYYY-MM-DD.`);
+      }
+      return [date, rate];
+    });
+    if (rates[currency].length === 0) throw new FxError(`No rates listed for ${currency}.`);
+  });
+  delete rates[base];
+  return { base, rates };
+}
+
+/**
+ * Reads a rate table from a JSON file. A missing file leaves only the
+ * default currency.
+ * @param {string} file
+ * @returns {{base: string, rates: Object}}
+ */
+function loadRates(file) {
+  if (!file || !fs.existsSync(file)) return { base: DEFAULT_CURRENCY, rates: {} };
+  try {
+    return normaliseRates(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (err) {
+    throw new Error(`Could not load FX rates from ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Creates a converter over a rate table.
+ * @param {{base: string, rates: Object}} table as returned by loadRates()
+ * @returns {Object} converter
+ */
+function createConverter(table) {
+  const { base, rates } = table;
+
+  // The [date, rate] entry of `currency` in use on `day`, or null for the base
+  const entryOn = (currency, day) => {
+    if (currency === base) return null;
+    const series = rates[currency];
+    if (!series) throw new FxError(`No exchange rates for ${currency}.`, 422);
+    if (day < series[0][0]) return series[0];
+    // Last entry dated on or before the day
+    let low = 0;
+    let high = series.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (series[mid][0] <= day) low = mid;
+      else high = mid - 1;
+    }
+    return series[low];
+  };
+
+  // Value of one unit of `currency` in the table's base on `day`
+  const toBase = (currency, day) => {
+    const entry = entryOn(currency, day);
+    return entry ? entry[1] : 1;
+  };
+
+  return {
+    base,
+
+    /**
+     * Currencies with rates, base currency first.
+     * @returns {string[]}
+     */
+    currencies() {
+      return [base, ...Object.keys(rates).sort()];
+    },
+
+    /**
+     * Whether rates exist for a currency.
+     * @param {string} currency
+     * @returns {boolean}
+     */
+    supports(currency) {
+      return currency === base || !!rates[currency];
+    },
+
+    /**
+     * Units of `to` per unit of `from` on a date (today by default).
+     * @param {string} from
+     * @param {string} to
+     * @param {string|number} [date] YYYY-MM-DD or UTC milliseconds
+     * @returns {number}
+     */
+    rate(from, to, date) {
+      if (from === to) return 1;
+      const day = date === undefined ? new Date().toISOString().slice(0, 10) : dayOf(date);
+      return toBase(from, day) / toBase(to, day);
+    },
+
+    /**
+     * Converts an amount between currencies on a date.
+     * @param {number} amount
+     * @param {string} from
+     * @param {string} to
+     * @param {string|number} [date]
+     * @returns {number}
+     */
+    convert(amount, from, to, date) {
+      return amount * this.rate(from, to, date);
+    },
+
+    /**
+     * Rate of every other currency into `to` on a date (today by default),
+     * with the date of the quote it rests on.
+     * @param {string} to
+     * @param {string} [date]
+     * @returns {Array<{currency: string, rate: number, date: string|null}>}
+     */
+    table(to, date) {
+      const day = date || new Date().toISOString().slice(0, 10);
+      return this.currencies().filter(currency => currency !== to).map(currency => {
+        // The older of the two quotes the cross rate is built from
+        const quotes = [entryOn(currency, day), entryOn(to, day)].filter(Boolean).map(entry => entry[0]).sort();
+        return { currency, rate: Math.round(this.rate(currency, to, day) * 1e6) / 1e6, date: quotes[0] || null };
+      });
+    }
+  };
+}
+
+/**
+ * The conversion the ledger functions take: every symbol's currency and its
+ * rate into `base` on a date.
+ * @param {Object} converter from createConverter()
+ * @param {string} base the user's base currency
+ * @param {Object<string, string>} currencies currency per symbol
+ * @returns {{base: string, currencyOf: Function, rate: Function}}
+ */
+function conversionFor(converter, base, currencies) {
+  const currencyOf = (symbol) => currencies[symbol] || DEFAULT_CURRENCY;
+  return {
+    base,
+    currencyOf,
+    rate: (symbol, date) => converter.rate(currencyOf(symbol), base, date)
+  };
+}
+
+/**
+ * Formats an amount of money, e.g. `$1,234.50`, `-€12.00` or `CHF 3.10`.
+ * @param {number|null} amount
+ * @param {string} [currency='USD']
+ * @returns {string}
+ */
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  if (typeof amount !== 'number') return '—';
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+}
+
+module.exports = {
+  FxError,
+  DEFAULT_CURRENCY,
+  currencyCode,
+  normaliseRates,
+  loadRates,
+  createConverter,
+  conversionFor,
+  formatMoney
+};
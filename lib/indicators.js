@@ -0,0 +1,169 @@
+/*
+ * Technical indicators computed from an OHLCV series. Every function returns
+ * an array aligned with its input: positions where the indicator is not yet
+ * defined (not enough preceding bars) hold `null`, so callers can index the
+ * result with the same offsets they use for `priceData`.
+ */
+
+/**
+ * Simple moving average.
+ * @param {number[]} values
+ * @param {number} period
+ * @returns {Array<number|null>}
+ */
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+/**
+ * Exponential moving average seeded with the SMA of the first `period` values.
+ * Leading `null`s in the input (e.g. from another indicator) are skipped.
+ * @param {Array<number|null>} values
+ * @param {number} period
+ * @returns {Array<number|null>}
+ */
+function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const start = values.findIndex(v => v !== null && v !== undefined);
+  if (start === -1 || values.length - start < period) return out;
+  const k = 2 / (period + 1);
+  let prev = 0;
+  for (let i = start; i < start + period; i++) prev += values[i];
+  prev /= period;
+  out[start + period - 1] = prev;
+  for (let i = start + period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+/**
+ * Relative Strength Index using Wilder's smoothing.
+ * @param {number[]} closes
+ * @param {number} [period=14]
+ * @returns {Array<number|null>}
+ */
+function rsi(closes, period = 14) {
+  const out = new Array(closes.length).fill(null);
+  if (closes.length <= period) return out;
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change >= 0) gain += change; else loss -= change;
+  }
+  gain /= period;
+  loss /= period;
+  // A series that did not move at all is neither overbought nor oversold
+  const value = () => {
+    if (loss === 0) return gain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + gain / loss);
+  };
+  out[period] = value();
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    out[i] = value();
+  }
+  return out;
+}
+
+/**
+ * Moving Average Convergence Divergence.
+ * @param {number[]} closes
+ * @param {number} [fast=12]
+ * @param {number} [slow=26]
+ * @param {number} [signalPeriod=9]
+ * @returns {{macd: Array<number|null>, signal: Array<number|null>, histogram: Array<number|null>}}
+ */
+function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) => (fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null));
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((v, i) => (v !== null && signal[i] !== null ? v - signal[i] : null));
+  return { macd: line, signal, histogram };
+}
+
+/**
+ * Bollinger bands around an SMA.
+ * @param {number[]} closes
+ * @param {number} [period=20]
+ * @param {number} [multiplier=2]
+ * @returns {{middle: Array<number|null>, upper: Array<number|null>, lower: Array<number|null>}}
+ */
+function bollinger(closes, period = 20, multiplier = 2) {
+  const middle = sma(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+  for (let i = period - 1; i < closes.length; i++) {
+    const window = closes.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, v) => sum + (v - middle[i]) ** 2, 0) / period;
+    const sd = Math.sqrt(variance);
+    upper[i] = middle[i] + multiplier * sd;
+    lower[i] = middle[i] - multiplier * sd;
+  }
+  return { middle, upper, lower };
+}
+
+/**
+ * On-balance volume: cumulative volume signed by the direction of each close.
+ * @param {Array<{close: number, volume: number}>} bars
+ * @returns {number[]}
+ */
+function obv(bars) {
+  const out = [];
+  let total = 0;
+  bars.forEach((bar, i) => {
+    if (i > 0) {
+      if (bar.close > bars[i - 1].close) total += bar.volume;
+      else if (bar.close < bars[i - 1].close) total -= bar.volume;
+    }
+    out.push(total);
+  });
+  return out;
+}
+
+/**
+ * Rolling volume-weighted average price of the typical price (high + low +
+ * close) / 3 over the last `period` bars.
+ * @param {Array<{high: number, low: number, close: number, volume: number}>} bars
+ * @param {number} [period=20]
+ * @returns {Array<number|null>}
+ */
+function vwap(bars, period = 20) {
+  const out = new Array(bars.length).fill(null);
+  let value = 0;
+  let volume = 0;
+  for (let i = 0; i < bars.length; i++) {
+    value += ((bars[i].high + bars[i].low + bars[i].close) / 3) * bars[i].volume;
+    volume += bars[i].volume;
+    if (i >= period) {
+      const old = bars[i - period];
+      value -= ((old.high + old.low + old.close) / 3) * old.volume;
+      volume -= old.volume;
+    }
+    if (i >= period - 1 && volume > 0) out[i] = value / volume;
+  }
+  return out;
+}
+
+/**
+ * Returns the last element of an indicator series (or null).
+ * @param {Array<number|null>} series
+ * @returns {number|null}
+ */
+function last(series) {
+  return series.length ? series[series.length - 1] : null;
+}
+
+module.exports = { sma, ema, rsi, macd, bollinger, obv, vwap, last };
@@ -0,0 +1,450 @@
+/*
+ * Append-only transaction ledger for the portfolio. portfolio.json stores a
+ * list of dated buy, sell and dividend transactions; open lots, cost basis and
+ * realized/unrealized profit and loss are always derived from that history
+ * under the requested cost-basis method:
+ *
+ *   fifo    - sells consume the oldest lots first
+ *   lifo    - sells consume the newest lots first
+ *   average - sells are costed at the average cost of all shares held; lots
+ *             are still reduced oldest-first so their remaining quantities
+ *             stay meaningful
+ *
+ * Corporate actions of the traded symbols (see actions.js) are replayed with
+ * the transactions without being stored in the ledger: a split multiplies the
+ * quantity of every open lot and divides its price, leaving the cost basis
+ * unchanged, and a cash dividend credits the shares held on its ex-date
+ * unless the ledger already records that dividend. Actions take effect at the
+ * start of their date, before that day's trades.
+ *
+ * Transactions are recorded in the currency the symbol trades in. Given a
+ * conversion (see fx.js), money is reported in the user's base currency: each
+ * lot's cost at the rate of the day it was bought, proceeds and dividends at
+ * the rate of their own day and market values at today's rate. The
+ * unrealized P/L of a position then splits into a price gain (the move in
+ * the local price, at today's rate) and an FX gain (the move in the rate
+ * since the shares were bought).
+ */
+
+const LEDGER_VERSION = 1;
+const METHODS = ['fifo', 'lifo', 'average'];
+const TYPES = ['buy', 'sell', 'dividend'];
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+// Quantities below this are treated as zero to absorb floating point noise
+const EPSILON = 1e-9;
+// A recorded dividend paid within this many days of an ex-date is taken to be
+// that dividend, so it is not credited twice
+const SETTLEMENT_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound for quantities, prices, amounts and fees, well clear of any
+// real trade and of the range where totals stop being finite
+const MAX_VALUE = 1e12;
+
+/**
+ * Error raised for transactions that cannot be applied to the ledger. The
+ * `status` is the HTTP status the API should answer with.
+ */
+class LedgerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+  }
+}
+
+/**
+ * Returns today's date as YYYY-MM-DD.
+ * @returns {string}
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Whether a value is a YYYY-MM-DD string naming a day that exists.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const parsed = new Date(value);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Whether a value is a finite number no larger than MAX_VALUE.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function inRange(value) {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= MAX_VALUE;
+}
+
+/**
+ * Converts whatever is stored in portfolio.json into a ledger. The original
+ * format was an array of `{ symbol, quantity, price }` holdings; each one is
+ * migrated to a single buy transaction so no position is lost.
+ * @param {*} raw parsed contents of portfolio.json (or undefined)
+ * @returns {{version: number, transactions: Array<Object>}}
+ */
+function normaliseLedger(raw) {
+  if (Array.isArray(raw)) {
+    const date = today();
+    return {
+      version: LEDGER_VERSION,
+      transactions: raw.map((holding, i) => ({
+        id: i + 1,
+        type: 'buy',
+        symbol: holding.symbol,
+        quantity: holding.quantity,
+        price: holding.price,
+        fee: 0,
+        date,
+        note: 'Migrated from holdings list'
+      }))
+    };
+  }
+  if (raw && Array.isArray(raw.transactions)) {
+    return { ...raw, version: raw.version || LEDGER_VERSION };
+  }
+  return { version: LEDGER_VERSION, transactions: [] };
+}
+
+/**
+ * Validates user input and builds a transaction ready to be appended.
+ * @param {{transactions: Array<Object>}} ledger
+ * @param {Object} input
+ * @param {{lastPrice?: number}} [defaults] price used when none is supplied
+ * @returns {Object}
+ */
+function createTransaction(ledger, input, defaults = {}) {
+  const type = String(input.type || '').toLowerCase();
+  if (!TYPES.includes(type)) {
+    throw new LedgerError(`Transaction type must be one of: ${TYPES.join(', ')}.`);
+  }
+  if (!input.symbol || typeof input.symbol !== 'string') {
+    throw new LedgerError('Symbol is required.');
+  }
+  const date = input.date === undefined ? today() : input.date;
+  if (!isDate(date)) {
+    throw new LedgerError('Date must be a valid date formatted as YYYY-MM-DD.');
+  }
+  const fee = input.fee === undefined ? 0 : input.fee;
+  if (!inRange(fee) || fee < 0) {
+    throw new LedgerError('Fee must be a non-negative number.');
+  }
+  const nextId = ledger.transactions.reduce((max, tx) => Math.max(max, tx.id || 0), 0) + 1;
+  const tx = { id: nextId, type, symbol: input.symbol.toUpperCase(), date, fee };
+  if (type === 'dividend') {
+    if (!inRange(input.amount) || input.amount <= 0) {
+      throw new LedgerError('A positive dividend amount is required.');
+    }
+    tx.amount = round(input.amount);
+  } else {
+    if (!inRange(input.quantity) || input.quantity <= 0) {
+      throw new LedgerError('Symbol and a positive quantity are required.');
+    }
+    // Only a missing price falls back to the latest one; a bad one is an error
+    const price = input.price === undefined || input.price === null ? defaults.lastPrice : input.price;
+    if (!inRange(price) || price <= 0) {
+      throw new LedgerError('A positive price is required.');
+    }
+    tx.quantity = input.quantity;
+    tx.price = round(price);
+  }
+  if (input.note) tx.note = String(input.note).slice(0, 200);
+  tx.createdAt = new Date().toISOString();
+  return tx;
+}
+
+/**
+ * Orders transactions chronologically, keeping entry order for same-day ones.
+ * @param {Array<Object>} transactions
+ * @returns {Array<Object>}
+ */
+function sortTransactions(transactions) {
+  return transactions
+    .map((tx, index) => ({ tx, index }))
+    .sort((a, b) => (a.tx.date < b.tx.date ? -1 : a.tx.date > b.tx.date ? 1 : a.index - b.index))
+    .map(entry => entry.tx);
+}
+
+/**
+ * Ledger entries for the corporate actions of the traded symbols: `split`
+ * entries, and `distribution` entries (a cash amount per share) for the
+ * dividends the ledger does not record. Actions before a symbol's first
+ * transaction or after today are left out.
+ * @param {Array<Object>} transactions
+ * @param {Object<string, Array<Object>>} [actions] corporate actions per symbol
+ * @returns {Array<Object>}
+ */
+function actionEntries(transactions, actions = {}) {
+  const firstDate = {};
+  sortTransactions(transactions).forEach(tx => {
+    if (!firstDate[tx.symbol]) firstDate[tx.symbol] = tx.date;
+  });
+  const recorded = transactions.filter(tx => tx.type === 'dividend');
+  const settled = (symbol, date) => recorded.some(tx => tx.symbol === symbol && tx.date >= date
+    && Date.parse(tx.date) - Date.parse(date) <= SETTLEMENT_DAYS * DAY_MS);
+  const entries = [];
+  Object.keys(actions).filter(symbol => firstDate[symbol]).forEach(symbol => {
+    actions[symbol]
+      .filter(action => action.date > firstDate[symbol] && action.date <= today())
+      .forEach(action => {
+        if (action.type === 'split') {
+          entries.push({ type: 'split', symbol, date: action.date, ratio: action.ratio });
+        } else if (action.type === 'dividend' && !settled(symbol, action.date)) {
+          entries.push({ type: 'distribution', symbol, date: action.date, perShare: action.amount });
+        }
+      });
+  });
+  return entries;
+}
+
+/**
+ * The transactions and corporate action entries in the order they apply;
+ * actions come before the trades of the same day.
+ * @param {Array<Object>} transactions
+ * @param {Object<string, Array<Object>>} [actions]
+ * @returns {Array<Object>}
+ */
+function timeline(transactions, actions) {
+  return sortTransactions([...actionEntries(transactions, actions), ...transactions]);
+}
+
+/**
+ * Replays the ledger and returns the state of every symbol ever traded.
+ * Amounts are in the symbol's currency, except `baseDividends`, `invested`
+ * and each realized sale's `baseCost`, which are in the conversion's base
+ * currency; lots and sales carry the `rate` of their date.
+ * Throws a LedgerError if a sell exceeds the quantity held at that point.
+ * @param {Array<Object>} transactions
+ * @param {string} [method='fifo']
+ * @param {Object<string, Array<Object>>} [actions] corporate actions per symbol
+ * @param {{rate: Function}} [conversion] rate of a symbol's currency into the
+ *   base currency on a date; without one every rate is 1
+ * @returns {Object<string, {symbol: string, lots: Array<Object>, realized: Array<Object>, dividends: number, baseDividends: number, invested: number, actions: Array<Object>}>}
+ */
+function replay(transactions, method = 'fifo', actions = {}, conversion = null) {
+  if (!METHODS.includes(method)) {
+    throw new LedgerError(`Cost-basis method must be one of: ${METHODS.join(', ')}.`);
+  }
+  const rateOf = conversion ? conversion.rate : () => 1;
+  const positions = {};
+  const positionFor = (symbol) => {
+    if (!positions[symbol]) {
+      positions[symbol] = { symbol, lots: [], realized: [], dividends: 0, baseDividends: 0, invested: 0, actions: [] };
+    }
+    return positions[symbol];
+  };
+  timeline(transactions, actions).forEach(tx => {
+    const position = positionFor(tx.symbol);
+    const rate = rateOf(tx.symbol, tx.date);
+    const held = () => position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (tx.type === 'split') {
+      // The cost basis carries over to the new shares
+      position.lots.forEach(lot => {
+        lot.quantity *= tx.ratio;
+        lot.originalQuantity *= tx.ratio;
+        lot.price /= tx.ratio;
+        lot.unitCost /= tx.ratio;
+      });
+      position.actions.push({ type: 'split', date: tx.date, ratio: tx.ratio });
+    } else if (tx.type === 'distribution') {
+      const quantity = held();
+      if (quantity <= EPSILON) return;
+      const amount = round(quantity * tx.perShare);
+      position.dividends += amount;
+      position.baseDividends += amount * rate;
+      position.actions.push({ type: 'dividend', date: tx.date, perShare: tx.perShare, quantity: round(quantity, 6), amount });
+    } else if (tx.type === 'buy') {
+      // Fees are capitalised into the cost of the lot
+      const fee = tx.fee || 0;
+      position.invested += (tx.quantity * tx.price + fee) * rate;
+      position.lots.push({
+        transactionId: tx.id,
+        date: tx.date,
+        quantity: tx.quantity,
+        originalQuantity: tx.quantity,
+        price: tx.price,
+        unitCost: tx.price + fee / tx.quantity,
+        rate
+      });
+    } else if (tx.type === 'dividend') {
+      position.dividends += tx.amount;
+      position.baseDividends += tx.amount * rate;
+    } else if (tx.type === 'sell') {
+      const quantity = held();
+      if (tx.quantity > quantity + EPSILON) {
+        throw new LedgerError(`Cannot sell ${tx.quantity} ${tx.symbol} on ${tx.date}; only ${round(quantity, 6)} held.`);
+      }
+      const pooled = (cost) => (quantity > 0 ? position.lots.reduce((sum, lot) => sum + lot.quantity * cost(lot), 0) / quantity : 0);
+      const averageCost = pooled(lot => lot.unitCost);
+      const averageBaseCost = pooled(lot => lot.unitCost * lot.rate);
+      const order = method === 'lifo' ? [...position.lots].reverse() : position.lots;
+      let remaining = tx.quantity;
+      let cost = 0;
+      let baseCost = 0;
+      for (const lot of order) {
+        if (remaining <= EPSILON) break;
+        const taken = Math.min(lot.quantity, remaining);
+        cost += taken * (method === 'average' ? averageCost : lot.unitCost);
+        baseCost += taken * (method === 'average' ? averageBaseCost : lot.unitCost * lot.rate);
+        lot.quantity -= taken;
+        remaining -= taken;
+      }
+      position.lots = position.lots.filter(lot => lot.quantity > EPSILON);
+      if (method === 'average') {
+        // Keep the pooled cost: every remaining lot carries the average unit
+        // cost, and the rate that prices it at the average base cost
+        position.lots.forEach(lot => {
+          lot.unitCost = averageCost;
+          lot.rate = averageCost > 0 ? averageBaseCost / averageCost : rate;
+        });
+      }
+      const proceeds = tx.quantity * tx.price - (tx.fee || 0);
+      position.realized.push({
+        transactionId: tx.id,
+        date: tx.date,
+        quantity: tx.quantity,
+        price: tx.price,
+        proceeds: round(proceeds),
+        cost: round(cost),
+        pl: round(proceeds - cost),
+        rate,
+        baseCost: round(baseCost)
+      });
+    }
+  });
+  return positions;
+}
+
+/**
+ * Computes holdings with realized and unrealized P/L at the given prices.
+ * Total return adds both to the dividends received; its percentage is of
+ * everything ever paid for the shares. With a conversion, `price` and
+ * `currentPrice` stay in the symbol's currency and every other amount is in
+ * the base currency, with the unrealized P/L split into `priceGain` and
+ * `fxGain`.
+ * @param {Array<Object>} transactions
+ * @param {string} method
+ * @param {Object<string, number>} prices latest price per symbol
+ * @param {Object<string, Array<Object>>} [actions] corporate actions per symbol
+ * @param {{base: string, currencyOf: Function, rate: Function}} [conversion]
+ *   see fx.conversionFor()
+ * @returns {{method: string, currency: string|null, holdings: Array<Object>, totals: Object}}
+ */
+function summarise(transactions, method, prices, actions, conversion = null) {
+  const positions = replay(transactions, method, actions, conversion);
+  const date = today();
+  const holdings = Object.values(positions).map(position => {
+    const rate = conversion ? conversion.rate(position.symbol, date) : 1;
+    const quantity = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const localCost = position.lots.reduce((sum, lot) => sum + lot.quantity * lot.unitCost, 0);
+    const costBasis = position.lots.reduce((sum, lot) => sum + lot.quantity * lot.unitCost * lot.rate, 0);
+    const currentPrice = prices[position.symbol];
+    const localValue = typeof currentPrice === 'number' ? quantity * currentPrice : null;
+    const marketValue = localValue === null ? null : localValue * rate;
+    const realizedPL = position.realized.reduce((sum, r) => sum + r.proceeds * r.rate - r.baseCost, 0);
+    const totalReturn = (marketValue === null ? 0 : marketValue - costBasis) + realizedPL + position.baseDividends;
+    return {
+      symbol: position.symbol,
+      currency: conversion ? conversion.currencyOf(position.symbol) : null,
+      quantity: round(quantity, 6),
+      price: quantity > EPSILON ? round(localCost / quantity) : 0,
+      costBasis: round(costBasis),
+      currentPrice: typeof currentPrice === 'number' ? currentPrice : null,
+      fxRate: round(rate, 6),
+      marketValue: marketValue === null ? null : round(marketValue),
+      unrealizedPL: marketValue === null ? null : round(marketValue - costBasis),
+      priceGain: marketValue === null ? null : round((localValue - localCost) * rate),
+      fxGain: marketValue === null ? null : round(localCost * rate - costBasis),
+      realizedPL: round(realizedPL),
+      dividends: round(position.baseDividends),
+      totalReturn: round(totalReturn),
+      totalReturnPercent: position.invested > 0 ? round((totalReturn / position.invested) * 100) : null,
+      invested: round(position.invested),
+      lotCount: position.lots.length,
+      closed: quantity <= EPSILON
+    };
+  });
+  const sum = (key) => round(holdings.reduce((total, h) => total + (h[key] || 0), 0));
+  const invested = sum('invested');
+  return {
+    method,
+    currency: conversion ? conversion.base : null,
+    holdings,
+    totals: {
+      costBasis: sum('costBasis'),
+      marketValue: sum('marketValue'),
+      unrealizedPL: sum('unrealizedPL'),
+      priceGain: sum('priceGain'),
+      fxGain: sum('fxGain'),
+      realizedPL: sum('realizedPL'),
+      dividends: sum('dividends'),
+      totalReturn: sum('totalReturn'),
+      totalReturnPercent: invested > 0 ? round((sum('totalReturn') / invested) * 100) : null,
+      invested
+    }
+  };
+}
+
+/**
+ * Returns the open lots, realized sales and applied corporate actions for one
+ * symbol.
+ * @param {Array<Object>} transactions
+ * @param {string} symbol
+ * @param {string} method
+ * @param {number} [currentPrice]
+ * @param {Object<string, Array<Object>>} [actions] corporate actions per symbol
+ * @returns {{symbol: string, method: string, lots: Array<Object>, realized: Array<Object>, dividends: number, actions: Array<Object>}|null}
+ */
+function lotsFor(transactions, symbol, method, currentPrice, actions) {
+  const position = replay(transactions, method, actions)[symbol];
+  if (!position) return null;
+  const lots = position.lots.map(lot => {
+    const costBasis = lot.quantity * lot.unitCost;
+    const marketValue = typeof currentPrice === 'number' ? lot.quantity * currentPrice : null;
+    return {
+      transactionId: lot.transactionId,
+      date: lot.date,
+      quantity: round(lot.quantity, 6),
+      originalQuantity: round(lot.originalQuantity, 6),
+      price: round(lot.price, 4),
+      unitCost: round(lot.unitCost, 4),
+      costBasis: round(costBasis),
+      marketValue: marketValue === null ? null : round(marketValue),
+      unrealizedPL: marketValue === null ? null : round(marketValue - costBasis)
+    };
+  });
+  return { symbol, method, lots, realized: position.realized.map(({ rate, baseCost, ...sale }) => sale), dividends: round(position.dividends), actions: position.actions };
+}
+
+/**
+ * Returns the quantity currently held for a symbol.
+ * @param {Array<Object>} transactions
+ * @param {string} symbol
+ * @param {Object<string, Array<Object>>} [actions] corporate actions per symbol
+ * @returns {number}
+ */
+function quantityHeld(transactions, symbol, actions) {
+  const position = replay(transactions, 'fifo', actions)[symbol];
+  if (!position) return 0;
+  return round(position.lots.reduce((sum, lot) => sum + lot.quantity, 0), 6);
+}
+
+module.exports = {
+  LEDGER_VERSION,
+  METHODS,
+  LedgerError,
+  normaliseLedger,
+  createTransaction,
+  sortTransactions,
+  actionEntries,
+  timeline,
+  replay,
+  summarise,
+  lotsFor,
+  quantityHeld
+};
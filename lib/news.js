@@ -0,0 +1,545 @@
+/*
+ * News ingestion. Articles come from RSS 2.0 and Atom feeds, read from files
+ * in the feeds directory or fetched from configured URLs (a local stub or
+ * proxy), and from the data provider's own per-symbol news. Every article is
+ * stored once, de-duplicated on its link, guid or headline and day, and
+ * tagged with the tracked symbols it mentions: by ticker (`$AAPL`,
+ * `NASDAQ:AAPL`, `(AAPL)`, or the bare ticker for tickers of three or more
+ * capitals) or by company name without its legal suffix ("Apple" for
+ * "Apple Inc.").
+ *
+ * The document stored in news.json looks like
+ * `{ articles: [{ id, title, description, url, guid, source, feed, date,
+ *    publishedAt, symbols, addedAt }], feeds: { [feed]: { name, type,
+ *    ingestedAt, articles, added, error } } }`
+ * where `date` is the UTC day (YYYY-MM-DD) the article was published and
+ * `feed` the id of the source it was first read from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const sentiment = require('./sentiment');
+
+// Articles kept in news.json; the oldest are dropped first
+const MAX_ARTICLES = 2000;
+
+// Longest description kept per article, in characters
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Largest feed read from a file or URL
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+
+// File extensions read from the feeds directory
+const FEED_EXTENSIONS = ['.xml', '.rss', '.atom'];
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+// Legal forms dropped from company names before matching them in text
+const LEGAL_SUFFIX = /(?:,?\s+(?:inc|incorporated|corp|corporation|co|company|ltd|limited|plc|ag|se|sa|nv|n\.v|holdings?|group|class\s+[a-z]))\.?$/i;
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', hellip: '…'
+};
+
+/**
+ * Error raised for unreadable feeds and invalid news queries; `status` is the
+ * HTTP status.
+ */
+class NewsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'NewsError';
+    this.status = status;
+  }
+}
+
+/**
+ * Returns a well-formed news document.
+ * @param {*} raw parsed news.json (or undefined)
+ * @returns {{articles: Array<Object>, feeds: Object<string, Object>}}
+ */
+function normaliseNews(raw) {
+  return {
+    articles: raw && Array.isArray(raw.articles) ? raw.articles : [],
+    feeds: raw && raw.feeds && typeof raw.feeds === 'object' ? raw.feeds : {}
+  };
+}
+
+/**
+ * Schema migrations of news.json, oldest first (see lib/storage).
+ */
+const MIGRATIONS = [
+  { version: 1, description: 'Stored news articles and feed status', up: raw => normaliseNews(raw) }
+];
+
+const nextId = (list) => list.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Replaces character references and the common HTML named entities.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const named = ENTITIES[entity.toLowerCase()];
+    return named === undefined ? match : named;
+  });
+}
+
+/**
+ * The text of an element's content: CDATA sections are kept as they are and
+ * the rest is entity-decoded. Markup inside (escaped HTML in descriptions,
+ * say) is removed and whitespace collapsed.
+ * @param {string} raw
+ * @returns {string}
+ */
+function elementText(raw) {
+  const decoded = raw
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map(part => (part.startsWith('<![CDATA[') ? part.slice(9, -3) : decodeEntities(part)))
+    .join('');
+  return decodeEntities(decoded.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The content of the first child element with one of the given names.
+ * @param {string} block
+ * @param {string[]} names tag names, namespace prefix included
+ * @returns {string} '' when there is none
+ */
+function childText(block, names) {
+  for (const name of names) {
+    const match = new RegExp(`<${escapeRegExp(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeRegExp(name)}>`, 'i').exec(block);
+    if (match) {
+      const text = elementText(match[1]);
+      if (text) return text;
+    }
+  }
+  return '';
+}
+
+/**
+ * The value of an attribute in a tag's attribute list.
+ * @param {string} attributes
+ * @param {string} name
+ * @returns {string|null}
+ */
+function attribute(attributes, name) {
+  const match = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i').exec(attributes);
+  return match ? decodeEntities(match[2] !== undefined ? match[2] : match[3]) : null;
+}
+
+/**
+ * The link of an Atom entry: its alternate link, or the first one.
+ * @param {string} block
+ * @returns {string}
+ */
+function atomLink(block) {
+  const links = [...block.matchAll(/<link\b([^>]*?)\/?>/gi)].map(match => ({
+    rel: attribute(match[1], 'rel') || 'alternate',
+    href: attribute(match[1], 'href')
+  })).filter(link => link.href);
+  const alternate = links.find(link => link.rel === 'alternate') || links[0];
+  return alternate ? alternate.href.trim() : '';
+}
+
+/**
+ * Parses an RSS 2.0 (or RDF) or Atom feed.
+ * @param {string} xml
+ * @returns {{title: string, items: Array<{title: string, description: string, url: string, guid: string, publishedAt: (number|null)}>}}
+ */
+function parseFeed(xml) {
+  const text = String(xml || '').replace(/<!--[\s\S]*?-->/g, '');
+  const atom = /<feed[\s>]/i.test(text) && !/<(rss|rdf:RDF)[\s>]/i.test(text);
+  if (!atom && !/<(rss|rdf:RDF)[\s>]/i.test(text)) throw new NewsError('Not an RSS or Atom feed');
+  const itemTag = atom ? 'entry' : 'item';
+  const firstItem = text.search(new RegExp(`<${itemTag}[\\s>]`, 'i'));
+  const title = childText(firstItem === -1 ? text : text.slice(0, firstItem), ['title']);
+  const items = [...text.matchAll(new RegExp(`<${itemTag}(?:\\s[^>]*)?>([\\s\\S]*?)</${itemTag}>`, 'gi'))].map(([, block]) => {
+    const published = atom
+      ? childText(block, ['published', 'updated'])
+      : childText(block, ['pubDate', 'dc:date']);
+    const time = Date.parse(published);
+    return {
+      title: childText(block, ['title']),
+      description: atom
+        ? childText(block, ['summary', 'content'])
+        : childText(block, ['description', 'content:encoded']),
+      url: atom ? atomLink(block) : childText(block, ['link']),
+      guid: childText(block, atom ? ['id'] : ['guid']),
+      publishedAt: isNaN(time) ? null : time
+    };
+  });
+  return { title, items: items.filter(item => item.title) };
+}
+
+/**
+ * A company name without its legal form, e.g. "Tesla" for "Tesla, Inc." and
+ * "Amazon" for "Amazon.com, Inc.".
+ * @param {string} name
+ * @returns {string}
+ */
+function companyName(name) {
+  let core = String(name || '').trim();
+  let previous;
+  do {
+    previous = core;
+    core = core.replace(LEGAL_SUFFIX, '').trim();
+  } while (core !== previous);
+  return core.replace(/\.com$/i, '');
+}
+
+/**
+ * Builds the patterns that find each symbol in article text.
+ * @param {Array<{symbol: string, name: string}>} symbols the tracked symbols
+ * @returns {Array<{symbol: string, patterns: RegExp[]}>}
+ */
+function symbolMatchers(symbols) {
+  return symbols.map(({ symbol, name }) => {
+    const ticker = escapeRegExp(symbol);
+    const patterns = [new RegExp(`(?:\\$|\\b[A-Z]{2,}:)${ticker}(?![\\w])|\\(${ticker}\\)`)];
+    if (/^[A-Z]{3,}$/.test(symbol)) patterns.push(new RegExp(`(?<![\\w$.])${ticker}(?![\\w])`));
+    const company = companyName(name);
+    if (company.length >= 3 && company !== symbol) {
+      patterns.push(new RegExp(`(?<![\\w])${escapeRegExp(company)}(?![\\w])`));
+    }
+    return { symbol, patterns };
+  });
+}
+
+/**
+ * The symbols an article mentions in its title or description.
+ * @param {{title: string, description?: string}} article
+ * @param {Array<{symbol: string, patterns: RegExp[]}>} matchers
+ * @returns {string[]} sorted
+ */
+function tagArticle(article, matchers) {
+  const text = `${article.title}\n${article.description || ''}`;
+  return matchers
+    .filter(matcher => matcher.patterns.some(pattern => pattern.test(text)))
+    .map(matcher => matcher.symbol)
+    .sort();
+}
+
+/**
+ * A link without its fragment, trailing slash and utm_ tracking parameters.
+ * @param {string} url
+ * @returns {string}
+ */
+function canonicalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    [...parsed.searchParams.keys()].filter(key => key.startsWith('utm_')).forEach(key => parsed.searchParams.delete(key));
+    parsed.hash = '';
+    return parsed.toString().replace(/\/$/, '').toLowerCase();
+  } catch (err) {
+    return url.trim().toLowerCase();
+  }
+}
+
+/**
+ * Keys under which an article counts as already stored: its link without
+ * tracking parameters, its guid, and its headline on the day it appeared.
+ * @param {{title: string, url?: string, guid?: string, date: string}} article
+ * @returns {string[]}
+ */
+function articleKeys(article) {
+  const keys = [`title:${article.title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()}|${article.date}`];
+  if (article.url) keys.push(`url:${canonicalUrl(article.url)}`);
+  if (article.guid) keys.push(`guid:${article.guid}`);
+  return keys;
+}
+
+/**
+ * Adds a feed's items to the store, tagging new ones and adding the symbols
+ * found in a duplicate to the article already stored. Mutates `doc`.
+ * @param {{articles: Array<Object>}} doc
+ * @param {{id: string, name: string}} feed where the items were read
+ * @param {Array<Object>} items as parseFeed returns them
+ * @param {Object} options
+ * @param {Array<Object>} options.matchers from symbolMatchers
+ * @param {string[]} [options.symbols] symbols every item is about (the
+ *   provider's news of one symbol)
+ * @param {number} options.now timestamp in ms; also the date of undated items
+ * @returns {{added: number, duplicates: number}}
+ */
+function addArticles(doc, feed, items, { matchers, symbols = [], now }) {
+  const byKey = new Map();
+  doc.articles.forEach(article => articleKeys(article).forEach(key => byKey.set(key, article)));
+  let added = 0;
+  let duplicates = 0;
+  items.forEach(item => {
+    const publishedAt = new Date(item.publishedAt === null || item.publishedAt === undefined ? now : item.publishedAt);
+    const article = {
+      title: item.title.trim(),
+      description: (item.description || '').slice(0, MAX_DESCRIPTION_LENGTH),
+      url: item.url || null,
+      guid: item.guid || null,
+      source: item.source || feed.name,
+      feed: feed.id,
+      date: publishedAt.toISOString().slice(0, 10),
+      publishedAt: publishedAt.toISOString()
+    };
+    const tagged = [...new Set([...symbols, ...tagArticle(article, matchers)])].sort();
+    const keys = articleKeys(article);
+    const existing = keys.map(key => byKey.get(key)).find(Boolean);
+    if (existing) {
+      existing.symbols = [...new Set([...existing.symbols, ...tagged])].sort();
+      duplicates++;
+      return;
+    }
+    const stored = { id: nextId(doc.articles), ...article, symbols: tagged, addedAt: new Date(now).toISOString() };
+    doc.articles.push(stored);
+    keys.forEach(key => byKey.set(key, stored));
+    added++;
+  });
+  return { added, duplicates };
+}
+
+/**
+ * Ingests one round of news: every feed read (or the error reading it) and
+ * the provider's news per symbol. Stored articles are tagged again with the
+ * current symbols, feed status is recorded under `feeds`, and only the newest
+ * MAX_ARTICLES articles are kept. Mutates `doc`.
+ * @param {{articles: Array<Object>, feeds: Object}} doc
+ * @param {Object} input
+ * @param {Array<{id: string, name: string, type: string, text?: string, error?: string}>} input.feeds
+ *   as readFeeds returns them
+ * @param {Array<{symbol: string, news: Array<Object>}>} input.provided the
+ *   provider's articles per symbol
+ * @param {Array<{symbol: string, name: string}>} input.symbols the tracked symbols
+ * @param {number} [now] timestamp in ms
+ * @returns {{added: number, duplicates: number, feeds: Array<Object>}}
+ */
+function ingest(doc, { feeds, provided, symbols }, now = Date.now()) {
+  const matchers = symbolMatchers(symbols);
+  const ingestedAt = new Date(now).toISOString();
+  // Symbols tracked since an article was stored are tagged too
+  doc.articles.forEach(article => {
+    const found = tagArticle(article, matchers).filter(symbol => !article.symbols.includes(symbol));
+    if (found.length) article.symbols = [...article.symbols, ...found].sort();
+  });
+  const totals = { added: 0, duplicates: 0 };
+  const record = (feed, status) => {
+    doc.feeds[feed.id] = { name: feed.name, type: feed.type, ingestedAt, ...status };
+    totals.added += status.added;
+    totals.duplicates += status.duplicates || 0;
+  };
+  feeds.forEach(feed => {
+    if (feed.error) {
+      record(feed, { articles: 0, added: 0, error: feed.error });
+      return;
+    }
+    try {
+      const parsed = parseFeed(feed.text);
+      const named = { ...feed, name: parsed.title || feed.name };
+      const result = addArticles(doc, named, parsed.items, { matchers, now });
+      record(named, { articles: parsed.items.length, ...result, error: null });
+    } catch (err) {
+      record(feed, { articles: 0, added: 0, error: err.message });
+    }
+  });
+  const providerFeed = { id: 'provider', name: 'Market data provider', type: 'provider' };
+  const result = { articles: 0, added: 0, duplicates: 0, error: null };
+  provided.forEach(({ symbol, news }) => {
+    const items = news.filter(item => item && item.title).map(item => ({
+      title: String(item.title),
+      description: String(item.description || ''),
+      url: item.url || '',
+      source: item.source,
+      publishedAt: Number.isNaN(Date.parse(item.date)) ? null : Date.parse(item.date)
+    }));
+    const added = addArticles(doc, providerFeed, items, { matchers, symbols: [symbol], now });
+    result.articles += items.length;
+    result.added += added.added;
+    result.duplicates += added.duplicates;
+  });
+  record(providerFeed, result);
+  if (doc.articles.length > MAX_ARTICLES) {
+    doc.articles = [...doc.articles]
+      .sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt) || b.id - a.id)
+      .slice(0, MAX_ARTICLES)
+      .sort((a, b) => a.id - b.id);
+  }
+  return { ...totals, feeds: describeFeeds(doc) };
+}
+
+/**
+ * The status of every feed read so far, by id.
+ * @param {{feeds: Object}} doc
+ * @returns {Array<{id: string, name: string, type: string, ingestedAt: string, articles: number, added: number, error: (string|null)}>}
+ */
+function describeFeeds(doc) {
+  return Object.entries(doc.feeds)
+    .map(([id, status]) => ({ id, ...status }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Performs a GET request and returns the body as text.
+ * @param {string} target
+ * @param {number} timeoutMs
+ * @returns {Promise<string>}
+ */
+function getText(target, timeoutMs) {
+  const client = target.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(target, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_FEED_BYTES) req.destroy(new NewsError('Feed is too large', 502));
+      });
+      res.on('end', () => {
+        if (res.statusCode !== 200) reject(new NewsError(`Feed server answered ${res.statusCode}`, 502));
+        else resolve(body);
+      });
+    });
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new NewsError('Feed server timed out', 504));
+    });
+    req.on('error', err => {
+      reject(err instanceof NewsError ? err : new NewsError(`Feed server unavailable: ${err.message}`, 502));
+    });
+  });
+}
+
+/**
+ * Reads the configured feeds: every .xml, .rss or .atom file in `dir` (a
+ * missing directory has none) and every URL. A feed that cannot be read is
+ * returned with its `error` instead of its text.
+ * @param {{dir: string, urls: string[], timeoutMs: number}} options
+ * @returns {Promise<Array<{id: string, name: string, type: string, text?: string, error?: string}>>}
+ */
+async function readFeeds({ dir, urls, timeoutMs }) {
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(file => FEED_EXTENSIONS.includes(path.extname(file).toLowerCase())).sort()
+    : [];
+  const fromFiles = files.map(file => {
+    const feed = { id: `file:${file}`, name: file, type: 'file' };
+    try {
+      const { size } = fs.statSync(path.join(dir, file));
+      if (size > MAX_FEED_BYTES) return { ...feed, error: 'Feed is too large' };
+      return { ...feed, text: fs.readFileSync(path.join(dir, file), 'utf8') };
+    } catch (err) {
+      return { ...feed, error: err.message };
+    }
+  });
+  const fromUrls = await Promise.all(urls.map(async url => {
+    const feed = { id: url, name: url, type: 'url' };
+    try {
+      return { ...feed, text: await getText(url, timeoutMs) };
+    } catch (err) {
+      return { ...feed, error: err.message };
+    }
+  }));
+  return [...fromFiles, ...fromUrls];
+}
+
+/**
+ * Validates an optional YYYY-MM-DD bound.
+ * @param {*} value
+ * @param {string} field
+ * @returns {string|null}
+ */
+function dayBound(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+    throw new NewsError(`${field} must be a date (YYYY-MM-DD).`);
+  }
+  return value;
+}
+
+/**
+ * Articles as the API returns them, with their sentiment scored now so that
+ * changes to the lexicon apply to stored news too.
+ * @param {Object} article
+ * @returns {Object}
+ */
+function describeArticle(article) {
+  const { score, label } = sentiment.scoreArticle(article);
+  return {
+    id: article.id,
+    date: article.date,
+    publishedAt: article.publishedAt,
+    title: article.title,
+    description: article.description,
+    url: article.url,
+    source: article.source,
+    symbols: article.symbols,
+    sentiment: { score, label }
+  };
+}
+
+/**
+ * Filters the stored news, newest first.
+ * @param {{articles: Array<Object>}} doc
+ * @param {{symbol?: string, from?: string, to?: string, sentiment?: string, q?: string, limit?: number, offset?: number}} [query]
+ *   `from` and `to` are inclusive days; `q` is matched against the title and
+ *   description
+ * @returns {{total: number, articles: Array<Object>}}
+ */
+function queryArticles(doc, query = {}) {
+  const from = dayBound(query.from, 'from');
+  const to = dayBound(query.to, 'to');
+  if (from && to && from > to) throw new NewsError('from must not be after to.');
+  if (query.sentiment && !SENTIMENTS.includes(query.sentiment)) {
+    throw new NewsError(`sentiment must be one of: ${SENTIMENTS.join(', ')}.`);
+  }
+  const symbol = query.symbol ? query.symbol.toUpperCase() : null;
+  const words = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const matching = doc.articles
+    .filter(article => !symbol || article.symbols.includes(symbol))
+    .filter(article => (!from || article.date >= from) && (!to || article.date <= to))
+    .filter(article => {
+      const text = `${article.title} ${article.description}`.toLowerCase();
+      return words.every(word => text.includes(word));
+    })
+    .sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt) || b.id - a.id)
+    .map(describeArticle)
+    .filter(article => !query.sentiment || article.sentiment.label === query.sentiment);
+  const offset = query.offset || 0;
+  const limit = query.limit || 50;
+  return { total: matching.length, articles: matching.slice(offset, offset + limit) };
+}
+
+/**
+ * The stored articles about a symbol, oldest first, in the `{ date, title,
+ * description, url, source }` shape of a stock's news.
+ * @param {{articles: Array<Object>}} doc
+ * @param {string} symbol
+ * @returns {Array<Object>}
+ */
+function articlesFor(doc, symbol) {
+  return doc.articles
+    .filter(article => article.symbols.includes(symbol))
+    .sort((a, b) => Date.parse(a.publishedAt) - Date.parse(b.publishedAt) || a.id - b.id)
+    .map(({ date, title, description, url, source }) => ({ date, title, description, url, source }));
+}
+
+module.exports = {
+  NewsError,
+  MIGRATIONS,
+  SENTIMENTS,
+  normaliseNews,
+  parseFeed,
+  companyName,
+  symbolMatchers,
+  tagArticle,
+  addArticles,
+  ingest,
+  describeFeeds,
+  readFeeds,
+  queryArticles,
+  articlesFor
+};
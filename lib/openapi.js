@@ -0,0 +1,117 @@
+/*
+ * Builds the OpenAPI 3.0 document served at /api/docs from the router's route
+ * definitions, so the published contract cannot drift from what the handlers
+ * validate. Operation ids are derived from the method and path, e.g.
+ * `GET /portfolio/:symbol/lots` becomes `getPortfolioSymbolLots`.
+ */
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', description: 'Machine-readable error code, e.g. invalid_request or not_found' },
+        message: { type: 'string' },
+        field: { type: 'string', description: 'The parameter or body field at fault, when there is one' }
+      }
+    }
+  }
+};
+
+const capitalise = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+/**
+ * Operation id for a route.
+ * @param {{method: string, path: string}} route
+ * @returns {string}
+ */
+function operationId(route) {
+  const words = route.path.split(/[/:\-]/).filter(Boolean);
+  return route.method.toLowerCase() + words.map(capitalise).join('');
+}
+
+/**
+ * OpenAPI parameter objects for path or query parameters.
+ * @param {Object<string, Object>} specs
+ * @param {('path'|'query')} location
+ * @returns {Array<Object>}
+ */
+function parametersOf(specs, location) {
+  return Object.keys(specs || {}).map(name => {
+    const { required, description, ...schema } = specs[name];
+    const parameter = { name, in: location, required: location === 'path' || !!required, schema };
+    if (description) parameter.description = description;
+    if (schema.type === 'array') {
+      parameter.style = 'form';
+      parameter.explode = false;
+    }
+    return parameter;
+  });
+}
+
+/**
+ * One operation.
+ * @param {Object} route
+ * @returns {Object}
+ */
+function operationOf(route) {
+  const operation = {
+    operationId: operationId(route),
+    summary: route.summary,
+    tags: [route.tag]
+  };
+  if (route.description) operation.description = route.description;
+  const parameters = [...parametersOf(route.params, 'path'), ...parametersOf(route.query, 'query')];
+  if (parameters.length) operation.parameters = parameters;
+  if (route.body) {
+    const content = { 'application/json': { schema: route.body } };
+    if ((route.accepts || []).includes('text/csv')) content['text/csv'] = { schema: { type: 'string' } };
+    operation.requestBody = { required: true, content };
+  }
+  const errorResponse = { content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+  operation.responses = {
+    [route.status || 200]: {
+      description: route.returns || 'Success',
+      content: { [route.produces || 'application/json']: { schema: route.response || {} } }
+    },
+    default: { description: 'Error', ...errorResponse }
+  };
+  if (route.auth) {
+    operation.security = [{ session: [] }];
+    operation.responses[401] = { description: 'Not signed in', ...errorResponse };
+  }
+  return operation;
+}
+
+/**
+ * The OpenAPI document for a list of routes.
+ * @param {Array<Object>} routes as returned by router.routes()
+ * @param {{title: string, version: string, description?: string, server: string}} info
+ * @returns {Object}
+ */
+function buildOpenApi(routes, info) {
+  const paths = {};
+  routes.forEach(route => {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = operationOf(route);
+  });
+  return {
+    openapi: '3.0.3',
+    info: { title: info.title, version: info.version, description: info.description },
+    servers: [{ url: info.server }],
+    tags: [...new Set(routes.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA },
+      securitySchemes: {
+        session: { type: 'apiKey', in: 'cookie', name: 'session', description: 'Session cookie set by /auth/login or /auth/register' }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApi, operationId };
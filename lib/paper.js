@@ -0,0 +1,416 @@
+/*
+ * Paper trading. A portfolio can hold a paper account: a cash balance and an
+ * order book, stored on the portfolio in portfolio.json as
+ *
+ *   paper: { currency, startingCash, cash, settings, orders: [...], openedAt }
+ *
+ * Orders are market, limit or stop orders for whole shares. They are matched
+ * against OHLC bars as the market moves, and every fill is recorded in the
+ * portfolio's ledger as an ordinary buy or sell, so holdings, lots and P/L
+ * work as for any other portfolio. An order is `open` until something fills,
+ * `partially_filled` while shares remain, and ends `filled` or `cancelled`.
+ *
+ * Against a bar, a market order fills at the open; a limit order once the
+ * price reaches its limit, at the limit or the better open; a stop order
+ * becomes a market order once the price reaches its stop, filling at the stop
+ * or the worse open. Market and triggered stop fills move against the trader
+ * by `slippagePercent`. One order takes at most `volumePercent` of a bar's
+ * volume, so large orders fill over several bars.
+ *
+ * Cash is kept in the account's currency. Prices and commissions are in the
+ * symbol's own currency, like ledger fees: `commission` once per order and
+ * `commissionPercent` of the value of every fill. Buys cannot spend more
+ * than the buying power (cash less what open buy orders may cost) and sells
+ * cannot exceed the shares held that other sell orders have not claimed;
+ * there is no margin or short selling.
+ */
+
+const ledger = require('./ledger');
+
+const SIDES = ['buy', 'sell'];
+const ORDER_TYPES = ['market', 'limit', 'stop'];
+const STATUSES = ['open', 'partially_filled', 'filled', 'cancelled'];
+
+const DEFAULT_SETTINGS = {
+  commission: 0,
+  commissionPercent: 0,
+  slippagePercent: 0.05,
+  volumePercent: 10
+};
+
+// Largest value each setting accepts
+const SETTING_LIMITS = {
+  commission: Infinity,
+  commissionPercent: 10,
+  slippagePercent: 10,
+  volumePercent: 100
+};
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Error raised for invalid accounts and orders; `status` is the HTTP status.
+ */
+class PaperError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PaperError';
+    this.status = status;
+  }
+}
+
+/**
+ * Whether an order can still fill.
+ * @param {Object} order
+ * @returns {boolean}
+ */
+function isOpen(order) {
+  return order.status === 'open' || order.status === 'partially_filled';
+}
+
+/**
+ * Validates settings, keeping current values for those not given.
+ * @param {Object} input
+ * @param {Object} [current]
+ * @returns {Object}
+ */
+function validateSettings(input, current = DEFAULT_SETTINGS) {
+  const settings = { ...current };
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if (input[key] === undefined) return;
+    const value = input[key];
+    if (typeof value !== 'number' || !isFinite(value) || value < 0 || value > SETTING_LIMITS[key]) {
+      const range = SETTING_LIMITS[key] === Infinity ? 'a non-negative number' : `between 0 and ${SETTING_LIMITS[key]}`;
+      throw new PaperError(`${key} must be ${range}.`);
+    }
+    settings[key] = value;
+  });
+  if (settings.volumePercent === 0) throw new PaperError('volumePercent must be above 0.');
+  return settings;
+}
+
+/**
+ * Opens a paper account on a ledger.
+ * @param {Object} data the portfolio's ledger
+ * @param {Object} input { cash, ...settings }
+ * @param {string} currency currency the cash is kept in
+ * @returns {Object} the account
+ */
+function openAccount(data, input, currency) {
+  if (data.paper) throw new PaperError('This portfolio already has a paper trading account.', 409);
+  if (typeof input.cash !== 'number' || !isFinite(input.cash) || input.cash <= 0) {
+    throw new PaperError('Starting cash must be a positive number.');
+  }
+  data.paper = {
+    currency,
+    startingCash: round(input.cash),
+    cash: round(input.cash),
+    settings: validateSettings(input),
+    orders: [],
+    openedAt: new Date().toISOString()
+  };
+  return data.paper;
+}
+
+/**
+ * The paper account of a ledger, or a 409 for a portfolio without one.
+ * @param {Object} data
+ * @returns {Object}
+ */
+function accountOf(data) {
+  if (!data.paper) throw new PaperError('This portfolio has no paper trading account; open one first.', 409);
+  return data.paper;
+}
+
+/**
+ * Cash, in the account's currency, that an open buy order may still spend
+ * at the given price; sells reserve nothing.
+ * @param {Object} order
+ * @param {Object} settings
+ * @param {number} price latest price of the symbol
+ * @param {number} rate account currency per unit of the symbol's currency
+ * @returns {number}
+ */
+function reservedFor(order, settings, price, rate) {
+  if (order.side !== 'buy' || !isOpen(order)) return 0;
+  const remaining = order.quantity - order.filledQuantity;
+  const unitPrice = order.type === 'limit'
+    ? order.limitPrice
+    : Math.max(price, order.stopPrice || 0) * (1 + settings.slippagePercent / 100);
+  const value = remaining * unitPrice;
+  const fee = (order.filledQuantity > 0 ? 0 : settings.commission) + value * settings.commissionPercent / 100;
+  return (value + fee) * rate;
+}
+
+/**
+ * Summarises an account: cash, the cash reserved by open buy orders and the
+ * buying power left.
+ * @param {Object} account
+ * @param {{prices: Object<string, number>, rates: Object<string, number>}} context
+ *   latest price and rate into the account's currency of every symbol with
+ *   open orders
+ * @returns {Object}
+ */
+function describeAccount(account, context) {
+  const open = account.orders.filter(isOpen);
+  const reserved = open.reduce((sum, order) => (
+    sum + reservedFor(order, account.settings, context.prices[order.symbol] || 0, context.rates[order.symbol] || 1)
+  ), 0);
+  return {
+    currency: account.currency,
+    startingCash: account.startingCash,
+    cash: account.cash,
+    reserved: round(reserved),
+    buyingPower: round(account.cash - reserved),
+    openOrders: open.length,
+    settings: account.settings,
+    openedAt: account.openedAt
+  };
+}
+
+/**
+ * Validates and books a new order. It is not matched here; see matchOrders.
+ * @param {Object} data the portfolio's ledger, with its paper account
+ * @param {Object} input { symbol, side, type, quantity, limitPrice?, stopPrice? }
+ * @param {Object} context latest `prices` and `rates` of the order's symbol
+ *   and of every symbol with open orders, the symbol's corporate `actions`
+ *   and the `marketDate` (UTC midnight) of the session the order joins
+ * @returns {Object} the order
+ */
+function createOrder(data, input, context) {
+  const account = accountOf(data);
+  const symbol = String(input.symbol || '').toUpperCase();
+  const side = input.side;
+  const type = input.type || 'market';
+  if (!symbol) throw new PaperError('Symbol is required.');
+  if (!SIDES.includes(side)) throw new PaperError(`Side must be one of: ${SIDES.join(', ')}.`);
+  if (!ORDER_TYPES.includes(type)) throw new PaperError(`Order type must be one of: ${ORDER_TYPES.join(', ')}.`);
+  if (!Number.isInteger(input.quantity) || input.quantity <= 0) {
+    throw new PaperError('Orders are for a positive whole number of shares.');
+  }
+  const priceField = (field, wanted) => {
+    const value = input[field];
+    if (!wanted) {
+      if (value !== undefined && value !== null) throw new PaperError(`${field} only applies to ${field === 'limitPrice' ? 'limit' : 'stop'} orders.`);
+      return null;
+    }
+    if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+      throw new PaperError(`A ${type} order needs a positive ${field}.`);
+    }
+    return round(value);
+  };
+  const limitPrice = priceField('limitPrice', type === 'limit');
+  const stopPrice = priceField('stopPrice', type === 'stop');
+
+  const price = context.prices[symbol];
+  if (stopPrice !== null && (side === 'buy' ? stopPrice <= price : stopPrice >= price)) {
+    throw new PaperError(`A ${side} stop must be ${side === 'buy' ? 'above' : 'below'} the current price of ${price}.`);
+  }
+
+  const order = {
+    id: account.orders.reduce((max, o) => Math.max(max, o.id), 0) + 1,
+    symbol,
+    side,
+    type,
+    quantity: input.quantity,
+    limitPrice,
+    stopPrice,
+    status: 'open',
+    triggered: false,
+    filledQuantity: 0,
+    averagePrice: null,
+    fees: 0,
+    fills: [],
+    marketDate: context.marketDate,
+    createdAt: new Date().toISOString()
+  };
+
+  if (side === 'sell') {
+    const claimed = account.orders
+      .filter(o => isOpen(o) && o.side === 'sell' && o.symbol === symbol)
+      .reduce((sum, o) => sum + o.quantity - o.filledQuantity, 0);
+    const available = Math.floor(ledger.quantityHeld(data.transactions, symbol, context.actions) - claimed);
+    if (order.quantity > available) {
+      throw new PaperError(`Only ${Math.max(available, 0)} ${symbol} share(s) are available to sell.`);
+    }
+  } else {
+    const { buyingPower } = describeAccount(account, context);
+    const cost = reservedFor(order, account.settings, price, context.rates[symbol]);
+    if (cost > buyingPower + 1e-9) {
+      throw new PaperError(`Insufficient buying power: the order may cost ${round(cost)} ${account.currency} and ${round(Math.max(buyingPower, 0))} is available.`);
+    }
+  }
+
+  account.orders.push(order);
+  return order;
+}
+
+/**
+ * Price an order fills at against a bar before any volume limit, or null
+ * when the bar does not reach it. Marks a stop order triggered.
+ * @param {Object} order
+ * @param {{open: number, high: number, low: number}} bar
+ * @param {Object} settings
+ * @returns {number|null}
+ */
+function fillPrice(order, bar, settings) {
+  const buy = order.side === 'buy';
+  const slipped = (price) => round(price * (1 + (buy ? 1 : -1) * settings.slippagePercent / 100));
+  if (order.type === 'limit') {
+    if (buy) return bar.low <= order.limitPrice ? Math.min(bar.open, order.limitPrice) : null;
+    return bar.high >= order.limitPrice ? Math.max(bar.open, order.limitPrice) : null;
+  }
+  if (order.type === 'stop' && !order.triggered) {
+    if (buy ? bar.high < order.stopPrice : bar.low > order.stopPrice) return null;
+    order.triggered = true;
+    return slipped(buy ? Math.max(bar.open, order.stopPrice) : Math.min(bar.open, order.stopPrice));
+  }
+  return slipped(bar.open);
+}
+
+/**
+ * Matches a symbol's open orders against a bar, appending a ledger
+ * transaction and moving cash for every fill. Orders placed for a later
+ * session than the bar's are left alone. A buy the cash no longer covers, or
+ * a sell of shares no longer held, is filled as far as possible and the rest
+ * cancelled.
+ * @param {Object} data the portfolio's ledger; its transactions are replaced
+ * @param {string} symbol
+ * @param {{date: number, open: number, high: number, low: number, close: number, volume?: number}} bar
+ * @param {Object} context `rate` into the account's currency, the symbol's
+ *   corporate `actions`, the ledger `date` of the fills (today by default)
+ *   and optionally the only `orderId` to match
+ * @returns {Array<{order: Object, fill: Object}>} the fills
+ */
+function matchOrders(data, symbol, bar, context) {
+  const account = data.paper;
+  if (!account) return [];
+  const { settings } = account;
+  const liquidity = typeof bar.volume === 'number' ? Math.floor(bar.volume * settings.volumePercent / 100) : Infinity;
+  const now = new Date().toISOString();
+  const fills = [];
+  const cancel = (order, reason) => {
+    order.status = 'cancelled';
+    order.reason = reason;
+    order.updatedAt = now;
+  };
+
+  account.orders
+    .filter(order => isOpen(order) && order.symbol === symbol && !(order.marketDate > bar.date))
+    .filter(order => context.orderId === undefined || order.id === context.orderId)
+    .forEach(order => {
+      const price = fillPrice(order, bar, settings);
+      if (price === null) return;
+      let quantity = Math.min(order.quantity - order.filledQuantity, liquidity);
+      const fixedFee = order.filledQuantity > 0 ? 0 : settings.commission;
+      const feeRate = settings.commissionPercent / 100;
+      if (order.side === 'buy') {
+        const affordable = Math.floor((account.cash / context.rate - fixedFee) / (price * (1 + feeRate)) + 1e-9);
+        if (affordable < 1) {
+          cancel(order, 'Not enough cash to fill the rest of the order');
+          return;
+        }
+        quantity = Math.min(quantity, affordable);
+      } else {
+        const held = Math.floor(ledger.quantityHeld(data.transactions, symbol, context.actions));
+        if (held < 1) {
+          cancel(order, 'No shares left to sell');
+          return;
+        }
+        quantity = Math.min(quantity, held);
+      }
+      if (quantity < 1) return;
+
+      const fee = round(fixedFee + quantity * price * feeRate);
+      const tx = ledger.createTransaction(data, {
+        type: order.side,
+        symbol,
+        quantity,
+        price,
+        fee,
+        date: context.date,
+        note: `Paper order #${order.id}`
+      });
+      data.transactions = [...data.transactions, tx];
+      const value = order.side === 'buy' ? -(quantity * price + fee) : quantity * price - fee;
+      const cash = round(value * context.rate);
+      account.cash = round(account.cash + cash);
+
+      const fill = { quantity, price, fee, cash, transactionId: tx.id, filledAt: now };
+      const filledBefore = order.filledQuantity;
+      order.fills.push(fill);
+      order.filledQuantity += quantity;
+      order.averagePrice = round(((order.averagePrice || 0) * filledBefore + price * quantity) / order.filledQuantity, 4);
+      order.fees = round(order.fees + fee);
+      order.status = order.filledQuantity >= order.quantity ? 'filled' : 'partially_filled';
+      order.updatedAt = now;
+      fills.push({ order, fill });
+    });
+  return fills;
+}
+
+/**
+ * Cancels an open order.
+ * @param {Object} account
+ * @param {number|string} id
+ * @returns {Object} the order
+ */
+function cancelOrder(account, id) {
+  const order = account.orders.find(o => String(o.id) === String(id));
+  if (!order) throw new PaperError('Order not found', 404);
+  if (!isOpen(order)) throw new PaperError(`The order is already ${order.status.replace('_', ' ')}.`, 409);
+  order.status = 'cancelled';
+  order.reason = 'Cancelled by the user';
+  order.updatedAt = new Date().toISOString();
+  return order;
+}
+
+/**
+ * Lists orders, newest first.
+ * @param {Object} account
+ * @param {string} [status] open (including partially filled), filled,
+ *   cancelled or all (the default)
+ * @returns {Array<Object>}
+ */
+function listOrders(account, status = 'all') {
+  const wanted = {
+    all: () => true,
+    open: isOpen,
+    filled: order => order.status === 'filled',
+    cancelled: order => order.status === 'cancelled'
+  }[status];
+  if (!wanted) throw new PaperError('Status must be one of: open, filled, cancelled, all.');
+  return account.orders.filter(wanted).reverse();
+}
+
+/**
+ * Symbols with open orders in any paper account of a portfolios document.
+ * @param {{portfolios: Array<Object>}} doc
+ * @returns {Set<string>}
+ */
+function symbolsWithOpenOrders(doc) {
+  const symbols = new Set();
+  doc.portfolios.forEach(portfolio => {
+    if (portfolio.paper) portfolio.paper.orders.filter(isOpen).forEach(order => symbols.add(order.symbol));
+  });
+  return symbols;
+}
+
+module.exports = {
+  PaperError,
+  SIDES,
+  ORDER_TYPES,
+  STATUSES,
+  DEFAULT_SETTINGS,
+  isOpen,
+  validateSettings,
+  openAccount,
+  accountOf,
+  describeAccount,
+  createOrder,
+  fillPrice,
+  matchOrders,
+  cancelOrder,
+  listOrders,
+  symbolsWithOpenOrders
+};
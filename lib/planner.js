@@ -0,0 +1,295 @@
+/*
+ * Financial planning: a risk-profile questionnaire and a Monte Carlo goal
+ * planner.
+ *
+ * The questionnaire scores five multiple-choice answers into a conservative,
+ * moderate or aggressive profile. Each profile caps the annualised volatility
+ * of the names it is comfortable holding, and suitability() flags symbols
+ * (or portfolios) above the cap.
+ *
+ * The planner estimates the portfolio's drift and volatility from the daily
+ * log returns of its holdings' price histories, weighted by market value,
+ * and simulates monthly growth as geometric Brownian motion with a fixed
+ * contribution added at the end of every month. Annualised from a short
+ * history the drift is extreme, so the estimated return is clamped to
+ * RETURN_LIMITS; explicit assumptions are used as given.
+ */
+
+const { mulberry32, gaussian } = require('./ticker');
+
+const TRADING_DAYS_PER_YEAR = 252;
+// Fewest daily returns needed to estimate the return and volatility
+const MIN_OBSERVATIONS = 10;
+// Trading days a symbol's volatility is measured over
+const VOLATILITY_WINDOW = 60;
+// Range of annual returns (%) an estimate is clamped to
+const RETURN_LIMITS = { min: -10, max: 15 };
+const MAX_YEARS = 50;
+const MAX_PATHS = 5000;
+const DEFAULT_PATHS = 1000;
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Questions of the risk-profile questionnaire; each answer scores 1 (most
+ * cautious) to 4 points.
+ */
+const QUESTIONS = [
+  {
+    id: 'horizon',
+    text: 'When will you need most of this money?',
+    options: [
+      { value: 'under3', label: 'Within 3 years', points: 1 },
+      { value: '3to7', label: 'In 3 to 7 years', points: 2 },
+      { value: '7to15', label: 'In 7 to 15 years', points: 3 },
+      { value: 'over15', label: 'In more than 15 years', points: 4 }
+    ]
+  },
+  {
+    id: 'drawdown',
+    text: 'Your portfolio loses 20% in a month. What do you do?',
+    options: [
+      { value: 'sellAll', label: 'Sell everything', points: 1 },
+      { value: 'sellSome', label: 'Sell some to limit further losses', points: 2 },
+      { value: 'hold', label: 'Hold and wait', points: 3 },
+      { value: 'buyMore', label: 'Buy more while prices are low', points: 4 }
+    ]
+  },
+  {
+    id: 'goal',
+    text: 'What matters most for this money?',
+    options: [
+      { value: 'preserve', label: 'Not losing any of it', points: 1 },
+      { value: 'income', label: 'Steady income', points: 2 },
+      { value: 'balanced', label: 'Growth with moderate ups and downs', points: 3 },
+      { value: 'growth', label: 'Maximum growth, whatever the swings', points: 4 }
+    ]
+  },
+  {
+    id: 'experience',
+    text: 'How much investing experience do you have?',
+    options: [
+      { value: 'none', label: 'None', points: 1 },
+      { value: 'funds', label: 'Savings plans or funds', points: 2 },
+      { value: 'stocks', label: 'Several years of buying individual stocks', points: 3 },
+      { value: 'active', label: 'Active trading, including leverage or options', points: 4 }
+    ]
+  },
+  {
+    id: 'safetyNet',
+    text: 'How long could you cover your expenses without this money?',
+    options: [
+      { value: 'none', label: 'Less than a month', points: 1 },
+      { value: 'months', label: 'A few months', points: 2 },
+      { value: 'year', label: 'About a year', points: 3 },
+      { value: 'years', label: 'Several years', points: 4 }
+    ]
+  }
+];
+
+/**
+ * Profiles by the highest score they cover, with the annualised volatility
+ * (%) above which a holding is flagged (null for no limit).
+ */
+const PROFILES = [
+  { name: 'conservative', maxScore: 9, maxVolatility: 25, description: 'Capital preservation first; accepts small swings for modest growth.' },
+  { name: 'moderate', maxScore: 15, maxVolatility: 40, description: 'Balanced growth; accepts market-like swings but not speculative ones.' },
+  { name: 'aggressive', maxScore: Infinity, maxVolatility: null, description: 'Long-term growth; accepts large swings and deep temporary losses.' }
+];
+
+/**
+ * Error raised for invalid answers or plans; `status` is the HTTP status.
+ */
+class PlannerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PlannerError';
+    this.status = status;
+  }
+}
+
+/**
+ * Scores a completed questionnaire.
+ * @param {Object<string, string>} answers option value per question id
+ * @returns {{profile: string, score: number, maxVolatility: number|null, answers: Object<string, string>}}
+ */
+function scoreProfile(answers) {
+  const given = answers || {};
+  const unknown = Object.keys(given).find(id => !QUESTIONS.some(q => q.id === id));
+  if (unknown) throw new PlannerError(`Unknown question: ${unknown}.`);
+  let score = 0;
+  const chosen = {};
+  QUESTIONS.forEach(question => {
+    const option = question.options.find(o => o.value === given[question.id]);
+    if (!option) {
+      throw new PlannerError(`Answer "${question.id}" with one of: ${question.options.map(o => o.value).join(', ')}.`);
+    }
+    score += option.points;
+    chosen[question.id] = option.value;
+  });
+  const profile = PROFILES.find(p => score <= p.maxScore);
+  return { profile: profile.name, score, maxVolatility: profile.maxVolatility, answers: chosen };
+}
+
+/**
+ * Annualised volatility (%) of the daily log returns of the latest bars.
+ * @param {Array<{close: number}>} bars oldest first
+ * @param {number} [window=VOLATILITY_WINDOW] bars to use
+ * @returns {number|null} null for fewer than two returns
+ */
+function annualVolatility(bars, window = VOLATILITY_WINDOW) {
+  const recent = bars.slice(-window);
+  const returns = [];
+  for (let i = 1; i < recent.length; i++) returns.push(Math.log(recent[i].close / recent[i - 1].close));
+  if (returns.length < 2) return null;
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return round(Math.sqrt(variance * TRADING_DAYS_PER_YEAR) * 100);
+}
+
+/**
+ * Whether a volatility suits a risk profile.
+ * @param {{profile: string, maxVolatility: number|null}} profile as returned by scoreProfile()
+ * @param {number|null} volatility annualised, in percent
+ * @returns {{profile: string, volatility: number|null, maxVolatility: number|null, suitable: boolean, note: string|null}}
+ */
+function suitability(profile, volatility) {
+  const limit = profile.maxVolatility;
+  const suitable = limit === null || volatility === null || volatility <= limit;
+  return {
+    profile: profile.profile,
+    volatility,
+    maxVolatility: limit,
+    suitable,
+    note: suitable ? null : `Volatility of ${volatility}% is above the ${limit}% a ${profile.profile} profile is comfortable with.`
+  };
+}
+
+/**
+ * Annual drift and volatility of a weighted basket, from the daily returns
+ * of its members on the dates all of them traded. The basket is rebalanced
+ * to its weights every day.
+ * @param {Object<string, Array<{date: number, close: number}>>} histories
+ *   closes per symbol, in one currency
+ * @param {Object<string, number>} weights per symbol, summing to 1
+ * @returns {{expectedReturn: number, volatility: number, observations: number, clamped: boolean}}
+ *   expectedReturn and volatility in percent per year
+ */
+function estimateModel(histories, weights) {
+  const symbols = Object.keys(weights).filter(symbol => weights[symbol] > 0);
+  const returns = symbols.map(symbol => {
+    const bars = histories[symbol] || [];
+    const byDate = new Map();
+    for (let i = 1; i < bars.length; i++) byDate.set(bars[i].date, bars[i].close / bars[i - 1].close - 1);
+    return byDate;
+  });
+  const dates = symbols.length ? [...returns[0].keys()].filter(date => returns.every(r => r.has(date))) : [];
+  if (dates.length < MIN_OBSERVATIONS) {
+    throw new PlannerError(`The holdings share ${dates.length} days of price history; at least ${MIN_OBSERVATIONS} are needed to estimate returns. Give expectedReturn and volatility instead.`, 422);
+  }
+  const logReturns = dates.map(date => Math.log(1 + symbols.reduce((sum, symbol, i) => sum + weights[symbol] * returns[i].get(date), 0)));
+  const mean = logReturns.reduce((sum, r) => sum + r, 0) / logReturns.length;
+  const variance = logReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (logReturns.length - 1);
+  const estimated = (Math.exp(mean * TRADING_DAYS_PER_YEAR) - 1) * 100;
+  const expectedReturn = Math.min(RETURN_LIMITS.max, Math.max(RETURN_LIMITS.min, estimated));
+  return {
+    expectedReturn: round(expectedReturn),
+    volatility: round(Math.sqrt(variance * TRADING_DAYS_PER_YEAR) * 100),
+    observations: logReturns.length,
+    clamped: expectedReturn !== estimated
+  };
+}
+
+/**
+ * Value at a percentile of sorted values, interpolating between neighbours.
+ * @param {Float64Array} sorted
+ * @param {number} p 0-100
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  const index = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(index);
+  const high = Math.ceil(index);
+  return sorted[low] + (sorted[high] - sorted[low]) * (index - low);
+}
+
+/**
+ * Percentile band of sorted values.
+ * @param {Float64Array} sorted
+ * @returns {Object<string, number>} p5, p25, p50, p75 and p95
+ */
+function band(sorted) {
+  const out = {};
+  PERCENTILES.forEach(p => { out[`p${p}`] = round(percentile(sorted, p)); });
+  return out;
+}
+
+/**
+ * Simulates a savings goal month by month.
+ * @param {Object} options
+ * @param {number} options.initialValue value today
+ * @param {number} [options.monthlyContribution=0] added at the end of each month
+ * @param {number} options.years horizon, 1 to MAX_YEARS
+ * @param {number} [options.target] value to reach by the horizon
+ * @param {number} options.expectedReturn annual return, in percent
+ * @param {number} options.volatility annual volatility, in percent
+ * @param {number} [options.paths=1000] simulated paths, up to MAX_PATHS
+ * @param {number} [options.seed=1] seed, so a plan can be reproduced
+ * @returns {Object} percentile bands per month, the final band and the
+ *   probability of reaching the target
+ */
+function simulateGoal(options) {
+  const initialValue = options.initialValue;
+  const monthlyContribution = options.monthlyContribution || 0;
+  const { years, target = null, expectedReturn, volatility } = options;
+  const paths = options.paths || DEFAULT_PATHS;
+  if (!(initialValue >= 0) || !(monthlyContribution >= 0)) throw new PlannerError('Values and contributions cannot be negative.');
+  if (initialValue === 0 && monthlyContribution === 0) throw new PlannerError('Nothing to simulate: the portfolio is empty and there are no contributions.');
+  if (!Number.isInteger(years) || years < 1 || years > MAX_YEARS) throw new PlannerError(`years must be a whole number from 1 to ${MAX_YEARS}.`);
+  if (!Number.isInteger(paths) || paths < 100 || paths > MAX_PATHS) throw new PlannerError(`paths must be a whole number from 100 to ${MAX_PATHS}.`);
+  if (!(expectedReturn > -100)) throw new PlannerError('expectedReturn must be above -100%.');
+  if (!(volatility >= 0)) throw new PlannerError('volatility cannot be negative.');
+
+  // Monthly log drift and volatility of a geometric Brownian motion whose
+  // median grows at the expected annual return
+  const drift = Math.log(1 + expectedReturn / 100) / 12;
+  const sigma = volatility / 100 / Math.sqrt(12);
+  const random = mulberry32(options.seed === undefined ? 1 : options.seed);
+  const months = years * 12;
+  const values = new Float64Array(paths).fill(initialValue);
+  const sorted = (array) => Float64Array.from(array).sort();
+
+  const bands = [{ month: 0, ...band(sorted(values)) }];
+  for (let month = 1; month <= months; month++) {
+    for (let i = 0; i < paths; i++) {
+      values[i] = values[i] * Math.exp(drift + sigma * gaussian(random)) + monthlyContribution;
+    }
+    bands.push({ month, ...band(sorted(values)) });
+  }
+  const reached = target === null ? null : values.filter(value => value >= target).length;
+  return {
+    years,
+    paths,
+    initialValue: round(initialValue),
+    monthlyContribution,
+    contributed: round(initialValue + monthlyContribution * months),
+    target,
+    probability: reached === null ? null : round((reached / paths) * 100, 1),
+    final: bands[bands.length - 1],
+    bands
+  };
+}
+
+module.exports = {
+  PlannerError,
+  QUESTIONS,
+  PROFILES,
+  MAX_YEARS,
+  MAX_PATHS,
+  scoreProfile,
+  annualVolatility,
+  suitability,
+  estimateModel,
+  simulateGoal
+};
@@ -0,0 +1,232 @@
+/*
+ * Named portfolios owned by users. portfolio.json holds
+ * `{ version: 2, portfolios: [{ id, owner, name, createdAt, transactions, targets, paper? }] }`;
+ * each portfolio's transactions and targets form a ledger as described in
+ * ledger.js, and `paper` is the cash and orders of a paper trading account
+ * (see paper.js).
+ *
+ * Files written before accounts existed held a single ledger. It is migrated
+ * into one portfolio named "Main" with no owner, and the first user to
+ * register claims it (see claimUnowned). The storage layer runs MIGRATIONS
+ * when it reads an older file.
+ */
+
+const ledger = require('./ledger');
+
+const PORTFOLIOS_VERSION = 2;
+const DEFAULT_NAME = 'Main';
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Error raised for invalid portfolio operations; `status` is the HTTP status.
+ */
+class PortfolioError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PortfolioError';
+    this.status = status;
+  }
+}
+
+/**
+ * Converts whatever is stored in portfolio.json into a portfolios document.
+ * @param {*} raw parsed contents of portfolio.json (or undefined)
+ * @returns {{version: number, portfolios: Array<Object>}}
+ */
+function normalisePortfolios(raw) {
+  if (raw && Array.isArray(raw.portfolios)) return { ...raw, version: PORTFOLIOS_VERSION };
+  if (raw === undefined || raw === null) return { version: PORTFOLIOS_VERSION, portfolios: [] };
+  const single = ledger.normaliseLedger(raw);
+  return {
+    version: PORTFOLIOS_VERSION,
+    portfolios: [{
+      id: 1,
+      owner: null,
+      name: DEFAULT_NAME,
+      createdAt: new Date().toISOString(),
+      transactions: single.transactions,
+      targets: single.targets || {}
+    }]
+  };
+}
+
+/**
+ * Schema migrations of portfolio.json, oldest first (see lib/storage).
+ */
+const MIGRATIONS = [
+  { version: 1, description: 'Holdings list to a transaction ledger', up: raw => ledger.normaliseLedger(raw) },
+  { version: 2, description: 'Single ledger to named portfolios owned by users', up: raw => normalisePortfolios(raw) }
+];
+
+const nextId = (doc) => doc.portfolios.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+
+/**
+ * Validates a portfolio name.
+ * @param {*} name
+ * @returns {string}
+ */
+function cleanName(name) {
+  if (typeof name !== 'string' || !name.trim()) throw new PortfolioError('A portfolio name is required.');
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new PortfolioError(`Portfolio names are limited to ${MAX_NAME_LENGTH} characters.`);
+  }
+  return trimmed;
+}
+
+/**
+ * The portfolios owned by a user, oldest first.
+ * @param {{portfolios: Array<Object>}} doc
+ * @param {number} owner user id
+ * @returns {Array<Object>}
+ */
+function portfoliosOf(doc, owner) {
+  return doc.portfolios.filter(p => p.owner === owner);
+}
+
+/**
+ * Finds one of a user's portfolios; without an id the user's first portfolio
+ * is returned. Other users' portfolios are reported as not found.
+ * @param {{portfolios: Array<Object>}} doc
+ * @param {number} owner
+ * @param {number|string} [id]
+ * @returns {Object}
+ */
+function findPortfolio(doc, owner, id) {
+  const owned = portfoliosOf(doc, owner);
+  const portfolio = id === undefined || id === null || id === ''
+    ? owned[0]
+    : owned.find(p => String(p.id) === String(id));
+  if (!portfolio) throw new PortfolioError('Portfolio not found', 404);
+  return portfolio;
+}
+
+/**
+ * Creates an empty portfolio for a user.
+ * @param {{portfolios: Array<Object>}} doc
+ * @param {number} owner
+ * @param {string} name
+ * @returns {Object}
+ */
+function createPortfolio(doc, owner, name) {
+  const clean = cleanName(name);
+  if (portfoliosOf(doc, owner).some(p => p.name.toLowerCase() === clean.toLowerCase())) {
+    throw new PortfolioError(`You already have a portfolio named "${clean}".`, 409);
+  }
+  const portfolio = {
+    id: nextId(doc),
+    owner,
+    name: clean,
+    createdAt: new Date().toISOString(),
+    transactions: [],
+    targets: {}
+  };
+  doc.portfolios.push(portfolio);
+  return portfolio;
+}
+
+/**
+ * Renames one of a user's portfolios.
+ * @param {{portfolios: Array<Object>}} doc
+ * @param {number} owner
+ * @param {number|string} id
+ * @param {string} name
+ * @returns {Object}
+ */
+function renamePortfolio(doc, owner, id, name) {
+  const portfolio = findPortfolio(doc, owner, id);
+  const clean = cleanName(name);
+  if (portfoliosOf(doc, owner).some(p => p !== portfolio && p.name.toLowerCase() === clean.toLowerCase())) {
+    throw new PortfolioError(`You already have a portfolio named "${clean}".`, 409);
+  }
+  portfolio.name = clean;
+  return portfolio;
+}
+
+/**
+ * Deletes one of a user's portfolios; the last one cannot be deleted.
+ * @param {{portfolios: Array<Object>}} doc
+ * @param {number} owner
+ * @param {number|string} id
+ * @returns {Object} the removed portfolio
+ */
+function deletePortfolio(doc, owner, id) {
+  const portfolio = findPortfolio(doc, owner, id);
+  if (portfoliosOf(doc, owner).length === 1) {
+    throw new PortfolioError('You cannot delete your only portfolio.', 409);
+  }
+  doc.portfolios = doc.portfolios.filter(p => p !== portfolio);
+  return portfolio;
+}
+
+/**
+ * Assigns every unowned portfolio to a user.
+ * @param {{portfolios: Array<Object>}} doc
+ * @param {number} owner
+ * @returns {number} how many portfolios were claimed
+ */
+function claimUnowned(doc, owner) {
+  const unowned = doc.portfolios.filter(p => p.owner === null || p.owner === undefined);
+  unowned.forEach(p => { p.owner = owner; });
+  return unowned.length;
+}
+
+/**
+ * Puts a user's portfolios back as they were in a backup of portfolio.json.
+ * The restored portfolios replace the current ones with the same id (all of
+ * the user's portfolios when no ids are given). A portfolio whose id has
+ * since gone to another user gets a new id, and one whose name is now taken
+ * is renamed.
+ * @param {{portfolios: Array<Object>}} doc
+ * @param {number} owner
+ * @param {{portfolios: Array<Object>}} snapshot the backup, migrated
+ * @param {Array<number|string>} [ids] portfolios to restore
+ * @returns {Array<Object>} the restored portfolios
+ */
+function restorePortfolios(doc, owner, snapshot, ids) {
+  const wanted = Array.isArray(ids) && ids.length ? ids.map(String) : null;
+  const restored = portfoliosOf(snapshot, owner).filter(p => !wanted || wanted.includes(String(p.id)));
+  if (restored.length === 0) throw new PortfolioError('The backup holds none of these portfolios.', 404);
+  const replaced = new Set(restored.map(p => p.id));
+  doc.portfolios = doc.portfolios.filter(p => p.owner !== owner || (wanted && !replaced.has(p.id)));
+  return restored.map(portfolio => {
+    const copy = { ...portfolio };
+    if (doc.portfolios.some(p => p.id === copy.id)) copy.id = nextId(doc);
+    if (portfoliosOf(doc, owner).some(p => p.name.toLowerCase() === copy.name.toLowerCase())) {
+      copy.name = `${copy.name} (restored)`.slice(0, MAX_NAME_LENGTH);
+    }
+    doc.portfolios.push(copy);
+    return copy;
+  });
+}
+
+/**
+ * Summary of a portfolio for listings.
+ * @param {Object} portfolio
+ * @returns {{id: number, name: string, createdAt: string, transactionCount: number, paper: boolean}}
+ */
+function describePortfolio(portfolio) {
+  return {
+    id: portfolio.id,
+    name: portfolio.name,
+    createdAt: portfolio.createdAt,
+    transactionCount: portfolio.transactions.length,
+    paper: Boolean(portfolio.paper)
+  };
+}
+
+module.exports = {
+  PORTFOLIOS_VERSION,
+  DEFAULT_NAME,
+  PortfolioError,
+  MIGRATIONS,
+  normalisePortfolios,
+  portfoliosOf,
+  findPortfolio,
+  createPortfolio,
+  renamePortfolio,
+  deletePortfolio,
+  claimUnowned,
+  restorePortfolios,
+  describePortfolio
+};
@@ -0,0 +1,101 @@
+/*
+ * Provider backed by a directory of per-symbol OHLCV CSV files as exported by
+ * Yahoo Finance or Stooq (e.g. `data/csv/AAPL.csv`). Company names, news and
+ * corporate actions, which CSV exports do not carry, can be supplied in an
+ * optional `symbols.json` in the same directory:
+ * `{ "AAPL": { "name": "...", "currency": "USD", "news": [], "actions": [] } }`.
+ * Files are re-read on every request so dropping a new CSV into the
+ * directory makes the symbol available immediately.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ProviderError = require('./error');
+const { searchSymbols } = require('./search');
+const { parseOhlcv, formatOhlcv, mergeBars } = require('../csv');
+const { sortActions, mergeActions } = require('../actions');
+const { DEFAULT_CURRENCY } = require('../fx');
+
+const META_FILE = 'symbols.json';
+
+/**
+ * @param {{dir: string}} options
+ * @returns {Object} provider
+ */
+function createCsvProvider(options) {
+  const { dir } = options;
+
+  const readMeta = () => {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, META_FILE), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw new ProviderError(`Could not read ${META_FILE}: ${err.message}`, 500);
+    }
+  };
+
+  const fileFor = (symbol) => path.join(dir, `${symbol}.csv`);
+
+  const readBars = (symbol) => {
+    let text;
+    try {
+      text = fs.readFileSync(fileFor(symbol), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    try {
+      return parseOhlcv(text).bars;
+    } catch (err) {
+      throw new ProviderError(`${symbol}.csv: ${err.message}`, 500);
+    }
+  };
+
+  const listSymbols = async () => {
+    if (!fs.existsSync(dir)) return [];
+    const meta = readMeta();
+    return fs.readdirSync(dir)
+      .filter(file => /^[A-Za-z0-9.\-^]+\.csv$/i.test(file))
+      .map(file => path.basename(file, path.extname(file)).toUpperCase())
+      .sort()
+      .map(symbol => ({ symbol, name: (meta[symbol] && meta[symbol].name) || symbol }));
+  };
+
+  return {
+    name: 'csv',
+    listSymbols,
+    async search(query, limit) {
+      return searchSymbols(await listSymbols(), query, limit);
+    },
+    async getStock(symbol) {
+      if (!/^[A-Z0-9.\-^]+$/.test(symbol)) return null;
+      const priceData = readBars(symbol);
+      if (!priceData) return null;
+      const meta = readMeta()[symbol] || {};
+      return { symbol, name: meta.name || symbol, currency: meta.currency || DEFAULT_CURRENCY, priceData, news: meta.news || [], actions: sortActions(meta.actions) };
+    },
+    async importBars(symbol, bars, { name, currency } = {}) {
+      fs.mkdirSync(dir, { recursive: true });
+      const merged = mergeBars(readBars(symbol) || [], bars);
+      fs.writeFileSync(fileFor(symbol), formatOhlcv(merged.bars));
+      if (name || currency) {
+        const meta = readMeta();
+        meta[symbol] = { ...meta[symbol] };
+        if (name) meta[symbol].name = name;
+        if (currency) meta[symbol].currency = currency;
+        fs.writeFileSync(path.join(dir, META_FILE), JSON.stringify(meta, null, 2));
+      }
+      return { symbol, added: merged.added, updated: merged.updated, total: merged.bars.length };
+    },
+    async importActions(symbol, actions) {
+      if (!readBars(symbol)) throw new ProviderError('Stock not found', 404);
+      const meta = readMeta();
+      const merged = mergeActions((meta[symbol] && meta[symbol].actions) || [], actions);
+      meta[symbol] = { ...meta[symbol], actions: merged.actions };
+      fs.writeFileSync(path.join(dir, META_FILE), JSON.stringify(meta, null, 2));
+      return { symbol, added: merged.added, updated: merged.updated, total: merged.actions.length };
+    }
+  };
+}
+
+module.exports = { createCsvProvider };
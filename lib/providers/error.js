@@ -0,0 +1,14 @@
+/**
+ * Error raised by market data providers. The `status` is the HTTP status the
+ * API should answer with (e.g. 400 for a bad import, 502 when an upstream
+ * server fails).
+ */
+class ProviderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+module.exports = ProviderError;
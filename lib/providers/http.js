@@ -0,0 +1,163 @@
+/*
+ * Provider that talks to an HTTP server speaking the Alpha Vantage query API
+ * (`/query?function=...&apikey=...`). It is meant to be pointed at a local
+ * stub or proxy, so only the handful of functions the app needs are used:
+ *
+ *   TIME_SERIES_DAILY  -> priceData
+ *   OVERVIEW           -> company name and currency
+ *   NEWS_SENTIMENT     -> news
+ *   SPLITS, DIVIDENDS  -> corporate actions
+ *   SYMBOL_SEARCH      -> search results
+ *
+ * Responses are cached per symbol for `cacheTtlMs`.
+ */
+
+const http = require('http');
+const https = require('https');
+const ProviderError = require('./error');
+const { searchSymbols } = require('./search');
+const { parseDate } = require('../csv');
+const { sortActions } = require('../actions');
+const { DEFAULT_CURRENCY } = require('../fx');
+
+/**
+ * Performs a GET request and parses the JSON response.
+ * @param {string} target
+ * @param {number} timeoutMs
+ * @returns {Promise<Object>}
+ */
+function getJson(target, timeoutMs) {
+  const client = target.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(target, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new ProviderError(`Market data server answered ${res.statusCode}`, 502));
+          return;
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (err) {
+          reject(new ProviderError('Market data server returned invalid JSON', 502));
+        }
+      });
+    });
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new ProviderError('Market data server timed out', 504));
+    });
+    req.on('error', err => {
+      reject(err instanceof ProviderError ? err : new ProviderError(`Market data server unavailable: ${err.message}`, 502));
+    });
+  });
+}
+
+/**
+ * Converts an Alpha Vantage `time_published` (YYYYMMDDTHHMMSS) to YYYY-MM-DD.
+ * @param {string} value
+ * @returns {string}
+ */
+function newsDate(value) {
+  const time = parseDate(String(value || '').slice(0, 8));
+  return time === null ? '' : new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {{baseUrl: string, apiKey: string, symbols: Array<string|Object>, timeoutMs: number, cacheTtlMs: number}} options
+ * @returns {Object} provider
+ */
+function createHttpProvider(options) {
+  const cache = new Map();
+
+  const query = async (params) => {
+    const target = new URL('/query', options.baseUrl);
+    Object.keys(params).forEach(key => target.searchParams.set(key, params[key]));
+    target.searchParams.set('apikey', options.apiKey);
+    const data = await getJson(target.toString(), options.timeoutMs);
+    if (data.Note || data.Information) {
+      throw new ProviderError(`Market data server refused the request: ${data.Note || data.Information}`, 502);
+    }
+    return data;
+  };
+
+  const configuredSymbols = () => (options.symbols || []).map(entry => (
+    typeof entry === 'string' ? { symbol: entry.toUpperCase(), name: entry.toUpperCase() } : entry
+  ));
+
+  const fetchStock = async (symbol) => {
+    const series = await query({ function: 'TIME_SERIES_DAILY', symbol, outputsize: 'compact' });
+    if (series['Error Message'] || !series['Time Series (Daily)']) return null;
+    const priceData = Object.entries(series['Time Series (Daily)'])
+      .map(([day, bar]) => ({
+        date: parseDate(day),
+        open: parseFloat(bar['1. open']),
+        high: parseFloat(bar['2. high']),
+        low: parseFloat(bar['3. low']),
+        close: parseFloat(bar['4. close']),
+        volume: parseInt(bar['5. volume'], 10) || 0
+      }))
+      .filter(bar => bar.date !== null && isFinite(bar.close))
+      .sort((a, b) => a.date - b.date);
+    // Name, news and corporate actions are optional extras; a stub may not
+    // implement them
+    const [overview, feed, splits, dividends] = await Promise.all([
+      query({ function: 'OVERVIEW', symbol }).catch(() => ({})),
+      query({ function: 'NEWS_SENTIMENT', tickers: symbol }).catch(() => ({})),
+      query({ function: 'SPLITS', symbol }).catch(() => ({})),
+      query({ function: 'DIVIDENDS', symbol }).catch(() => ({}))
+    ]);
+    const configured = configuredSymbols().find(entry => entry.symbol === symbol);
+    const news = (feed.feed || []).map(item => ({
+      date: newsDate(item.time_published),
+      title: item.title,
+      description: item.summary || '',
+      url: item.url,
+      source: item.source
+    }));
+    const actions = [
+      ...(splits.data || []).map(item => ({ type: 'split', date: item.effective_date, ratio: parseFloat(item.split_factor) })),
+      ...(dividends.data || []).map(item => ({ type: 'dividend', date: item.ex_dividend_date, amount: parseFloat(item.amount) }))
+    ].filter(action => parseDate(action.date) !== null && (action.ratio > 0 || action.amount > 0));
+    return {
+      symbol,
+      name: overview.Name || (configured && configured.name) || symbol,
+      currency: overview.Currency || (configured && configured.currency) || DEFAULT_CURRENCY,
+      priceData,
+      news,
+      actions: sortActions(actions)
+    };
+  };
+
+  return {
+    name: 'http',
+    async listSymbols() {
+      return configuredSymbols();
+    },
+    async search(q, limit = 5) {
+      const data = await query({ function: 'SYMBOL_SEARCH', keywords: q }).catch(() => null);
+      if (!data || !Array.isArray(data.bestMatches)) {
+        return searchSymbols(configuredSymbols(), q, limit);
+      }
+      return data.bestMatches.slice(0, limit).map(match => ({ symbol: match['1. symbol'], name: match['2. name'] }));
+    },
+    async getStock(symbol) {
+      const cached = cache.get(symbol);
+      if (cached && cached.expires > Date.now()) return cached.value;
+      const value = await fetchStock(symbol);
+      cache.set(symbol, { value, expires: Date.now() + options.cacheTtlMs });
+      return value;
+    },
+    async importBars() {
+      throw new ProviderError('The http data provider is read-only; switch to the json or csv provider to import prices.', 405);
+    },
+    async importActions() {
+      throw new ProviderError('The http data provider is read-only; switch to the json or csv provider to import corporate actions.', 405);
+    }
+  };
+}
+
+module.exports = { createHttpProvider };
@@ -0,0 +1,43 @@
+/*
+ * Market data providers. Every provider exposes the same asynchronous
+ * interface so the API routes do not care where quotes come from:
+ *
+ *   name                          provider identifier
+ *   listSymbols()                 -> [{ symbol, name }]
+ *   search(query, limit)          -> [{ symbol, name }]
+ *   getStock(symbol)              -> { symbol, name, currency, priceData, news, actions } | null
+ *   importBars(symbol, bars, opts)-> { symbol, added, updated, total }  opts: { name, currency }
+ *   importActions(symbol, actions)-> { symbol, added, updated, total }
+ *
+ * `priceData` holds raw traded prices; `actions` lists the symbol's splits and
+ * cash dividends (see ../actions.js), oldest first. `currency` is the ISO code
+ * prices are quoted in (USD unless the source says otherwise).
+ *
+ * The provider is chosen by `config.provider.type`.
+ */
+
+const ProviderError = require('./error');
+const { createJsonProvider } = require('./json');
+const { createCsvProvider } = require('./csv');
+const { createHttpProvider } = require('./http');
+
+const FACTORIES = {
+  json: (config) => createJsonProvider(config.json),
+  csv: (config) => createCsvProvider(config.csv),
+  http: (config) => createHttpProvider(config.http)
+};
+
+/**
+ * Creates the provider selected in the configuration.
+ * @param {{type: string}} providerConfig `config.provider`
+ * @returns {Object}
+ */
+function createProvider(providerConfig) {
+  const factory = FACTORIES[providerConfig.type];
+  if (!factory) {
+    throw new Error(`Unknown data provider "${providerConfig.type}". Use one of: ${Object.keys(FACTORIES).join(', ')}.`);
+  }
+  return factory(providerConfig);
+}
+
+module.exports = { createProvider, ProviderError, PROVIDERS: Object.keys(FACTORIES) };
@@ -0,0 +1,118 @@
+/*
+ * Provider backed by a single JSON file shaped like sample_data.json:
+ * `{ SYMBOL: { name, currency?, priceData: [...], news: [...], actions?: [...] } }`. The file is read once
+ * at startup and never written: imported bars, actions, names and currencies
+ * are kept in a separate imports file of the same shape, which is laid over
+ * the data file at startup and rewritten after every import.
+ */
+
+const fs = require('fs');
+const { searchSymbols } = require('./search');
+const ProviderError = require('./error');
+const { mergeBars } = require('../csv');
+const { sortActions, mergeActions } = require('../actions');
+const { DEFAULT_CURRENCY } = require('../fx');
+
+/**
+ * Serialises the data in the same layout as sample_data.json, with one price
+ * bar per line, so the imports file stays readable and diffable.
+ * @param {Object} data
+ * @returns {string}
+ */
+function serialise(data) {
+  const symbols = Object.keys(data).map(symbol => {
+    const { priceData = [], ...rest } = data[symbol];
+    const fields = Object.keys(rest).map(key => {
+      const value = JSON.stringify(rest[key], null, 2).replace(/\n/g, '\n    ');
+      return `    ${JSON.stringify(key)}: ${value}`;
+    });
+    const bars = priceData.map(bar => `      ${JSON.stringify(bar).replace(/([,:])/g, '$1 ')}`);
+    fields.splice(1, 0, `    "priceData": [\n${bars.join(',\n')}\n    ]`);
+    return `  ${JSON.stringify(symbol)}: {\n${fields.join(',\n')}\n  }`;
+  });
+  return `{\n${symbols.join(',\n')}\n}\n`;
+}
+
+/**
+ * Reads the imports file, which does not exist until the first import.
+ * @param {string} [file]
+ * @returns {Object}
+ */
+function readImports(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * @param {{file: string, imports?: string}} options
+ * @returns {Object} provider
+ */
+function createJsonProvider(options) {
+  const data = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+  const imports = readImports(options.imports);
+  Object.keys(imports).forEach(symbol => {
+    const { priceData = [], actions = [], ...fields } = imports[symbol];
+    const stock = data[symbol] || { name: symbol, priceData: [], news: [] };
+    Object.assign(stock, fields);
+    stock.priceData = mergeBars(stock.priceData || [], priceData).bars;
+    if (actions.length) stock.actions = mergeActions(stock.actions || [], actions).actions;
+    data[symbol] = stock;
+  });
+
+  /**
+   * The imported part of a symbol, created on its first import.
+   * @param {string} symbol
+   * @returns {Object}
+   */
+  const importedStock = (symbol) => {
+    imports[symbol] = imports[symbol] || { priceData: [] };
+    return imports[symbol];
+  };
+  const saveImports = () => {
+    if (!options.imports) throw new ProviderError('No imports file is configured', 500);
+    fs.writeFileSync(options.imports, serialise(imports));
+  };
+
+  const listSymbols = async () => Object.keys(data).map(symbol => ({ symbol, name: data[symbol].name }));
+
+  return {
+    name: 'json',
+    listSymbols,
+    async search(query, limit) {
+      return searchSymbols(await listSymbols(), query, limit);
+    },
+    async getStock(symbol) {
+      const stock = data[symbol];
+      if (!stock) return null;
+      return { symbol, name: stock.name, currency: stock.currency || DEFAULT_CURRENCY, priceData: stock.priceData || [], news: stock.news || [], actions: sortActions(stock.actions) };
+    },
+    async importBars(symbol, bars, { name, currency } = {}) {
+      const stock = data[symbol] || { name: name || symbol, priceData: [], news: [] };
+      const imported = importedStock(symbol);
+      if (name || !data[symbol]) imported.name = stock.name = name || stock.name;
+      if (currency) imported.currency = stock.currency = currency;
+      const merged = mergeBars(stock.priceData, bars);
+      stock.priceData = merged.bars;
+      imported.priceData = mergeBars(imported.priceData, bars).bars;
+      data[symbol] = stock;
+      saveImports();
+      return { symbol, added: merged.added, updated: merged.updated, total: merged.bars.length };
+    },
+    async importActions(symbol, actions) {
+      const stock = data[symbol];
+      if (!stock) throw new ProviderError('Stock not found', 404);
+      const merged = mergeActions(stock.actions || [], actions);
+      stock.actions = merged.actions;
+      const imported = importedStock(symbol);
+      imported.actions = mergeActions(imported.actions || [], actions).actions;
+      saveImports();
+      return { symbol, added: merged.added, updated: merged.updated, total: merged.actions.length };
+    }
+  };
+}
+
+module.exports = { createJsonProvider };
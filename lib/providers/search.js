@@ -0,0 +1,22 @@
+/**
+ * Case-insensitive substring search over symbols and company names, shared by
+ * the providers that can list every symbol they know.
+ * @param {Array<{symbol: string, name: string}>} symbols
+ * @param {string} query
+ * @param {number} [limit=5]
+ * @returns {Array<{symbol: string, name: string}>}
+ */
+function searchSymbols(symbols, query, limit = 5) {
+  const q = String(query || '').toLowerCase();
+  if (!q) return [];
+  const results = [];
+  for (const { symbol, name } of symbols) {
+    if (symbol.toLowerCase().includes(q) || name.toLowerCase().includes(q)) {
+      results.push({ symbol, name });
+    }
+    if (results.length >= limit) break;
+  }
+  return results;
+}
+
+module.exports = { searchSymbols };
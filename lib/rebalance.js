@@ -0,0 +1,189 @@
+/*
+ * Rebalancing towards target allocations. Targets are stored alongside the
+ * ledger in portfolio.json as `targets: { SYMBOL: percent }`; any weight left
+ * over after the listed symbols is meant to be held as cash, and holdings
+ * without a target are sold down to zero.
+ *
+ * A plan trades whole shares only. Sells are sized first and their proceeds
+ * join the available cash; buys are then funded largest shortfall first and
+ * trimmed to the cash that is left, so the plan never spends more than it
+ * has. Orders worth less than the minimum trade size are dropped.
+ *
+ * Prices are in each symbol's own currency; values, cash and the minimum
+ * trade size are in the base currency, converted at today's rates.
+ */
+
+const ledger = require('./ledger');
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Error raised for invalid targets or plans; `status` is the HTTP status.
+ */
+class RebalanceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RebalanceError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validates target weights.
+ * @param {*} input object mapping symbols to percentages
+ * @returns {Object<string, number>} upper-cased symbols to percentages
+ */
+function validateTargets(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new RebalanceError('Targets must be an object mapping symbols to percentages.');
+  }
+  const targets = {};
+  Object.keys(input).forEach(symbol => {
+    const weight = input[symbol];
+    if (typeof weight !== 'number' || !isFinite(weight) || weight < 0 || weight > 100) {
+      throw new RebalanceError(`Target for ${symbol} must be a percentage between 0 and 100.`);
+    }
+    if (weight > 0) targets[symbol.toUpperCase()] = weight;
+  });
+  const total = Object.values(targets).reduce((sum, w) => sum + w, 0);
+  if (total > 100 + 1e-9) {
+    throw new RebalanceError(`Targets add up to ${round(total)}%; they must not exceed 100%.`);
+  }
+  return targets;
+}
+
+/**
+ * Validates a non-negative amount option.
+ * @param {*} value
+ * @param {string} field
+ * @returns {number}
+ */
+function amount(value, field) {
+  if (value === undefined || value === null || value === '') return 0;
+  const n = Number(value);
+  if (!isFinite(n) || n < 0) throw new RebalanceError(`${field} must be a non-negative number.`);
+  return n;
+}
+
+/**
+ * Builds the orders that move the holdings towards the targets.
+ * @param {Object<string, number>} quantities shares held per symbol
+ * @param {Object<string, number>} prices latest close per symbol; every held
+ *   and targeted symbol needs one
+ * @param {Object<string, number>} targets percent per symbol
+ * @param {Object} [options] cash available, minTrade (smallest order value)
+ *   and rates (base currency per unit of each symbol's currency, 1 when
+ *   missing)
+ * @returns {Object} orders with the current, target and projected allocation
+ */
+function planRebalance(quantities, prices, targets, options = {}) {
+  const cash = amount(options.cash, 'cash');
+  const minTrade = amount(options.minTrade, 'minTrade');
+  const rates = options.rates || {};
+  const symbols = [...new Set([...Object.keys(quantities), ...Object.keys(targets)])].sort();
+  const missing = symbols.filter(symbol => typeof prices[symbol] !== 'number');
+  if (missing.length) throw new RebalanceError(`No price available for: ${missing.join(', ')}.`, 404);
+
+  // Share prices in the base currency
+  const basePrice = (symbol) => prices[symbol] * (rates[symbol] || 1);
+  const value = (symbol, qty) => qty * basePrice(symbol);
+  const totalValue = cash + symbols.reduce((sum, s) => sum + value(s, quantities[s] || 0), 0);
+  if (totalValue <= 0) throw new RebalanceError('Nothing to rebalance: there are no holdings and no cash.');
+
+  const projected = {};
+  symbols.forEach(symbol => { projected[symbol] = quantities[symbol] || 0; });
+  let available = cash;
+  const orders = [];
+
+  // Sells first: their proceeds fund the buys
+  symbols.forEach(symbol => {
+    const excess = value(symbol, projected[symbol]) - (totalValue * (targets[symbol] || 0)) / 100;
+    if (excess <= 0) return;
+    // A holding without a target is sold outright, fractional shares included
+    const quantity = targets[symbol] ? Math.floor(excess / basePrice(symbol)) : projected[symbol];
+    if (quantity <= 0 || value(symbol, quantity) < minTrade) return;
+    projected[symbol] -= quantity;
+    available += value(symbol, quantity);
+    orders.push({ type: 'sell', symbol, quantity, price: prices[symbol], value: round(value(symbol, quantity)) });
+  });
+
+  // Then buys, largest shortfall first, limited by the cash available
+  symbols
+    .map(symbol => ({ symbol, shortfall: (totalValue * (targets[symbol] || 0)) / 100 - value(symbol, projected[symbol]) }))
+    .filter(entry => entry.shortfall > 0)
+    .sort((a, b) => b.shortfall - a.shortfall)
+    .forEach(({ symbol, shortfall }) => {
+      const price = basePrice(symbol);
+      const quantity = Math.min(Math.floor(shortfall / price), Math.floor((available + 1e-9) / price));
+      if (quantity <= 0 || quantity * price < minTrade) return;
+      projected[symbol] += quantity;
+      available -= quantity * price;
+      orders.push({ type: 'buy', symbol, quantity, price: prices[symbol], value: round(quantity * price) });
+    });
+
+  const weight = (symbol, qty) => round((value(symbol, qty) / totalValue) * 100);
+  return {
+    totalValue: round(totalValue),
+    cash: { before: round(cash), after: round(available) },
+    minTrade,
+    orders,
+    allocation: symbols.map(symbol => ({
+      symbol,
+      price: prices[symbol],
+      quantity: round(quantities[symbol] || 0, 6),
+      projectedQuantity: round(projected[symbol], 6),
+      currentWeight: weight(symbol, quantities[symbol] || 0),
+      targetWeight: targets[symbol] || 0,
+      projectedWeight: weight(symbol, projected[symbol])
+    })),
+    cashWeight: {
+      current: round((cash / totalValue) * 100),
+      target: round(100 - Object.values(targets).reduce((sum, w) => sum + w, 0)),
+      projected: round((available / totalValue) * 100)
+    }
+  };
+}
+
+/**
+ * Applies hypothetical trades to the ledger and compares the resulting
+ * holdings, cost basis and P/L with the current ones. Trades are validated
+ * exactly like real transactions, so a plan that oversells is rejected.
+ * @param {{transactions: Array<Object>}} data the ledger
+ * @param {Array<Object>} trades transaction inputs ({ type, symbol, quantity, price?, date?, fee? })
+ * @param {Object<string, number>} prices latest close per symbol, also used
+ *   as the default trade price
+ * @param {string} [method='fifo'] cost-basis method
+ * @param {Object<string, Array<Object>>} [actions] corporate actions per symbol
+ * @param {Object} [conversion] base currency and rates (see fx.conversionFor)
+ * @returns {{transactions: Array<Object>, current: Object, projected: Object}}
+ *   the new transactions and both portfolio summaries with allocation weights
+ */
+function whatIf(data, trades, prices, method = 'fifo', actions = {}, conversion = null) {
+  if (!Array.isArray(trades) || trades.length === 0) {
+    throw new RebalanceError('At least one trade is required.');
+  }
+  const transactions = [...data.transactions];
+  const added = trades.map(input => {
+    const symbol = typeof input.symbol === 'string' ? input.symbol.toUpperCase() : '';
+    const tx = ledger.createTransaction({ transactions }, input, { lastPrice: prices[symbol] });
+    transactions.push(tx);
+    return tx;
+  });
+  const withWeights = (summary) => {
+    const total = summary.totals.marketValue;
+    return {
+      ...summary,
+      holdings: summary.holdings.map(h => ({
+        ...h,
+        weight: total > 0 && h.marketValue ? round((h.marketValue / total) * 100) : 0
+      }))
+    };
+  };
+  return {
+    transactions: added,
+    current: withWeights(ledger.summarise(data.transactions, method, prices, actions, conversion)),
+    projected: withWeights(ledger.summarise(transactions, method, prices, actions, conversion))
+  };
+}
+
+module.exports = { RebalanceError, validateTargets, planRebalance, whatIf };
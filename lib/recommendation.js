@@ -0,0 +1,268 @@
+/*
+ * Multi-factor recommendation engine. Each factor turns one technical
+ * indicator (or the news sentiment) into a score between -1 (strong Sell) and
+ * +1 (strong Buy). The weighted average of the available factors decides the
+ * recommendation, and the size of that average together with how many factors
+ * agree with it gives the confidence. Factors that cannot be computed because
+ * the series is too short are reported as unavailable and left out of the
+ * blend.
+ */
+
+const indicators = require('./indicators');
+
+// Composite score needed before we move away from Hold.
+const BUY_THRESHOLD = 0.15;
+const SELL_THRESHOLD = -0.15;
+
+// Factor scores with a smaller magnitude than this count as neutral.
+const NEUTRAL_BAND = 0.1;
+
+const FACTOR_WEIGHTS = {
+  smaCrossover: 0.2,
+  emaCrossover: 0.15,
+  rsi: 0.15,
+  macd: 0.15,
+  bollinger: 0.1,
+  volume: 0.1,
+  sentiment: 0.15
+};
+
+const clamp = (n, min = -1, max = 1) => Math.min(max, Math.max(min, n));
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+const pct = (n) => `${n >= 0 ? '+' : ''}${(n * 100).toFixed(2)}%`;
+
+// Each factor receives the closes, the raw bars and the options passed to
+// `recommend` and returns `{ score, value, explanation }` or null.
+const FACTORS = {
+  smaCrossover: {
+    name: 'SMA 5/20 crossover',
+    compute(closes) {
+      const short = indicators.sma(closes, 5);
+      const long = indicators.sma(closes, 20);
+      const s = indicators.last(short);
+      const l = indicators.last(long);
+      if (s === null || l === null) return null;
+      const spread = (s - l) / l;
+      // A fresh cross within the last three bars strengthens the signal
+      let crossed = null;
+      for (let i = closes.length - 3; i < closes.length; i++) {
+        if (i < 1 || short[i - 1] === null || long[i - 1] === null) continue;
+        const before = short[i - 1] - long[i - 1];
+        const after = short[i] - long[i];
+        if (before <= 0 && after > 0) crossed = 'above';
+        if (before >= 0 && after < 0) crossed = 'below';
+      }
+      const score = clamp(spread * 25 + (crossed === 'above' ? 0.3 : crossed === 'below' ? -0.3 : 0));
+      const explanation = crossed
+        ? `5-day SMA just crossed ${crossed} the 20-day SMA (spread ${pct(spread)}).`
+        : `5-day SMA is ${spread >= 0 ? 'above' : 'below'} the 20-day SMA by ${pct(Math.abs(spread)).slice(1)}.`;
+      return { score, value: { sma5: round(s), sma20: round(l) }, explanation };
+    }
+  },
+  emaCrossover: {
+    name: 'EMA 12/26 trend',
+    compute(closes) {
+      const fast = indicators.last(indicators.ema(closes, 12));
+      const slow = indicators.last(indicators.ema(closes, 26));
+      if (fast === null || slow === null) return null;
+      const spread = (fast - slow) / slow;
+      const score = clamp(spread * 30);
+      return {
+        score,
+        value: { ema12: round(fast), ema26: round(slow) },
+        explanation: `12-day EMA is ${spread >= 0 ? 'above' : 'below'} the 26-day EMA (${pct(spread)}).`
+      };
+    }
+  },
+  rsi: {
+    name: 'RSI (14)',
+    compute(closes) {
+      const value = indicators.last(indicators.rsi(closes, 14));
+      if (value === null) return null;
+      let score;
+      let explanation;
+      if (value >= 70) {
+        score = -clamp(0.5 + (value - 70) / 60, 0, 1);
+        explanation = `RSI of ${value.toFixed(1)} signals an overbought stock.`;
+      } else if (value <= 30) {
+        score = clamp(0.5 + (30 - value) / 60, 0, 1);
+        explanation = `RSI of ${value.toFixed(1)} signals an oversold stock.`;
+      } else {
+        score = (value - 50) / 40;
+        explanation = `RSI of ${value.toFixed(1)} shows ${value >= 50 ? 'positive' : 'negative'} momentum without being stretched.`;
+      }
+      return { score, value: round(value, 1), explanation };
+    }
+  },
+  macd: {
+    name: 'MACD (12, 26, 9)',
+    compute(closes) {
+      const { macd, signal, histogram } = indicators.macd(closes);
+      const line = indicators.last(macd);
+      if (line === null) return null;
+      const price = closes[closes.length - 1];
+      const hist = indicators.last(histogram);
+      // Without enough bars for the signal line fall back to the MACD line itself
+      if (hist === null) {
+        return {
+          score: clamp((line / price) * 50),
+          value: { macd: round(line, 3), signal: null, histogram: null },
+          explanation: `MACD line is ${line >= 0 ? 'positive' : 'negative'} (${line.toFixed(3)}); not enough bars for a signal line yet.`
+        };
+      }
+      return {
+        score: clamp((hist / price) * 200 + (line / price) * 20),
+        value: { macd: round(line, 3), signal: round(indicators.last(signal), 3), histogram: round(hist, 3) },
+        explanation: `MACD is ${hist >= 0 ? 'above' : 'below'} its signal line (histogram ${hist.toFixed(3)}).`
+      };
+    }
+  },
+  bollinger: {
+    name: 'Bollinger position',
+    compute(closes) {
+      const { upper, lower, middle } = indicators.bollinger(closes, 20, 2);
+      const u = indicators.last(upper);
+      const l = indicators.last(lower);
+      if (u === null || l === null || u === l) return null;
+      const price = closes[closes.length - 1];
+      const percentB = (price - l) / (u - l);
+      // Mean reversion: near the upper band is stretched, near the lower band is cheap
+      const score = clamp((0.5 - percentB) * 1.5);
+      let where = 'inside the bands';
+      if (percentB > 1) where = 'above the upper band';
+      else if (percentB < 0) where = 'below the lower band';
+      else if (percentB > 0.8) where = 'near the upper band';
+      else if (percentB < 0.2) where = 'near the lower band';
+      return {
+        score,
+        value: { percentB: round(percentB), upper: round(u), middle: round(indicators.last(middle)), lower: round(l) },
+        explanation: `Price is ${where} (%B ${percentB.toFixed(2)}).`
+      };
+    }
+  },
+  volume: {
+    name: 'Volume trend',
+    compute(closes, bars) {
+      if (bars.length < 10 || bars.some(b => typeof b.volume !== 'number')) return null;
+      const recent = bars.slice(-5);
+      const earlier = bars.slice(-20, -5);
+      const avg = (list) => list.reduce((sum, b) => sum + b.volume, 0) / list.length;
+      // Imported bars without volume carry zeros, which give no trend
+      if (!(avg(earlier) > 0)) return null;
+      const ratio = avg(recent) / avg(earlier);
+      const onBalance = indicators.obv(bars);
+      const obvChange = onBalance[onBalance.length - 1] - onBalance[onBalance.length - 6];
+      const direction = Math.sign(obvChange);
+      // Rising volume confirms the direction of the on-balance volume flow
+      const score = clamp(direction * (0.3 + clamp((ratio - 1) * 2, -0.3, 0.7)));
+      return {
+        score,
+        value: { volumeRatio: round(ratio), obvChange },
+        explanation: `Recent volume is ${ratio >= 1 ? 'up' : 'down'} ${Math.abs((ratio - 1) * 100).toFixed(0)}% on ${direction > 0 ? 'net buying' : direction < 0 ? 'net selling' : 'flat'} pressure.`
+      };
+    }
+  },
+  sentiment: {
+    name: 'News sentiment',
+    compute(closes, bars, options) {
+      const news = options.sentiment;
+      if (!news || !news.articleCount) return null;
+      return {
+        score: clamp(news.score * 2),
+        value: round(news.score, 3),
+        explanation: `Recent news sentiment is ${news.label} (${news.score.toFixed(2)} across ${news.articleCount} articles).`
+      };
+    }
+  }
+};
+
+/**
+ * Classifies a factor or composite score.
+ * @param {number} score
+ * @returns {('Buy'|'Sell'|'Neutral')}
+ */
+function signalFor(score) {
+  if (score >= NEUTRAL_BAND) return 'Buy';
+  if (score <= -NEUTRAL_BAND) return 'Sell';
+  return 'Neutral';
+}
+
+/**
+ * Builds a recommendation from an OHLCV series.
+ * @param {Array<{open: number, high: number, low: number, close: number, volume: number}>} priceData
+ * @param {{sentiment?: {score: number, label: string, articleCount: number}}} [options]
+ * @returns {{recommendation: string, confidence: number, score: number, rationale: string, factors: Array<Object>}}
+ */
+function recommend(priceData, options = {}) {
+  const closes = priceData.map(bar => bar.close);
+  const factors = Object.keys(FACTORS).map(key => {
+    const { name } = FACTORS[key];
+    const result = FACTORS[key].compute(closes, priceData, options);
+    if (!result) {
+      return { key, name, available: false, weight: 0, score: 0, signal: 'Neutral', explanation: 'Not enough data.' };
+    }
+    const score = round(result.score, 3);
+    return {
+      key,
+      name,
+      available: true,
+      weight: FACTOR_WEIGHTS[key],
+      score,
+      signal: signalFor(score),
+      value: result.value,
+      explanation: result.explanation
+    };
+  });
+  const available = factors.filter(f => f.available);
+  const totalWeight = available.reduce((sum, f) => sum + f.weight, 0);
+  const composite = totalWeight > 0 ? available.reduce((sum, f) => sum + f.weight * f.score, 0) / totalWeight : 0;
+
+  let recommendation = 'Hold';
+  if (composite >= BUY_THRESHOLD) recommendation = 'Buy';
+  else if (composite <= SELL_THRESHOLD) recommendation = 'Sell';
+
+  // Confidence blends the strength of the composite with the share of
+  // (weighted) factors that agree with the chosen action.
+  const agrees = (f) => (recommendation === 'Hold' ? f.signal === 'Neutral' : f.signal === recommendation);
+  const agreement = totalWeight > 0 ? available.filter(agrees).reduce((sum, f) => sum + f.weight, 0) / totalWeight : 0;
+  const strength = recommendation === 'Hold'
+    ? 1 - Math.abs(composite) / BUY_THRESHOLD
+    : Math.min(1, Math.abs(composite) / 0.5);
+  const confidence = totalWeight > 0 ? Math.round(100 * (0.5 * strength + 0.5 * agreement)) : 0;
+
+  return {
+    recommendation,
+    confidence,
+    score: round(composite, 3),
+    rationale: buildRationale(recommendation, available),
+    factors
+  };
+}
+
+/**
+ * Summarises the factors that drove the recommendation in one or two sentences.
+ * @param {string} recommendation
+ * @param {Array<Object>} factors available factors
+ * @returns {string}
+ */
+function buildRationale(recommendation, factors) {
+  if (factors.length === 0) return 'Not enough price history to evaluate any indicator.';
+  const byImpact = [...factors].sort((a, b) => Math.abs(b.score * b.weight) - Math.abs(a.score * a.weight));
+  const names = (list) => {
+    const top = list.slice(0, 3).map(f => f.name);
+    return top.length > 1 ? `${top.slice(0, -1).join(', ')} and ${top[top.length - 1]}` : top[0];
+  };
+  const buy = byImpact.filter(f => f.signal === 'Buy');
+  const sell = byImpact.filter(f => f.signal === 'Sell');
+  if (recommendation === 'Hold') {
+    if (buy.length === 0 && sell.length === 0) return 'All indicators are neutral.';
+    return `Signals are mixed: ${buy.length ? names(buy) : 'no factors'} point to Buy while ${sell.length ? names(sell) : 'no factors'} point to Sell.`;
+  }
+  const drivers = recommendation === 'Buy' ? buy : sell;
+  const against = recommendation === 'Buy' ? sell : buy;
+  let text = `${names(drivers)} point${drivers.length === 1 ? 's' : ''} to ${recommendation}.`;
+  if (against.length) text += ` ${names(against)} argue${against.length === 1 ? 's' : ''} against it.`;
+  return text;
+}
+
+module.exports = { recommend, signalFor, FACTOR_WEIGHTS, BUY_THRESHOLD, SELL_THRESHOLD };
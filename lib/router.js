@@ -0,0 +1,272 @@
+/*
+ * Routing for the JSON API. Each route declares its method, a path pattern
+ * such as `/portfolio/:symbol/lots` and the schemas of its path, query and
+ * body parameters (see schema.js). The router matches the request, answers
+ * 404 for unknown paths and 405 (with `Allow`) for known paths called with
+ * the wrong method, checks the session, reads the body up to the route's size
+ * limit and validates everything before the handler runs.
+ *
+ * Handlers receive `{ req, res, user, params, query, body }` and return the
+ * response body, which is sent with the route's `status` (200 by default), or
+ * write the response themselves and return nothing (downloads, event
+ * streams). Every failure is answered with the same shape:
+ *
+ *   { "error": { "code": "invalid_request", "message": "...", "field": "quantity" } }
+ *
+ * Errors thrown by handlers carry an HTTP `status` and may carry a `code` and
+ * `field`; errors without a status are reported as 500 without details.
+ */
+
+const { SchemaError, coerce, validate } = require('./schema');
+
+const DEFAULT_BODY_LIMIT = 100 * 1024;
+
+const CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  413: 'payload_too_large',
+  422: 'unprocessable',
+  500: 'internal_error',
+  502: 'bad_gateway'
+};
+
+/**
+ * Error raised by the routing layer and by handlers that need a particular
+ * status, code or field.
+ */
+class ApiError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = details.code;
+    this.field = details.field;
+  }
+}
+
+/**
+ * The error object sent for an error.
+ * @param {Error} err
+ * @returns {{error: {code: string, message: string, field?: string}}}
+ */
+function errorBody(err) {
+  const status = err instanceof SchemaError ? 400 : err.status || 500;
+  const error = {
+    code: err.code || CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request'),
+    message: err.status || err instanceof SchemaError ? err.message : 'Internal server error'
+  };
+  if (err.field) error.field = err.field;
+  return { error };
+}
+
+/**
+ * Writes a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} data
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Answers with the error object for `err`, plus any extra properties.
+ * @param {http.ServerResponse} res
+ * @param {Error} err
+ * @param {Object} [extra]
+ */
+function sendError(res, err, extra = {}) {
+  const status = err instanceof SchemaError ? 400 : err.status || 500;
+  sendJson(res, status, { ...errorBody(err), ...extra });
+}
+
+/**
+ * Reads the raw request body, rejecting bodies over `limit` bytes. The rest
+ * of an oversize body is read and dropped rather than the connection torn
+ * down, so the 413 answer still reaches the client.
+ * @param {http.IncomingMessage} req
+ * @param {number} limit
+ * @returns {Promise<string>}
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > limit) {
+      reject(new ApiError(`Request body is larger than ${limit} bytes`, 413));
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      if (size > limit) return;
+      size += chunk.length;
+      if (size > limit) {
+        chunks.length = 0;
+        reject(new ApiError(`Request body is larger than ${limit} bytes`, 413));
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Coerces and validates path or query parameters. Only declared parameters
+ * are passed on.
+ * @param {Object<string, Object>} specs schema per parameter; `required: true`
+ *   marks a required query parameter
+ * @param {Object<string, (string|string[])>} raw
+ * @returns {Object}
+ */
+function validateParams(specs, raw) {
+  const out = {};
+  Object.keys(specs || {}).forEach(name => {
+    const spec = specs[name];
+    const value = coerce(spec, raw[name] === '' ? undefined : raw[name]);
+    if (value === undefined) {
+      if (spec.required) throw new SchemaError(`${name} is required.`, name);
+      if (spec.default !== undefined) out[name] = spec.default;
+      return;
+    }
+    out[name] = validate(spec, value, name);
+  });
+  return out;
+}
+
+/**
+ * Matches path segments against a route pattern.
+ * @param {string[]} pattern
+ * @param {string[]} segments
+ * @returns {Object<string, string>|null} path parameters
+ */
+function matchPath(pattern, segments) {
+  if (pattern.length !== segments.length) return null;
+  const params = {};
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i].startsWith(':')) params[pattern[i].slice(1)] = segments[i];
+    else if (pattern[i] !== segments[i]) return null;
+  }
+  return params;
+}
+
+/**
+ * Creates a router.
+ * @param {{prefixes: string[], authenticate: Function}} options URL prefixes
+ *   the routes are served under, and a function returning the signed-in user
+ *   of a request (or null)
+ * @returns {Object} router
+ */
+function createRouter(options) {
+  const prefixes = [...options.prefixes].sort((a, b) => b.length - a.length);
+  const table = [];
+
+  const add = (method) => (path, spec, handler) => {
+    table.push({ ...spec, method, path, pattern: path.split('/').filter(Boolean), handler });
+  };
+
+  // Reads and validates the body the route expects: JSON, or raw text for
+  // routes that also accept CSV and receive a non-JSON content type
+  async function readRequestBody(req, route) {
+    const text = await readBody(req, route.maxBody || DEFAULT_BODY_LIMIT);
+    const type = req.headers['content-type'] || '';
+    if ((route.accepts || []).includes('text/csv') && !type.includes('application/json')) return text;
+    let parsed;
+    try {
+      parsed = JSON.parse(text || '{}');
+    } catch (err) {
+      throw new ApiError('Request body is not valid JSON', 400, { code: 'invalid_json' });
+    }
+    return validate(route.body, parsed);
+  }
+
+  return {
+    get: add('GET'),
+    post: add('POST'),
+    put: add('PUT'),
+    delete: add('DELETE'),
+
+    /**
+     * Whether a URL path is served by this router.
+     * @param {string} pathname
+     * @returns {boolean}
+     */
+    owns(pathname) {
+      return prefixes.some(prefix => pathname === prefix || pathname.startsWith(`${prefix}/`));
+    },
+
+    /**
+     * Handles an API request, answering errors in the common format.
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @returns {Promise<void>}
+     */
+    async handle(req, res) {
+      try {
+        const requestUrl = new URL(req.url, 'http://localhost');
+        const prefix = prefixes.find(p => requestUrl.pathname === p || requestUrl.pathname.startsWith(`${p}/`));
+        let segments;
+        try {
+          segments = requestUrl.pathname.slice(prefix.length).split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (err) {
+          throw new ApiError('Malformed URL', 400);
+        }
+        const matches = table
+          .map(route => ({ route, params: matchPath(route.pattern, segments) }))
+          .filter(match => match.params);
+        if (matches.length === 0) throw new ApiError('Endpoint not found', 404);
+        // Literal segments win over parameters, e.g. /portfolio/targets over /portfolio/:symbol
+        const literal = (match) => match.route.pattern.filter(s => !s.startsWith(':')).length;
+        const match = matches
+          .filter(m => m.route.method === req.method)
+          .sort((a, b) => literal(b) - literal(a))[0];
+        if (!match) {
+          res.setHeader('Allow', [...new Set(matches.map(m => m.route.method))].join(', '));
+          throw new ApiError(`${req.method} is not supported here`, 405);
+        }
+        const { route } = match;
+        const user = options.authenticate(req);
+        if (route.auth && !user) throw new ApiError('Authentication required', 401);
+        const query = {};
+        requestUrl.searchParams.forEach((value, key) => {
+          query[key] = key in query ? [].concat(query[key], value) : value;
+        });
+        const context = {
+          req,
+          res,
+          user,
+          params: validateParams(route.params, match.params),
+          query: validateParams(route.query, query),
+          body: route.body ? await readRequestBody(req, route) : undefined
+        };
+        const result = await route.handler(context);
+        if (result !== undefined && !res.headersSent) sendJson(res, route.status || 200, result);
+      } catch (err) {
+        // Failures on our side are logged; the client only sees a 500
+        if (!(err instanceof SchemaError) && (!err.status || err.status >= 500)) console.error(err);
+        if (res.headersSent) {
+          res.end();
+          return;
+        }
+        // The client may still be sending the body we refused
+        if (err.status === 413) res.setHeader('Connection', 'close');
+        sendError(res, err);
+      }
+    },
+
+    /**
+     * The declared routes, in order, for documentation.
+     * @returns {Array<Object>}
+     */
+    routes() {
+      return table.map(({ handler, pattern, ...route }) => route);
+    }
+  };
+}
+
+module.exports = { ApiError, createRouter, sendJson, sendError, errorBody, DEFAULT_BODY_LIMIT };
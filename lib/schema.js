@@ -0,0 +1,135 @@
+/*
+ * A small subset of JSON Schema, enough to describe the API's path, query and
+ * body parameters and to publish them unchanged in the OpenAPI document.
+ *
+ * Supported keywords: type (string, number, integer, boolean, array, object),
+ * enum, default, nullable, minimum, maximum, minLength, maxLength, pattern,
+ * format (date), items, minItems, maxItems, properties, required and
+ * additionalProperties (false rejects unknown properties).
+ *
+ * Path and query parameters arrive as strings; `coerce` turns them into the
+ * declared type first (arrays from comma-separated or repeated values).
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Error raised when a value does not match its schema. `field` is the path of
+ * the offending value, e.g. `trades[0].quantity`.
+ */
+class SchemaError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.name = 'SchemaError';
+    this.field = field;
+  }
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+/**
+ * Converts a string parameter to the type its schema declares. Values that
+ * cannot be converted are left alone for validate() to reject.
+ * @param {Object} schema
+ * @param {string|string[]|undefined} value
+ * @returns {*}
+ */
+function coerce(schema, value) {
+  if (value === undefined) return value;
+  if (schema.type === 'array') {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => item.trim()).filter(Boolean).map(item => coerce(schema.items || {}, item));
+  }
+  // A repeated parameter that is not an array keeps its last value
+  const raw = Array.isArray(value) ? value[value.length - 1] : value;
+  if (schema.type === 'integer' || schema.type === 'number') {
+    return raw.trim() !== '' && isFinite(Number(raw)) ? Number(raw) : raw;
+  }
+  if (schema.type === 'boolean') {
+    if (raw === 'true' || raw === '1') return true;
+    if (raw === 'false' || raw === '0') return false;
+  }
+  return raw;
+}
+
+/**
+ * Checks a value against a schema and fills in defaults.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} field path used in error messages
+ * @returns {*} the value, with defaults of missing object properties applied
+ */
+function validate(schema, value, field) {
+  const name = field || 'body';
+  if (value === null && schema.nullable) return value;
+  if (schema.type) {
+    const actual = typeOf(value);
+    const matches = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+    if (!matches) throw new SchemaError(`${name} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}.`, field);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    throw new SchemaError(`${name} must be one of: ${schema.enum.join(', ')}.`, field);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) throw new SchemaError(`${name} must be at least ${schema.minimum}.`, field);
+    if (schema.maximum !== undefined && value > schema.maximum) throw new SchemaError(`${name} must be at most ${schema.maximum}.`, field);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      throw new SchemaError(schema.minLength === 1 ? `${name} is required.` : `${name} must be at least ${schema.minLength} characters.`, field);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      throw new SchemaError(`${name} must be at most ${schema.maxLength} characters.`, field);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) throw new SchemaError(`${name} is not valid.`, field);
+    if (schema.format === 'date' && (!DATE_PATTERN.test(value) || isNaN(Date.parse(value)) || new Date(value).toISOString().slice(0, 10) !== value)) {
+      throw new SchemaError(`${name} must be a date in YYYY-MM-DD format.`, field);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) throw new SchemaError(`${name} needs at least ${schema.minItems} item(s).`, field);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) throw new SchemaError(`${name} allows at most ${schema.maxItems} item(s).`, field);
+    if (schema.items) return value.map((item, i) => validate(schema.items, item, `${name}[${i}]`));
+  }
+  if (typeOf(value) === 'object' && (schema.properties || schema.required)) {
+    return validateObject(schema, value, field);
+  }
+  return value;
+}
+
+/**
+ * Validates the properties of an object.
+ * @param {Object} schema
+ * @param {Object} value
+ * @param {string} [field]
+ * @returns {Object}
+ */
+function validateObject(schema, value, field) {
+  const properties = schema.properties || {};
+  const path = (key) => (field ? `${field}.${key}` : key);
+  const out = { ...value };
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined || value[key] === null || value[key] === '') {
+      throw new SchemaError(`${path(key)} is required.`, path(key));
+    }
+  });
+  if (schema.additionalProperties === false) {
+    const unknown = Object.keys(value).find(key => !properties[key]);
+    if (unknown) throw new SchemaError(`${path(unknown)} is not a known field.`, path(unknown));
+  }
+  Object.keys(properties).forEach(key => {
+    if (value[key] === undefined) {
+      if (properties[key].default !== undefined) out[key] = properties[key].default;
+      return;
+    }
+    out[key] = validate(properties[key], value[key], path(key));
+  });
+  return out;
+}
+
+module.exports = { SchemaError, coerce, validate };
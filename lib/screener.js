@@ -0,0 +1,358 @@
+/*
+ * Stock screener. Every tracked symbol is described by fields computed from
+ * its price history, news and live quote, then filtered, sorted and paged.
+ *
+ * Filters are comparisons such as `price>100`, `rsi<30`, `change(5)>=2` or
+ * `price>sma(20)`: a field, an operator (>, >=, <, <=, =, !=) and a number or
+ * another field. `recommendation` compares against Buy, Sell or Hold with = or
+ * !=. Fields that take a period are written `name(N)` and fall back to their
+ * default period without one. A symbol must match every filter, and a field
+ * that cannot be computed (too little history) never matches.
+ *
+ * Sort keys are fields (or `symbol`), descending with a leading `-`; symbols
+ * without a value sort last either way.
+ */
+
+const indicators = require('./indicators');
+const sentiment = require('./sentiment');
+const { recommend } = require('./recommendation');
+
+const TRADING_DAYS_PER_YEAR = 252;
+const MAX_PERIOD = 250;
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const MAX_FILTERS = 20;
+const OPERATORS = ['>=', '<=', '!=', '=', '>', '<'];
+const RECOMMENDATIONS = ['Buy', 'Sell', 'Hold'];
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Error raised for invalid screener queries; `status` is the HTTP status.
+ */
+class ScreenerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ScreenerError';
+    this.status = status;
+  }
+}
+
+/**
+ * The fields a screen can use. `compute(ctx, period)` returns the value for
+ * one symbol or null; `ctx` holds the bars, the closes with the live price
+ * appended and lazily computed news sentiment and recommendation.
+ */
+const FIELDS = {
+  price: {
+    label: 'Last price',
+    compute: (ctx) => round(ctx.price)
+  },
+  change: {
+    label: '% change',
+    period: 1,
+    minPeriod: 1,
+    compute: (ctx, days) => {
+      const reference = ctx.bars[ctx.bars.length - days];
+      return reference ? round((ctx.price / reference.close - 1) * 100) : null;
+    }
+  },
+  volatility: {
+    label: 'Volatility % (annualised)',
+    period: 20,
+    minPeriod: 2,
+    compute: (ctx, days) => {
+      if (ctx.closes.length < days + 1) return null;
+      const window = ctx.closes.slice(-(days + 1));
+      const returns = window.slice(1).map((close, i) => close / window[i] - 1);
+      const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+      const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+      return round(Math.sqrt(variance * TRADING_DAYS_PER_YEAR) * 100);
+    }
+  },
+  avgVolume: {
+    label: 'Average volume',
+    period: 20,
+    minPeriod: 1,
+    compute: (ctx, days) => {
+      if (ctx.bars.length < days) return null;
+      const window = ctx.bars.slice(-days);
+      return Math.round(window.reduce((sum, bar) => sum + bar.volume, 0) / days);
+    }
+  },
+  rsi: {
+    label: 'RSI',
+    period: 14,
+    minPeriod: 2,
+    compute: (ctx, period) => {
+      const value = indicators.last(indicators.rsi(ctx.closes, period));
+      return value === null ? null : round(value);
+    }
+  },
+  sma: {
+    label: 'Simple moving average',
+    period: 20,
+    minPeriod: 1,
+    compute: (ctx, period) => {
+      const value = indicators.last(indicators.sma(ctx.closes, period));
+      return value === null ? null : round(value);
+    }
+  },
+  ema: {
+    label: 'Exponential moving average',
+    period: 20,
+    minPeriod: 1,
+    compute: (ctx, period) => {
+      const value = indicators.last(indicators.ema(ctx.closes, period));
+      return value === null ? null : round(value);
+    }
+  },
+  sentiment: {
+    label: 'News sentiment',
+    compute: (ctx) => (ctx.sentiment().articleCount ? ctx.sentiment().score : null)
+  },
+  recommendation: {
+    label: 'Recommendation',
+    values: RECOMMENDATIONS,
+    compute: (ctx) => ctx.recommendation().recommendation
+  },
+  confidence: {
+    label: 'Recommendation confidence',
+    compute: (ctx) => ctx.recommendation().confidence
+  }
+};
+
+// Columns every result row carries, ahead of any used by filters or sorting
+const DEFAULT_COLUMNS = ['price', 'change(1)', 'volatility(20)', 'avgVolume(20)', 'rsi(14)', 'sentiment', 'recommendation'];
+
+/**
+ * Parses a field reference such as `rsi`, `rsi(9)` or `change(5)`.
+ * @param {string} text
+ * @returns {{name: string, period: (number|undefined), key: string}|null}
+ *   null when the text is not a known field
+ */
+function parseField(text) {
+  const match = /^([A-Za-z]+)(?:\((\d+)\))?$/.exec(text.trim());
+  if (!match) return null;
+  const name = Object.keys(FIELDS).find(key => key.toLowerCase() === match[1].toLowerCase());
+  if (!name) return null;
+  const field = FIELDS[name];
+  if (field.period === undefined) {
+    if (match[2] !== undefined) throw new ScreenerError(`${name} does not take a period.`);
+    return { name, period: undefined, key: name };
+  }
+  const period = match[2] === undefined ? field.period : Number(match[2]);
+  if (period < field.minPeriod || period > MAX_PERIOD) {
+    throw new ScreenerError(`The period of ${name} must be between ${field.minPeriod} and ${MAX_PERIOD}.`);
+  }
+  return { name, period, key: `${name}(${period})` };
+}
+
+/**
+ * Splits a query value (a comma-separated string or repeated parameters)
+ * into its non-empty items.
+ * @param {string|string[]|undefined} input
+ * @returns {string[]}
+ */
+function listOf(input) {
+  return [].concat(input || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parses filter expressions.
+ * @param {string|string[]} input e.g. 'price>sma(20),sentiment>0'
+ * @returns {Array<{expression: string, field: Object, op: string, value: (number|string|Object)}>}
+ */
+function parseFilters(input) {
+  const expressions = listOf(input);
+  if (expressions.length > MAX_FILTERS) throw new ScreenerError(`At most ${MAX_FILTERS} filters are allowed.`);
+  return expressions.map(expression => {
+    const op = OPERATORS.find(candidate => expression.includes(candidate));
+    if (!op) throw new ScreenerError(`Filter "${expression}" needs one of ${OPERATORS.join(' ')}.`);
+    const index = expression.indexOf(op);
+    const field = parseField(expression.slice(0, index));
+    if (!field) throw new ScreenerError(`Unknown field in filter "${expression}".`);
+    const right = expression.slice(index + op.length).trim();
+
+    if (FIELDS[field.name].values) {
+      const value = FIELDS[field.name].values.find(v => v.toLowerCase() === right.toLowerCase());
+      if (!value || (op !== '=' && op !== '!=')) {
+        throw new ScreenerError(`Filter "${expression}" must be ${field.name}= or ${field.name}!= one of ${FIELDS[field.name].values.join(', ')}.`);
+      }
+      return { expression, field, op, value };
+    }
+    if (right !== '' && isFinite(Number(right))) return { expression, field, op, value: Number(right) };
+    const other = parseField(right);
+    if (!other || FIELDS[other.name].values) {
+      throw new ScreenerError(`Filter "${expression}" must compare ${field.name} with a number or a numeric field.`);
+    }
+    return { expression, field, op, value: other };
+  });
+}
+
+/**
+ * Parses sort keys.
+ * @param {string|string[]} input e.g. '-change(5),symbol'
+ * @returns {Array<{key: string, field: (Object|null), descending: boolean}>}
+ */
+function parseSort(input) {
+  const keys = listOf(input);
+  return (keys.length ? keys : ['symbol']).map(item => {
+    const descending = item.startsWith('-');
+    const text = descending ? item.slice(1) : item;
+    if (text.toLowerCase() === 'symbol') return { key: 'symbol', field: null, descending };
+    const field = parseField(text);
+    if (!field) throw new ScreenerError(`Cannot sort by "${text}".`);
+    return { key: field.key, field, descending };
+  });
+}
+
+/**
+ * Validates a paging option.
+ * @param {*} value
+ * @param {string} name
+ * @param {number} fallback
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function pageOption(value, name, fallback, min, max) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new ScreenerError(`${name} must be an integer between ${min} and ${max}.`);
+  }
+  return n;
+}
+
+/**
+ * Builds the lazily evaluated context for one symbol.
+ * @param {{priceData: Array<Object>, news: Array<Object>, quote: (Object|null)}} entry
+ * @returns {Object}
+ */
+function contextFor(entry) {
+  const bars = entry.priceData;
+  const closes = bars.map(bar => bar.close);
+  const price = entry.quote ? entry.quote.price : closes[closes.length - 1];
+  // The live session counts as today's close for indicator fields
+  if (entry.quote) closes.push(entry.quote.price);
+  let news = null;
+  let advice = null;
+  const ctx = {
+    bars,
+    closes,
+    price,
+    sentiment: () => {
+      if (!news) news = sentiment.analyseNews(entry.news || []).sentiment;
+      return news;
+    },
+    recommendation: () => {
+      if (!advice) advice = recommend(bars, { sentiment: ctx.sentiment() });
+      return advice;
+    }
+  };
+  return ctx;
+}
+
+/**
+ * Compares two values with an operator.
+ * @param {number|string} left
+ * @param {string} op
+ * @param {number|string} right
+ * @returns {boolean}
+ */
+function compare(left, op, right) {
+  switch (op) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '=': return left === right;
+    default: return left !== right;
+  }
+}
+
+/**
+ * Runs a screen.
+ * @param {Array<{symbol: string, name: string, priceData: Array<Object>, news: Array<Object>, quote: (Object|null)}>} entries
+ *   every symbol to consider
+ * @param {{filter?: (string|string[]), sort?: (string|string[]), limit?: *, offset?: *}} [query]
+ * @returns {{total: number, offset: number, limit: number, filters: string[], sort: string[], columns: string[], results: Array<Object>}}
+ */
+function screen(entries, query = {}) {
+  const filters = parseFilters(query.filter);
+  const sort = parseSort(query.sort);
+  const limit = pageOption(query.limit, 'limit', DEFAULT_LIMIT, 1, MAX_LIMIT);
+  const offset = pageOption(query.offset, 'offset', 0, 0, Number.MAX_SAFE_INTEGER);
+
+  // Every field a row needs, by key
+  const fields = {};
+  DEFAULT_COLUMNS.forEach(key => { fields[key] = parseField(key); });
+  filters.forEach(f => {
+    fields[f.field.key] = f.field;
+    if (typeof f.value === 'object') fields[f.value.key] = f.value;
+  });
+  sort.forEach(s => {
+    if (s.field) fields[s.field.key] = s.field;
+  });
+  const columns = Object.keys(fields);
+
+  const rows = entries
+    .filter(entry => entry.priceData.length > 0)
+    .map(entry => {
+      const ctx = contextFor(entry);
+      const values = {};
+      columns.forEach(key => {
+        const { name, period } = fields[key];
+        const value = FIELDS[name].compute(ctx, period);
+        values[key] = value === undefined || (typeof value === 'number' && !isFinite(value)) ? null : value;
+      });
+      return { symbol: entry.symbol, name: entry.name, values };
+    })
+    .filter(row => filters.every(f => {
+      const left = row.values[f.field.key];
+      const right = typeof f.value === 'object' ? row.values[f.value.key] : f.value;
+      return left !== null && right !== null && compare(left, f.op, right);
+    }));
+
+  rows.sort((a, b) => {
+    for (const s of sort) {
+      const x = s.key === 'symbol' ? a.symbol : a.values[s.key];
+      const y = s.key === 'symbol' ? b.symbol : b.values[s.key];
+      if (x === y) continue;
+      if (x === null) return 1;
+      if (y === null) return -1;
+      const order = x < y ? -1 : 1;
+      return s.descending ? -order : order;
+    }
+    return a.symbol < b.symbol ? -1 : 1;
+  });
+
+  return {
+    total: rows.length,
+    offset,
+    limit,
+    filters: filters.map(f => f.expression),
+    sort: sort.map(s => (s.descending ? `-${s.key}` : s.key)),
+    columns,
+    results: rows.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Describes the available fields for clients building filters.
+ * @returns {Array<{name: string, label: string, period: (number|null), values: (string[]|null)}>}
+ */
+function describeFields() {
+  return Object.keys(FIELDS).map(name => ({
+    name,
+    label: FIELDS[name].label,
+    period: FIELDS[name].period === undefined ? null : FIELDS[name].period,
+    values: FIELDS[name].values || null
+  }));
+}
+
+module.exports = { ScreenerError, FIELDS, parseFilters, parseSort, screen, describeFields };
@@ -0,0 +1,323 @@
+/*
+ * Local, lexicon-based sentiment scoring for financial news. Each article is
+ * tokenised and scored against a small finance-specific word list; negators
+ * ("not", "failed to", ...) flip the polarity of the words that follow them.
+ * The module also produces an extractive summary by ranking sentences on how
+ * many informative (non stop-word) terms they share with the rest of the news
+ * set, so the summary is built from whole sentences instead of a truncated
+ * string.
+ */
+
+// Finance-specific lexicon. Weights roughly follow the strength of the term:
+// 1 for mild, 2 for clear and 3 for strong signals.
+const LEXICON = {
+  // Positive
+  beat: 2, beats: 2, beating: 2, topped: 2, tops: 2, exceeded: 2, exceeds: 2,
+  outperform: 2, outperformed: 2, outperforms: 2,
+  record: 2, strong: 2, stronger: 2, robust: 2, solid: 1, resilient: 1,
+  growth: 1, grow: 1, grows: 1, growing: 1, grew: 1, expand: 1, expands: 1, expansion: 1,
+  gain: 2, gains: 2, gained: 2, rise: 1, rises: 1, rose: 1, rising: 1,
+  surge: 3, surges: 3, surged: 3, soar: 3, soars: 3, soared: 3, jump: 2, jumps: 2, jumped: 2,
+  rally: 2, rallies: 2, rallied: 2, rebound: 2, rebounds: 2, rebounded: 2,
+  upgrade: 2, upgrades: 2, upgraded: 2, raise: 1, raises: 1, raised: 1,
+  boost: 2, boosts: 2, boosted: 2, boosting: 2, improve: 1, improved: 2, improves: 1, improvement: 1,
+  profit: 1, profitable: 2, profits: 1, dividend: 1, buyback: 2,
+  higher: 1, bullish: 3, optimism: 2, optimistic: 2, upbeat: 2, promising: 1, innovative: 1,
+  advanced: 1, breakthrough: 2, approval: 2, approved: 2, win: 2, wins: 2, won: 2,
+  // Negative
+  miss: -2, missed: -2, misses: -2, lowered: -2, lower: -1, cut: -2, cuts: -2, cutting: -2,
+  fall: -2, falls: -2, fell: -2, falling: -2, drop: -2, drops: -2, dropped: -2,
+  dip: -1, dips: -1, dipped: -1, decline: -2, declines: -2, declined: -2, declining: -2,
+  slump: -3, slumps: -3, slumped: -3, plunge: -3, plunges: -3, plunged: -3, tumble: -3, tumbled: -3,
+  downgrade: -2, downgrades: -2, downgraded: -2, weak: -2, weaker: -2, weakness: -2,
+  loss: -2, losses: -2, lose: -2, loses: -2, lost: -2, deficit: -1,
+  fined: -2, fines: -2, penalty: -2, lawsuit: -2, sued: -2, sues: -2,
+  antitrust: -1, violation: -2, violations: -2, investigation: -2, investigates: -2, probe: -2,
+  recall: -2, recalls: -2, fraud: -3, bankruptcy: -3, layoffs: -2,
+  concern: -1, concerns: -1, uncertainty: -1, volatility: -1, volatile: -1, risk: -1, risks: -1,
+  disruption: -1, disruptions: -1, pressure: -1, pressures: -1, competition: -1,
+  headwinds: -2, bearish: -3, pessimism: -2, warning: -2, warns: -2, delay: -1, delays: -1, delayed: -1
+};
+
+// Multi-word expressions whose meaning differs from their parts. They are
+// matched before single words and their tokens are consumed.
+const PHRASES = {
+  'higher than expected': 2,
+  'better than expected': 2,
+  'lower than expected': -2,
+  'worse than expected': -2,
+  'price target cut': -2,
+  'price targets cut': -2,
+  'beat expectations': 2,
+  'beating expectations': 2,
+  'topped expectations': 2,
+  'missed expectations': -2,
+  'below expectations': -2,
+  'above expectations': 2,
+  'market volatility': -1
+};
+
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'without', 'neither', 'nor', 'hardly', 'barely',
+  "isn't", "wasn't", "aren't", "weren't", "don't", "doesn't", "didn't",
+  "won't", "can't", "cannot", 'fails', 'failed', 'fail'
+]);
+
+// Number of tokens after a negator searched for a term to flip. Only the
+// first term is flipped, and never past the end of the clause.
+const NEGATION_WINDOW = 3;
+
+// Ends a sentence or clause: ; ! ? anywhere, a full stop only before a space
+// or the end so that figures such as 3.5% stay whole.
+const CLAUSE_END = /[;!?]+|\.(?=\s|$)/;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for', 'with', 'at', 'by',
+  'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'its', 'it', 'this', 'that',
+  'these', 'those', 'has', 'have', 'had', 'will', 'would', 'could', 'some', 'more', 'into',
+  'their', 'his', 'her', 'they', 'than', 'about', 'over', 'after', 'which', 'who', 'how',
+  'also', 'such', 'end', 'new'
+]);
+
+// Thresholds that separate neutral from positive/negative scores.
+const POSITIVE_THRESHOLD = 0.05;
+const NEGATIVE_THRESHOLD = -0.05;
+
+// Half-life (in days) used when weighting articles by recency.
+const RECENCY_HALF_LIFE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Splits text into lower-case word tokens. Unicode hyphens and non-breaking
+ * spaces used in the sample data are normalised first.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\u2010-\u2015]/g, ' ')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/\u00a0/g, ' ')
+    .split(/[^a-z0-9'$%.]+/)
+    .map(t => t.replace(/^[.']+|[.']+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Maps a raw lexicon sum onto the range [-1, 1].
+ * @param {number} raw
+ * @returns {number}
+ */
+function normalise(raw) {
+  if (raw === 0) return 0;
+  return raw / Math.sqrt(raw * raw + 15);
+}
+
+/**
+ * Returns 'positive', 'negative' or 'neutral' for a normalised score.
+ * @param {number} score
+ * @returns {string}
+ */
+function labelFor(score) {
+  if (score >= POSITIVE_THRESHOLD) return 'positive';
+  if (score <= NEGATIVE_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * Scores a piece of text against the lexicon.
+ * @param {string} text
+ * @returns {{score: number, label: string, matches: string[]}}
+ */
+function scoreText(text) {
+  const phraseKeys = Object.keys(PHRASES).map(p => p.split(' '));
+  let raw = 0;
+  const matches = [];
+  String(text || '').split(CLAUSE_END).forEach(clause => {
+    const tokens = tokenize(clause);
+    let negateFor = 0;
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (NEGATORS.has(token)) {
+        negateFor = NEGATION_WINDOW;
+        continue;
+      }
+      let weight = 0;
+      let term = null;
+      const phrase = phraseKeys.find(words => words.every((w, j) => tokens[i + j] === w));
+      if (phrase) {
+        term = phrase.join(' ');
+        weight = PHRASES[term];
+        i += phrase.length - 1;
+      } else if (Object.prototype.hasOwnProperty.call(LEXICON, token)) {
+        term = token;
+        weight = LEXICON[token];
+      }
+      if (weight !== 0) {
+        if (negateFor > 0) {
+          weight = -weight;
+          term = `not ${term}`;
+          negateFor = 0;
+        }
+        raw += weight;
+        matches.push(term);
+      } else if (negateFor > 0) {
+        negateFor--;
+      }
+    }
+  });
+  const score = round(normalise(raw));
+  return { score, label: labelFor(score), matches };
+}
+
+/**
+ * Scores a news article. The headline is weighted slightly higher than the
+ * description because it usually carries the gist of the story.
+ * @param {{title?: string, description?: string}} article
+ * @returns {{score: number, label: string, matches: string[]}}
+ */
+function scoreArticle(article) {
+  const title = scoreText(article.title);
+  const description = scoreText(article.description);
+  const hasDescription = Boolean(article.description);
+  const score = round(hasDescription ? title.score * 0.6 + description.score * 0.4 : title.score);
+  return { score, label: labelFor(score), matches: [...title.matches, ...description.matches] };
+}
+
+/**
+ * Combines per-article scores into a single score for the symbol, weighting
+ * each article by an exponential decay on its age relative to the newest
+ * article (or `asOf` when given).
+ * @param {Array<{date: string, sentiment: {score: number}}>} articles
+ * @param {number} [asOf] timestamp in ms
+ * @returns {{score: number, label: string, articleCount: number}}
+ */
+function aggregateSentiment(articles, asOf) {
+  if (!articles || articles.length === 0) {
+    return { score: 0, label: 'neutral', articleCount: 0 };
+  }
+  const times = articles.map(a => Date.parse(a.date)).map(t => (isNaN(t) ? null : t));
+  const reference = asOf || Math.max(...times.filter(t => t !== null), 0);
+  let weighted = 0;
+  let totalWeight = 0;
+  articles.forEach((article, i) => {
+    const ageDays = times[i] === null ? 0 : Math.max(0, (reference - times[i]) / DAY_MS);
+    const weight = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+    weighted += article.sentiment.score * weight;
+    totalWeight += weight;
+  });
+  const score = round(totalWeight > 0 ? weighted / totalWeight : 0);
+  return { score, label: labelFor(score), articleCount: articles.length };
+}
+
+/**
+ * Splits text into sentences on terminal punctuation followed by whitespace.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitSentences(text) {
+  return String(text || '')
+    .replace(/\u00a0/g, ' ')
+    .split(/(?<=[.!?])\s+(?=[A-Z0-9"'])/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Builds an extractive summary of the articles: every sentence is scored by
+ * the document frequency of its informative terms plus the strength of its
+ * sentiment, and the best sentences are returned in their original order
+ * without exceeding `maxLength` characters.
+ * @param {Array<{title?: string, description?: string}>} news
+ * @param {{maxSentences?: number, maxLength?: number}} [options]
+ * @returns {string}
+ */
+function summarise(news, options = {}) {
+  const { maxSentences = 2, maxLength = 300 } = options;
+  if (!news || news.length === 0) return '';
+  const sentences = [];
+  news.forEach((article, articleIndex) => {
+    const source = article.description || article.title;
+    splitSentences(source).forEach(text => {
+      sentences.push({ text, articleIndex, order: sentences.length });
+    });
+  });
+  const termsOf = (text) => tokenize(text).filter(t => t.length > 2 && !STOP_WORDS.has(t) && !/^[\d$.%]+$/.test(t));
+  const frequency = {};
+  sentences.forEach(s => {
+    s.terms = new Set(termsOf(s.text));
+    s.terms.forEach(t => { frequency[t] = (frequency[t] || 0) + 1; });
+  });
+  sentences.forEach(s => {
+    const terms = [...s.terms];
+    const informativeness = terms.reduce((sum, t) => sum + 1 + Math.log(frequency[t]), 0) / Math.sqrt(terms.length || 1);
+    s.rank = informativeness + Math.abs(scoreText(s.text).score) * 2;
+  });
+  // Prefer one sentence per article so the summary covers different stories.
+  const ranked = [...sentences].sort((a, b) => b.rank - a.rank);
+  const chosen = [];
+  const usedArticles = new Set();
+  let length = 0;
+  for (const pass of [true, false]) {
+    for (const s of ranked) {
+      if (chosen.length >= maxSentences) break;
+      if (chosen.includes(s) || (pass && usedArticles.has(s.articleIndex))) continue;
+      const extra = s.text.length + (chosen.length ? 1 : 0);
+      if (length + extra > maxLength) continue;
+      chosen.push(s);
+      usedArticles.add(s.articleIndex);
+      length += extra;
+    }
+  }
+  if (chosen.length === 0 && sentences.length > 0) {
+    // Every sentence is too long: cut the first one at a word boundary
+    return truncateWords(sentences[0].text, maxLength);
+  }
+  return chosen.sort((a, b) => a.order - b.order).map(s => s.text).join(' ');
+}
+
+/**
+ * Shortens text to at most `maxLength` characters, ending on a whole word
+ * followed by an ellipsis.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncateWords(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, Math.max(maxLength - 1, 0));
+  const space = cut.lastIndexOf(' ');
+  return `${(space > 0 ? cut.slice(0, space) : cut).replace(/[\s,;:.-]+$/, '')}…`;
+}
+
+/**
+ * Scores every article and returns the annotated list together with the
+ * aggregate sentiment and an extractive summary.
+ * @param {Array<Object>} news
+ * @returns {{news: Array<Object>, sentiment: Object, summary: string}}
+ */
+function analyseNews(news) {
+  const scored = (news || []).map(article => {
+    const { score, label } = scoreArticle(article);
+    return { ...article, sentiment: { score, label } };
+  });
+  return {
+    news: scored,
+    sentiment: aggregateSentiment(scored),
+    summary: summarise(scored)
+  };
+}
+
+module.exports = {
+  tokenize,
+  scoreText,
+  scoreArticle,
+  aggregateSentiment,
+  summarise,
+  analyseNews,
+  labelFor
+};
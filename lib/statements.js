@@ -0,0 +1,463 @@
+/*
+ * Getting portfolios in and out of the app: CSV and JSON exports, a printable
+ * HTML performance report and CSV statement imports.
+ *
+ * Imports map CSV columns onto transaction fields. A few layouts are built in
+ * (the app's own transaction export and the history downloads of two common
+ * brokers) and the header decides which one applies unless the caller picks
+ * one or supplies its own mapping. Rows are validated the same way as
+ * transactions entered by hand; rows describing activity the ledger does not
+ * track (transfers, interest, fees) are skipped and reported, while invalid
+ * rows are returned as errors so the caller can reject the whole import
+ * before anything is written.
+ */
+
+const ledger = require('./ledger');
+const { parseCsv } = require('./csv');
+const { formatMoney } = require('./fx');
+
+const FIELDS = ['date', 'type', 'symbol', 'quantity', 'price', 'amount', 'fee', 'note'];
+const MAX_ROWS = 5000;
+
+/**
+ * Built-in column layouts. Each maps transaction fields to CSV column names
+ * (case-insensitive); a list of columns is summed, which is how brokers that
+ * split commission and fees are read.
+ */
+const LAYOUTS = {
+  generic: {
+    label: 'Investment Advisor export',
+    mapping: {
+      date: 'Date',
+      type: 'Type',
+      symbol: 'Symbol',
+      quantity: 'Quantity',
+      price: 'Price',
+      amount: 'Amount',
+      fee: 'Fee',
+      note: 'Note'
+    }
+  },
+  schwab: {
+    label: 'Charles Schwab transaction history',
+    mapping: {
+      date: 'Date',
+      type: 'Action',
+      symbol: 'Symbol',
+      quantity: 'Quantity',
+      price: 'Price',
+      amount: 'Amount',
+      fee: 'Fees & Comm',
+      note: 'Description'
+    }
+  },
+  fidelity: {
+    label: 'Fidelity account history',
+    mapping: {
+      date: 'Run Date',
+      type: 'Action',
+      symbol: 'Symbol',
+      quantity: 'Quantity',
+      price: 'Price ($)',
+      amount: 'Amount ($)',
+      fee: ['Commission ($)', 'Fees ($)'],
+      note: 'Security Description'
+    }
+  }
+};
+
+/**
+ * Error raised for unusable import files or export options; `status` is the
+ * HTTP status.
+ */
+class StatementError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StatementError';
+    this.status = status;
+  }
+}
+
+/**
+ * Quotes a CSV field when needed.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialises rows as CSV.
+ * @param {string[]} header
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Holdings as CSV. Average cost and current price are in the symbol's
+ * currency; the other amounts are in the summary's base currency.
+ * @param {{holdings: Array<Object>}} summary ledger.summarise output
+ * @returns {string}
+ */
+function holdingsCsv(summary) {
+  return toCsv(
+    ['Symbol', 'Currency', 'Quantity', 'Average Cost', 'Cost Basis', 'Current Price', 'FX Rate', 'Market Value', 'Unrealized P/L', 'Price Gain', 'FX Gain', 'Realized P/L', 'Dividends', 'Total Return'],
+    summary.holdings.map(h => [
+      h.symbol, h.currency, h.quantity, h.price, h.costBasis, h.currentPrice, h.fxRate, h.marketValue, h.unrealizedPL,
+      h.priceGain, h.fxGain, h.realizedPL, h.dividends, h.totalReturn
+    ])
+  );
+}
+
+/**
+ * Transactions as CSV in the `generic` import layout, oldest first.
+ * @param {Array<Object>} transactions
+ * @returns {string}
+ */
+function transactionsCsv(transactions) {
+  const { mapping } = LAYOUTS.generic;
+  return toCsv(
+    FIELDS.map(field => mapping[field]),
+    ledger.sortTransactions(transactions).map(tx => FIELDS.map(field => tx[field]))
+  );
+}
+
+/**
+ * Parses a number as brokers write it: currency symbols, thousands
+ * separators and accounting-style negatives in parentheses.
+ * @param {string} value
+ * @returns {number|null} null when the cell is empty
+ */
+function parseAmount(value) {
+  const text = String(value || '').trim();
+  if (!text || text === '--') return null;
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const n = Number(text.replace(/[()$,\s+-]/g, ''));
+  if (!isFinite(n)) return NaN;
+  return negative ? -n : n;
+}
+
+/**
+ * Normalises a date cell to YYYY-MM-DD. Accepts ISO dates and US-style
+ * MM/DD/YYYY (Schwab writes "08/01/2024 as of 07/31/2024"; the first date
+ * wins).
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseStatementDate(value) {
+  const text = String(value || '').trim();
+  let match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+  match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(text);
+  if (match) return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  return null;
+}
+
+/**
+ * Maps a broker's action text to a ledger transaction type.
+ * @param {string} value e.g. "Buy", "YOU SOLD ...", "Qualified Dividend"
+ * @returns {('buy'|'sell'|'dividend'|null)} null for activity the ledger does not track
+ */
+function parseAction(value) {
+  const text = String(value || '').toLowerCase();
+  if (/reinvest|\bbuy\b|bought/.test(text)) return 'buy';
+  if (/\bsell\b|\bsold\b/.test(text)) return 'sell';
+  if (/dividend/.test(text)) return 'dividend';
+  return null;
+}
+
+/**
+ * Resolves a mapping against the CSV header.
+ * @param {string[]} header
+ * @param {Object<string, (string|string[])>} mapping
+ * @returns {Object<string, number[]>} column indexes per field
+ */
+function resolveColumns(header, mapping) {
+  const names = header.map(h => h.trim().toLowerCase());
+  const columns = {};
+  Object.keys(mapping).forEach(field => {
+    if (!FIELDS.includes(field)) throw new StatementError(`Unknown field "${field}" in the column mapping.`);
+    const wanted = [].concat(mapping[field]).filter(Boolean);
+    const indexes = wanted.map(name => names.indexOf(String(name).trim().toLowerCase())).filter(i => i !== -1);
+    if (indexes.length) columns[field] = indexes;
+  });
+  const missing = ['date', 'type', 'symbol'].filter(field => !columns[field]);
+  if (missing.length) {
+    throw new StatementError(`The CSV has no column for: ${missing.join(', ')}. Check the layout or column mapping.`);
+  }
+  return columns;
+}
+
+/**
+ * Resolves a layout's columns against a row without throwing.
+ * @param {string[]} row
+ * @param {string} layout
+ * @returns {Object|null}
+ */
+function tryColumns(row, layout) {
+  try {
+    return resolveColumns(row, LAYOUTS[layout].mapping);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Picks the first built-in layout whose date, type and symbol columns are all
+ * present in the header.
+ * @param {string[]} header
+ * @returns {string|null}
+ */
+function detectLayout(header) {
+  return Object.keys(LAYOUTS).find(key => tryColumns(header, key)) || null;
+}
+
+/**
+ * Reads a CSV statement into transaction inputs. Nothing is validated against
+ * the ledger yet.
+ * @param {string} text
+ * @param {{layout?: string, mapping?: Object}} [options] a layout name, or a
+ *   custom mapping of fields to column names
+ * @returns {{layout: string, rows: Array<{line: number, input: Object}>, skipped: Array<{line: number, reason: string}>, errors: Array<{line: number, message: string}>}}
+ */
+function parseStatement(text, options = {}) {
+  const csvRows = parseCsv(text);
+  if (csvRows.length < 2) throw new StatementError('The CSV has no data rows.');
+  if (csvRows.length - 1 > MAX_ROWS) throw new StatementError(`Imports are limited to ${MAX_ROWS} rows.`);
+
+  // Brokers put account titles above the header; start at the first row
+  // that matches
+  let headerIndex = 0;
+  let layout = options.mapping ? 'custom' : options.layout;
+  if (!options.mapping) {
+    if (layout && !LAYOUTS[layout]) {
+      throw new StatementError(`Unknown layout "${layout}". Use one of: ${Object.keys(LAYOUTS).join(', ')}.`);
+    }
+    headerIndex = csvRows.findIndex(row => (layout ? tryColumns(row, layout) : detectLayout(row)));
+    if (headerIndex === -1) {
+      throw new StatementError(layout
+        ? `The CSV does not match the ${LAYOUTS[layout].label} layout.`
+        : 'Could not recognise the CSV layout; choose one or supply a column mapping.');
+    }
+    layout = layout || detectLayout(csvRows[headerIndex]);
+  }
+  const mapping = options.mapping || LAYOUTS[layout].mapping;
+  const columns = resolveColumns(csvRows[headerIndex], mapping);
+
+  const rows = [];
+  const skipped = [];
+  const errors = [];
+  csvRows.slice(headerIndex + 1).forEach((cells, i) => {
+    const line = headerIndex + i + 2;
+    const cell = (field) => (columns[field] ? (cells[columns[field][0]] || '').trim() : '');
+    const sum = (field) => {
+      if (!columns[field]) return null;
+      const values = columns[field].map(index => parseAmount(cells[index])).filter(v => v !== null);
+      return values.length ? values.reduce((total, v) => total + v, 0) : null;
+    };
+
+    // Footer lines ("Transactions Total", disclaimers) have no date
+    const date = parseStatementDate(cell('date'));
+    if (!date) {
+      skipped.push({ line, reason: 'no date' });
+      return;
+    }
+    const type = parseAction(cell('type'));
+    if (!type) {
+      skipped.push({ line, reason: `not a buy, sell or dividend (${cell('type') || 'blank'})` });
+      return;
+    }
+    const symbol = cell('symbol').toUpperCase();
+    const quantity = sum('quantity');
+    const price = sum('price');
+    const amount = sum('amount');
+    const fee = sum('fee');
+    if ([quantity, price, amount, fee].some(v => Number.isNaN(v))) {
+      errors.push({ line, message: 'contains a value that is not a number' });
+      return;
+    }
+    const input = { type, symbol, date, fee: fee === null ? 0 : Math.abs(fee) };
+    if (type === 'dividend') {
+      input.amount = amount === null ? undefined : Math.abs(amount);
+    } else {
+      // Brokers sign quantities and amounts by direction; the type already says it
+      input.quantity = quantity === null ? undefined : Math.abs(quantity);
+      input.price = price === null ? undefined : Math.abs(price);
+    }
+    const note = cell('note');
+    if (note) input.note = note;
+    rows.push({ line, input });
+  });
+  return { layout, rows, skipped, errors };
+}
+
+/**
+ * Validates parsed rows against the ledger: every row must form a valid
+ * transaction for a known symbol, and the ledger with the new transactions
+ * appended must replay without overselling.
+ * @param {{transactions: Array<Object>}} data the current ledger
+ * @param {Array<{line: number, input: Object}>} rows
+ * @param {Set<string>} knownSymbols symbols the data provider can price
+ * @param {Object<string, Array<Object>>} [actions] corporate actions per
+ *   symbol, replayed with the ledger
+ * @returns {{transactions: Array<Object>, errors: Array<{line: (number|null), message: string}>}}
+ */
+function validateRows(data, rows, knownSymbols, actions = {}) {
+  const transactions = [...data.transactions];
+  const added = [];
+  const errors = [];
+  rows.forEach(({ line, input }) => {
+    // JSON rows arrive as sent, so the symbol may be of any type
+    if (input.symbol !== undefined && typeof input.symbol !== 'string') {
+      errors.push({ line, message: 'symbol must be a string' });
+      return;
+    }
+    if (input.symbol && !knownSymbols.has(input.symbol.toUpperCase())) {
+      errors.push({ line, message: `unknown symbol ${input.symbol}` });
+      return;
+    }
+    try {
+      const tx = ledger.createTransaction({ transactions }, input);
+      transactions.push(tx);
+      added.push(tx);
+    } catch (err) {
+      if (!(err instanceof ledger.LedgerError)) throw err;
+      errors.push({ line, message: err.message });
+    }
+  });
+  if (errors.length === 0 && added.length) {
+    try {
+      ledger.replay(transactions, 'fifo', actions);
+    } catch (err) {
+      if (!(err instanceof ledger.LedgerError)) throw err;
+      errors.push({ line: null, message: err.message });
+    }
+  }
+  return { transactions: added, errors };
+}
+
+/**
+ * Escapes text for HTML.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const percent = (n) => (typeof n === 'number' ? `${n.toFixed(2)}%` : '—');
+
+/**
+ * Renders a self-contained, printable performance report.
+ * @param {Object} report
+ * @param {string} report.title portfolio name
+ * @param {string} report.owner username
+ * @param {Object} report.summary ledger.summarise output
+ * @param {Object} report.analytics analysePortfolio output
+ * @param {Array<Object>} report.transactions
+ * @param {Date} [report.generatedAt]
+ * @returns {string} HTML document
+ */
+function renderReport(report) {
+  const { summary, analytics } = report;
+  const generatedAt = report.generatedAt || new Date();
+  const base = summary.currency || undefined;
+  // Totals are in the base currency, prices in each symbol's own
+  const money = (n, currency = base) => formatMoney(n, currency);
+  const currencyOf = {};
+  summary.holdings.forEach(h => { currencyOf[h.symbol] = h.currency || base; });
+  const open = summary.holdings.filter(h => !h.closed);
+  const weight = (symbol) => {
+    const entry = analytics.allocation.find(a => a.symbol === symbol);
+    return entry ? percent(entry.weight) : '—';
+  };
+  const risk = analytics.risk;
+  const rows = (items, render) => items.map(item => `<tr>${render(item).map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(report.title)} – Portfolio report</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #222; margin: 32px; }
+    h1 { margin-bottom: 4px; }
+    .meta { color: #6b7280; margin-bottom: 24px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 24px; font-size: 13px; }
+    th, td { padding: 4px 8px; text-align: left; border-bottom: 1px solid #e5e7eb; }
+    th { background-color: #f3f4f6; }
+    .totals { display: grid; grid-template-columns: repeat(6, 1fr); gap: 12px; margin-bottom: 24px; }
+    .totals div { border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px; }
+    .totals strong { display: block; font-size: 18px; }
+    .print { margin-bottom: 16px; }
+    @media print { .print { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <button class="print" onclick="window.print()">Print or save as PDF</button>
+  <h1>${escapeHtml(report.title)}</h1>
+  <p class="meta">Prepared for ${escapeHtml(report.owner)} on ${generatedAt.toISOString().slice(0, 10)} · cost basis ${escapeHtml(summary.method.toUpperCase())}${base ? ` · amounts in ${escapeHtml(base)}` : ''}</p>
+  <div class="totals">
+    <div>Market value<strong>${money(summary.totals.marketValue)}</strong></div>
+    <div>Cost basis<strong>${money(summary.totals.costBasis)}</strong></div>
+    <div>Unrealized P/L<strong>${money(summary.totals.unrealizedPL)}</strong></div>
+    <div>of which FX<strong>${money(summary.totals.fxGain)}</strong></div>
+    <div>Realized P/L + dividends<strong>${money(summary.totals.realizedPL + summary.totals.dividends)}</strong></div>
+    <div>Total return<strong>${money(summary.totals.totalReturn)}${summary.totals.totalReturnPercent === null ? '' : ` (${percent(summary.totals.totalReturnPercent)})`}</strong></div>
+  </div>
+  <h2>Holdings</h2>
+  <table>
+    <thead><tr><th>Symbol</th><th>Quantity</th><th>Avg. cost</th><th>Price</th><th>Value</th><th>Weight</th><th>Price gain</th><th>FX gain</th></tr></thead>
+    <tbody>
+${open.length ? rows(open, h => [escapeHtml(h.symbol), h.quantity, money(h.price, currencyOf[h.symbol]), money(h.currentPrice, currencyOf[h.symbol]), money(h.marketValue), weight(h.symbol), money(h.priceGain), money(h.fxGain)]) : '<tr><td colspan="8">No open positions.</td></tr>'}
+    </tbody>
+  </table>
+  <h2>Performance and risk</h2>
+  <table>
+    <tbody>
+      <tr><th>Total return</th><td>${percent(risk.totalReturn)}</td><th>Benchmark return</th><td>${percent(risk.benchmarkReturn)}</td></tr>
+      <tr><th>Volatility (annualised)</th><td>${percent(risk.volatility)}</td><th>Benchmark volatility</th><td>${percent(risk.benchmarkVolatility)}</td></tr>
+      <tr><th>Sharpe ratio</th><td>${risk.sharpeRatio === null ? '—' : risk.sharpeRatio}</td><th>Beta</th><td>${risk.beta === null ? '—' : risk.beta}</td></tr>
+      <tr><th>Max drawdown</th><td>${percent(risk.maxDrawdown)}</td><th>Daily observations</th><td>${risk.observations}</td></tr>
+    </tbody>
+  </table>
+  <h2>Transactions</h2>
+  <table>
+    <thead><tr><th>Date</th><th>Type</th><th>Symbol</th><th>Quantity</th><th>Price</th><th>Amount</th><th>Fee</th></tr></thead>
+    <tbody>
+${report.transactions.length ? rows(ledger.sortTransactions(report.transactions), tx => [tx.date, tx.type, escapeHtml(tx.symbol), tx.quantity === undefined ? '' : tx.quantity, tx.price === undefined ? '' : money(tx.price, currencyOf[tx.symbol]), tx.amount === undefined ? '' : money(tx.amount, currencyOf[tx.symbol]), money(tx.fee, currencyOf[tx.symbol])]) : '<tr><td colspan="7">No transactions.</td></tr>'}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Describes the built-in layouts for clients.
+ * @returns {Array<{name: string, label: string, mapping: Object}>}
+ */
+function describeLayouts() {
+  return Object.keys(LAYOUTS).map(name => ({ name, label: LAYOUTS[name].label, mapping: LAYOUTS[name].mapping }));
+}
+
+module.exports = {
+  StatementError,
+  LAYOUTS,
+  FIELDS,
+  holdingsCsv,
+  transactionsCsv,
+  parseStatement,
+  validateRows,
+  renderReport,
+  describeLayouts
+};
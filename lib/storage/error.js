@@ -0,0 +1,14 @@
+/**
+ * Error raised by the storage layer. The `status` is the HTTP status the API
+ * should answer with (500 for unreadable or unwritable data, 404 for a
+ * missing backup).
+ */
+class StorageError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+  }
+}
+
+module.exports = StorageError;
@@ -0,0 +1,238 @@
+/*
+ * Persistence for the app's documents (portfolios, users, watchlists and
+ * alerts). Each document is a JSON value read once and cached; the backend
+ * only decides where the text lives:
+ *
+ *   read(name)                    -> text | null when the document is new
+ *   write(name, text)             -> stores the text atomically
+ *   writeBackup(name, text, why)  -> backup id
+ *   listBackups(name)             -> [{ id, createdAt, reason }], newest first
+ *   readBackup(name, id)          -> text | null
+ *   deleteBackup(name, id)
+ *
+ * The backend is chosen by `config.storage.type`.
+ *
+ * Writes to a document are queued, so a read-modify-write through update()
+ * never interleaves with another one even when it awaits in between. Text
+ * that cannot be parsed is reported as an error rather than treated as an
+ * empty document, so it is never overwritten.
+ *
+ * Documents carry a schema `version`. Migrations (`{ version, description,
+ * up }`, oldest first) bring older data up to date when it is read; the
+ * original text is backed up the first time the migrated document is
+ * written. Backups are also taken before the first write after each
+ * `backups.intervalMinutes`, and only the newest `backups.keep` are kept.
+ */
+
+const StorageError = require('./error');
+const { createJsonBackend } = require('./json');
+const { createSqliteBackend } = require('./sqlite');
+
+const FACTORIES = {
+  json: (config, documents) => createJsonBackend({ dir: config.dir, backupDir: config.backups.dir }, documents),
+  sqlite: (config, documents) => createSqliteBackend({ file: config.sqlite.file, dir: config.dir }, documents)
+};
+
+/**
+ * Schema version of stored data; anything written before versioning is 0.
+ * @param {*} raw
+ * @returns {number}
+ */
+function versionOf(raw) {
+  return raw && !Array.isArray(raw) && Number.isInteger(raw.version) ? raw.version : 0;
+}
+
+/**
+ * Runs the migrations newer than the data's version.
+ * @param {*} raw parsed document
+ * @param {Array<{version: number, up: Function}>} migrations oldest first
+ * @param {string} label document name for error messages
+ * @returns {{doc: Object, from: number}}
+ */
+function migrate(raw, migrations, label) {
+  const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+  const from = versionOf(raw);
+  if (from > latest) {
+    throw new StorageError(`${label} has schema version ${from}, but this server only understands up to ${latest}.`);
+  }
+  const doc = migrations
+    .filter(m => m.version > from)
+    .reduce((current, m) => ({ ...m.up(current), version: m.version }), raw);
+  return { doc, from };
+}
+
+/**
+ * Creates the storage selected in the configuration.
+ * @param {Object} storageConfig `config.storage`
+ * @param {Object<string, {file: string, empty: Function, migrations: Array<Object>}>} documents
+ *   every document: its JSON file name, a factory for a new document and its
+ *   migrations
+ * @returns {Object} storage
+ */
+function createStorage(storageConfig, documents) {
+  const factory = FACTORIES[storageConfig.type];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${storageConfig.type}". Use one of: ${Object.keys(FACTORIES).join(', ')}.`);
+  }
+  const backend = factory(storageConfig, documents);
+  const intervalMs = storageConfig.backups.intervalMinutes * 60 * 1000;
+  const entries = {};
+  const queues = {};
+
+  const schemaOf = (name) => {
+    if (!documents[name]) throw new Error(`Unknown document "${name}"`);
+    return documents[name];
+  };
+  const latestVersion = (name) => {
+    const { migrations } = schemaOf(name);
+    return migrations.length ? migrations[migrations.length - 1].version : 0;
+  };
+
+  // The cached document with the text it was read from
+  function load(name) {
+    if (entries[name]) return entries[name];
+    const schema = schemaOf(name);
+    const text = backend.read(name);
+    if (text === null) {
+      entries[name] = { doc: { ...schema.empty(), version: latestVersion(name) }, text: null, from: latestVersion(name) };
+      return entries[name];
+    }
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (err) {
+      throw new StorageError(`${schema.file} is corrupted (${err.message}) and will not be written to. Restore it from a backup.`);
+    }
+    entries[name] = { text, ...migrate(raw, schema.migrations, schema.file) };
+    return entries[name];
+  }
+
+  async function takeBackup(name, text, reason) {
+    const id = await backend.writeBackup(name, text, reason);
+    entries[name].lastBackupAt = Date.now();
+    const stale = backend.listBackups(name).slice(storageConfig.backups.keep);
+    for (const backup of stale) await backend.deleteBackup(name, backup.id);
+    return id;
+  }
+
+  function backupDue(name) {
+    const entry = entries[name];
+    if (entry.lastBackupAt === undefined) {
+      const [newest] = backend.listBackups(name);
+      entry.lastBackupAt = newest ? Date.parse(newest.createdAt) : 0;
+    }
+    return Date.now() - entry.lastBackupAt >= intervalMs;
+  }
+
+  async function commit(name, doc, reason) {
+    const entry = load(name);
+    const text = JSON.stringify(doc, null, 2);
+    // Nothing changed: no write and no backup
+    if (text === entry.text && !reason) return;
+    if (entry.text !== null) {
+      const why = entry.from < latestVersion(name) ? 'migration' : reason || (backupDue(name) ? 'scheduled' : null);
+      if (why) await takeBackup(name, entry.text, why);
+    }
+    await backend.write(name, text);
+    entries[name] = { ...entries[name], doc, text, from: latestVersion(name) };
+  }
+
+  function enqueue(name, task) {
+    const run = (queues[name] || Promise.resolve()).then(task);
+    queues[name] = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    backend: backend.name,
+    location: backend.location,
+
+    /**
+     * A copy of a document; changing it has no effect until it is saved.
+     * @param {string} name
+     * @returns {Object}
+     */
+    read(name) {
+      return structuredClone(load(name).doc);
+    },
+
+    /**
+     * Read-modify-write of a document. `change` receives a copy to modify and
+     * may be async; its result is returned once the document is written. If
+     * it throws or changes nothing, nothing is written.
+     * @param {string} name
+     * @param {Function} change
+     * @param {{backup?: string}} [options] take a backup with this reason first
+     * @returns {Promise<*>}
+     */
+    update(name, change, options = {}) {
+      return enqueue(name, async () => {
+        const doc = structuredClone(load(name).doc);
+        const result = await change(doc);
+        await commit(name, doc, options.backup);
+        return result;
+      });
+    },
+
+    /**
+     * Replaces a document with a copy of `doc`, after any queued writes.
+     * @param {string} name
+     * @param {Object} doc
+     * @returns {Promise<void>}
+     */
+    save(name, doc) {
+      return enqueue(name, () => commit(name, structuredClone(doc)));
+    },
+
+    /**
+     * Backs up a document as it is now.
+     * @param {string} name
+     * @param {string} [reason]
+     * @returns {Promise<string|null>} backup id, or null for a new document
+     */
+    backup(name, reason = 'manual') {
+      return enqueue(name, async () => {
+        const entry = load(name);
+        return entry.text === null ? null : takeBackup(name, entry.text, reason);
+      });
+    },
+
+    /**
+     * @param {string} name
+     * @returns {Array<{id: string, createdAt: string, reason: string}>} newest first
+     */
+    listBackups(name) {
+      schemaOf(name);
+      return backend.listBackups(name);
+    },
+
+    /**
+     * A backup of a document, migrated to the current schema.
+     * @param {string} name
+     * @param {string} id
+     * @returns {Object}
+     */
+    readBackup(name, id) {
+      const schema = schemaOf(name);
+      const text = backend.readBackup(name, id);
+      if (text === null) throw new StorageError('Backup not found', 404);
+      try {
+        return migrate(JSON.parse(text), schema.migrations, schema.file).doc;
+      } catch (err) {
+        if (err instanceof StorageError) throw err;
+        throw new StorageError(`Backup ${id} of ${schema.file} is corrupted (${err.message}).`);
+      }
+    },
+
+    /**
+     * Waits for queued writes and releases the backend.
+     * @returns {Promise<void>}
+     */
+    async close() {
+      await Promise.all(Object.values(queues));
+      backend.close();
+    }
+  };
+}
+
+module.exports = { createStorage, StorageError, migrate, BACKENDS: Object.keys(FACTORIES) };
@@ -0,0 +1,90 @@
+/*
+ * Storage backend keeping each document in its own JSON file (portfolio.json,
+ * users.json, ...) with backups as separate files in a backup directory.
+ *
+ * Writes go to a temporary file in the same directory which is flushed to
+ * disk and then renamed over the original, so a crash mid-write leaves either
+ * the old or the new contents and never a truncated file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageError = require('./error');
+
+/**
+ * Writes a file atomically: temporary file, fsync, rename.
+ * @param {string} file
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+async function writeAtomic(file, text) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(tmp, 'w');
+  try {
+    await handle.writeFile(text);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tmp, file);
+}
+
+/**
+ * @param {{dir: string, backupDir: string}} options
+ * @param {Object<string, {file: string}>} documents file name of each document
+ * @returns {Object} backend
+ */
+function createJsonBackend(options, documents) {
+  let lastBackupId = 0;
+
+  const fileOf = (name) => path.join(options.dir, documents[name].file);
+  const backupPattern = (name) => new RegExp(`^${name}-(\\d+)-([a-z]+)\\.json$`);
+
+  const listBackups = (name) => {
+    if (!fs.existsSync(options.backupDir)) return [];
+    const pattern = backupPattern(name);
+    return fs.readdirSync(options.backupDir)
+      .map(file => file.match(pattern))
+      .filter(Boolean)
+      .map(([file, id, reason]) => ({ id, createdAt: new Date(Number(id)).toISOString(), reason, file }))
+      .sort((a, b) => Number(b.id) - Number(a.id));
+  };
+
+  return {
+    name: 'json',
+    location: options.dir,
+    read(name) {
+      try {
+        return fs.readFileSync(fileOf(name), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw new StorageError(`Could not read ${documents[name].file}: ${err.message}`);
+      }
+    },
+    async write(name, text) {
+      await writeAtomic(fileOf(name), text);
+    },
+    async writeBackup(name, text, reason) {
+      // Ids are creation times in ms, nudged forward when two land together
+      const id = Math.max(Date.now(), lastBackupId + 1);
+      lastBackupId = id;
+      await fs.promises.mkdir(options.backupDir, { recursive: true });
+      await writeAtomic(path.join(options.backupDir, `${name}-${id}-${reason}.json`), text);
+      return String(id);
+    },
+    listBackups(name) {
+      return listBackups(name).map(({ file, ...backup }) => backup);
+    },
+    readBackup(name, id) {
+      const backup = listBackups(name).find(b => b.id === String(id));
+      return backup ? fs.readFileSync(path.join(options.backupDir, backup.file), 'utf8') : null;
+    },
+    async deleteBackup(name, id) {
+      const backup = listBackups(name).find(b => b.id === String(id));
+      if (backup) await fs.promises.unlink(path.join(options.backupDir, backup.file));
+    },
+    close() {}
+  };
+}
+
+module.exports = { createJsonBackend, writeAtomic };
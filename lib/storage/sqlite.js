@@ -0,0 +1,99 @@
+/*
+ * Storage backend using the SQLite database built into Node.js (node:sqlite,
+ * Node 22.5 or later). Each document is one row of the `documents` table and
+ * backups are rows of `backups`, so every write is a single transaction.
+ *
+ * A document that is not in the database yet is read from its JSON file, if
+ * there is one, so switching an existing installation to SQLite carries its
+ * data over on the first write.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageError = require('./error');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    body TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS backups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    body TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS backups_by_name ON backups (name, id);
+`;
+
+/**
+ * Loads node:sqlite, which older Node versions do not have.
+ * @returns {Function} the DatabaseSync class
+ */
+function loadDriver() {
+  try {
+    return require('node:sqlite').DatabaseSync;
+  } catch (err) {
+    throw new StorageError(`The sqlite storage backend needs Node.js 22.5 or later (node:sqlite is unavailable in ${process.version}).`);
+  }
+}
+
+/**
+ * @param {{file: string, dir: string}} options database file, and the
+ *   directory of the JSON files to carry over
+ * @param {Object<string, {file: string}>} documents
+ * @returns {Object} backend
+ */
+function createSqliteBackend(options, documents) {
+  const DatabaseSync = loadDriver();
+  fs.mkdirSync(path.dirname(options.file), { recursive: true });
+  const db = new DatabaseSync(options.file);
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    read: db.prepare('SELECT body FROM documents WHERE name = ?'),
+    write: db.prepare(`INSERT INTO documents (name, body, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (name) DO UPDATE SET body = excluded.body, updated_at = excluded.updated_at`),
+    addBackup: db.prepare('INSERT INTO backups (name, reason, created_at, body) VALUES (?, ?, ?, ?)'),
+    listBackups: db.prepare('SELECT id, created_at, reason FROM backups WHERE name = ? ORDER BY id DESC'),
+    readBackup: db.prepare('SELECT body FROM backups WHERE name = ? AND id = ?'),
+    deleteBackup: db.prepare('DELETE FROM backups WHERE name = ? AND id = ?')
+  };
+
+  return {
+    name: 'sqlite',
+    location: options.file,
+    read(name) {
+      const row = statements.read.get(name);
+      if (row) return row.body;
+      const legacy = path.join(options.dir, documents[name].file);
+      return fs.existsSync(legacy) ? fs.readFileSync(legacy, 'utf8') : null;
+    },
+    async write(name, text) {
+      statements.write.run(name, text, new Date().toISOString());
+    },
+    async writeBackup(name, text, reason) {
+      const result = statements.addBackup.run(name, reason, new Date().toISOString(), text);
+      return String(result.lastInsertRowid);
+    },
+    listBackups(name) {
+      return statements.listBackups.all(name)
+        .map(row => ({ id: String(row.id), createdAt: row.created_at, reason: row.reason }));
+    },
+    readBackup(name, id) {
+      const row = statements.readBackup.get(name, Number(id));
+      return row ? row.body : null;
+    },
+    async deleteBackup(name, id) {
+      statements.deleteBackup.run(name, Number(id));
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteBackend };
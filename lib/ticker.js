@@ -0,0 +1,284 @@
+/*
+ * Simulated real-time prices. For every symbol that is being watched the
+ * ticker runs an intraday session as a geometric Brownian motion anchored on
+ * the last stored close, with a per-tick volatility derived from the symbol's
+ * historical daily returns. Each tick updates the session's open/high/low/
+ * last price and volume and emits a `quote` event; after `ticksPerSession`
+ * ticks the session is closed into a daily bar and a new one starts on the
+ * next weekday. Closed sessions run far ahead of the calendar, so they are
+ * only streamed and kept (the last `keepSessions` of them) for the live
+ * chart, never added to the stored history. The random generator is seeded per symbol so a given seed
+ * always produces the same path. A symbol is re-anchored with `reset` when
+ * its stored bars change, e.g. after an import.
+ */
+
+const { EventEmitter } = require('events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+  intervalMs: 1000,
+  ticksPerSession: 390,
+  seed: 42,
+  // Daily drift of the log price; 0 gives a driftless random walk
+  drift: 0,
+  // Closed sessions remembered per symbol
+  keepSessions: 20
+};
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Mulberry32 pseudo-random generator returning floats in [0, 1).
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hashes a string into a 32-bit seed.
+ * @param {string} text
+ * @returns {number}
+ */
+function hashSeed(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Standard normal sample from a uniform generator (Box-Muller).
+ * @param {function(): number} random
+ * @returns {number}
+ */
+function gaussian(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Standard deviation of daily log returns over the series.
+ * @param {Array<{close: number}>} bars
+ * @returns {number}
+ */
+function dailyVolatility(bars) {
+  const returns = [];
+  for (let i = 1; i < bars.length; i++) returns.push(Math.log(bars[i].close / bars[i - 1].close));
+  if (returns.length < 2) return 0.02;
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance) || 0.02;
+}
+
+/**
+ * First weekday after the given UTC midnight timestamp.
+ * @param {number} date
+ * @returns {number}
+ */
+function nextTradingDay(date) {
+  let next = date + DAY_MS;
+  while ([0, 6].includes(new Date(next).getUTCDay())) next += DAY_MS;
+  return next;
+}
+
+/**
+ * Creates a ticker.
+ * @param {{getStock: function(string): Promise<Object|null>}} source where
+ *   the historical bars come from
+ * @param {Object} [options] intervalMs, ticksPerSession, seed, drift,
+ *   keepSessions
+ * @returns {EventEmitter} ticker with getQuote, getCompletedBars, watch,
+ *   unwatch, reset, tick and stop methods; emits `quote` and `bar`
+ */
+function createTicker(source, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const ticker = new EventEmitter();
+  ticker.setMaxListeners(0);
+  const states = new Map();
+  const watchers = new Map();
+  // Bumped by reset so a state built from bars read before it is discarded
+  const generations = new Map();
+  let timer = null;
+
+  const startSession = (state, open, date) => {
+    state.session = { date, open, high: open, low: open, price: open, volume: 0, ticks: 0 };
+  };
+
+  const ensureState = async (symbol) => {
+    if (states.has(symbol)) return states.get(symbol);
+    const generation = generations.get(symbol) || 0;
+    const stock = await source.getStock(symbol);
+    // The bars were replaced while we were reading them; read them again
+    if ((generations.get(symbol) || 0) !== generation) return ensureState(symbol);
+    if (!stock || stock.priceData.length === 0) return null;
+    // Another caller may have initialised the symbol while we were waiting
+    if (states.has(symbol)) return states.get(symbol);
+    const bars = stock.priceData;
+    const last = bars[bars.length - 1];
+    const volumes = bars.slice(-20).map(bar => bar.volume || 0);
+    const state = {
+      symbol,
+      previousClose: last.close,
+      sigma: dailyVolatility(bars.slice(-30)) / Math.sqrt(opts.ticksPerSession),
+      mu: opts.drift / opts.ticksPerSession,
+      volumePerTick: volumes.reduce((sum, v) => sum + v, 0) / (volumes.length || 1) / opts.ticksPerSession,
+      random: mulberry32(hashSeed(`${opts.seed}:${symbol}`)),
+      completed: []
+    };
+    startSession(state, last.close, nextTradingDay(last.date));
+    states.set(symbol, state);
+    return state;
+  };
+
+  const quoteOf = (state) => {
+    const { session } = state;
+    const change = session.price - state.previousClose;
+    return {
+      symbol: state.symbol,
+      price: round(session.price),
+      open: round(session.open),
+      high: round(session.high),
+      low: round(session.low),
+      volume: Math.round(session.volume),
+      previousClose: state.previousClose,
+      change: round(change),
+      changePercent: round((change / state.previousClose) * 100),
+      date: session.date,
+      time: Date.now()
+    };
+  };
+
+  const advance = (state) => {
+    const { session } = state;
+    const shock = gaussian(state.random);
+    session.price *= Math.exp(state.mu - (state.sigma ** 2) / 2 + state.sigma * shock);
+    session.high = Math.max(session.high, session.price);
+    session.low = Math.min(session.low, session.price);
+    session.volume += state.volumePerTick * Math.exp(0.5 * gaussian(state.random) - 0.125);
+    session.ticks++;
+    ticker.emit('quote', quoteOf(state));
+    if (session.ticks >= opts.ticksPerSession) {
+      const bar = {
+        date: session.date,
+        open: round(session.open),
+        high: round(session.high),
+        low: round(session.low),
+        close: round(session.price),
+        volume: Math.round(session.volume)
+      };
+      state.completed.push(bar);
+      if (state.completed.length > opts.keepSessions) state.completed.shift();
+      state.previousClose = bar.close;
+      ticker.emit('bar', { symbol: state.symbol, bar });
+      startSession(state, bar.close, nextTradingDay(session.date));
+    }
+  };
+
+  /**
+   * Advances every watched symbol by one tick.
+   */
+  ticker.tick = () => {
+    for (const symbol of watchers.keys()) {
+      const state = states.get(symbol);
+      if (state) advance(state);
+    }
+  };
+
+  const schedule = () => {
+    if (!timer && watchers.size > 0 && opts.intervalMs > 0) {
+      timer = setInterval(ticker.tick, opts.intervalMs);
+      timer.unref();
+    } else if (timer && watchers.size === 0) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  /**
+   * Current quote for a symbol, or null if the symbol is unknown.
+   * @param {string} symbol
+   * @returns {Promise<Object|null>}
+   */
+  ticker.getQuote = async (symbol) => {
+    const state = await ensureState(symbol);
+    return state ? quoteOf(state) : null;
+  };
+
+  /**
+   * Daily bars produced by the last completed simulated sessions.
+   * @param {string} symbol
+   * @returns {Array<Object>}
+   */
+  ticker.getCompletedBars = (symbol) => {
+    const state = states.get(symbol);
+    return state ? state.completed : [];
+  };
+
+  /**
+   * Starts simulating the given symbols; returns those that are known.
+   * @param {string[]} symbols
+   * @returns {Promise<string[]>}
+   */
+  ticker.watch = async (symbols) => {
+    const known = [];
+    for (const symbol of symbols) {
+      if (!(await ensureState(symbol))) continue;
+      watchers.set(symbol, (watchers.get(symbol) || 0) + 1);
+      known.push(symbol);
+    }
+    schedule();
+    return known;
+  };
+
+  /**
+   * Releases symbols previously passed to watch.
+   * @param {string[]} symbols
+   */
+  ticker.unwatch = (symbols) => {
+    symbols.forEach(symbol => {
+      const count = (watchers.get(symbol) || 0) - 1;
+      if (count > 0) watchers.set(symbol, count); else watchers.delete(symbol);
+    });
+    schedule();
+  };
+
+  /**
+   * Forgets a symbol's session and simulated bars so the next quote is
+   * anchored on its stored bars again, as they are after an import. A
+   * watched symbol is re-anchored straight away and its new quote emitted.
+   * @param {string} symbol
+   * @returns {Promise<void>}
+   */
+  ticker.reset = async (symbol) => {
+    generations.set(symbol, (generations.get(symbol) || 0) + 1);
+    states.delete(symbol);
+    if (!watchers.has(symbol)) return;
+    const state = await ensureState(symbol);
+    if (state) ticker.emit('quote', quoteOf(state));
+  };
+
+  /**
+   * Stops the timer (used on shutdown).
+   */
+  ticker.stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return ticker;
+}
+
+module.exports = { createTicker, mulberry32, gaussian, nextTradingDay, dailyVolatility, DEFAULTS };
@@ -0,0 +1,183 @@
+/*
+ * Named watchlists of symbols a user wants to follow without holding them.
+ * The functions operate on the document stored in watchlists.json,
+ * `{ watchlists: [{ id, owner, name, symbols, createdAt }] }`, and mutate it in
+ * place. Every lookup is scoped to the owning user id; watchlists created
+ * before accounts existed have no owner until the first user claims them.
+ */
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Error raised for invalid watchlist operations; `status` is the HTTP status.
+ */
+class WatchlistError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WatchlistError';
+    this.status = status;
+  }
+}
+
+/**
+ * Returns a well-formed watchlists document.
+ * @param {*} raw parsed watchlists.json (or undefined)
+ * @returns {{watchlists: Array<Object>}}
+ */
+function normaliseWatchlists(raw) {
+  return raw && Array.isArray(raw.watchlists) ? raw : { watchlists: [] };
+}
+
+/**
+ * Schema migrations of watchlists.json, oldest first (see lib/storage).
+ */
+const MIGRATIONS = [
+  { version: 1, description: 'Versioned watchlists document', up: raw => normaliseWatchlists(raw) }
+];
+
+/**
+ * Validates a watchlist name.
+ * @param {*} name
+ * @returns {string}
+ */
+function cleanName(name) {
+  if (typeof name !== 'string' || !name.trim()) throw new WatchlistError('A watchlist name is required.');
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new WatchlistError(`Watchlist names are limited to ${MAX_NAME_LENGTH} characters.`);
+  }
+  return trimmed;
+}
+
+/**
+ * The watchlists owned by a user.
+ * @param {{watchlists: Array<Object>}} doc
+ * @param {number} owner user id
+ * @returns {Array<Object>}
+ */
+function watchlistsOf(doc, owner) {
+  return doc.watchlists.filter(w => w.owner === owner);
+}
+
+/**
+ * Finds one of a user's watchlists by id or throws a 404.
+ * @param {{watchlists: Array<Object>}} doc
+ * @param {number|string} id
+ * @param {number} owner
+ * @returns {Object}
+ */
+function findWatchlist(doc, id, owner) {
+  const list = watchlistsOf(doc, owner).find(w => String(w.id) === String(id));
+  if (!list) throw new WatchlistError('Watchlist not found', 404);
+  return list;
+}
+
+/**
+ * Creates a watchlist.
+ * @param {{watchlists: Array<Object>}} doc
+ * @param {{name: string, symbols?: string[]}} input symbols must already be validated
+ * @param {number} owner
+ * @returns {Object}
+ */
+function createWatchlist(doc, input, owner) {
+  const name = cleanName(input.name);
+  if (watchlistsOf(doc, owner).some(w => w.name.toLowerCase() === name.toLowerCase())) {
+    throw new WatchlistError(`A watchlist named "${name}" already exists.`, 409);
+  }
+  const id = doc.watchlists.reduce((max, w) => Math.max(max, w.id), 0) + 1;
+  const list = {
+    id,
+    owner,
+    name,
+    symbols: [...new Set((input.symbols || []).map(s => s.toUpperCase()))],
+    createdAt: new Date().toISOString()
+  };
+  doc.watchlists.push(list);
+  return list;
+}
+
+/**
+ * Renames a watchlist.
+ * @param {{watchlists: Array<Object>}} doc
+ * @param {number|string} id
+ * @param {string} name
+ * @param {number} owner
+ * @returns {Object}
+ */
+function renameWatchlist(doc, id, name, owner) {
+  const list = findWatchlist(doc, id, owner);
+  const clean = cleanName(name);
+  if (watchlistsOf(doc, owner).some(w => w !== list && w.name.toLowerCase() === clean.toLowerCase())) {
+    throw new WatchlistError(`A watchlist named "${clean}" already exists.`, 409);
+  }
+  list.name = clean;
+  return list;
+}
+
+/**
+ * Adds a symbol to a watchlist (no-op if it is already there).
+ * @param {{watchlists: Array<Object>}} doc
+ * @param {number|string} id
+ * @param {string} symbol
+ * @param {number} owner
+ * @returns {Object}
+ */
+function addSymbol(doc, id, symbol, owner) {
+  const list = findWatchlist(doc, id, owner);
+  if (!list.symbols.includes(symbol)) list.symbols.push(symbol);
+  return list;
+}
+
+/**
+ * Removes a symbol from a watchlist.
+ * @param {{watchlists: Array<Object>}} doc
+ * @param {number|string} id
+ * @param {string} symbol
+ * @param {number} owner
+ * @returns {Object}
+ */
+function removeSymbol(doc, id, symbol, owner) {
+  const list = findWatchlist(doc, id, owner);
+  if (!list.symbols.includes(symbol)) throw new WatchlistError(`${symbol} is not on this watchlist`, 404);
+  list.symbols = list.symbols.filter(s => s !== symbol);
+  return list;
+}
+
+/**
+ * Deletes a watchlist.
+ * @param {{watchlists: Array<Object>}} doc
+ * @param {number|string} id
+ * @param {number} owner
+ * @returns {Object} the removed watchlist
+ */
+function deleteWatchlist(doc, id, owner) {
+  const list = findWatchlist(doc, id, owner);
+  doc.watchlists = doc.watchlists.filter(w => w !== list);
+  return list;
+}
+
+/**
+ * Assigns every unowned watchlist to a user.
+ * @param {{watchlists: Array<Object>}} doc
+ * @param {number} owner
+ * @returns {number} how many watchlists were claimed
+ */
+function claimUnowned(doc, owner) {
+  const unowned = doc.watchlists.filter(w => w.owner === null || w.owner === undefined);
+  unowned.forEach(w => { w.owner = owner; });
+  return unowned.length;
+}
+
+module.exports = {
+  WatchlistError,
+  MIGRATIONS,
+  normaliseWatchlists,
+  watchlistsOf,
+  findWatchlist,
+  createWatchlist,
+  renameWatchlist,
+  addSymbol,
+  removeSymbol,
+  deleteWatchlist,
+  claimUnowned
+};
@@ -10,41 +10,231 @@
 // API base URL. In development the app runs from the same origin as the server
 // so a relative path suffices. When deployed to Firebase Functions you may
 // need to adjust this to point at your function endpoint.
-const API_BASE = '/api';
+const API_BASE = '/api/v1';
 
 // DOM references
+const authScreen = document.getElementById('auth-screen');
+const authForm = document.getElementById('auth-form');
+const appEl = document.getElementById('app');
+const accountName = document.getElementById('account-name');
+const portfolioSelect = document.getElementById('portfolio-select');
 const stocksView = document.getElementById('stocks-view');
+const newsView = document.getElementById('news-view');
+const screenerView = document.getElementById('screener-view');
 const portfolioView = document.getElementById('portfolio-view');
+const backtestView = document.getElementById('backtest-view');
+const planningView = document.getElementById('planning-view');
+const alertsView = document.getElementById('alerts-view');
 const navStocks = document.getElementById('nav-stocks');
+const navNews = document.getElementById('nav-news');
+const navScreener = document.getElementById('nav-screener');
 const navPortfolio = document.getElementById('nav-portfolio');
+const navBacktest = document.getElementById('nav-backtest');
+const navPlanning = document.getElementById('nav-planning');
+const navAlerts = document.getElementById('nav-alerts');
+const alertsBadge = document.getElementById('alerts-badge');
 const searchInput = document.getElementById('search-input');
 const searchButton = document.getElementById('search-button');
 const searchResults = document.getElementById('search-results');
+const comparePanel = document.getElementById('compare-panel');
+const compareSymbolsEl = document.getElementById('compare-symbols');
+const compareResults = document.getElementById('compare-results');
 const stockDetails = document.getElementById('stock-details');
 const stockTitle = document.getElementById('stock-title');
 const lastPriceEl = document.getElementById('last-price');
 const recommendationEl = document.getElementById('recommendation');
 const recommendationRationaleEl = document.getElementById('recommendation-rationale');
+const recommendationConfidenceEl = document.getElementById('recommendation-confidence');
+const recommendationFactorsEl = document.getElementById('recommendation-factors');
+const recommendationSuitabilityEl = document.getElementById('recommendation-suitability');
 const newsSummaryEl = document.getElementById('news-summary');
+const newsSentimentEl = document.getElementById('news-sentiment');
 const newsListEl = document.getElementById('news-list');
-const quantityInput = document.getElementById('quantity-input');
-const addPortfolioButton = document.getElementById('add-portfolio-button');
+const orderTicket = document.getElementById('order-ticket');
+const orderSideSelect = document.getElementById('order-side');
+const orderTypeSelect = document.getElementById('order-type');
+const orderQuantityInput = document.getElementById('order-quantity');
+const orderPriceLabel = document.getElementById('order-price-label');
+const orderPriceInput = document.getElementById('order-price');
+const orderTicketNote = document.getElementById('order-ticket-note');
+const screenerFilters = document.getElementById('screener-filters');
+const screenerResults = document.getElementById('screener-results');
+const screenerSummary = document.getElementById('screener-summary');
+const screenerHead = document.getElementById('screener-head');
+const screenerBody = document.getElementById('screener-body');
+const paperOpenForm = document.getElementById('paper-open-form');
+const paperAccountEl = document.getElementById('paper-account');
+const paperSummary = document.getElementById('paper-summary');
+const paperOrdersBody = document.getElementById('paper-orders');
 const portfolioBody = document.getElementById('portfolio-body');
+const portfolioTotals = document.getElementById('portfolio-totals');
+const costMethodSelect = document.getElementById('cost-method');
+const baseCurrencySelect = document.getElementById('base-currency');
+const portfolioAnalytics = document.getElementById('portfolio-analytics');
+const valueChartNote = document.getElementById('value-chart-note');
+const riskCard = document.getElementById('risk-card');
+const correlationTable = document.getElementById('correlation-table');
+const targetsBody = document.getElementById('targets-body');
+const rebalanceForm = document.getElementById('rebalance-form');
+const rebalancePlan = document.getElementById('rebalance-plan');
+const rebalanceAllocation = document.getElementById('rebalance-allocation');
+const whatIfBody = document.getElementById('what-if-body');
+const whatIfResults = document.getElementById('what-if-results');
+const whatIfHoldings = document.getElementById('what-if-holdings');
+const importForm = document.getElementById('import-form');
+const importLayoutSelect = document.getElementById('import-layout');
+const importResults = document.getElementById('import-results');
+const importRows = document.getElementById('import-rows');
+const lotsPanel = document.getElementById('lots-panel');
+const lotsTitle = document.getElementById('lots-title');
+const lotsBody = document.getElementById('lots-body');
+const transactionsBody = document.getElementById('transactions-body');
+const backtestForm = document.getElementById('backtest-form');
+const backtestSymbolInput = document.getElementById('backtest-symbol');
+const backtestResults = document.getElementById('backtest-results');
+const backtestMetrics = document.getElementById('backtest-metrics');
+const backtestTrades = document.getElementById('backtest-trades');
+const riskProfileForm = document.getElementById('risk-profile-form');
+const riskQuestionsEl = document.getElementById('risk-questions');
+const riskProfileResult = document.getElementById('risk-profile-result');
+const goalForm = document.getElementById('goal-form');
+const goalResults = document.getElementById('goal-results');
+const goalSummary = document.getElementById('goal-summary');
+const goalSuitability = document.getElementById('goal-suitability');
+const alertLogBody = document.getElementById('alert-log-body');
+const alertRulesBody = document.getElementById('alert-rules-body');
+const alertRuleForm = document.getElementById('alert-rule-form');
+const alertTypeSelect = document.getElementById('alert-type');
+const watchlistForm = document.getElementById('watchlist-form');
+const watchlistNameInput = document.getElementById('watchlist-name');
+const watchlistsEl = document.getElementById('watchlists');
+const offlineBanner = document.getElementById('offline-banner');
+const offlineStatus = document.getElementById('offline-status');
+const offlineQueue = document.getElementById('offline-queue');
+
+// Each sidebar entry maps to the view it shows
+const views = {
+  stocks: { view: stocksView, nav: navStocks },
+  news: { view: newsView, nav: navNews },
+  screener: { view: screenerView, nav: navScreener },
+  portfolio: { view: portfolioView, nav: navPortfolio },
+  backtest: { view: backtestView, nav: navBacktest },
+  planning: { view: planningView, nav: navPlanning },
+  alerts: { view: alertsView, nav: navAlerts }
+};
 
 let currentSymbol = null;
 let chartInstance = null;
+// Stock chart: the last /api/stock response, its news and the chosen view
+let chartData = null;
+let chartNews = [];
+let chartInterval = 'daily';
+let chartRange = 'all';
+let lotsSymbol = null;
+let backtestChart = null;
+let goalChart = null;
+let allocationChart = null;
+let valueChart = null;
+// Symbols picked from search results for the comparison chart
+const MAX_COMPARE = 8;
+let compareList = [];
+let compareChart = null;
+// News view: articles per page and how many are shown
+const NEWS_PAGE_SIZE = 20;
+let newsOffset = 0;
+// Screener: field descriptions from the server, the sort key and the page shown
+const SCREENER_PAGE_SIZE = 25;
+let screenerFields = [];
+let screenerSort = 'symbol';
+let screenerOffset = 0;
+// Live quotes: the open EventSource, the symbols it follows and the holdings
+// whose table rows it keeps up to date
+let quoteStream = null;
+let streamSymbols = '';
+let liveHoldings = [];
+// Total return of the closed positions and the amount ever invested, for the
+// live totals row
+let closedReturn = 0;
+let portfolioInvested = 0;
+// Id of the portfolio shown in the Portfolio view, and the user's portfolios
+let activePortfolio = null;
+let portfolioList = [];
+// Open orders of the selected paper trading portfolio, and the pending
+// refresh that picks up their fills
+let pendingOrders = [];
+let paperRefresh = null;
+// Currency portfolio values are shown in, and that of the stock on screen
+let baseCurrency = 'USD';
+let stockCurrency = 'USD';
+// Offline: the IndexedDB copies of API responses and queued portfolio
+// edits, the save time of the oldest copy on screen, and the replay of the
+// queue with its retry
+const OFFLINE_DB = 'advisor-offline';
+const REPLAY_INTERVAL_MS = 30000;
+let offlineDb = null;
+let staleSince = null;
+let replaying = false;
+let replayTimer = null;
 
 // Initialise event listeners
 function init() {
+  // Sign in, register and log out
+  authForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitAuth(e.submitter && e.submitter.dataset.mode === 'register' ? 'register' : 'login');
+  });
+  document.getElementById('logout-button').addEventListener('click', logout);
+
+  // The service worker keeps the app shell so the app opens offline; edits
+  // queued meanwhile go out as soon as the connection is back
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.error(err));
+  }
+  window.addEventListener('online', replayOutbox);
+
   // Navigation buttons
   navStocks.addEventListener('click', () => {
     setActiveView('stocks');
   });
+  navNews.addEventListener('click', () => {
+    setActiveView('news');
+    loadNewsView();
+  });
+  navScreener.addEventListener('click', () => {
+    setActiveView('screener');
+    openScreener();
+  });
   navPortfolio.addEventListener('click', () => {
     setActiveView('portfolio');
     loadPortfolio();
+    loadTargets();
+  });
+  navBacktest.addEventListener('click', () => {
+    if (currentSymbol && !backtestSymbolInput.value) {
+      backtestSymbolInput.value = currentSymbol;
+    }
+    setActiveView('backtest');
+  });
+  navPlanning.addEventListener('click', () => {
+    setActiveView('planning');
+    loadRiskProfile();
+  });
+  navAlerts.addEventListener('click', () => {
+    if (currentSymbol && !document.getElementById('alert-symbol').value) {
+      document.getElementById('alert-symbol').value = currentSymbol;
+    }
+    setActiveView('alerts');
+    loadAlertsView();
   });
 
+  // News filters, paging and refresh
+  document.getElementById('news-filter-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadNews();
+  });
+  document.getElementById('news-more-button').addEventListener('click', () => loadNews(true));
+  document.getElementById('news-refresh-button').addEventListener('click', refreshNews);
+
   // Search functionality
   searchButton.addEventListener('click', performSearch);
   searchInput.addEventListener('keydown', (e) => {
@@ -53,28 +243,609 @@ function init() {
     }
   });
 
-  // Add to portfolio button
-  addPortfolioButton.addEventListener('click', addToPortfolio);
+  // Chart range, interval, overlays and lower pane
+  document.getElementById('range-buttons').addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-range]');
+    if (!btn || !chartData) return;
+    chartRange = btn.dataset.range;
+    document.querySelectorAll('#range-buttons button').forEach(b => b.classList.toggle('active', b === btn));
+    loadChart().catch(err => alert(err.message));
+  });
+  document.getElementById('chart-interval').addEventListener('change', (e) => {
+    chartInterval = e.target.value;
+    if (currentSymbol) loadChart().catch(err => alert(err.message));
+  });
+  document.querySelectorAll('[data-overlay], #sma-period, #ema-period, #lower-pane').forEach(control => {
+    control.addEventListener('change', () => {
+      if (currentSymbol) loadChart().catch(err => alert(err.message));
+    });
+  });
+
+  // Comparison of the symbols picked from search results
+  document.getElementById('compare-button').addEventListener('click', runComparison);
+  document.getElementById('clear-compare-button').addEventListener('click', () => {
+    compareList = [];
+    renderCompareList();
+  });
+
+  // Order ticket
+  orderTicket.addEventListener('submit', (e) => {
+    e.preventDefault();
+    placeOrder();
+  });
+  orderSideSelect.addEventListener('change', updateOrderTicket);
+  orderTypeSelect.addEventListener('change', updateOrderTicket);
+
+  // Recompute P/L when the cost-basis method or base currency changes
+  costMethodSelect.addEventListener('change', loadPortfolio);
+  baseCurrencySelect.addEventListener('change', () => saveBaseCurrency(baseCurrencySelect.value));
+
+  // Switching between and managing named portfolios
+  portfolioSelect.addEventListener('change', () => {
+    activePortfolio = portfolioSelect.value;
+    loadPortfolio();
+    loadTargets();
+    updateOrderTicket();
+  });
+  document.getElementById('new-portfolio-button').addEventListener('click', createPortfolio);
+  document.getElementById('rename-portfolio-button').addEventListener('click', renamePortfolio);
+  document.getElementById('delete-portfolio-button').addEventListener('click', deletePortfolio);
+
+  // Opening and closing a paper trading account
+  paperOpenForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    openPaperAccount();
+  });
+  document.getElementById('close-paper-button').addEventListener('click', closePaperAccount);
+
+  // Target allocation, rebalancing and what-if trades
+  document.getElementById('add-target-button').addEventListener('click', () => addTargetRow('', ''));
+  document.getElementById('save-targets-button').addEventListener('click', saveTargets);
+  rebalanceForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    planRebalance();
+  });
+  document.getElementById('add-trade-button').addEventListener('click', () => addTradeRow({ type: 'buy', symbol: '', quantity: 1 }));
+  document.getElementById('preview-trades-button').addEventListener('click', () => submitWhatIf(false));
+  document.getElementById('commit-trades-button').addEventListener('click', () => submitWhatIf(true));
+
+  // Exports, the printable report and statement imports
+  document.querySelectorAll('[data-export]').forEach(button => {
+    button.addEventListener('click', () => {
+      const [format, content] = button.dataset.export.split(':');
+      window.location.href = portfolioUrl(`/portfolio/export?format=${format}&content=${content}&method=${costMethodSelect.value}`);
+    });
+  });
+  document.getElementById('report-button').addEventListener('click', () => {
+    window.open(portfolioUrl(`/portfolio/report?method=${costMethodSelect.value}`), '_blank');
+  });
+  importLayoutSelect.addEventListener('change', () => {
+    document.getElementById('import-mapping-label').classList.toggle('hidden', importLayoutSelect.value !== 'custom');
+  });
+  importForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    importStatement(true);
+  });
+  document.getElementById('import-button').addEventListener('click', () => importStatement(false));
+
+  // Screener filters, paging and sorting by column
+  document.getElementById('add-filter-button').addEventListener('click', () => addFilterRow());
+  document.getElementById('run-screener-button').addEventListener('click', () => runScreener(0));
+  document.getElementById('screener-prev').addEventListener('click', () => runScreener(Math.max(0, screenerOffset - SCREENER_PAGE_SIZE)));
+  document.getElementById('screener-next').addEventListener('click', () => runScreener(screenerOffset + SCREENER_PAGE_SIZE));
+  screenerHead.addEventListener('click', (e) => {
+    const th = e.target.closest('th[data-sort]');
+    if (!th) return;
+    screenerSort = screenerSort === th.dataset.sort ? `-${th.dataset.sort}` : th.dataset.sort;
+    runScreener(0);
+  });
+
+  // Backtest form
+  backtestForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    runBacktest();
+  });
+
+  // Planning forms
+  riskProfileForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveRiskProfile();
+  });
+  goalForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    runGoalPlan();
+  });
+
+  // Alert rule and watchlist forms
+  alertTypeSelect.addEventListener('change', () => {
+    alertRuleForm.querySelectorAll('[data-alert-field]').forEach(label => {
+      label.classList.toggle('hidden', label.dataset.alertField !== alertTypeSelect.value);
+    });
+  });
+  alertRuleForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    createAlertRule();
+  });
+  watchlistForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    createWatchlist();
+  });
+
+  checkSession();
 }
 
 /**
- * Switches between the Stocks and Portfolio views.
- * @param {('stocks'|'portfolio')} view
+ * Shows the app for a signed-in user, or the sign-in screen otherwise.
  */
-function setActiveView(view) {
-  if (view === 'stocks') {
-    stocksView.classList.add('active');
-    portfolioView.classList.remove('active');
-    navStocks.classList.add('active');
-    navPortfolio.classList.remove('active');
-  } else {
-    stocksView.classList.remove('active');
-    portfolioView.classList.add('active');
-    navStocks.classList.remove('active');
-    navPortfolio.classList.add('active');
+async function checkSession() {
+  try {
+    const res = await fetchCached(`${API_BASE}/auth/me`);
+    if (!res.ok) {
+      // Copies saved for a previous session must not outlive it
+      if (res.status === 401) offlineStore('responses', 'readwrite', store => store.clear()).catch(() => {});
+      authScreen.classList.remove('hidden');
+      return;
+    }
+    const data = await res.json();
+    startApp(data.user, data.portfolios);
+  } catch (err) {
+    console.error(err);
+    authScreen.classList.remove('hidden');
+  }
+}
+
+/**
+ * Logs in or registers with the credentials in the sign-in form.
+ * @param {('login'|'register')} mode
+ */
+async function submitAuth(mode) {
+  try {
+    const res = await fetch(`${API_BASE}/auth/${mode}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: document.getElementById('auth-username').value.trim(),
+        password: document.getElementById('auth-password').value
+      })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(data, 'Failed to sign in.'));
+      return;
+    }
+    authForm.reset();
+    checkSession();
+  } catch (err) {
+    console.error(err);
+    alert('Error signing in.');
+  }
+}
+
+/**
+ * Hides the sign-in screen and loads the user's data.
+ * @param {Object} user
+ * @param {Array<Object>} portfolios
+ */
+function startApp(user, portfolios) {
+  authScreen.classList.add('hidden');
+  appEl.classList.remove('hidden');
+  accountName.textContent = user.username;
+  baseCurrency = user.settings.baseCurrency || baseCurrency;
+  renderPortfolioSelect(portfolios);
+  loadSettings();
+  loadImportLayouts();
+  // The event stream also delivers triggered alerts, so open it straight away
+  connectQuoteStream();
+  loadAlertLog();
+  replayOutbox();
+}
+
+/**
+ * Ends the session and returns to the sign-in screen.
+ */
+async function logout() {
+  const queued = await updateOfflineBanner();
+  if (queued && !confirm(`${queued} portfolio change(s) have not reached the server yet and will be lost. Log out anyway?`)) {
+    return;
+  }
+  try {
+    await fetch(`${API_BASE}/auth/logout`, { method: 'POST' });
+  } catch (err) {
+    console.error(err);
+  }
+  await clearOfflineData();
+  // Reloading drops every piece of the previous user's state
+  window.location.reload();
+}
+
+/**
+ * Loads the user's settings and the currencies they can report in.
+ */
+async function loadSettings() {
+  try {
+    const res = await fetch(`${API_BASE}/settings`);
+    if (!res.ok) return;
+    const data = await res.json();
+    baseCurrency = data.settings.baseCurrency;
+    baseCurrencySelect.innerHTML = data.currencies.map(c => `<option value="${c}">${c}</option>`).join('');
+    baseCurrencySelect.value = baseCurrency;
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Saves the base currency and redraws the portfolio in it.
+ * @param {string} currency
+ */
+async function saveBaseCurrency(currency) {
+  try {
+    const res = await fetch(`${API_BASE}/settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ baseCurrency: currency })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      baseCurrencySelect.value = baseCurrency;
+      alert(errorMessage(data, 'Failed to change the currency.'));
+      return;
+    }
+    baseCurrency = data.settings.baseCurrency;
+    loadPortfolio();
+  } catch (err) {
+    console.error(err);
+    alert('Error changing the currency.');
+  }
+}
+
+/**
+ * Adds the selected portfolio to a portfolio or transactions API path.
+ * @param {string} path e.g. '/portfolio?method=fifo'
+ * @returns {string}
+ */
+function portfolioUrl(path) {
+  if (!activePortfolio) return `${API_BASE}${path}`;
+  return `${API_BASE}${path}${path.includes('?') ? '&' : '?'}portfolio=${activePortfolio}`;
+}
+
+/**
+ * The message of an API error response ({ error: { code, message } }).
+ * @param {Object} data parsed response body
+ * @param {string} fallback shown when the body carries no message
+ * @returns {string}
+ */
+function errorMessage(data, fallback) {
+  return (data && data.error && data.error.message) || fallback;
+}
+
+/**
+ * Opens the offline database: `responses` keeps the last body of each cached
+ * GET by URL, `outbox` the portfolio edits made while the server was away.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openOfflineDb() {
+  if (!offlineDb) {
+    offlineDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OFFLINE_DB, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('responses', { keyPath: 'url' });
+        request.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return offlineDb;
+}
+
+/**
+ * Runs one request against a store of the offline database.
+ * @param {('responses'|'outbox')} name
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} operation
+ * @returns {Promise<*>} the request's result once the transaction completes
+ */
+async function offlineStore(name, mode, operation) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const request = operation(tx.objectStore(name));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Forgets the saved responses and queued edits, which belong to the user
+ * signed in when they were made.
+ * @returns {Promise<void>}
+ */
+async function clearOfflineData() {
+  try {
+    await offlineStore('responses', 'readwrite', store => store.clear());
+    await offlineStore('outbox', 'readwrite', store => store.clear());
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Fetches an API resource and keeps a copy of a successful response. When
+ * the server cannot be reached the last copy stands in for it and the
+ * banner says how old it is; without a copy the network error is rethrown.
+ * @param {string} url
+ * @returns {Promise<Response>}
+ */
+async function fetchCached(url) {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (err) {
+    const saved = await offlineStore('responses', 'readonly', store => store.get(url)).catch(() => null);
+    if (!saved) throw err;
+    showStale(saved.savedAt);
+    return new Response(JSON.stringify(saved.body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  }
+  serverReachable();
+  if (res.ok) {
+    const body = await res.clone().json().catch(() => null);
+    if (body !== null) {
+      offlineStore('responses', 'readwrite', store => store.put({ url, body, savedAt: Date.now() }))
+        .catch(err => console.error(err));
+    }
+  }
+  return res;
+}
+
+/**
+ * Marks the data on screen as saved copies, keeping the oldest time shown.
+ * @param {number} savedAt ms
+ */
+function showStale(savedAt) {
+  staleSince = staleSince ? Math.min(staleSince, savedAt) : savedAt;
+  updateOfflineBanner();
+}
+
+/**
+ * Clears the stale marker once the server answers again and sends anything
+ * that was queued meanwhile.
+ */
+function serverReachable() {
+  if (staleSince) {
+    staleSince = null;
+    updateOfflineBanner();
+  }
+  replayOutbox();
+}
+
+/**
+ * Shows how old the data on screen is and how many of the user's edits wait
+ * to be sent, or hides the banner when neither applies.
+ * @returns {Promise<number>} the number of the user's queued edits
+ */
+async function updateOfflineBanner() {
+  const edits = await offlineStore('outbox', 'readonly', store => store.getAll()).catch(() => []);
+  const queued = edits.filter(edit => edit.user === accountName.textContent).length;
+  offlineStatus.textContent = staleSince
+    ? `Server unreachable: showing data stale as of ${new Date(staleSince).toLocaleString()}.`
+    : '';
+  offlineQueue.textContent = queued
+    ? `${queued} portfolio change${queued === 1 ? '' : 's'} waiting to be sent.`
+    : '';
+  offlineBanner.classList.toggle('hidden', !staleSince && !queued);
+  return queued;
+}
+
+/**
+ * The day and, when known, the price of a trade made now, so that a queued
+ * trade is recorded as it was made rather than when it reaches the server.
+ * @param {number} [price]
+ * @returns {Object}
+ */
+function tradeStamp(price) {
+  const stamp = { date: new Date().toISOString().slice(0, 10) };
+  if (typeof price === 'number' && price > 0) stamp.price = price;
+  return stamp;
+}
+
+/**
+ * Sends a portfolio edit. When the server cannot be reached the edit is
+ * queued to be replayed in order once it is back, and a 202
+ * { queued: true } response stands in for the server's.
+ * @param {string} url
+ * @param {string} method
+ * @param {Object} body
+ * @param {string} description what the edit does, for the user
+ * @param {Object} [offline] fields added to the body only when queued
+ * @returns {Promise<Response>}
+ */
+async function sendEdit(url, method, body, description, offline = {}) {
+  try {
+    return await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  } catch (err) {
+    console.error(err);
+    await offlineStore('outbox', 'readwrite', store => store.add({
+      url,
+      method,
+      body: { ...body, ...offline },
+      description,
+      user: accountName.textContent,
+      queuedAt: Date.now()
+    }));
+    updateOfflineBanner();
+    scheduleReplay();
+    return new Response(JSON.stringify({ queued: true }), { status: 202, headers: { 'Content-Type': 'application/json' } });
+  }
+}
+
+/**
+ * Sends the queued portfolio edits in the order they were made. Stops at the
+ * first one that cannot reach the server or needs the user to sign in
+ * again; edits the server rejects are dropped and reported. Edits queued
+ * by another account stay in the outbox until that account signs in again.
+ * Reloads the portfolios once anything went through.
+ */
+async function replayOutbox() {
+  if (replaying || !accountName.textContent) return;
+  replaying = true;
+  const failures = [];
+  let sent = 0;
+  try {
+    const edits = await offlineStore('outbox', 'readonly', store => store.getAll());
+    for (const edit of edits) {
+      if (edit.user !== accountName.textContent) continue;
+      let res;
+      try {
+        res = await fetch(edit.url, {
+          method: edit.method,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(edit.body)
+        });
+      } catch (err) {
+        break;
+      }
+      if (res.status === 401) break;
+      if (res.ok) {
+        sent++;
+      } else {
+        const data = await res.json().catch(() => null);
+        failures.push(`${edit.description}: ${errorMessage(data, `failed with status ${res.status}.`)}`);
+      }
+      await offlineStore('outbox', 'readwrite', store => store.delete(edit.id));
+    }
+  } catch (err) {
+    console.error(err);
+  } finally {
+    replaying = false;
+  }
+  if (await updateOfflineBanner()) scheduleReplay();
+  if (sent) refreshPortfolios();
+  if (failures.length) {
+    alert(`Some portfolio changes made offline were not accepted:\n${failures.join('\n')}`);
+  }
+}
+
+/**
+ * Tries the queued edits again after a while; the browser's online event
+ * does not fire when only the server was down.
+ */
+function scheduleReplay() {
+  clearTimeout(replayTimer);
+  replayTimer = setTimeout(() => {
+    replayTimer = null;
+    replayOutbox();
+  }, REPLAY_INTERVAL_MS);
+}
+
+/**
+ * Fills the portfolio switcher, keeping the current selection when it still
+ * exists.
+ * @param {Array<Object>} portfolios
+ */
+function renderPortfolioSelect(portfolios) {
+  portfolioList = portfolios;
+  if (!portfolios.some(p => String(p.id) === String(activePortfolio))) {
+    activePortfolio = portfolios.length ? String(portfolios[0].id) : null;
+  }
+  portfolioSelect.innerHTML = '';
+  portfolios.forEach(p => portfolioSelect.appendChild(new Option(p.paper ? `${p.name} (paper)` : p.name, p.id)));
+  if (activePortfolio) portfolioSelect.value = activePortfolio;
+  updateOrderTicket();
+}
+
+/**
+ * Whether the selected portfolio is a paper trading account.
+ * @returns {boolean}
+ */
+function isPaperPortfolio() {
+  const portfolio = portfolioList.find(p => String(p.id) === String(activePortfolio));
+  return Boolean(portfolio && portfolio.paper);
+}
+
+/**
+ * Reloads the portfolio list and the selected portfolio.
+ */
+async function refreshPortfolios() {
+  const res = await fetchCached(`${API_BASE}/portfolios`);
+  renderPortfolioSelect(await res.json());
+  loadPortfolio();
+  loadTargets();
+}
+
+/**
+ * Sends a change to the portfolio list and refreshes it.
+ * @param {string} path API path below /api
+ * @param {string} method
+ * @param {Object} [body]
+ * @returns {Promise<Object|null>} the response body, or null on failure
+ */
+async function updatePortfolios(path, method, body) {
+  try {
+    const res = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(data, 'Failed to update portfolios.'));
+      return null;
+    }
+    return data;
+  } catch (err) {
+    console.error(err);
+    alert('Error updating portfolios.');
+    return null;
   }
 }
 
+/**
+ * Creates a portfolio and switches to it.
+ */
+async function createPortfolio() {
+  const name = prompt('Name of the new portfolio');
+  if (!name) return;
+  const created = await updatePortfolios('/portfolios', 'POST', { name });
+  if (!created) return;
+  activePortfolio = String(created.id);
+  refreshPortfolios();
+}
+
+/**
+ * Renames the selected portfolio.
+ */
+async function renamePortfolio() {
+  const current = portfolioSelect.options[portfolioSelect.selectedIndex];
+  const name = prompt('Rename portfolio', current ? current.textContent : '');
+  if (!name) return;
+  if (await updatePortfolios(`/portfolios/${activePortfolio}`, 'PUT', { name })) refreshPortfolios();
+}
+
+/**
+ * Deletes the selected portfolio and its transactions.
+ */
+async function deletePortfolio() {
+  const current = portfolioSelect.options[portfolioSelect.selectedIndex];
+  if (!current || !confirm(`Delete the portfolio "${current.textContent}" and all of its transactions?`)) return;
+  if (await updatePortfolios(`/portfolios/${activePortfolio}`, 'DELETE')) refreshPortfolios();
+}
+
+/**
+ * Switches the main area to the given view and highlights its nav button.
+ * @param {('stocks'|'news'|'screener'|'portfolio'|'backtest'|'planning'|'alerts')} view
+ */
+function setActiveView(view) {
+  Object.keys(views).forEach(name => {
+    views[name].view.classList.toggle('active', name === view);
+    views[name].nav.classList.toggle('active', name === view);
+  });
+}
+
 /**
  * Performs a stock search based on the query entered by the user.
  */
@@ -83,6 +854,7 @@ async function performSearch() {
   searchResults.innerHTML = '';
   stockDetails.classList.add('hidden');
   currentSymbol = null;
+  connectQuoteStream();
   if (!query) return;
   try {
     const res = await fetch(`${API_BASE}/search?q=${encodeURIComponent(query)}`);
@@ -91,12 +863,21 @@ async function performSearch() {
       data.forEach(item => {
         const div = document.createElement('div');
         div.className = 'search-result-item';
-        div.textContent = `${item.symbol} – ${item.name}`;
+        const label = document.createElement('span');
+        label.textContent = `${item.symbol} – ${item.name}`;
+        const toggle = document.createElement('button');
+        toggle.dataset.symbol = item.symbol;
+        div.append(label, toggle);
         div.addEventListener('click', () => {
           displayStock(item.symbol);
         });
+        toggle.addEventListener('click', (e) => {
+          e.stopPropagation();
+          toggleCompare(item.symbol);
+        });
         searchResults.appendChild(div);
       });
+      renderCompareList();
     } else {
       searchResults.textContent = 'No results found.';
     }
@@ -119,31 +900,54 @@ async function displayStock(symbol) {
   lastPriceEl.textContent = '';
   recommendationEl.textContent = '';
   recommendationRationaleEl.textContent = '';
+  recommendationConfidenceEl.textContent = '';
+  recommendationFactorsEl.innerHTML = '';
+  recommendationSuitabilityEl.classList.add('hidden');
   newsSummaryEl.textContent = '';
+  newsSentimentEl.textContent = '';
+  newsSentimentEl.className = 'sentiment-badge';
   newsListEl.innerHTML = '';
-  quantityInput.value = 1;
+  orderQuantityInput.value = 1;
+  orderPriceInput.value = '';
+  updateOrderTicket();
   // Fetch stock price data
   try {
-    const [stockRes, recRes, newsRes] = await Promise.all([
-      fetch(`${API_BASE}/stock/${symbol}`),
-      fetch(`${API_BASE}/recommendation/${symbol}`),
-      fetch(`${API_BASE}/news/${symbol}`)
+    const [recRes, newsRes] = await Promise.all([
+      fetchCached(`${API_BASE}/recommendation/${symbol}`),
+      fetchCached(`${API_BASE}/news/${symbol}`)
     ]);
-    const stockData = await stockRes.json();
     const recData = await recRes.json();
     const newsData = await newsRes.json();
+    // The chart marks news dates, so the articles are needed before drawing
+    chartNews = Array.isArray(newsData.news) ? newsData.news : [];
+    const stockData = await loadChart();
     // Update last price and recommendation
-    lastPriceEl.textContent = `$${stockData.priceData[stockData.priceData.length - 1].close.toFixed(2)}`;
+    const lastPrice = stockData.quote ? stockData.quote.price : stockData.priceData[stockData.priceData.length - 1].close;
+    lastPriceEl.textContent = formatMoney(lastPrice, stockCurrency);
     recommendationEl.textContent = recData.recommendation;
     recommendationRationaleEl.textContent = recData.rationale;
-    // Draw chart
-    drawChart(stockData.priceData, symbol);
+    if (typeof recData.confidence === 'number') {
+      recommendationConfidenceEl.textContent = `(${recData.confidence}% confidence)`;
+    }
+    renderFactors(recData.factors || []);
+    showSuitability(recommendationSuitabilityEl, recData.suitability);
+    connectQuoteStream();
     // Show news summary and list
     newsSummaryEl.textContent = newsData.summary || 'No news available.';
+    if (newsData.sentiment) {
+      renderSentimentBadge(newsSentimentEl, newsData.sentiment);
+    }
     if (Array.isArray(newsData.news)) {
       newsData.news.forEach(article => {
         const li = document.createElement('li');
-        li.innerHTML = `<strong>${article.date}</strong> – ${article.title}`;
+        const date = document.createElement('strong');
+        date.textContent = article.date;
+        li.append(date, ' – ', articleTitle(article), ' ');
+        if (article.sentiment) {
+          const badge = document.createElement('span');
+          renderSentimentBadge(badge, article.sentiment);
+          li.appendChild(badge);
+        }
         newsListEl.appendChild(li);
       });
     }
@@ -154,69 +958,281 @@ async function displayStock(symbol) {
 }
 
 /**
- * Renders a candlestick chart for the given price data. If a previous chart exists it
- * will be destroyed before drawing the new one.
- * @param {Array<Object>} priceData
- * @param {string} symbol
+ * Lists the recommendation factors, strongest first, grouped by the direction
+ * they push in. Factors without enough data are left out.
+ * @param {Array<Object>} factors
  */
-function drawChart(priceData, symbol) {
-  const ctx = document.getElementById('chart').getContext('2d');
-  // Convert the sample data into the format Chart.js expects: each point contains
-  // x (timestamp in milliseconds) and o/h/l/c properties for open, high, low and close.
-  const candles = priceData.map(item => ({
-    x: new Date(item.date),
-    o: item.open,
-    h: item.high,
-    l: item.low,
-    c: item.close
-  }));
-  if (chartInstance) {
-    chartInstance.destroy();
-  }
-  chartInstance = new Chart(ctx, {
-    type: 'candlestick',
-    data: {
-      datasets: [
-        {
-          label: `${symbol} Price`,
-          data: candles,
-          color: {
-            up: '#10b981',
-            down: '#ef4444',
-            unchanged: '#6b7280'
-          }
-        }
-      ]
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      scales: {
-        x: {
-          type: 'time',
-          time: {
-            unit: 'day',
-            tooltipFormat: 'MMM d'
-          },
-          ticks: {
-            autoSkip: true,
-            maxTicksLimit: 6
-          }
-        },
-        y: {
-          position: 'right',
-          ticks: {
-            callback: (value) => `$${value}`
-          }
-        }
+function renderFactors(factors) {
+  const available = factors
+    .filter(f => f.available)
+    .sort((a, b) => Math.abs(b.score * b.weight) - Math.abs(a.score * a.weight));
+  ['Buy', 'Sell', 'Neutral'].forEach(signal => {
+    available.filter(f => f.signal === signal).forEach(factor => {
+      const li = document.createElement('li');
+      const badge = document.createElement('span');
+      badge.className = `factor-signal ${signal.toLowerCase()}`;
+      badge.textContent = signal === 'Neutral' ? 'Neutral' : `→ ${signal}`;
+      li.appendChild(badge);
+      li.append(` ${factor.name}: ${factor.explanation}`);
+      recommendationFactorsEl.appendChild(li);
+    });
+  });
+}
+
+/**
+ * Fills a badge element with a sentiment label and score, coloured by polarity.
+ * @param {HTMLElement} el
+ * @param {{score: number, label: string}} sentiment
+ */
+function renderSentimentBadge(el, sentiment) {
+  const sign = sentiment.score > 0 ? '+' : '';
+  el.className = `sentiment-badge ${sentiment.label}`;
+  el.textContent = `${sentiment.label} (${sign}${sentiment.score.toFixed(2)})`;
+}
+
+/**
+ * Builds the indicator list for /api/stock from the chart controls.
+ * @returns {string} e.g. 'sma:20,bollinger:20:2,rsi:14'
+ */
+function chartIndicators() {
+  const wanted = [];
+  document.querySelectorAll('[data-overlay]').forEach(box => {
+    if (!box.checked) return;
+    const overlay = box.dataset.overlay;
+    if (overlay === 'sma') wanted.push(`sma:${parseInt(document.getElementById('sma-period').value, 10) || 20}`);
+    if (overlay === 'ema') wanted.push(`ema:${parseInt(document.getElementById('ema-period').value, 10) || 50}`);
+    if (overlay === 'bollinger') wanted.push('bollinger:20:2');
+    if (overlay === 'vwap') wanted.push('vwap:20');
+  });
+  const lower = document.getElementById('lower-pane').value;
+  if (lower === 'rsi') wanted.push('rsi:14');
+  if (lower === 'macd') wanted.push('macd:12:26:9');
+  return wanted.join(',');
+}
+
+/**
+ * Fetches the bars and indicator series for the current symbol with the
+ * selected interval and overlays, then redraws the chart.
+ * @returns {Promise<Object>} the /api/stock response
+ */
+async function loadChart() {
+  const params = new URLSearchParams({ interval: chartInterval });
+  const wanted = chartIndicators();
+  if (wanted) params.set('indicators', wanted);
+  const res = await fetchCached(`${API_BASE}/stock/${currentSymbol}?${params}`);
+  const stockData = await res.json();
+  if (!res.ok) throw new Error(errorMessage(stockData, 'Failed to load chart data.'));
+  chartData = stockData;
+  stockCurrency = stockData.currency || 'USD';
+  drawChart();
+  if (stockData.quote) {
+    updateLiveCandle(stockData.quote);
+  }
+  return stockData;
+}
+
+/**
+ * Start of the UTC week (Monday) containing a date, matching the server's
+ * weekly bars.
+ * @param {number} date ms
+ * @returns {number}
+ */
+function weekStart(date) {
+  const day = Math.floor(date / 86400000);
+  return (day - ((day + 3) % 7)) * 86400000;
+}
+
+/**
+ * Renders the stock chart from `chartData`: candlesticks with the selected
+ * overlays, a volume pane and an optional RSI or MACD pane, limited to the
+ * selected range. Indicators are computed server-side over the whole history
+ * so they are defined from the first visible bar. News articles are marked
+ * above the candle of the day (or week) they were published. If a previous
+ * chart exists it will be destroyed before drawing the new one.
+ */
+function drawChart() {
+  const ctx = document.getElementById('chart').getContext('2d');
+  const { priceData, indicators, interval } = chartData;
+  // Range buttons keep the last week or month of bars
+  const lastDate = priceData.length ? priceData[priceData.length - 1].date : 0;
+  const days = { '1w': 7, '1m': 30 }[chartRange];
+  const first = days ? priceData.findIndex(bar => bar.date > lastDate - days * 86400000) : 0;
+  const bars = priceData.slice(Math.max(first, 0));
+  const x = bars.map(bar => new Date(bar.date));
+  const visible = (series) => series.slice(priceData.length - bars.length);
+  const line = (series, label, color, yAxisID = 'y') => ({
+    type: 'line',
+    label,
+    data: visible(series).map((y, i) => ({ x: x[i], y })),
+    yAxisID,
+    borderColor: color,
+    borderWidth: 1.5,
+    pointRadius: 0,
+    spanGaps: false
+  });
+
+  // Convert the sample data into the format Chart.js expects: each point contains
+  // x (timestamp in milliseconds) and o/h/l/c properties for open, high, low and close.
+  const datasets = [
+    {
+      label: `${chartData.symbol} Price`,
+      data: bars.map((item, i) => ({ x: x[i], o: item.open, h: item.high, l: item.low, c: item.close })),
+      yAxisID: 'y',
+      color: {
+        up: '#10b981',
+        down: '#ef4444',
+        unchanged: '#6b7280'
+      }
+    },
+    {
+      type: 'bar',
+      label: 'Volume',
+      data: bars.map((item, i) => ({ x: x[i], y: item.volume })),
+      yAxisID: 'volume',
+      backgroundColor: bars.map(item => (item.close >= item.open ? 'rgba(16, 185, 129, 0.5)' : 'rgba(239, 68, 68, 0.5)'))
+    }
+  ];
+
+  const lower = document.getElementById('lower-pane').value;
+  Object.keys(indicators || {}).forEach(key => {
+    const [name, ...params] = key.split(':');
+    const series = indicators[key];
+    if (name === 'sma') datasets.push(line(series, `SMA ${params[0]}`, '#f59e0b'));
+    if (name === 'ema') datasets.push(line(series, `EMA ${params[0]}`, '#8b5cf6'));
+    if (name === 'vwap') datasets.push(line(series, `VWAP ${params[0]}`, '#14b8a6'));
+    if (name === 'bollinger') {
+      datasets.push(line(series.upper, 'Bollinger upper', '#9ca3af'));
+      datasets.push(line(series.middle, 'Bollinger middle', '#d1d5db'));
+      datasets.push(line(series.lower, 'Bollinger lower', '#9ca3af'));
+    }
+    if (name === 'rsi' && lower === 'rsi') datasets.push(line(series, `RSI ${params[0]}`, '#3b82f6', 'oscillator'));
+    if (name === 'macd' && lower === 'macd') {
+      datasets.push(line(series.macd, 'MACD', '#3b82f6', 'oscillator'));
+      datasets.push(line(series.signal, 'Signal', '#f59e0b', 'oscillator'));
+      datasets.push({
+        type: 'bar',
+        label: 'Histogram',
+        data: visible(series.histogram).map((y, i) => ({ x: x[i], y })),
+        yAxisID: 'oscillator',
+        backgroundColor: visible(series.histogram).map(v => (v >= 0 ? 'rgba(16, 185, 129, 0.6)' : 'rgba(239, 68, 68, 0.6)'))
+      });
+    }
+  });
+
+  // News markers sit just above the high of the bar covering the article date
+  const markers = [];
+  chartNews.forEach(article => {
+    const date = Date.parse(article.date);
+    const barDate = interval === 'weekly' ? weekStart(date) : date;
+    const index = bars.findIndex(bar => bar.date === barDate);
+    if (index === -1) return;
+    markers.push({ x: x[index], y: bars[index].high * 1.01, title: article.title, label: article.sentiment ? article.sentiment.label : 'neutral' });
+  });
+  // Splits and ex-dividend dates sit just below the low of their bar
+  const actionMarkers = [];
+  (chartData.actions || []).forEach(action => {
+    const date = Date.parse(action.date);
+    const index = bars.findIndex(bar => bar.date === (interval === 'weekly' ? weekStart(date) : date));
+    if (index === -1) return;
+    const title = action.type === 'split' ? `Split ×${action.ratio}` : `Dividend ${formatMoney(action.amount, stockCurrency)}`;
+    actionMarkers.push({ x: x[index], y: bars[index].low * 0.99, title, label: action.type });
+  });
+  if (actionMarkers.length) {
+    datasets.push({
+      type: 'scatter',
+      label: 'Corporate actions',
+      data: actionMarkers,
+      yAxisID: 'y',
+      pointStyle: 'rectRot',
+      pointRadius: 6,
+      pointHoverRadius: 8,
+      backgroundColor: actionMarkers.map(m => (m.label === 'split' ? '#7c3aed' : '#1d4ed8'))
+    });
+  }
+  if (markers.length) {
+    const colors = { positive: '#10b981', negative: '#ef4444', neutral: '#6b7280' };
+    datasets.push({
+      type: 'scatter',
+      label: 'News',
+      data: markers,
+      yAxisID: 'y',
+      pointStyle: 'triangle',
+      pointRadius: 6,
+      pointHoverRadius: 8,
+      backgroundColor: markers.map(m => colors[m.label] || colors.neutral)
+    });
+  }
+
+  // Price, volume and oscillator panes share the x axis and are stacked
+  const scales = {
+    x: {
+      type: 'time',
+      offset: true,
+      time: {
+        unit: interval === 'weekly' ? 'week' : 'day',
+        tooltipFormat: 'MMM d'
       },
+      ticks: {
+        autoSkip: true,
+        maxTicksLimit: 6
+      }
+    },
+    y: {
+      position: 'right',
+      stack: 'panes',
+      stackWeight: 4,
+      ticks: {
+        callback: (value) => formatMoney(value, stockCurrency)
+      }
+    },
+    volume: {
+      position: 'right',
+      stack: 'panes',
+      stackWeight: 1,
+      beginAtZero: true,
+      ticks: {
+        maxTicksLimit: 3,
+        callback: (value) => (value >= 1e6 ? `${(value / 1e6).toFixed(0)}M` : value)
+      }
+    }
+  };
+  if (lower) {
+    scales.oscillator = {
+      position: 'right',
+      stack: 'panes',
+      stackWeight: 1.5,
+      ticks: { maxTicksLimit: 3 },
+      ...(lower === 'rsi' ? { min: 0, max: 100 } : {})
+    };
+  }
+
+  if (chartInstance) {
+    chartInstance.destroy();
+  }
+  chartInstance = new Chart(ctx, {
+    type: 'candlestick',
+    data: { datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales,
       plugins: {
-        legend: { display: false },
+        legend: {
+          display: datasets.length > 2,
+          labels: { filter: (item) => item.datasetIndex > 1 && item.text !== 'News' }
+        },
         tooltip: {
           callbacks: {
             label: (context) => {
-              const { o, h, l, c } = context.raw;
-              return `O:${o.toFixed(2)} H:${h.toFixed(2)} L:${l.toFixed(2)} C:${c.toFixed(2)}`;
+              const raw = context.raw;
+              if (raw.o !== undefined) {
+                return `O:${raw.o.toFixed(2)} H:${raw.h.toFixed(2)} L:${raw.l.toFixed(2)} C:${raw.c.toFixed(2)}`;
+              }
+              if (raw.title) return raw.title;
+              if (raw.y === null) return null;
+              return context.dataset.label === 'Volume'
+                ? `Volume: ${raw.y.toLocaleString()}`
+                : `${context.dataset.label}: ${raw.y.toFixed(2)}`;
             }
           }
         }
@@ -226,92 +1242,411 @@ function drawChart(priceData, symbol) {
 }
 
 /**
- * Adds the currently selected stock to the portfolio using the quantity specified by
- * the user. After updating the portfolio this will switch to the portfolio view.
+ * Updates (or appends) the candle for the quote's trading session on the
+ * current chart without redrawing it. On a weekly chart the session is merged
+ * into the candle of its week.
+ * @param {{date: number, open: number, high: number, low: number, price: number, volume: number}} quote
+ */
+function updateLiveCandle(quote) {
+  if (!chartInstance) return;
+  const candles = chartInstance.data.datasets[0].data;
+  const volumes = chartInstance.data.datasets[1].data;
+  const weekly = chartData.interval === 'weekly';
+  const candle = {
+    x: new Date(weekly ? weekStart(quote.date) : quote.date),
+    o: quote.open,
+    h: quote.high,
+    l: quote.low,
+    c: quote.price === undefined ? quote.close : quote.price
+  };
+  const last = candles[candles.length - 1];
+  if (last && last.x.getTime() === candle.x.getTime()) {
+    candles[candles.length - 1] = weekly
+      ? { ...candle, o: last.o, h: Math.max(last.h, candle.h), l: Math.min(last.l, candle.l) }
+      : candle;
+    // Weekly volume already includes earlier sessions, so only daily bars
+    // take the session volume
+    if (!weekly) volumes[volumes.length - 1] = { x: candle.x, y: quote.volume };
+  } else {
+    candles.push(candle);
+    volumes.push({ x: candle.x, y: quote.volume });
+  }
+  chartInstance.update('none');
+}
+
+/**
+ * Opens (or reopens) the Server-Sent Events stream so that it follows the
+ * displayed stock and every open holding; it stays open with no symbols to
+ * deliver triggered alerts. Nothing happens if the set of symbols has not
+ * changed.
+ */
+function connectQuoteStream() {
+  const followed = [currentSymbol, ...liveHoldings.map(h => h.symbol), ...pendingOrders.map(o => o.symbol)];
+  const symbols = [...new Set(followed.filter(Boolean))].sort();
+  const key = symbols.join(',');
+  if (key === streamSymbols && quoteStream) return;
+  if (quoteStream) {
+    quoteStream.close();
+    quoteStream = null;
+  }
+  streamSymbols = key;
+  if (typeof EventSource === 'undefined') return;
+  quoteStream = new EventSource(`${API_BASE}/stream?symbols=${encodeURIComponent(key)}`);
+  quoteStream.addEventListener('quote', (e) => handleQuote(JSON.parse(e.data)));
+  quoteStream.addEventListener('bar', (e) => {
+    const { symbol, bar } = JSON.parse(e.data);
+    if (symbol === currentSymbol) updateLiveCandle(bar);
+  });
+  quoteStream.addEventListener('alert', () => loadAlertLog());
+}
+
+/**
+ * Applies a live quote to the stock view and the portfolio table.
+ * @param {Object} quote
+ */
+function handleQuote(quote) {
+  if (quote.symbol === currentSymbol) {
+    lastPriceEl.textContent = formatMoney(quote.price, stockCurrency);
+    updateLiveCandle(quote);
+  }
+  // The server fills orders as prices move; look for fills now and then
+  if (!paperRefresh && pendingOrders.some(o => o.symbol === quote.symbol)) {
+    paperRefresh = setTimeout(() => {
+      paperRefresh = null;
+      loadPaperAccount();
+    }, 3000);
+  }
+  const holding = liveHoldings.find(h => h.symbol === quote.symbol);
+  if (!holding) return;
+  // Quotes are in the holding's currency; the FX gain does not move with them
+  holding.currentPrice = quote.price;
+  holding.marketValue = holding.quantity * quote.price * holding.fxRate;
+  holding.unrealizedPL = holding.marketValue - holding.costBasis;
+  holding.priceGain = holding.unrealizedPL - (holding.fxGain || 0);
+  holding.totalReturn = holding.unrealizedPL + holding.realizedPL + holding.dividends;
+  const row = portfolioBody.querySelector(`tr[data-symbol="${quote.symbol}"]`);
+  if (row) {
+    row.querySelector('.current-price').textContent = formatMoney(quote.price, holding.currency);
+    row.querySelector('.market-value').textContent = formatMoney(holding.marketValue);
+    setPL(row.querySelector('.price-gain'), holding.priceGain);
+    setTotalReturn(row.querySelector('.total-return'), holding.totalReturn, holding.invested);
+  }
+  const totalsRow = portfolioTotals.querySelector('tr');
+  if (totalsRow) {
+    const value = liveHoldings.reduce((sum, h) => sum + (h.marketValue || 0), 0);
+    totalsRow.querySelector('.market-value').textContent = formatMoney(value);
+    setPL(totalsRow.querySelector('.price-gain'), liveHoldings.reduce((sum, h) => sum + (h.priceGain || 0), 0));
+    // Closed positions keep contributing their realized P/L and dividends
+    const totalReturn = closedReturn + liveHoldings.reduce((sum, h) => sum + h.totalReturn, 0);
+    setTotalReturn(totalsRow.querySelector('.total-return'), totalReturn, portfolioInvested);
+  }
+}
+
+/**
+ * Matches the order ticket to the selected portfolio: paper trading
+ * portfolios take market, limit and stop orders, others record a trade at
+ * the live price.
+ */
+function updateOrderTicket() {
+  const paper = isPaperPortfolio();
+  if (!paper) orderTypeSelect.value = 'market';
+  orderTypeSelect.disabled = !paper;
+  const type = orderTypeSelect.value;
+  orderPriceLabel.classList.toggle('hidden', type === 'market');
+  document.getElementById('order-price-name').textContent = type === 'stop' ? 'Stop price' : 'Limit price';
+  const side = orderSideSelect.value;
+  document.getElementById('order-submit').textContent = `${side === 'buy' ? 'Buy' : 'Sell'}${currentSymbol ? ` ${currentSymbol}` : ''}`;
+  orderTicketNote.textContent = paper
+    ? `Placed in the paper trading portfolio "${portfolioSelect.options[portfolioSelect.selectedIndex].textContent}".`
+    : 'Recorded in the selected portfolio at the live price. Start paper trading in the Portfolio view to practise with cash and orders.';
+}
+
+/**
+ * Sends the order ticket: an order for a paper trading portfolio, or a buy
+ * or sell at the live price for any other. Switches to the portfolio view
+ * once it is accepted.
  */
-async function addToPortfolio() {
+async function placeOrder() {
   const symbol = currentSymbol;
-  const quantity = parseInt(quantityInput.value, 10);
+  const quantity = parseInt(orderQuantityInput.value, 10);
   if (!symbol || isNaN(quantity) || quantity <= 0) {
     alert('Please enter a valid quantity.');
     return;
   }
+  const side = orderSideSelect.value;
+  const type = orderTypeSelect.value;
+  let path = '/orders';
+  let body = { symbol, side, type, quantity };
+  if (type !== 'market') {
+    const price = parseFloat(orderPriceInput.value);
+    if (isNaN(price) || price <= 0) {
+      alert(`Please enter a ${type} price.`);
+      return;
+    }
+    body[type === 'stop' ? 'stopPrice' : 'limitPrice'] = price;
+  }
+  const paper = isPaperPortfolio();
+  if (!paper) {
+    path = side === 'buy' ? '/portfolio' : '/transactions';
+    body = { type: side, symbol, quantity };
+  }
   try {
-    const res = await fetch(`${API_BASE}/portfolio`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ symbol, quantity })
-    });
+    // Paper orders fill against live prices, so only trades can wait offline
+    const bars = chartData && chartData.symbol === symbol ? chartData.priceData : [];
+    const res = paper
+      ? await fetch(portfolioUrl(path), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+      : await sendEdit(portfolioUrl(path), 'POST', body, `${side === 'buy' ? 'Buy' : 'Sell'} ${quantity} ${symbol}`,
+        tradeStamp(bars.length ? bars[bars.length - 1].close : undefined));
     const data = await res.json();
     if (res.ok) {
-      // Switch to portfolio view after successful addition
       setActiveView('portfolio');
       loadPortfolio();
     } else {
-      alert(data.error || 'Failed to add to portfolio.');
+      alert(errorMessage(data, 'Failed to place the order.'));
+    }
+  } catch (err) {
+    console.error(err);
+    alert('Error placing the order.');
+  }
+}
+
+/**
+ * Loads the paper trading account of the selected portfolio: cash, buying
+ * power and pending orders, or the form that opens one. Reloads the holdings
+ * when orders have filled since the last look.
+ */
+async function loadPaperAccount() {
+  try {
+    const res = await fetch(portfolioUrl('/paper'));
+    const { account } = await res.json();
+    paperOpenForm.classList.toggle('hidden', Boolean(account));
+    paperAccountEl.classList.toggle('hidden', !account);
+    if (!account) {
+      pendingOrders = [];
+      return;
+    }
+    const ordersRes = await fetch(portfolioUrl('/orders?status=open'));
+    const orders = await ordersRes.json();
+    const fillsOf = (list) => list.map(o => `${o.id}:${o.filledQuantity}`).join(',');
+    const filled = pendingOrders.length > 0 && fillsOf(pendingOrders) !== fillsOf(orders);
+    pendingOrders = orders;
+    const money = (value) => formatMoney(value, account.currency);
+    const { settings } = account;
+    paperSummary.innerHTML = `
+      <dt>Cash</dt><dd>${money(account.cash)}</dd>
+      <dt>Buying power</dt><dd>${money(account.buyingPower)} <span class="note">(${money(account.reserved)} held for open orders)</span></dd>
+      <dt>Starting cash</dt><dd>${money(account.startingCash)}</dd>
+      <dt>Costs</dt><dd>${settings.commission} per order + ${settings.commissionPercent}% commission, ${settings.slippagePercent}% slippage</dd>
+    `;
+    paperOrdersBody.innerHTML = '';
+    if (orders.length === 0) {
+      paperOrdersBody.innerHTML = '<tr><td colspan="9">No pending orders.</td></tr>';
     }
+    orders.forEach(order => {
+      const tr = document.createElement('tr');
+      const price = order.type === 'limit' ? order.limitPrice : order.stopPrice;
+      tr.innerHTML = `
+        <td>${new Date(order.createdAt).toLocaleString()}</td>
+        <td class="tx-type ${order.side}">${order.side}</td>
+        <td>${order.symbol}</td>
+        <td class="order-status">${order.type}</td>
+        <td>${order.quantity}</td>
+        <td>${order.filledQuantity}${order.averagePrice === null ? '' : ` @ ${order.averagePrice}`}</td>
+        <td>${price === null ? '–' : price}</td>
+        <td class="order-status">${order.status.replace('_', ' ')}</td>
+        <td><button class="secondary" data-order="${order.id}">Cancel</button></td>
+      `;
+      tr.querySelector('button').addEventListener('click', () => cancelOrder(order.id));
+      paperOrdersBody.appendChild(tr);
+    });
+    connectQuoteStream();
+    if (filled) loadPortfolio();
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Makes the selected portfolio a paper trading account with the cash and
+ * costs from the form.
+ */
+async function openPaperAccount() {
+  const number = (id) => parseFloat(document.getElementById(id).value) || 0;
+  const created = await updatePortfolios(`/paper?portfolio=${activePortfolio}`, 'POST', {
+    cash: number('paper-cash'),
+    commission: number('paper-commission'),
+    commissionPercent: number('paper-commission-percent'),
+    slippagePercent: number('paper-slippage')
+  });
+  if (created) refreshPortfolios();
+}
+
+/**
+ * Closes the paper trading account of the selected portfolio; its trades stay.
+ */
+async function closePaperAccount() {
+  if (!confirm('Stop paper trading in this portfolio? Pending orders are dropped; filled trades stay in the ledger.')) return;
+  if (await updatePortfolios(`/paper?portfolio=${activePortfolio}`, 'DELETE')) refreshPortfolios();
+}
+
+/**
+ * Cancels a pending order.
+ * @param {number} id
+ */
+async function cancelOrder(id) {
+  try {
+    const res = await fetch(portfolioUrl(`/orders/${id}`), { method: 'DELETE' });
+    if (!res.ok) alert(errorMessage(await res.json(), 'Failed to cancel the order.'));
   } catch (err) {
     console.error(err);
-    alert('Error adding to portfolio.');
   }
+  loadPaperAccount();
+}
+
+/**
+ * Formats an amount of money, e.g. $1,234.50 or -€12.00.
+ * @param {number} value
+ * @param {string} [currency] defaults to the base currency
+ * @returns {string}
+ */
+function formatMoney(value, currency = baseCurrency) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(value);
+}
+
+/**
+ * Formats a signed money amount and returns the matching P/L colour.
+ * @param {number} value
+ * @param {string} [currency] defaults to the base currency
+ * @returns {{text: string, color: string}}
+ */
+function formatPL(value, currency) {
+  return {
+    text: formatMoney(value, currency),
+    color: value >= 0 ? '#10b981' : '#ef4444'
+  };
+}
+
+/**
+ * Shows a P/L amount in its colour.
+ * @param {HTMLElement} cell
+ * @param {number} value
+ */
+function setPL(cell, value) {
+  const pl = formatPL(value);
+  cell.textContent = pl.text;
+  cell.style.color = pl.color;
+}
+
+/**
+ * Shows a total return (P/L plus dividends) with its percentage of the amount
+ * invested.
+ * @param {HTMLElement} cell
+ * @param {number} value
+ * @param {number} invested
+ */
+function setTotalReturn(cell, value, invested) {
+  const pl = formatPL(value);
+  cell.textContent = invested > 0 ? `${pl.text} (${((value / invested) * 100).toFixed(2)}%)` : pl.text;
+  cell.style.color = pl.color;
 }
 
 /**
- * Loads the portfolio from the server and renders it in a table. For each holding we
- * fetch the latest price to compute the current value and profit/loss. Because these
- * requests can be asynchronous we use Promise.all to wait for all price lookups.
+ * Loads the portfolio from the server and renders it in a table. Cost basis,
+ * market value and realized/unrealized P/L are computed server-side from the
+ * transaction ledger using the selected cost-basis method.
  */
 async function loadPortfolio() {
   portfolioBody.innerHTML = '';
+  portfolioTotals.innerHTML = '';
   try {
-    const res = await fetch(`${API_BASE}/portfolio`);
+    const res = await fetchCached(portfolioUrl(`/portfolio?method=${costMethodSelect.value}`));
     const portfolio = await res.json();
+    const holdings = portfolio.holdings || [];
+    if (portfolio.currency) baseCurrency = portfolio.currency;
     // If portfolio is empty show a placeholder row
-    if (!Array.isArray(portfolio) || portfolio.length === 0) {
+    liveHoldings = holdings.filter(item => !item.closed);
+    closedReturn = holdings.filter(item => item.closed).reduce((sum, item) => sum + item.totalReturn, 0);
+    portfolioInvested = portfolio.totals ? portfolio.totals.invested : 0;
+    connectQuoteStream();
+    loadPaperAccount();
+    if (holdings.length === 0) {
       const tr = document.createElement('tr');
       const td = document.createElement('td');
-      td.colSpan = 7;
+      td.colSpan = 11;
       td.textContent = 'Your portfolio is empty.';
       tr.appendChild(td);
       portfolioBody.appendChild(tr);
+      lotsPanel.classList.add('hidden');
+      portfolioAnalytics.classList.add('hidden');
       return;
     }
-    // For each holding fetch current price
-    const rows = await Promise.all(portfolio.map(async (holding) => {
-      const stockRes = await fetch(`${API_BASE}/stock/${holding.symbol}`);
-      const stockData = await stockRes.json();
-      const currentPrice = stockData.priceData[stockData.priceData.length - 1].close;
-      const value = currentPrice * holding.quantity;
-      const cost = holding.price * holding.quantity;
-      const pl = value - cost;
-      return {
-        ...holding,
-        currentPrice: currentPrice,
-        value: value,
-        pl: pl
-      };
-    }));
-    rows.forEach(item => {
+    holdings.forEach(item => {
+      const realized = formatPL(item.realizedPL);
       const tr = document.createElement('tr');
+      if (item.closed) tr.className = 'closed-position';
+      tr.dataset.symbol = item.symbol;
+      // Prices are in the holding's own currency, everything else in the base
+      const foreign = item.currency !== baseCurrency;
       tr.innerHTML = `
-        <td>${item.symbol}</td>
+        <td>${item.symbol}${foreign ? ` <span class="currency-tag" title="${item.currency}/${baseCurrency} ${item.fxRate}">${item.currency}</span>` : ''}</td>
         <td>${item.quantity}</td>
-        <td>$${item.price.toFixed(2)}</td>
-        <td>$${item.currentPrice.toFixed(2)}</td>
-        <td>$${item.value.toFixed(2)}</td>
-        <td style="color:${item.pl >= 0 ? '#10b981' : '#ef4444'}">$${item.pl.toFixed(2)}</td>
-        <td><button data-symbol="${item.symbol}">Remove</button></td>
+        <td>${item.closed ? '–' : formatMoney(item.price, item.currency)}</td>
+        <td class="current-price">${item.currentPrice === null ? '–' : formatMoney(item.currentPrice, item.currency)}</td>
+        <td class="market-value">${formatMoney(item.marketValue || 0)}</td>
+        <td class="price-gain"></td>
+        <td class="fx-gain"></td>
+        <td style="color:${realized.color}">${realized.text}</td>
+        <td>${formatMoney(item.dividends)}</td>
+        <td class="total-return"></td>
+        <td class="actions">
+          <button class="secondary" data-action="lots" data-symbol="${item.symbol}">Lots</button>
+          ${item.closed ? '' : `<button data-action="sell" data-symbol="${item.symbol}" data-quantity="${item.quantity}">Sell</button>`}
+        </td>
       `;
+      setPL(tr.querySelector('.price-gain'), item.priceGain || 0);
+      setPL(tr.querySelector('.fx-gain'), item.fxGain || 0);
+      setTotalReturn(tr.querySelector('.total-return'), item.totalReturn, item.invested);
       portfolioBody.appendChild(tr);
     });
-    // Attach remove handlers
-    portfolioBody.querySelectorAll('button[data-symbol]').forEach(btn => {
-      btn.addEventListener('click', async (e) => {
-        const sym = e.target.getAttribute('data-symbol');
-        await removeHolding(sym);
+    const totals = portfolio.totals;
+    const realizedTotal = formatPL(totals.realizedPL);
+    portfolioTotals.innerHTML = `
+      <tr>
+        <td colspan="4">Total (${baseCurrency})</td>
+        <td class="market-value">${formatMoney(totals.marketValue)}</td>
+        <td class="price-gain"></td>
+        <td class="fx-gain"></td>
+        <td style="color:${realizedTotal.color}">${realizedTotal.text}</td>
+        <td>${formatMoney(totals.dividends)}</td>
+        <td class="total-return"></td>
+        <td></td>
+      </tr>
+    `;
+    setPL(portfolioTotals.querySelector('.price-gain'), totals.priceGain);
+    setPL(portfolioTotals.querySelector('.fx-gain'), totals.fxGain);
+    setTotalReturn(portfolioTotals.querySelector('.total-return'), totals.totalReturn, totals.invested);
+    // Attach action handlers
+    portfolioBody.querySelectorAll('button[data-action="lots"]').forEach(btn => {
+      btn.addEventListener('click', () => loadLots(btn.getAttribute('data-symbol')));
+    });
+    portfolioBody.querySelectorAll('button[data-action="sell"]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const sym = btn.getAttribute('data-symbol');
+        const held = btn.getAttribute('data-quantity');
+        const answer = prompt(`How many ${sym} shares do you want to sell? (held: ${held})`, held);
+        if (answer === null) return;
+        await sellHolding(sym, parseFloat(answer));
         await loadPortfolio();
       });
     });
+    loadAnalytics();
+    if (lotsSymbol) {
+      await loadLots(lotsSymbol);
+    }
   } catch (err) {
     console.error(err);
     alert('Error loading portfolio.');
@@ -319,15 +1654,1448 @@ async function loadPortfolio() {
 }
 
 /**
- * Removes a holding from the portfolio.
+ * Loads the portfolio analytics and renders the allocation doughnut, the
+ * value chart, the risk card and the correlation matrix.
+ */
+async function loadAnalytics() {
+  try {
+    const res = await fetchCached(portfolioUrl(`/portfolio/analytics?method=${costMethodSelect.value}`));
+    const data = await res.json();
+    if (!res.ok || data.allocation.length === 0) {
+      portfolioAnalytics.classList.add('hidden');
+      return;
+    }
+    portfolioAnalytics.classList.remove('hidden');
+    drawAllocationChart(data.allocation);
+    drawValueChart(data.history);
+    valueChartNote.textContent = data.basis === 'holdings'
+      ? 'Your transactions cover too little price history, so current holdings are shown valued over the stored history.'
+      : '';
+    const pct = (v) => (v === null ? '–' : `${v.toFixed(2)}%`);
+    const fmt = (v) => (v === null ? '–' : v.toFixed(2));
+    const { risk } = data;
+    riskCard.innerHTML = `
+      <dt>Total return</dt><dd>${pct(risk.totalReturn)} <span class="note">(benchmark ${pct(risk.benchmarkReturn)})</span></dd>
+      <dt>Volatility (annualised)</dt><dd>${pct(risk.volatility)} <span class="note">(benchmark ${pct(risk.benchmarkVolatility)})</span></dd>
+      <dt>Beta</dt><dd>${fmt(risk.beta)}</dd>
+      <dt>Sharpe ratio</dt><dd>${fmt(risk.sharpeRatio)}</dd>
+      <dt>Max drawdown</dt><dd>${pct(risk.maxDrawdown)}</dd>
+      <dt>Daily returns</dt><dd>${risk.observations}</dd>
+    `;
+    riskCard.title = `Benchmark: equal-weighted ${data.benchmark.join(', ')}`;
+    const { symbols, matrix } = data.correlation;
+    correlationTable.innerHTML = `
+      <thead><tr><th></th>${symbols.map(sym => `<th>${sym}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${matrix.map((row, i) => `<tr><th>${symbols[i]}</th>${row.map(v => `<td>${fmt(v)}</td>`).join('')}</tr>`).join('')}
+      </tbody>
+    `;
+  } catch (err) {
+    console.error(err);
+    portfolioAnalytics.classList.add('hidden');
+  }
+}
+
+/**
+ * Draws the allocation of open positions by market value as a doughnut.
+ * @param {Array<{symbol: string, marketValue: number, weight: number}>} allocation
+ */
+function drawAllocationChart(allocation) {
+  const ctx = document.getElementById('allocation-chart').getContext('2d');
+  if (allocationChart) {
+    allocationChart.destroy();
+  }
+  const palette = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#14b8a6', '#ec4899', '#6b7280'];
+  allocationChart = new Chart(ctx, {
+    type: 'doughnut',
+    data: {
+      labels: allocation.map(a => a.symbol),
+      datasets: [{
+        data: allocation.map(a => a.marketValue),
+        backgroundColor: allocation.map((a, i) => palette[i % palette.length])
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: (item) => `${item.label}: ${formatMoney(item.raw)} (${allocation[item.dataIndex].weight.toFixed(1)}%)`
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Draws the total portfolio value over time.
+ * @param {Array<{date: number, value: number}>} history
+ */
+function drawValueChart(history) {
+  const ctx = document.getElementById('value-chart').getContext('2d');
+  if (valueChart) {
+    valueChart.destroy();
+  }
+  valueChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: history.map(p => new Date(p.date).toLocaleDateString()),
+      datasets: [{
+        label: 'Value',
+        data: history.map(p => p.value),
+        borderColor: '#3b82f6',
+        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+        fill: true,
+        pointRadius: 0,
+        tension: 0.1
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { legend: { display: false } },
+      scales: {
+        x: { ticks: { autoSkip: true, maxTicksLimit: 6 } },
+        y: { position: 'right', ticks: { callback: (value) => formatMoney(value) } }
+      }
+    }
+  });
+}
+
+/**
+ * Loads the stored target allocation into the targets editor.
+ */
+async function loadTargets() {
+  targetsBody.innerHTML = '';
+  try {
+    const res = await fetchCached(portfolioUrl('/portfolio/targets'));
+    const { targets } = await res.json();
+    Object.keys(targets).forEach(symbol => addTargetRow(symbol, targets[symbol]));
+    if (Object.keys(targets).length === 0) addTargetRow('', '');
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Appends an editable row to the targets editor.
  * @param {string} symbol
+ * @param {number|string} weight
+ */
+function addTargetRow(symbol, weight) {
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td><input type="text" class="target-symbol" value="${symbol}" placeholder="AAPL" /></td>
+    <td><input type="number" class="target-weight" min="0" max="100" step="any" value="${weight}" /></td>
+    <td class="actions"><button class="secondary">Remove</button></td>
+  `;
+  tr.querySelector('button').addEventListener('click', () => tr.remove());
+  targetsBody.appendChild(tr);
+}
+
+/**
+ * Saves the target allocation from the editor; rows without a symbol are
+ * ignored.
+ */
+async function saveTargets() {
+  const targets = {};
+  targetsBody.querySelectorAll('tr').forEach(tr => {
+    const symbol = tr.querySelector('.target-symbol').value.trim().toUpperCase();
+    const weight = parseFloat(tr.querySelector('.target-weight').value);
+    if (symbol) targets[symbol] = isNaN(weight) ? 0 : weight;
+  });
+  try {
+    const res = await sendEdit(portfolioUrl('/portfolio/targets'), 'PUT', { targets }, 'Save the target allocation');
+    const data = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(data, 'Failed to save targets.'));
+      return;
+    }
+    // A queued save leaves the editor as it is rather than reloading the old targets
+    if (!data.queued) loadTargets();
+  } catch (err) {
+    console.error(err);
+    alert('Error saving targets.');
+  }
+}
+
+/**
+ * Requests a rebalance plan for the saved targets, shows the allocation before
+ * and after, and loads its orders as what-if trades.
+ */
+async function planRebalance() {
+  const params = new URLSearchParams({
+    cash: document.getElementById('rebalance-cash').value || '0',
+    minTrade: document.getElementById('rebalance-min-trade').value || '0'
+  });
+  try {
+    const res = await fetch(portfolioUrl(`/portfolio/rebalance?${params}`));
+    const plan = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(plan, 'Failed to plan rebalance.'));
+      return;
+    }
+    const pct = (v) => `${v.toFixed(2)}%`;
+    rebalanceAllocation.innerHTML = plan.allocation.map(a => `
+      <tr>
+        <td>${a.symbol}</td>
+        <td>${formatMoney(a.price, a.currency)}</td>
+        <td>${a.quantity} → ${a.projectedQuantity}</td>
+        <td>${pct(a.currentWeight)}</td>
+        <td>${pct(a.targetWeight)}</td>
+        <td>${pct(a.projectedWeight)}</td>
+      </tr>
+    `).join('') + `
+      <tr>
+        <td>Cash</td>
+        <td></td>
+        <td>${formatMoney(plan.cash.before)} → ${formatMoney(plan.cash.after)}</td>
+        <td>${pct(plan.cashWeight.current)}</td>
+        <td>${pct(plan.cashWeight.target)}</td>
+        <td>${pct(plan.cashWeight.projected)}</td>
+      </tr>
+    `;
+    rebalancePlan.classList.remove('hidden');
+    whatIfBody.innerHTML = '';
+    whatIfResults.classList.add('hidden');
+    plan.orders.forEach(order => addTradeRow(order));
+    if (plan.orders.length === 0) alert('The portfolio is already as close to its targets as whole shares allow.');
+  } catch (err) {
+    console.error(err);
+    alert('Error planning rebalance.');
+  }
+}
+
+/**
+ * Appends an editable row to the what-if trades.
+ * @param {{type: string, symbol: string, quantity: number}} trade
+ */
+function addTradeRow(trade) {
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td>
+      <select class="trade-type">
+        <option value="buy"${trade.type === 'buy' ? ' selected' : ''}>Buy</option>
+        <option value="sell"${trade.type === 'sell' ? ' selected' : ''}>Sell</option>
+      </select>
+    </td>
+    <td><input type="text" class="trade-symbol" value="${trade.symbol}" placeholder="AAPL" /></td>
+    <td><input type="number" class="trade-quantity" min="0" step="any" value="${trade.quantity}" /></td>
+    <td class="actions"><button class="secondary">Remove</button></td>
+  `;
+  tr.querySelector('button').addEventListener('click', () => tr.remove());
+  whatIfBody.appendChild(tr);
+}
+
+/**
+ * Sends the what-if trades for a preview of the resulting holdings, or records
+ * them in the ledger when `commit` is true.
+ * @param {boolean} commit
+ */
+async function submitWhatIf(commit) {
+  const trades = [...whatIfBody.querySelectorAll('tr')]
+    .map(tr => ({
+      type: tr.querySelector('.trade-type').value,
+      symbol: tr.querySelector('.trade-symbol').value.trim().toUpperCase(),
+      quantity: parseFloat(tr.querySelector('.trade-quantity').value)
+    }))
+    .filter(trade => trade.symbol);
+  if (trades.length === 0) {
+    alert('Add at least one trade.');
+    return;
+  }
+  if (commit && !confirm(`Record ${trades.length} trade(s) in the portfolio at the latest close?`)) return;
+  try {
+    const res = await fetch(portfolioUrl('/portfolio/what-if'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ trades, method: costMethodSelect.value, commit })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(data, 'What-if failed.'));
+      return;
+    }
+    if (commit) {
+      whatIfBody.innerHTML = '';
+      whatIfResults.classList.add('hidden');
+      rebalancePlan.classList.add('hidden');
+      loadPortfolio();
+      return;
+    }
+    const before = {};
+    data.current.holdings.forEach(h => { before[h.symbol] = h; });
+    whatIfHoldings.innerHTML = data.projected.holdings.map(h => {
+      const was = before[h.symbol];
+      const unrealized = formatPL(h.unrealizedPL || 0);
+      const realized = formatPL(h.realizedPL);
+      return `
+        <tr>
+          <td>${h.symbol}</td>
+          <td>${was ? was.quantity : 0} → ${h.quantity}</td>
+          <td>${was ? was.weight.toFixed(2) : '0.00'}% → ${h.weight.toFixed(2)}%</td>
+          <td>${formatMoney(h.costBasis)}</td>
+          <td style="color:${unrealized.color}">${unrealized.text}</td>
+          <td style="color:${realized.color}">${realized.text}</td>
+        </tr>
+      `;
+    }).join('');
+    whatIfResults.classList.remove('hidden');
+  } catch (err) {
+    console.error(err);
+    alert('Error running what-if.');
+  }
+}
+
+/**
+ * Adds the built-in broker layouts to the import layout picker.
  */
-async function removeHolding(symbol) {
+async function loadImportLayouts() {
   try {
-    await fetch(`${API_BASE}/portfolio/${symbol}`, { method: 'DELETE' });
+    const res = await fetch(`${API_BASE}/portfolio/import/layouts`);
+    const layouts = await res.json();
+    if (!res.ok) return;
+    const custom = importLayoutSelect.querySelector('option[value="custom"]');
+    layouts.forEach(layout => importLayoutSelect.insertBefore(new Option(layout.label, layout.name), custom));
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Sends the chosen CSV statement or JSON export for validation, and records
+ * its transactions unless `dryRun` is true. Row errors and skipped rows are
+ * listed either way; a file with errors is never imported.
+ * @param {boolean} dryRun
+ */
+async function importStatement(dryRun) {
+  const file = document.getElementById('import-file').files[0];
+  if (!file) {
+    alert('Choose a file to import.');
+    return;
+  }
+  let body;
+  try {
+    const text = await file.text();
+    if (file.name.toLowerCase().endsWith('.json')) {
+      body = { transactions: JSON.parse(text).transactions, dryRun };
+    } else {
+      body = { csv: text, dryRun };
+      if (importLayoutSelect.value === 'custom') {
+        body.mapping = JSON.parse(document.getElementById('import-mapping').value);
+      } else if (importLayoutSelect.value) {
+        body.layout = importLayoutSelect.value;
+      }
+    }
+  } catch (err) {
+    alert('The file or column mapping is not valid JSON.');
+    return;
+  }
+  if (!dryRun && !confirm(`Import the transactions in ${file.name} into this portfolio?`)) return;
+  try {
+    const res = await fetch(portfolioUrl('/portfolio/import'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!data.transactions) {
+      alert(errorMessage(data, 'Import failed.'));
+      return;
+    }
+    document.getElementById('import-summary').textContent = res.ok
+      ? `${data.message} (${data.skipped.length} row(s) skipped).`
+      : errorMessage(data, 'Import failed.');
+    importRows.innerHTML = [
+      ...data.errors.map(e => ({ line: e.line, status: 'Error', color: '#ef4444', text: e.message })),
+      ...data.skipped.map(s => ({ line: s.line, status: 'Skipped', color: '#6b7280', text: s.reason }))
+    ].map(row => `
+      <tr>
+        <td>${row.line || '—'}</td>
+        <td style="color:${row.color}">${row.status}</td>
+        <td>${row.text}</td>
+      </tr>
+    `).join('');
+    importResults.classList.remove('hidden');
+    if (res.ok && !dryRun) {
+      loadPortfolio();
+      loadTargets();
+    }
+  } catch (err) {
+    console.error(err);
+    alert('Error importing statement.');
+  }
+}
+
+/**
+ * Shows the open lots and transaction history for one symbol below the
+ * portfolio table.
+ * @param {string} symbol
+ */
+async function loadLots(symbol) {
+  lotsSymbol = symbol;
+  lotsBody.innerHTML = '';
+  transactionsBody.innerHTML = '';
+  try {
+    const [lotsRes, txRes] = await Promise.all([
+      fetch(portfolioUrl(`/portfolio/${symbol}/lots?method=${costMethodSelect.value}`)),
+      fetch(portfolioUrl(`/transactions?symbol=${encodeURIComponent(symbol)}`))
+    ]);
+    if (!lotsRes.ok) {
+      lotsSymbol = null;
+      lotsPanel.classList.add('hidden');
+      return;
+    }
+    const lots = await lotsRes.json();
+    const transactions = await txRes.json();
+    lotsTitle.textContent = `${symbol} lots (${costMethodSelect.options[costMethodSelect.selectedIndex].text})`;
+    if (lots.lots.length === 0) {
+      lotsBody.innerHTML = '<tr><td colspan="7">No open lots.</td></tr>';
+    }
+    // Lots and transactions are in the symbol's own currency
+    const currency = lots.currency;
+    lots.lots.forEach(lot => {
+      const pl = formatPL(lot.unrealizedPL || 0, currency);
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${lot.date}</td>
+        <td>${lot.quantity} / ${lot.originalQuantity}</td>
+        <td>${formatMoney(lot.price, currency)}</td>
+        <td>${formatMoney(lot.unitCost, currency)}</td>
+        <td>${formatMoney(lot.costBasis, currency)}</td>
+        <td>${formatMoney(lot.marketValue || 0, currency)}</td>
+        <td style="color:${pl.color}">${pl.text}</td>
+      `;
+      lotsBody.appendChild(tr);
+    });
+    const realizedById = {};
+    lots.realized.forEach(r => { realizedById[r.transactionId] = r; });
+    // Splits and dividends applied from the symbol's corporate actions are
+    // listed with the transactions, ahead of trades on the same day
+    const entries = [...lots.actions.map(action => ({ ...action, corporate: true })), ...transactions]
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => (a.entry.date < b.entry.date ? -1 : a.entry.date > b.entry.date ? 1 : a.index - b.index))
+      .map(item => item.entry);
+    entries.forEach(tx => {
+      if (tx.corporate) {
+        const tr = document.createElement('tr');
+        tr.className = 'corporate-action';
+        tr.innerHTML = tx.type === 'split' ? `
+          <td>${tx.date}</td>
+          <td class="tx-type split">split</td>
+          <td>×${tx.ratio}</td>
+          <td></td>
+          <td></td>
+          <td></td>
+        ` : `
+          <td>${tx.date}</td>
+          <td class="tx-type dividend">dividend</td>
+          <td>${tx.quantity}</td>
+          <td>${formatMoney(tx.perShare, currency)}</td>
+          <td>${formatMoney(tx.amount, currency)}</td>
+          <td></td>
+        `;
+        transactionsBody.appendChild(tr);
+        return;
+      }
+      const realized = realizedById[tx.id];
+      const pl = realized ? formatPL(realized.pl, currency) : null;
+      const amount = tx.type === 'dividend' ? tx.amount : tx.quantity * tx.price;
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${tx.date}</td>
+        <td class="tx-type ${tx.type}">${tx.type}</td>
+        <td>${tx.quantity === undefined ? '' : tx.quantity}</td>
+        <td>${tx.price === undefined ? '' : formatMoney(tx.price, currency)}</td>
+        <td>${formatMoney(amount, currency)}</td>
+        <td${pl ? ` style="color:${pl.color}"` : ''}>${pl ? pl.text : ''}</td>
+      `;
+      transactionsBody.appendChild(tr);
+    });
+    lotsPanel.classList.remove('hidden');
+  } catch (err) {
+    console.error(err);
+    alert('Error loading lots.');
+  }
+}
+
+/**
+ * Records a sell of part or all of a holding at the latest price; in a paper
+ * trading portfolio, places a market sell order instead.
+ * @param {string} symbol
+ * @param {number} quantity
+ */
+async function sellHolding(symbol, quantity) {
+  if (isNaN(quantity) || quantity <= 0) {
+    alert('Please enter a valid quantity.');
+    return;
+  }
+  const paper = isPaperPortfolio();
+  try {
+    const holding = liveHoldings.find(h => h.symbol === symbol);
+    const res = paper
+      ? await fetch(portfolioUrl('/orders'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ symbol, side: 'sell', type: 'market', quantity })
+      })
+      : await sendEdit(portfolioUrl('/transactions'), 'POST', { type: 'sell', symbol, quantity }, `Sell ${quantity} ${symbol}`,
+        tradeStamp(holding && holding.currentPrice));
+    if (!res.ok) {
+      const data = await res.json();
+      alert(errorMessage(data, 'Failed to sell holding.'));
+    }
+  } catch (err) {
+    console.error(err);
+    alert('Error selling holding.');
+  }
+}
+
+/**
+ * Adds a symbol to the comparison, or removes it when already picked.
+ * @param {string} symbol
+ */
+function toggleCompare(symbol) {
+  if (compareList.includes(symbol)) {
+    compareList = compareList.filter(s => s !== symbol);
+  } else if (compareList.length >= MAX_COMPARE) {
+    alert(`You can compare up to ${MAX_COMPARE} symbols.`);
+    return;
+  } else {
+    compareList.push(symbol);
+  }
+  renderCompareList();
+}
+
+/**
+ * Shows the picked symbols and marks them in the search results.
+ */
+function renderCompareList() {
+  searchResults.querySelectorAll('button[data-symbol]').forEach(btn => {
+    const picked = compareList.includes(btn.dataset.symbol);
+    btn.textContent = picked ? 'Comparing' : 'Compare';
+    btn.classList.toggle('selected', picked);
+  });
+  comparePanel.classList.toggle('hidden', compareList.length === 0);
+  compareSymbolsEl.innerHTML = '';
+  compareList.forEach(symbol => {
+    const chip = document.createElement('span');
+    chip.className = 'compare-chip';
+    chip.innerHTML = `${symbol} <button title="Remove">&times;</button>`;
+    chip.querySelector('button').addEventListener('click', () => toggleCompare(symbol));
+    compareSymbolsEl.appendChild(chip);
+  });
+  if (compareList.length < 2) compareResults.classList.add('hidden');
+}
+
+/**
+ * Charts the picked symbols as percent change from the start date and fills
+ * the return, volatility and correlation tables.
+ */
+async function runComparison() {
+  if (compareList.length < 2) {
+    alert('Pick at least two symbols to compare.');
+    return;
+  }
+  const params = new URLSearchParams({ symbols: compareList.join(',') });
+  const from = document.getElementById('compare-from').value;
+  if (from) params.set('from', from);
+  try {
+    const res = await fetch(`${API_BASE}/compare?${params}`);
+    const data = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(data, 'Failed to compare symbols.'));
+      return;
+    }
+    compareResults.classList.remove('hidden');
+    drawCompareChart(data);
+    const filled = data.stats.filter(s => s.missing > 0);
+    document.getElementById('compare-note').textContent = filled.length
+      ? `Missing days carry the previous close forward (hollow points): ${filled.map(s => `${s.symbol} ${s.missing}`).join(', ')}.`
+      : '';
+    const percent = (value) => (value === null ? '—' : `${value.toFixed(2)}%`);
+    document.getElementById('compare-stats').innerHTML = data.stats.map(s => {
+      const { color } = formatPL(s.periodReturn || 0);
+      return `
+        <tr>
+          <td>${s.symbol}</td>
+          <td style="color: ${color}">${percent(s.periodReturn)}</td>
+          <td>${percent(s.volatility)}</td>
+          <td>${percent(s.maxDrawdown)}</td>
+        </tr>
+      `;
+    }).join('');
+    document.getElementById('compare-pairs').innerHTML = data.pairs.map(p => `
+      <tr>
+        <td>${p.symbols.join(' / ')}</td>
+        <td>${p.correlation === null ? '—' : p.correlation.toFixed(2)}</td>
+        <td>${p.observations}</td>
+      </tr>
+    `).join('');
+  } catch (err) {
+    console.error(err);
+    alert('Error comparing symbols.');
+  }
+}
+
+/**
+ * Draws one line per symbol, normalised to percent change.
+ * @param {Object} data response of /api/compare
+ */
+function drawCompareChart(data) {
+  const ctx = document.getElementById('compare-chart').getContext('2d');
+  if (compareChart) {
+    compareChart.destroy();
+  }
+  const palette = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#14b8a6', '#ec4899', '#6b7280'];
+  compareChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: data.dates.map(date => new Date(date).toLocaleDateString()),
+      datasets: data.series.map((series, i) => ({
+        label: series.symbol,
+        data: series.percent,
+        borderColor: palette[i % palette.length],
+        backgroundColor: '#fff',
+        // Only dates filled from the previous close get a (hollow) point
+        pointRadius: series.percent.map((value, index) => (series.filled.includes(index) ? 3 : 0)),
+        tension: 0.1
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: (item) => `${item.dataset.label}: ${item.raw === null ? 'n/a' : `${item.raw.toFixed(2)}%`}`
+          }
+        }
+      },
+      scales: {
+        x: { ticks: { autoSkip: true, maxTicksLimit: 6 } },
+        y: { position: 'right', ticks: { callback: (value) => `${value}%` } }
+      }
+    }
+  });
+}
+
+/**
+ * An article's headline, linked to the article when it has an address.
+ * @param {{title: string, url?: string}} article
+ * @returns {HTMLElement}
+ */
+function articleTitle(article) {
+  const el = document.createElement(article.url ? 'a' : 'span');
+  el.textContent = article.title;
+  if (article.url) {
+    el.href = article.url;
+    el.target = '_blank';
+    el.rel = 'noopener noreferrer';
+  }
+  return el;
+}
+
+/**
+ * Opens the News view: the first page of the feed and the status of every
+ * feed.
+ */
+function loadNewsView() {
+  if (currentSymbol && !document.getElementById('news-symbol').value) {
+    document.getElementById('news-symbol').value = currentSymbol;
+  }
+  loadNews();
+  loadNewsFeeds();
+}
+
+/**
+ * Loads the combined news feed with the chosen filters, replacing the list
+ * or appending the next page.
+ * @param {boolean} [more] append the next page
+ */
+async function loadNews(more = false) {
+  const feedEl = document.getElementById('news-feed');
+  const moreButton = document.getElementById('news-more-button');
+  const params = new URLSearchParams({ limit: NEWS_PAGE_SIZE, offset: more ? newsOffset : 0 });
+  const filters = {
+    symbol: document.getElementById('news-symbol').value.trim().toUpperCase(),
+    from: document.getElementById('news-from').value,
+    to: document.getElementById('news-to').value,
+    sentiment: document.getElementById('news-sentiment-filter').value,
+    q: document.getElementById('news-query').value.trim()
+  };
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  try {
+    const res = await fetchCached(`${API_BASE}/news?${params}`);
+    const data = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(data, 'Failed to load news.'));
+      return;
+    }
+    if (!more) {
+      feedEl.innerHTML = '';
+      newsOffset = 0;
+    }
+    data.articles.forEach(article => feedEl.appendChild(renderNewsItem(article)));
+    newsOffset += data.articles.length;
+    document.getElementById('news-count').textContent = data.total === 0
+      ? 'No articles match these filters.'
+      : `Showing ${newsOffset} of ${data.total} article(s), newest first.`;
+    moreButton.classList.toggle('hidden', newsOffset >= data.total);
+  } catch (err) {
+    console.error(err);
+    alert('Error loading news.');
+  }
+}
+
+/**
+ * One article of the News view: date, source and sentiment, the headline,
+ * its description and the symbols it is tagged with (which open the stock).
+ * @param {Object} article
+ * @returns {HTMLElement}
+ */
+function renderNewsItem(article) {
+  const li = document.createElement('li');
+  const meta = document.createElement('div');
+  meta.className = 'news-meta';
+  const badge = document.createElement('span');
+  renderSentimentBadge(badge, article.sentiment);
+  meta.append(`${new Date(article.publishedAt).toLocaleString()} · ${article.source} `, badge);
+  const title = document.createElement('h4');
+  title.appendChild(articleTitle(article));
+  li.append(meta, title);
+  if (article.description) {
+    const description = document.createElement('p');
+    description.textContent = article.description;
+    li.appendChild(description);
+  }
+  if (article.symbols.length) {
+    const symbols = document.createElement('div');
+    article.symbols.forEach(symbol => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'symbol-chip';
+      chip.textContent = symbol;
+      chip.addEventListener('click', () => {
+        setActiveView('stocks');
+        displayStock(symbol);
+      });
+      symbols.appendChild(chip);
+    });
+    li.appendChild(symbols);
+  }
+  return li;
+}
+
+/**
+ * Shows when each feed was last read and whether it could be.
+ */
+async function loadNewsFeeds() {
+  const body = document.getElementById('news-feeds-body');
+  try {
+    const res = await fetch(`${API_BASE}/news/feeds`);
+    const feeds = await res.json();
+    body.innerHTML = '';
+    if (feeds.length === 0) {
+      body.innerHTML = '<tr><td colspan="6">No feeds read yet.</td></tr>';
+    }
+    feeds.forEach(feed => {
+      const tr = document.createElement('tr');
+      const status = document.createElement('td');
+      status.textContent = feed.error || 'OK';
+      if (feed.error) status.className = 'feed-error';
+      [feed.name, feed.type, new Date(feed.ingestedAt).toLocaleString(), feed.articles, feed.added].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      tr.appendChild(status);
+      body.appendChild(tr);
+    });
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Reads every feed now and shows what came in.
+ */
+async function refreshNews() {
+  const button = document.getElementById('news-refresh-button');
+  button.disabled = true;
+  try {
+    const res = await fetch(`${API_BASE}/news/refresh`, { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok) alert(errorMessage(data, 'Failed to refresh the feeds.'));
+    loadNews();
+    loadNewsFeeds();
+  } catch (err) {
+    console.error(err);
+    alert('Error refreshing the feeds.');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Loads the screener fields the first time the view opens and runs the
+ * current screen.
+ */
+async function openScreener() {
+  try {
+    if (screenerFields.length === 0) {
+      const res = await fetch(`${API_BASE}/screener/fields`);
+      screenerFields = await res.json();
+    }
+    runScreener(screenerOffset);
+  } catch (err) {
+    console.error(err);
+    alert('Error loading the screener.');
+  }
+}
+
+/**
+ * Human-readable name of a screener column such as `change(5)`.
+ * @param {string} key
+ * @returns {string}
+ */
+function screenerLabel(key) {
+  const [name, period] = key.replace(')', '').split('(');
+  const field = screenerFields.find(f => f.name === name);
+  const label = field ? field.label : name;
+  return period ? `${label} (${period})` : label;
+}
+
+/**
+ * Adds a filter row to the screener's filter builder.
+ * @param {{field?: string, period?: number, op?: string, value?: string}} [filter]
+ */
+function addFilterRow(filter = {}) {
+  const tr = document.createElement('tr');
+  tr.innerHTML = `
+    <td><select class="filter-field">${screenerFields.map(f => `<option value="${f.name}">${f.label}</option>`).join('')}</select></td>
+    <td><input type="number" class="filter-period" min="1" max="250" step="1" /></td>
+    <td>
+      <select class="filter-op">
+        <option value="&gt;">&gt;</option>
+        <option value="&gt;=">&ge;</option>
+        <option value="&lt;">&lt;</option>
+        <option value="&lt;=">&le;</option>
+        <option value="=">=</option>
+        <option value="!=">&ne;</option>
+      </select>
+    </td>
+    <td><input type="text" class="filter-value" /></td>
+    <td class="actions"><button class="secondary">Remove</button></td>
+  `;
+  const fieldSelect = tr.querySelector('.filter-field');
+  const periodInput = tr.querySelector('.filter-period');
+  const valueInput = tr.querySelector('.filter-value');
+  // Fields without a period disable the period box; fixed values are hinted
+  const updateRow = () => {
+    const field = screenerFields.find(f => f.name === fieldSelect.value);
+    periodInput.disabled = field.period === null;
+    periodInput.value = field.period === null ? '' : (periodInput.value || field.period);
+    valueInput.placeholder = field.values ? field.values.join(' / ') : 'e.g. 100 or sma(20)';
+  };
+  fieldSelect.value = filter.field || 'price';
+  if (filter.period) periodInput.value = filter.period;
+  tr.querySelector('.filter-op').value = filter.op || '>';
+  valueInput.value = filter.value || '';
+  updateRow();
+  fieldSelect.addEventListener('change', () => {
+    periodInput.value = '';
+    updateRow();
+  });
+  tr.querySelector('button').addEventListener('click', () => tr.remove());
+  screenerFilters.appendChild(tr);
+}
+
+/**
+ * Runs the screen described by the filter builder and renders one page of
+ * results; clicking a row opens the stock.
+ * @param {number} offset index of the first result to show
+ */
+async function runScreener(offset) {
+  const filters = [];
+  screenerFilters.querySelectorAll('tr').forEach(tr => {
+    const value = tr.querySelector('.filter-value').value.trim();
+    if (!value) return;
+    const period = tr.querySelector('.filter-period').value;
+    const field = tr.querySelector('.filter-field').value + (period ? `(${period})` : '');
+    filters.push(`${field}${tr.querySelector('.filter-op').value}${value}`);
+  });
+  const params = new URLSearchParams({ sort: screenerSort, limit: SCREENER_PAGE_SIZE, offset });
+  if (filters.length) params.set('filter', filters.join(','));
+  try {
+    const res = await fetch(`${API_BASE}/screener?${params}`);
+    const data = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(data, 'Failed to run the screen.'));
+      return;
+    }
+    screenerOffset = data.offset;
+    screenerResults.classList.remove('hidden');
+    screenerSummary.textContent = data.total === 0
+      ? 'No symbols match these filters.'
+      : `Showing ${data.offset + 1}-${data.offset + data.results.length} of ${data.total} matching symbols.`;
+    const arrow = (key) => {
+      if (screenerSort === key) return ' ▲';
+      return screenerSort === `-${key}` ? ' ▼' : '';
+    };
+    screenerHead.innerHTML = `
+      <tr>
+        <th data-sort="symbol">Symbol${arrow('symbol')}</th>
+        <th>Name</th>
+        ${data.columns.map(key => `<th data-sort="${key}">${screenerLabel(key)}${arrow(key)}</th>`).join('')}
+      </tr>
+    `;
+    screenerBody.innerHTML = '';
+    data.results.forEach(row => {
+      const tr = document.createElement('tr');
+      // Names come from imports, so every cell is text rather than markup
+      const cells = [row.symbol, row.name, ...data.columns.map(key => {
+        const value = row.values[key];
+        return value === null ? '—' : typeof value === 'number' ? value.toLocaleString() : String(value);
+      })];
+      cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      tr.addEventListener('click', () => {
+        setActiveView('stocks');
+        displayStock(row.symbol);
+      });
+      screenerBody.appendChild(tr);
+    });
+    document.getElementById('screener-prev').disabled = data.offset === 0;
+    document.getElementById('screener-next').disabled = data.offset + data.results.length >= data.total;
+  } catch (err) {
+    console.error(err);
+    alert('Error running the screen.');
+  }
+}
+
+/**
+ * Runs a backtest of the recommendation strategy for the symbol in the form and
+ * renders the equity curve against buy-and-hold, the metrics and the trades.
+ */
+async function runBacktest() {
+  const symbol = backtestSymbolInput.value.trim().toUpperCase();
+  if (!symbol) return;
+  const params = new URLSearchParams({
+    cash: document.getElementById('backtest-cash').value,
+    positionSize: (parseFloat(document.getElementById('backtest-size').value) / 100).toString(),
+    commission: document.getElementById('backtest-commission').value,
+    warmup: document.getElementById('backtest-warmup').value
+  });
+  try {
+    const res = await fetch(`${API_BASE}/backtest/${encodeURIComponent(symbol)}?${params}`);
+    const data = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(data, 'Backtest failed.'));
+      return;
+    }
+    backtestResults.classList.remove('hidden');
+    drawBacktestChart(data);
+    const pct = (v) => (v === null ? '–' : `${v.toFixed(2)}%`);
+    const fmt = (v) => (v === null ? '–' : v.toFixed(2));
+    const money = (v) => formatMoney(v, data.currency);
+    backtestMetrics.innerHTML = `
+      <tr>
+        <td>Strategy</td>
+        <td>${money(data.metrics.finalEquity)}</td>
+        <td>${pct(data.metrics.totalReturn)}</td>
+        <td>${pct(data.metrics.maxDrawdown)}</td>
+        <td>${fmt(data.metrics.sharpeRatio)}</td>
+        <td>${pct(data.metrics.winRate)}</td>
+        <td>${data.metrics.tradeCount}</td>
+      </tr>
+      <tr>
+        <td>Buy &amp; hold</td>
+        <td>${money(data.benchmark.finalEquity)}</td>
+        <td>${pct(data.benchmark.totalReturn)}</td>
+        <td>${pct(data.benchmark.maxDrawdown)}</td>
+        <td>${fmt(data.benchmark.sharpeRatio)}</td>
+        <td>–</td>
+        <td>1</td>
+      </tr>
+    `;
+    backtestTrades.innerHTML = '';
+    if (data.trades.length === 0) {
+      backtestTrades.innerHTML = '<tr><td colspan="6">The strategy made no trades in this period.</td></tr>';
+    }
+    data.trades.forEach(trade => {
+      const pl = trade.pl === undefined ? null : formatPL(trade.pl, data.currency);
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${new Date(trade.date).toLocaleDateString()}</td>
+        <td class="tx-type ${trade.type}">${trade.type}</td>
+        <td>${trade.quantity}</td>
+        <td>${money(trade.price)}</td>
+        <td>${money(trade.commission)}</td>
+        <td${pl ? ` style="color:${pl.color}"` : ''}>${pl ? pl.text : ''}</td>
+      `;
+      backtestTrades.appendChild(tr);
+    });
+  } catch (err) {
+    console.error(err);
+    alert('Error running backtest.');
+  }
+}
+
+/**
+ * Plots the backtest equity curve against the buy-and-hold benchmark.
+ * @param {Object} data backtest response
+ */
+function drawBacktestChart(data) {
+  const ctx = document.getElementById('backtest-chart').getContext('2d');
+  if (backtestChart) {
+    backtestChart.destroy();
+  }
+  backtestChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: data.equityCurve.map(p => new Date(p.date).toLocaleDateString()),
+      datasets: [
+        {
+          label: 'Strategy',
+          data: data.equityCurve.map(p => p.equity),
+          borderColor: '#3b82f6',
+          backgroundColor: '#3b82f6',
+          pointRadius: 0,
+          tension: 0.1
+        },
+        {
+          label: 'Buy & hold',
+          data: data.equityCurve.map(p => p.benchmark),
+          borderColor: '#9ca3af',
+          backgroundColor: '#9ca3af',
+          borderDash: [6, 4],
+          pointRadius: 0,
+          tension: 0.1
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { ticks: { autoSkip: true, maxTicksLimit: 6 } },
+        y: { position: 'right', ticks: { callback: (value) => formatMoney(value, data.currency) } }
+      }
+    }
+  });
+}
+
+/**
+ * Shows a risk-profile warning when a symbol or plan does not suit the
+ * user's profile, and hides the element otherwise.
+ * @param {HTMLElement} el
+ * @param {Object|null} suitability from the API
+ */
+function showSuitability(el, suitability) {
+  const warn = !!(suitability && !suitability.suitable);
+  el.classList.toggle('hidden', !warn);
+  el.textContent = warn ? `Risk profile: ${suitability.note}` : '';
+}
+
+/**
+ * Renders the risk-profile questionnaire with the user's stored answers.
+ */
+async function loadRiskProfile() {
+  try {
+    const res = await fetch(`${API_BASE}/risk-profile`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(errorMessage(data, 'Failed to load the questionnaire.'));
+    const answers = data.riskProfile ? data.riskProfile.answers : {};
+    riskQuestionsEl.innerHTML = data.questions.map(question => `
+      <fieldset class="risk-question">
+        <legend>${question.text}</legend>
+        ${question.options.map(option => `
+          <label>
+            <input type="radio" name="${question.id}" value="${option.value}" required${answers[question.id] === option.value ? ' checked' : ''} />
+            ${option.label}
+          </label>
+        `).join('')}
+      </fieldset>
+    `).join('');
+    renderRiskProfile(data.riskProfile, data.profiles);
+  } catch (err) {
+    console.error(err);
+    riskProfileResult.textContent = err.message;
+  }
+}
+
+/**
+ * Describes the stored risk profile above the questionnaire.
+ * @param {Object|null} riskProfile
+ * @param {Array<Object>} [profiles] profile descriptions
+ */
+function renderRiskProfile(riskProfile, profiles = []) {
+  if (!riskProfile) {
+    riskProfileResult.textContent = 'Answer the questions below to get recommendations tailored to how much risk you can take.';
+    return;
+  }
+  const described = profiles.find(p => p.name === riskProfile.profile);
+  const limit = riskProfile.maxVolatility === null ? 'no volatility limit' : `names above ${riskProfile.maxVolatility}% annual volatility are flagged`;
+  riskProfileResult.textContent = `Your profile: ${riskProfile.profile} (score ${riskProfile.score}; ${limit}). ${described ? described.description : ''}`;
+}
+
+/**
+ * Saves the questionnaire answers.
+ */
+async function saveRiskProfile() {
+  const answers = {};
+  new FormData(riskProfileForm).forEach((value, key) => { answers[key] = value; });
+  try {
+    const res = await fetch(`${API_BASE}/risk-profile`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ answers })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(data, 'Failed to save the risk profile.'));
+      return;
+    }
+    loadRiskProfile();
+  } catch (err) {
+    console.error(err);
+    alert('Error saving the risk profile.');
+  }
+}
+
+/**
+ * Simulates the savings goal in the form for the active portfolio.
+ */
+async function runGoalPlan() {
+  const number = (id) => {
+    const value = document.getElementById(id).value;
+    return value === '' ? undefined : parseFloat(value);
+  };
+  const body = {
+    years: parseInt(document.getElementById('goal-years').value, 10),
+    monthlyContribution: number('goal-contribution') || 0,
+    target: number('goal-target'),
+    initialValue: number('goal-initial'),
+    expectedReturn: number('goal-return'),
+    volatility: number('goal-volatility')
+  };
+  try {
+    const res = await fetch(portfolioUrl('/portfolio/goal'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(data, 'Simulation failed.'));
+      return;
+    }
+    goalResults.classList.remove('hidden');
+    const money = (v) => formatMoney(v, data.currency);
+    const { assumptions } = data;
+    const source = assumptions.basis === 'given'
+      ? 'as given'
+      : `estimated from ${assumptions.basis === 'holdings' ? 'your holdings' : 'all tracked symbols'} over ${assumptions.observations} days${assumptions.clamped ? ', return capped' : ''}`;
+    goalSummary.innerHTML = `
+      After ${data.years} years, with ${money(data.contributed)} paid in, the median outcome is
+      <strong>${money(data.final.p50)}</strong> (90% of outcomes between ${money(data.final.p5)} and ${money(data.final.p95)}).
+      ${data.probability === null ? '' : `Chance of reaching ${money(data.target)}: <strong>${data.probability}%</strong>.`}
+      <br><span class="note">Assumes ${assumptions.expectedReturn}% return and ${assumptions.volatility}% volatility a year (${source}).</span>
+    `;
+    showSuitability(goalSuitability, data.suitability);
+    drawGoalChart(data);
+  } catch (err) {
+    console.error(err);
+    alert('Error running the simulation.');
+  }
+}
+
+/**
+ * Plots the fan of simulated outcomes: the 5-95 and 25-75 percentile bands
+ * around the median.
+ * @param {Object} data goal planner response
+ */
+function drawGoalChart(data) {
+  const ctx = document.getElementById('goal-chart').getContext('2d');
+  if (goalChart) {
+    goalChart.destroy();
+  }
+  const series = (key) => data.bands.map(b => b[key]);
+  const band = (label, key, fill, color) => ({
+    label, data: series(key), fill, backgroundColor: color, borderWidth: 0, pointRadius: 0
+  });
+  const datasets = [
+    band('95th percentile', 'p95', false, 'transparent'),
+    band('5th percentile', 'p5', '-1', 'rgba(59, 130, 246, 0.15)'),
+    band('75th percentile', 'p75', false, 'transparent'),
+    band('25th percentile', 'p25', '-1', 'rgba(59, 130, 246, 0.3)'),
+    { label: 'Median', data: series('p50'), borderColor: '#1d4ed8', borderWidth: 2, pointRadius: 0, fill: false }
+  ];
+  if (data.target !== null) {
+    datasets.push({ label: 'Target', data: data.bands.map(() => data.target), borderColor: '#ef4444', borderDash: [6, 4], borderWidth: 1, pointRadius: 0, fill: false });
+  }
+  goalChart = new Chart(ctx, {
+    type: 'line',
+    data: { labels: data.bands.map(b => (b.month / 12).toFixed(1)), datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { labels: { filter: (item) => ['Median', 'Target'].includes(item.text) } },
+        tooltip: { callbacks: { label: (item) => `${item.dataset.label}: ${formatMoney(item.raw, data.currency)}` } }
+      },
+      scales: {
+        x: { title: { display: true, text: 'Years' }, ticks: { autoSkip: true, maxTicksLimit: 11 } },
+        y: { position: 'right', ticks: { callback: (value) => formatMoney(value, data.currency) } }
+      }
+    }
+  });
+}
+
+/**
+ * Loads everything shown in the Alerts view.
+ */
+function loadAlertsView() {
+  loadAlertLog();
+  loadAlertRules();
+  loadWatchlists();
+}
+
+/**
+ * Shows the number of unacknowledged alerts on the sidebar badge.
+ * @param {number} unread
+ */
+function updateAlertsBadge(unread) {
+  alertsBadge.textContent = unread > 99 ? '99+' : String(unread);
+  alertsBadge.classList.toggle('hidden', unread === 0);
+}
+
+/**
+ * Loads the triggered-alert log, refreshes the badge and renders the log when
+ * the Alerts view is open.
+ */
+async function loadAlertLog() {
+  try {
+    const res = await fetch(`${API_BASE}/alerts`);
+    const data = await res.json();
+    updateAlertsBadge(data.unread);
+    if (!alertsView.classList.contains('active')) return;
+    alertLogBody.innerHTML = '';
+    if (data.alerts.length === 0) {
+      alertLogBody.innerHTML = '<tr><td colspan="5">No alerts yet.</td></tr>';
+      return;
+    }
+    data.alerts.forEach(entry => {
+      const tr = document.createElement('tr');
+      if (entry.status === 'new') tr.className = 'alert-new';
+      tr.innerHTML = `
+        <td>${new Date(entry.triggeredAt).toLocaleString()}</td>
+        <td>${entry.symbol}</td>
+        <td>${entry.message}</td>
+        <td class="alert-status">${entry.status}</td>
+        <td class="actions">
+          ${entry.status === 'new' ? `<button class="secondary" data-action="acknowledge" data-id="${entry.id}">Acknowledge</button>` : ''}
+          <button class="secondary" data-action="dismiss" data-id="${entry.id}">Dismiss</button>
+        </td>
+      `;
+      alertLogBody.appendChild(tr);
+    });
+    alertLogBody.querySelectorAll('button[data-action]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        await fetch(`${API_BASE}/alerts/${btn.dataset.id}/${btn.dataset.action}`, { method: 'POST' });
+        loadAlertLog();
+      });
+    });
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Loads and renders the alert rules.
+ */
+async function loadAlertRules() {
+  alertRulesBody.innerHTML = '';
+  try {
+    const res = await fetch(`${API_BASE}/alerts/rules`);
+    const rules = await res.json();
+    if (rules.length === 0) {
+      alertRulesBody.innerHTML = '<tr><td colspan="4">No alert rules.</td></tr>';
+      return;
+    }
+    rules.forEach(rule => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${rule.symbol}</td>
+        <td>${rule.description}</td>
+        <td>${rule.createdAt.slice(0, 10)}</td>
+        <td class="actions"><button class="secondary" data-id="${rule.id}">Delete</button></td>
+      `;
+      alertRulesBody.appendChild(tr);
+    });
+    alertRulesBody.querySelectorAll('button[data-id]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        await fetch(`${API_BASE}/alerts/rules/${btn.dataset.id}`, { method: 'DELETE' });
+        loadAlertRules();
+      });
+    });
+  } catch (err) {
+    console.error(err);
+    alert('Error loading alert rules.');
+  }
+}
+
+/**
+ * Creates an alert rule from the form; only the fields of the selected rule
+ * type are sent.
+ */
+async function createAlertRule() {
+  const value = (id) => document.getElementById(id).value;
+  const type = alertTypeSelect.value;
+  const rule = { symbol: value('alert-symbol').trim().toUpperCase(), type };
+  if (type === 'price_cross') {
+    rule.level = parseFloat(value('alert-level'));
+    rule.direction = value('alert-cross-direction');
+  } else if (type === 'percent_move') {
+    rule.percent = parseFloat(value('alert-percent'));
+    rule.days = parseInt(value('alert-days'), 10);
+    rule.direction = value('alert-move-direction');
+  } else if (type === 'recommendation_change') {
+    rule.to = value('alert-recommendation');
+  }
+  try {
+    const res = await fetch(`${API_BASE}/alerts/rules`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(rule)
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(errorMessage(data, 'Failed to create alert rule.'));
+      return;
+    }
+    loadAlertRules();
+  } catch (err) {
+    console.error(err);
+    alert('Error creating alert rule.');
+  }
+}
+
+/**
+ * Sends a JSON request for a watchlist change and reloads the watchlists,
+ * reporting any error to the user.
+ * @param {string} path
+ * @param {string} method
+ * @param {Object} [body]
+ */
+async function updateWatchlist(path, method, body) {
+  try {
+    const res = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(errorMessage(data, 'Failed to update watchlist.'));
+    }
+    loadWatchlists();
+  } catch (err) {
+    console.error(err);
+    alert('Error updating watchlist.');
+  }
+}
+
+/**
+ * Creates a watchlist with the name entered in the form.
+ */
+async function createWatchlist() {
+  const name = watchlistNameInput.value.trim();
+  if (!name) return;
+  await updateWatchlist('/watchlists', 'POST', { name });
+  watchlistNameInput.value = '';
+}
+
+/**
+ * Loads the watchlists and renders each one as a table of live quotes.
+ * Clicking a symbol opens its details in the Stocks view.
+ */
+async function loadWatchlists() {
+  watchlistsEl.innerHTML = '';
+  try {
+    const res = await fetch(`${API_BASE}/watchlists`);
+    const lists = await res.json();
+    if (lists.length === 0) {
+      watchlistsEl.textContent = 'No watchlists yet.';
+      return;
+    }
+    lists.forEach(list => {
+      const div = document.createElement('div');
+      div.className = 'watchlist';
+      const rows = list.quotes.map(quote => {
+        const change = formatPL(quote.change, quote.currency);
+        return `
+          <tr>
+            <td><a href="#" data-action="open" data-symbol="${quote.symbol}">${quote.symbol}</a></td>
+            <td>${formatMoney(quote.price, quote.currency)}</td>
+            <td style="color:${change.color}">${change.text} (${quote.changePercent.toFixed(2)}%)</td>
+            <td class="actions"><button class="secondary" data-action="remove" data-symbol="${quote.symbol}">Remove</button></td>
+          </tr>
+        `;
+      }).join('');
+      div.innerHTML = `
+        <div class="watchlist-header">
+          <h4>${list.name}</h4>
+          <button class="secondary" data-action="rename">Rename</button>
+          <button class="secondary" data-action="delete">Delete</button>
+        </div>
+        <table class="data-table">
+          <tbody>${rows || '<tr><td colspan="4">No symbols yet.</td></tr>'}</tbody>
+        </table>
+        <form class="inline-form">
+          <input type="text" placeholder="Add symbol" required />
+          <button type="submit">Add</button>
+        </form>
+      `;
+      div.querySelector('[data-action="rename"]').addEventListener('click', () => {
+        const name = prompt('Rename watchlist', list.name);
+        if (name) updateWatchlist(`/watchlists/${list.id}`, 'PUT', { name });
+      });
+      div.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        if (confirm(`Delete the watchlist "${list.name}"?`)) updateWatchlist(`/watchlists/${list.id}`, 'DELETE');
+      });
+      div.querySelectorAll('[data-action="remove"]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          updateWatchlist(`/watchlists/${list.id}/symbols/${btn.dataset.symbol}`, 'DELETE');
+        });
+      });
+      div.querySelectorAll('[data-action="open"]').forEach(link => {
+        link.addEventListener('click', (e) => {
+          e.preventDefault();
+          setActiveView('stocks');
+          displayStock(link.dataset.symbol);
+        });
+      });
+      div.querySelector('form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const symbol = e.target.querySelector('input').value.trim();
+        if (symbol) updateWatchlist(`/watchlists/${list.id}/symbols`, 'POST', { symbol });
+      });
+      watchlistsEl.appendChild(div);
+    });
   } catch (err) {
     console.error(err);
-    alert('Error removing holding.');
+    alert('Error loading watchlists.');
   }
 }
 
@@ -0,0 +1,98 @@
+/*
+ * Service worker for the Investment Advisor.
+ *
+ * Keeps the app shell (page, script, styles, icons and the vendored chart
+ * libraries) in a cache so the app opens without a connection. Pages are
+ * fetched network-first so a running server always wins; other files are
+ * answered from the cache and refreshed in the background, so a new version
+ * shows on the next load. API requests are left alone: app.js keeps its own
+ * copy of the last responses in IndexedDB and knows when they are stale.
+ */
+
+// Bump to drop every cached file when the shell changes shape
+const CACHE_NAME = 'advisor-shell-v1';
+
+const SHELL = [
+  '/',
+  '/app.js',
+  '/style.css',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/vendor/chart.umd.js',
+  '/vendor/chartjs-adapter-date-fns.bundle.min.js',
+  '/vendor/chartjs-chart-financial.min.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+  if (request.mode === 'navigate') {
+    event.respondWith(fromNetwork(request));
+  } else {
+    event.respondWith(fromCache(request, event));
+  }
+});
+
+/**
+ * Fetches a page, falling back to the cached shell when offline. Every path
+ * outside /api serves the same single page.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function fromNetwork(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.put('/', response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match('/');
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/**
+ * Answers from the cache and refreshes the copy in the background, or waits
+ * for the network when nothing is cached yet.
+ * @param {Request} request
+ * @param {FetchEvent} event kept alive until the refresh is stored
+ * @returns {Promise<Response>}
+ */
+async function fromCache(request, event) {
+  const cache = await caches.open(CACHE_NAME);
+  // Query strings only bust the browser cache; the shell is keyed by path
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const refresh = fetch(request).then(async response => {
+    if (response.ok) await cache.put(new URL(request.url).pathname, response.clone());
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
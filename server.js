@@ -1,258 +1,1732 @@
 /*
  * Minimal HTTP server to power the investment advisor dashboard. Rather than
  * depending on external packages like Express, this file uses Node's built‑in
- * modules (http, fs and url) to handle routing, serve static files and expose
+ * modules (http, fs and path) to handle routing, serve static files and expose
  * a small JSON API. This design allows the app to run in a restricted
  * environment without downloading extra dependencies.
  */
 
 const http = require('http');
-const url = require('url');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
+const sentiment = require('./lib/sentiment');
+const { recommend } = require('./lib/recommendation');
+const ledger = require('./lib/ledger');
+const { runBacktest } = require('./lib/backtest');
+const { analysePortfolio } = require('./lib/analytics');
+const rebalance = require('./lib/rebalance');
+const { loadConfig } = require('./lib/config');
+const { createProvider, ProviderError } = require('./lib/providers');
+const { parseOhlcv } = require('./lib/csv');
+const { createTicker } = require('./lib/ticker');
+const watchlists = require('./lib/watchlists');
+const alerts = require('./lib/alerts');
+const auth = require('./lib/auth');
+const portfolios = require('./lib/portfolios');
+const screener = require('./lib/screener');
+const compare = require('./lib/compare');
+const chart = require('./lib/chart');
+const statements = require('./lib/statements');
+const corporateActions = require('./lib/actions');
+const fx = require('./lib/fx');
+const planner = require('./lib/planner');
+const paper = require('./lib/paper');
+const news = require('./lib/news');
+const { createStorage } = require('./lib/storage');
+const { createRouter, ApiError, sendJson, sendError } = require('./lib/router');
+const { buildOpenApi } = require('./lib/openapi');
+const pkg = require('./package.json');
 
-const PORT = process.env.PORT || 3000;
+/**
+ * Creates the advisor: the HTTP server with its data provider, price ticker
+ * and storage. Nothing listens until listen() is called, so tests can start
+ * it on an ephemeral port with their own data file and storage directory.
+ * @param {Object} [config] as returned by loadConfig()
+ * @returns {{server: http.Server, provider: Object, ticker: Object, store: Object, listen: Function, close: Function}}
+ */
+function createApp(config = loadConfig()) {
+  // Market data (quotes, names and news) comes from the configured provider
+  const provider = createProvider(config.provider);
+
+  // Simulated intraday prices anchored on each symbol's last stored close
+  const ticker = createTicker(provider, config.ticker);
 
-// Load the sample stock and news data
-const sampleData = JSON.parse(fs.readFileSync(path.join(__dirname, 'sample_data.json'), 'utf8'));
+  // Historical exchange rates for converting holdings into each user's base
+  // currency
+  const rates = fx.createConverter(fx.loadRates(config.fx.file));
+  if (!rates.supports(config.fx.baseCurrency)) {
+    throw new Error(`No exchange rates for the default base currency ${config.fx.baseCurrency}; add it to ${config.fx.file}.`);
+  }
+
+  // Every user's portfolios and ledgers, accounts (salted password hashes),
+  // watchlists and alert rules, and the ingested news, kept by the configured
+  // storage backend
+  const store = createStorage(config.storage, {
+    portfolios: { file: 'portfolio.json', empty: () => portfolios.normalisePortfolios(), migrations: portfolios.MIGRATIONS },
+    users: { file: 'users.json', empty: () => auth.normaliseUsers(), migrations: auth.MIGRATIONS },
+    watchlists: { file: 'watchlists.json', empty: () => watchlists.normaliseWatchlists(), migrations: watchlists.MIGRATIONS },
+    alerts: { file: 'alerts.json', empty: () => alerts.normaliseAlerts(), migrations: alerts.MIGRATIONS },
+    news: { file: 'news.json', empty: () => news.normaliseNews(), migrations: news.MIGRATIONS }
+  });
 
-// File to persist the user portfolio
-const portfolioFile = path.join(__dirname, 'portfolio.json');
+  // Key that signs session cookies
+  const sessionSecret = config.auth.secret || crypto.randomBytes(32).toString('hex');
+  const sessionOptions = {
+    ttlMs: config.auth.sessionTtlHours * 60 * 60 * 1000,
+    secure: config.auth.secureCookies,
+    sameSite: config.auth.sameSite
+  };
 
-function loadPortfolio() {
-  try {
-    return JSON.parse(fs.readFileSync(portfolioFile, 'utf8'));
-  } catch (err) {
-    return [];
+  // Largest CSV accepted by the import endpoint
+  const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+  // The ledger of one of the user's portfolios; without an id it is their first
+  function loadLedger(user, portfolioId) {
+    const portfolio = portfolios.findPortfolio(store.read('portfolios'), user.id, portfolioId);
+    return ledger.normaliseLedger(portfolio);
   }
-}
 
-function savePortfolio(data) {
-  fs.writeFileSync(portfolioFile, JSON.stringify(data, null, 2));
-}
+  // Read-modify-write of one of the user's ledgers: `change` receives the ledger
+  // and may replace its transactions, targets or paper account; its result is
+  // returned once the portfolio is saved. Changes to portfolios wait for each
+  // other, so none is lost when requests overlap.
+  function updateLedger(user, portfolioId, change) {
+    return store.update('portfolios', async doc => {
+      const portfolio = portfolios.findPortfolio(doc, user.id, portfolioId);
+      const data = ledger.normaliseLedger(portfolio);
+      const result = await change(data);
+      portfolio.transactions = data.transactions;
+      portfolio.targets = data.targets || {};
+      if (data.paper) portfolio.paper = data.paper;
+      else delete portfolio.paper;
+      return result;
+    });
+  }
 
-// Helper: summarises news articles by concatenating descriptions
-function summariseNews(news) {
-  if (!news || news.length === 0) return '';
-  const combined = news.map(n => n.description).join(' ');
-  const maxLength = 300;
-  return combined.length > maxLength ? combined.slice(0, maxLength) + '…' : combined;
-}
+  // Alert rules are evaluated on every tick, so they are kept in memory and
+  // written back only when a rule's state changes or an alert fires
+  const alertData = store.read('alerts');
 
-// Helper: set CORS headers
-function setCors(res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-}
+  function saveAlerts() {
+    return store.save('alerts', alertData);
+  }
 
-// Route handlers for API endpoints
-async function handleApi(req, res) {
-  const parsedUrl = url.parse(req.url, true);
-  const parts = parsedUrl.pathname.split('/').filter(Boolean); // remove empty segments
-  const method = req.method;
+  // Triggered alerts are pushed to open event streams
+  const alertEvents = new EventEmitter();
+  alertEvents.setMaxListeners(0);
 
-  // Search endpoint: /api/search?q=...
-  if (parts[1] === 'search' && method === 'GET') {
-    const query = (parsedUrl.query.q || '').toLowerCase();
-    const results = [];
-    if (query) {
-      for (const symbol of Object.keys(sampleData)) {
-        const { name } = sampleData[symbol];
-        if (symbol.toLowerCase().includes(query) || name.toLowerCase().includes(query)) {
-          results.push({ symbol, name });
-        }
-        if (results.length >= 5) break;
-      }
-    }
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(results));
-    return;
+  // Symbols the ticker is simulating on behalf of alert rules
+  const alertSymbols = new Set();
+
+  // Helper: stored bars for a symbol adjusted for its corporate actions
+  // (`adjust` is all, splits or none), with the ingested news about it.
+  // Sessions the ticker simulates are left out: they are dated days ahead
+  // of the calendar and would skew every indicator read from the history
+  async function getStock(symbol, adjust = 'all') {
+    const stock = await provider.getStock(symbol);
+    if (!stock) return null;
+    return {
+      ...stock,
+      priceData: corporateActions.adjustBars(stock.priceData, stock.actions, adjust),
+      news: news.articlesFor(store.read('news'), stock.symbol)
+    };
   }
 
-  // Stock details: /api/stock/:symbol
-  if (parts[1] === 'stock' && method === 'GET' && parts.length === 3) {
-    const symbol = parts[2].toUpperCase();
-    const stock = sampleData[symbol];
-    if (!stock) {
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Stock not found' }));
-      return;
+  // News ingestion in progress, so overlapping refreshes share one run
+  let ingesting = null;
+
+  // Helper: reads every configured feed and the provider's news of every
+  // tracked symbol into the news store
+  function ingestNews() {
+    if (!ingesting) {
+      ingesting = (async () => {
+        const symbols = await provider.listSymbols();
+        const feeds = await news.readFeeds(config.news);
+        const provided = await Promise.all(symbols.map(async ({ symbol }) => {
+          const stock = await provider.getStock(symbol).catch(() => null);
+          return { symbol, news: stock ? stock.news : [] };
+        }));
+        return store.update('news', doc => news.ingest(doc, { feeds, provided, symbols }));
+      })().finally(() => {
+        ingesting = null;
+      });
     }
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ symbol, name: stock.name, priceData: stock.priceData }));
-    return;
+    return ingesting;
   }
 
-  // News: /api/news/:symbol
-  if (parts[1] === 'news' && method === 'GET' && parts.length === 3) {
-    const symbol = parts[2].toUpperCase();
-    const stock = sampleData[symbol];
-    if (!stock) {
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Stock not found' }));
-      return;
-    }
-    const news = stock.news || [];
-    const summary = summariseNews(news);
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ symbol, news, summary }));
-    return;
+  // Feeds are read again every `intervalMinutes`
+  const newsTimer = config.news.intervalMinutes > 0
+    ? setInterval(() => ingestNews().catch(err => console.error(err)), config.news.intervalMinutes * 60 * 1000)
+    : null;
+  if (newsTimer) newsTimer.unref();
+
+  // Helper: corporate actions per symbol for the given symbols, as the ledger
+  // functions take them (symbols without actions are left out)
+  async function actionsFor(symbols) {
+    const actions = {};
+    await Promise.all([...new Set(symbols)].map(async symbol => {
+      const stock = await provider.getStock(symbol);
+      if (stock && stock.actions.length) actions[symbol] = stock.actions;
+    }));
+    return actions;
   }
 
-  // Recommendation: /api/recommendation/:symbol
-  if (parts[1] === 'recommendation' && method === 'GET' && parts.length === 3) {
-    const symbol = parts[2].toUpperCase();
-    const stock = sampleData[symbol];
-    if (!stock) {
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Stock not found' }));
-      return;
-    }
-    const prices = stock.priceData;
-    if (!prices || prices.length < 2) {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Not enough price data' }));
-      return;
-    }
-    const last = prices[prices.length - 1].close;
-    const prev = prices[prices.length - 2].close;
-    const diffPercent = ((last - prev) / prev) * 100;
-    let recommendation = 'Hold';
-    let rationale = 'Price has barely changed in the most recent session.';
-    if (diffPercent > 0.5) {
-      recommendation = 'Buy';
-      rationale = 'The closing price has risen steadily in the latest session.';
-    } else if (diffPercent < -0.5) {
-      recommendation = 'Sell';
-      rationale = 'The closing price declined sharply in the latest session.';
-    }
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ symbol, recommendation, rationale, lastPrice: last, previousPrice: prev }));
-    return;
+  // Helper: the currency a user reports portfolio values in
+  function baseCurrencyOf(user) {
+    return (user.settings && user.settings.baseCurrency) || config.fx.baseCurrency;
+  }
+
+  // Helper: conversion of the given symbols' prices into the user's base
+  // currency, as the ledger functions take it
+  async function conversionFor(user, symbols) {
+    const currencies = {};
+    await Promise.all([...new Set(symbols)].map(async symbol => {
+      const stock = await provider.getStock(symbol);
+      if (stock) currencies[symbol] = stock.currency;
+    }));
+    return fx.conversionFor(rates, baseCurrencyOf(user), currencies);
+  }
+
+  // Helper: live simulated price for each of the given symbols (unknown symbols
+  // are left out)
+  async function latestPrices(symbols) {
+    const prices = {};
+    await Promise.all([...new Set(symbols)].map(async symbol => {
+      const quote = await ticker.getQuote(symbol);
+      if (quote) prices[symbol] = quote.price;
+    }));
+    return prices;
   }
 
-  // Portfolio: GET /api/portfolio
-  if (parts[1] === 'portfolio' && method === 'GET' && parts.length === 2) {
-    const portfolio = loadPortfolio();
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(portfolio));
-    return;
+  // Helper: latest stored close for each of the given symbols (unknown symbols
+  // are left out)
+  async function latestCloses(symbols) {
+    const closes = {};
+    await Promise.all([...new Set(symbols)].map(async symbol => {
+      const stock = await getStock(symbol);
+      if (stock && stock.priceData.length) closes[symbol] = stock.priceData[stock.priceData.length - 1].close;
+    }));
+    return closes;
   }
 
-  // Portfolio: POST /api/portfolio
-  if (parts[1] === 'portfolio' && method === 'POST' && parts.length === 2) {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk;
+  // Helper: analytics for a ledger against every tracked symbol, at live prices
+  // and in the user's base currency. Histories are unadjusted; the analytics
+  // adjust them with the actions.
+  async function portfolioAnalytics(user, transactions, costMethod) {
+    const benchmark = (await provider.listSymbols()).map(item => item.symbol);
+    const symbols = [...new Set([...benchmark, ...transactions.map(tx => tx.symbol)])];
+    const histories = {};
+    const actions = {};
+    const prices = {};
+    let asOf = null;
+    await Promise.all(symbols.map(async symbol => {
+      const stock = await getStock(symbol, 'none');
+      if (!stock) return;
+      histories[symbol] = stock.priceData;
+      if (stock.actions.length) actions[symbol] = stock.actions;
+      const quote = await ticker.getQuote(symbol);
+      if (!quote) return;
+      prices[symbol] = quote.price;
+      asOf = Math.max(asOf || 0, quote.date);
+    }));
+    const conversion = await conversionFor(user, symbols);
+    return analysePortfolio(transactions, histories, { prices, asOf, benchmark, method: costMethod, actions, conversion });
+  }
+
+  // Helper: sends a file download
+  function sendDownload(res, type, filename, content) {
+    res.writeHead(200, {
+      'Content-Type': type,
+      'Content-Disposition': `attachment; filename="${filename}"`
     });
-    req.on('end', () => {
-      try {
-        const { symbol: rawSymbol, quantity, price } = JSON.parse(body || '{}');
-        if (!rawSymbol || typeof quantity !== 'number' || quantity <= 0) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Symbol and a positive quantity are required.' }));
-          return;
-        }
-        const symbol = rawSymbol.toUpperCase();
-        const stock = sampleData[symbol];
-        if (!stock) {
-          res.writeHead(404, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Stock not found' }));
-          return;
-        }
-        const portfolio = loadPortfolio();
-        const existing = portfolio.find(item => item.symbol === symbol);
-        const lastPrice = stock.priceData[stock.priceData.length - 1].close;
-        const purchasePrice = typeof price === 'number' && price > 0 ? price : lastPrice;
-        if (existing) {
-          const totalQty = existing.quantity + quantity;
-          const totalCost = existing.quantity * existing.price + quantity * purchasePrice;
-          existing.quantity = totalQty;
-          existing.price = parseFloat((totalCost / totalQty).toFixed(2));
-        } else {
-          portfolio.push({ symbol, quantity, price: parseFloat(purchasePrice.toFixed(2)) });
+    res.end(content);
+  }
+
+  // Helper: keeps the ticker simulating exactly the symbols that have enabled
+  // alert rules
+  async function syncAlertWatch() {
+    const wanted = new Set(alertData.rules.filter(rule => rule.enabled).map(rule => rule.symbol));
+    const removed = [...alertSymbols].filter(symbol => !wanted.has(symbol));
+    removed.forEach(symbol => alertSymbols.delete(symbol));
+    ticker.unwatch(removed);
+    const added = [...wanted].filter(symbol => !alertSymbols.has(symbol));
+    added.forEach(symbol => alertSymbols.add(symbol));
+    const known = await ticker.watch(added);
+    added.filter(symbol => !known.includes(symbol)).forEach(symbol => alertSymbols.delete(symbol));
+  }
+
+  // Helper: evaluates the alert rules for a symbol against its latest quote
+  async function evaluateAlerts(quote) {
+    if (!alertSymbols.has(quote.symbol)) return;
+    const stock = await getStock(quote.symbol);
+    if (!stock) return;
+    const { changed, triggered } = alerts.evaluateRules(alertData, quote.symbol, { quote, stock });
+    if (changed) saveAlerts().catch(err => console.error(err));
+    triggered.forEach(entry => alertEvents.emit('alert', entry));
+  }
+
+  // Symbols the ticker is simulating on behalf of open paper orders, with the
+  // price and session volume of the last quote matched for each
+  const orderSymbols = new Map();
+
+  // Helper: keeps the ticker simulating exactly the symbols with open orders
+  async function syncOrderWatch() {
+    const wanted = paper.symbolsWithOpenOrders(store.read('portfolios'));
+    const removed = [...orderSymbols.keys()].filter(symbol => !wanted.has(symbol));
+    removed.forEach(symbol => orderSymbols.delete(symbol));
+    ticker.unwatch(removed);
+    const added = [...wanted].filter(symbol => !orderSymbols.has(symbol));
+    const known = await ticker.watch(added);
+    for (const symbol of known) {
+      const quote = await ticker.getQuote(symbol);
+      orderSymbols.set(symbol, { price: quote.price, volume: quote.volume, date: quote.date });
+    }
+  }
+
+  // Helper: matches the open orders of a symbol in every paper account
+  // against bars, oldest first
+  async function fillOrders(symbol, bars) {
+    const stock = await provider.getStock(symbol);
+    if (!stock) return;
+    const actions = await actionsFor([symbol]);
+    const filled = await store.update('portfolios', doc => {
+      let count = 0;
+      doc.portfolios.filter(portfolio => portfolio.paper).forEach(portfolio => {
+        const data = ledger.normaliseLedger(portfolio);
+        const rate = rates.rate(stock.currency, portfolio.paper.currency);
+        bars.forEach(bar => { count += paper.matchOrders(data, symbol, bar, { rate, actions }).length; });
+        portfolio.transactions = data.transactions;
+      });
+      return count;
+    });
+    if (filled) await syncOrderWatch();
+  }
+
+  // Helper: matches open orders against the move since the symbol's previous
+  // quote, taken as a bar with the volume traded in between
+  async function matchQuote(quote) {
+    const last = orderSymbols.get(quote.symbol);
+    if (!last) return;
+    orderSymbols.set(quote.symbol, { price: quote.price, volume: quote.volume, date: quote.date });
+    // A new session starts from its own open
+    const bar = last.date === quote.date
+      ? {
+          date: quote.date,
+          open: last.price,
+          high: Math.max(last.price, quote.price),
+          low: Math.min(last.price, quote.price),
+          close: quote.price,
+          volume: quote.volume - last.volume
         }
-        savePortfolio(portfolio);
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ message: 'Portfolio updated', portfolio }));
-      } catch (e) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid request body' }));
-      }
+      : { date: quote.date, open: quote.open, high: quote.high, low: quote.low, close: quote.price, volume: quote.volume };
+    await fillOrders(quote.symbol, [bar]);
+  }
+
+  // Helper: latest price and rate into the account's currency of the given
+  // symbols and of every symbol with open orders, as the paper functions take
+  // them
+  async function paperContext(account, symbols) {
+    const wanted = [...new Set([...symbols, ...account.orders.filter(paper.isOpen).map(order => order.symbol)])];
+    const context = { prices: await latestPrices(wanted), rates: {} };
+    await Promise.all(wanted.map(async symbol => {
+      const stock = await provider.getStock(symbol);
+      if (stock) context.rates[symbol] = rates.rate(stock.currency, account.currency);
+    }));
+    return context;
+  }
+
+  ticker.on('quote', quote => {
+    evaluateAlerts(quote).catch(err => console.error(err));
+    matchQuote(quote).catch(err => console.error(err));
+  });
+
+  // Helper: looks up a stock through the provider, throwing a 404 when unknown
+  async function findStock(rawSymbol) {
+    const stock = await getStock(rawSymbol.toUpperCase());
+    if (!stock) throw new ApiError('Stock not found', 404);
+    return stock;
+  }
+
+  // Helper: paper trading portfolios only change through their orders, so
+  // their cash always matches the trades
+  function refusePaper(data) {
+    if (data.paper) throw new paper.PaperError('This is a paper trading portfolio; place an order instead.', 409);
+  }
+
+  // Helper: validates and appends a transaction, returning it with the updated
+  // portfolio. Sells are checked against the quantity held on their date.
+  async function recordTransaction(user, portfolioId, input, message = 'Transaction recorded') {
+    const symbol = typeof input.symbol === 'string' ? input.symbol.toUpperCase() : '';
+    if (symbol && !(await getStock(symbol))) {
+      throw new ledger.LedgerError('Stock not found', 404);
+    }
+    const { tx, portfolio } = await updateLedger(user, portfolioId, async data => {
+      refusePaper(data);
+      const symbols = [...data.transactions.map(t => t.symbol), symbol].filter(Boolean);
+      const prices = await latestPrices(symbols);
+      const created = ledger.createTransaction(data, input, { lastPrice: prices[symbol] });
+      data.transactions = [...data.transactions, created];
+      // Replaying validates that no sell exceeds the shares held at the time
+      const portfolio = ledger.summarise(data.transactions, 'fifo', prices, await actionsFor(symbols), await conversionFor(user, symbols));
+      return { tx: created, portfolio };
     });
-    return;
+    return { message, transaction: tx, portfolio };
   }
 
-  // Portfolio: DELETE /api/portfolio/:symbol
-  if (parts[1] === 'portfolio' && method === 'DELETE' && parts.length === 3) {
-    const symbol = parts[2].toUpperCase();
-    const portfolio = loadPortfolio();
-    const newPortfolio = portfolio.filter(item => item.symbol !== symbol);
-    savePortfolio(newPortfolio);
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ message: 'Holding removed', portfolio: newPortfolio }));
-    return;
+  // Helper: the signed-in user for a request, or null
+  function currentUser(req) {
+    const token = auth.parseCookies(req.headers.cookie)[auth.COOKIE_NAME];
+    const userId = auth.readSessionToken(token, sessionSecret);
+    if (userId === null) return null;
+    return store.read('users').users.find(u => u.id === userId) || null;
   }
 
-  // Not found
-  res.writeHead(404, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ error: 'Endpoint not found' }));
-}
+  // Helper: issues a session cookie for the user (or clears it when null)
+  function setSession(res, user) {
+    const token = user ? auth.createSessionToken(user.id, sessionSecret, sessionOptions.ttlMs) : '';
+    res.setHeader('Set-Cookie', auth.sessionCookie(token, sessionOptions));
+  }
 
-// Serve static assets from the public directory. If the file exists it will be
-// returned with the appropriate content type; otherwise the index.html is
-// served to allow client‑side routing for the SPA.
-function handleStatic(req, res) {
-  let filePath = path.join(__dirname, 'public', req.url.replace(/^\//, ''));
-  // If the request is for the root or doesn't contain a dot we serve index.html
-  if (req.url === '/' || !path.extname(req.url)) {
-    filePath = path.join(__dirname, 'public', 'index.html');
+  // Helper: gives a newly registered user somewhere to start. The first account
+  // claims the portfolio, watchlists and alert rules created before accounts
+  // existed; everyone else gets an empty portfolio.
+  async function setUpAccount(user, isFirst) {
+    await store.update('portfolios', doc => {
+      const claimed = isFirst ? portfolios.claimUnowned(doc, user.id) : 0;
+      if (claimed === 0) portfolios.createPortfolio(doc, user.id, portfolios.DEFAULT_NAME);
+    });
+    if (!isFirst) return;
+    await store.update('watchlists', lists => watchlists.claimUnowned(lists, user.id));
+    alerts.claimUnowned(alertData, user.id);
+    await saveAlerts();
   }
-  fs.readFile(filePath, (err, content) => {
-    if (err) {
-      // Fallback to index.html for unknown routes within SPA
-      if (err.code === 'ENOENT') {
-        fs.readFile(path.join(__dirname, 'public', 'index.html'), (err2, indexContent) => {
-          res.writeHead(200, { 'Content-Type': 'text/html' });
-          res.end(indexContent);
-        });
+
+  // Helper: CORS headers for the origins listed in the configuration. Other
+  // sites get no CORS headers, so browsers refuse their cross-origin requests.
+  function setCors(req, res) {
+    const origin = req.headers.origin;
+    if (!origin || !config.cors.origins.includes(origin)) return;
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Vary', 'Origin');
+  }
+
+  // Helper: whether a request comes from this server's own pages or from an
+  // allowed origin. Requests without an Origin header (curl, scripts) pass.
+  function isAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin || config.cors.origins.includes(origin)) return true;
+    try {
+      return new URL(origin).host === req.headers.host;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // Schemas shared by several routes
+  const SYMBOL = { type: 'string', pattern: '^[A-Za-z0-9.\\-^]{1,12}$', description: 'Ticker symbol' };
+  const ID = { type: 'integer', minimum: 1 };
+  const NAME = { type: 'string', minLength: 1 };
+  const PORTFOLIO = { type: 'integer', minimum: 1, description: 'Portfolio id; defaults to the user\'s first portfolio' };
+  const COST_METHOD = { type: 'string', enum: ledger.METHODS, default: 'fifo', description: 'Cost-basis method' };
+  const CURRENCY = { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'ISO currency code, e.g. EUR' };
+  const TRADE = {
+    type: 'object',
+    required: ['symbol'],
+    properties: {
+      type: { type: 'string', enum: ['buy', 'sell', 'dividend'] },
+      symbol: SYMBOL,
+      quantity: { type: 'number', description: 'Shares, for buys and sells' },
+      price: { type: 'number', description: 'Per share; defaults to the latest price' },
+      amount: { type: 'number', description: 'Cash received, for dividends' },
+      fee: { type: 'number', minimum: 0 },
+      date: { type: 'string', format: 'date' },
+      note: { type: 'string', maxLength: 200 }
+    }
+  };
+
+  // The JSON API, served under /api/v1 and, for existing clients, /api
+  const api = createRouter({ prefixes: ['/api/v1', '/api'], authenticate: currentUser });
+
+  // Accounts: POST /api/auth/register with { username, password }
+  api.post('/auth/register', {
+    tag: 'Accounts',
+    summary: 'Create an account and sign in',
+    status: 201,
+    body: { type: 'object', required: ['username', 'password'], properties: { username: { type: 'string' }, password: { type: 'string' } } }
+  }, async ({ res, body }) => {
+    const { username, password } = auth.validateCredentials(body);
+    const passwordHash = await auth.hashPassword(password);
+    const { created, isFirst } = await store.update('users', users => ({
+      created: auth.addUser(users, username, passwordHash),
+      isFirst: users.users.length === 1
+    }));
+    await setUpAccount(created, isFirst);
+    setSession(res, created);
+    return { user: auth.publicUser(created) };
+  });
+
+  // Accounts: POST /api/auth/login with { username, password }
+  api.post('/auth/login', {
+    tag: 'Accounts',
+    summary: 'Sign in',
+    body: { type: 'object', required: ['username', 'password'], properties: { username: { type: 'string' }, password: { type: 'string' } } }
+  }, async ({ res, body }) => {
+    const account = await auth.authenticate(store.read('users'), body);
+    setSession(res, account);
+    return { user: auth.publicUser(account) };
+  });
+
+  // Accounts: POST /api/auth/logout
+  api.post('/auth/logout', { tag: 'Accounts', summary: 'Sign out' }, async ({ res }) => {
+    setSession(res, null);
+    return { message: 'Logged out' };
+  });
+
+  // Accounts: GET /api/auth/me returns the signed-in user and their portfolios
+  api.get('/auth/me', { tag: 'Accounts', summary: 'The signed-in user and their portfolios', auth: true }, async ({ user }) => {
+    const owned = portfolios.portfoliosOf(store.read('portfolios'), user.id).map(portfolios.describePortfolio);
+    return { user: auth.publicUser(user), portfolios: owned };
+  });
+
+  // Settings: GET /api/settings returns the user's preferences with the
+  // currencies a base currency can be chosen from
+  api.get('/settings', { tag: 'Accounts', summary: 'The signed-in user\'s settings', auth: true }, async ({ user }) => ({
+    settings: { baseCurrency: baseCurrencyOf(user) },
+    currencies: rates.currencies()
+  }));
+
+  // Settings: PUT /api/settings with { baseCurrency } (null restores the
+  // server's default)
+  api.put('/settings', {
+    tag: 'Accounts',
+    summary: 'Change the signed-in user\'s settings',
+    auth: true,
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { baseCurrency: { ...CURRENCY, nullable: true, description: 'Currency portfolio values are reported in' } }
+    }
+  }, async ({ user, body }) => {
+    const changes = {};
+    if (body.baseCurrency !== undefined) {
+      const currency = body.baseCurrency === null ? null : fx.currencyCode(body.baseCurrency);
+      if (currency && !rates.supports(currency)) {
+        throw new ApiError(`No exchange rates for ${currency}`, 400, { field: 'baseCurrency' });
+      }
+      changes.baseCurrency = currency;
+    }
+    const settings = await store.update('users', users => auth.updateSettings(users, user.id, changes));
+    return { settings: { baseCurrency: settings.baseCurrency || config.fx.baseCurrency }, currencies: rates.currencies() };
+  });
+
+  // Risk profile: GET /api/risk-profile returns the questionnaire, the
+  // profiles it leads to and the user's stored result (null until answered)
+  api.get('/risk-profile', { tag: 'Planning', summary: 'The risk-profile questionnaire and the user\'s result', auth: true }, async ({ user }) => ({
+    questions: planner.QUESTIONS.map(({ id, text, options }) => ({ id, text, options: options.map(({ value, label }) => ({ value, label })) })),
+    profiles: planner.PROFILES.map(({ name, maxVolatility, description }) => ({ name, maxVolatility, description })),
+    riskProfile: (user.settings && user.settings.riskProfile) || null
+  }));
+
+  // Risk profile: PUT /api/risk-profile with { answers: { horizon, drawdown,
+  // goal, experience, safetyNet } } scores and stores the questionnaire
+  api.put('/risk-profile', {
+    tag: 'Planning',
+    summary: 'Answer the risk-profile questionnaire',
+    auth: true,
+    body: {
+      type: 'object',
+      required: ['answers'],
+      properties: { answers: { type: 'object', description: 'Option value per question id' } }
+    }
+  }, async ({ user, body }) => {
+    const riskProfile = { ...planner.scoreProfile(body.answers), completedAt: new Date().toISOString() };
+    await store.update('users', users => auth.updateSettings(users, user.id, { riskProfile }));
+    return { riskProfile };
+  });
+
+  // Portfolios, transactions, watchlists, alerts and imports need a signed-in
+  // user (`auth: true`); market data stays public
+
+  // Search endpoint: /api/search?q=...
+  api.get('/search', {
+    tag: 'Market data',
+    summary: 'Search symbols and company names',
+    query: { q: { type: 'string', default: '' } }
+  }, async ({ query }) => provider.search(query.q, 5));
+
+  // Screener fields: GET /api/screener/fields
+  api.get('/screener/fields', { tag: 'Market data', summary: 'Fields the screener can filter and sort on' }, async () => screener.describeFields());
+
+  // Screener: GET /api/screener?filter=price>sma(20),sentiment>0&sort=-change(5)&limit=&offset=
+  api.get('/screener', {
+    tag: 'Market data',
+    summary: 'Screen every tracked symbol',
+    query: {
+      filter: { type: 'string', description: 'Comma-separated conditions, e.g. price>sma(20),sentiment>0' },
+      sort: { type: 'string', description: 'Comma-separated fields, - for descending' },
+      limit: { type: 'integer', minimum: 1 },
+      offset: { type: 'integer', minimum: 0 }
+    }
+  }, async ({ query }) => {
+    const symbols = await provider.listSymbols();
+    const entries = await Promise.all(symbols.map(async item => {
+      const stock = await getStock(item.symbol);
+      return stock && { ...stock, quote: await ticker.getQuote(item.symbol) };
+    }));
+    return screener.screen(entries.filter(Boolean), query);
+  });
+
+  // Comparison: GET /api/compare?symbols=AAPL,TSLA&from=YYYY-MM-DD returns
+  // aligned series normalised to percent change, per-symbol statistics and
+  // pairwise correlations
+  api.get('/compare', {
+    tag: 'Market data',
+    summary: 'Compare the relative performance of symbols',
+    query: {
+      symbols: { type: 'string', required: true, description: 'Comma-separated symbols' },
+      from: { type: 'string', format: 'date' }
+    }
+  }, async ({ query }) => {
+    const symbols = compare.parseSymbols(query.symbols);
+    const from = compare.parseStart(query.from);
+    const stocks = await Promise.all(symbols.map(symbol => getStock(symbol)));
+    const unknown = symbols.filter((symbol, i) => !stocks[i]);
+    if (unknown.length) throw new ApiError(`Stock not found: ${unknown.join(', ')}`, 404);
+    return compare.compareSymbols(stocks, { from });
+  });
+
+  // FX rates: GET /api/fx/rates?base=USD&date=YYYY-MM-DD returns the value of
+  // one unit of every other currency in `base` on the date (today by default)
+  api.get('/fx/rates', {
+    tag: 'Market data',
+    summary: 'Exchange rates into a currency',
+    query: {
+      base: { ...CURRENCY, description: 'Currency the rates are quoted in; the rate file\'s own by default' },
+      date: { type: 'string', format: 'date' }
+    }
+  }, async ({ query }) => {
+    const base = query.base ? fx.currencyCode(query.base) : rates.base;
+    if (!rates.supports(base)) throw new ApiError(`No exchange rates for ${base}`, 404, { field: 'base' });
+    return { base, date: query.date || new Date().toISOString().slice(0, 10), rates: rates.table(base, query.date) };
+  });
+
+  // Stock details: /api/stock/:symbol?interval=daily|weekly&indicators=sma:20,rsi:14&adjust=all|splits|none
+  // returns the bars at the chosen interval, adjusted for splits and dividends
+  // unless asked otherwise, with the requested indicator series aligned to
+  // them and the symbol's corporate actions
+  api.get('/stock/:symbol', {
+    tag: 'Market data',
+    summary: 'Price bars, indicators, corporate actions and live quote',
+    params: { symbol: SYMBOL },
+    query: {
+      interval: { type: 'string', enum: chart.INTERVALS, default: 'daily' },
+      indicators: { type: 'string', description: 'Comma-separated name:period pairs, e.g. sma:20,rsi:14' },
+      adjust: { type: 'string', enum: corporateActions.ADJUSTMENTS, default: 'all', description: 'Adjust earlier bars for splits and dividends, splits only, or not at all' }
+    }
+  }, async ({ params, query }) => {
+    const requested = chart.parseIndicators(query.indicators);
+    const stock = await getStock(params.symbol.toUpperCase(), query.adjust);
+    if (!stock) throw new ApiError('Stock not found', 404);
+    const quote = await ticker.getQuote(stock.symbol);
+    const priceData = chart.resampleBars(stock.priceData, query.interval);
+    return {
+      symbol: stock.symbol,
+      name: stock.name,
+      currency: stock.currency,
+      interval: query.interval,
+      adjust: query.adjust,
+      priceData,
+      indicators: chart.computeIndicators(priceData, requested),
+      actions: stock.actions,
+      quote
+    };
+  });
+
+  // Live quote: /api/quote/:symbol
+  api.get('/quote/:symbol', { tag: 'Market data', summary: 'Live simulated quote', params: { symbol: SYMBOL } }, async ({ params }) => {
+    const quote = await ticker.getQuote(params.symbol.toUpperCase());
+    if (!quote) throw new ApiError('Stock not found', 404);
+    return quote;
+  });
+
+  // Server-Sent Events: /api/stream?symbols=AAPL,TSLA pushes a `quote` event
+  // on every simulated tick, a `bar` event when a session closes and, for a
+  // signed-in user, an `alert` event whenever one of their alert rules fires
+  api.get('/stream', {
+    tag: 'Market data',
+    summary: 'Live quotes, bars and alerts as Server-Sent Events',
+    produces: 'text/event-stream',
+    query: { symbols: { type: 'array', items: SYMBOL, maxItems: 50, default: [] } }
+  }, async ({ req, res, user, query }) => {
+    const requested = query.symbols.map(s => s.toUpperCase());
+    const symbols = await ticker.watch([...new Set(requested)]);
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('subscribed', { symbols });
+    for (const symbol of symbols) send('quote', await ticker.getQuote(symbol));
+    const onQuote = (quote) => {
+      if (symbols.includes(quote.symbol)) send('quote', quote);
+    };
+    const onBar = (event) => {
+      if (symbols.includes(event.symbol)) send('bar', event);
+    };
+    const onAlert = (entry) => {
+      if (user && entry.owner === user.id) send('alert', entry);
+    };
+    ticker.on('quote', onQuote);
+    ticker.on('bar', onBar);
+    alertEvents.on('alert', onAlert);
+    // Comment lines keep proxies from closing an idle connection
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      ticker.off('quote', onQuote);
+      ticker.off('bar', onBar);
+      alertEvents.off('alert', onAlert);
+      ticker.unwatch(symbols);
+    });
+  });
+
+  // News: GET /api/news?symbol=&from=&to=&sentiment=&q=&limit=&offset= the
+  // ingested articles of every feed, newest first, with their sentiment
+  api.get('/news', {
+    tag: 'News',
+    summary: 'Combined news feed',
+    query: {
+      symbol: SYMBOL,
+      from: { type: 'string', format: 'date' },
+      to: { type: 'string', format: 'date' },
+      sentiment: { type: 'string', enum: news.SENTIMENTS },
+      q: { type: 'string', description: 'Words the title or description must contain' },
+      limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+      offset: { type: 'integer', minimum: 0, default: 0 }
+    }
+  }, async ({ query }) => news.queryArticles(store.read('news'), query));
+
+  // News: GET /api/news/feeds when each feed was last read, how many articles
+  // it held and added, and why it could not be read
+  api.get('/news/feeds', { tag: 'News', summary: 'Status of the news feeds' }, async () => news.describeFeeds(store.read('news')));
+
+  // News: POST /api/news/refresh reads every feed now instead of waiting for
+  // the next scheduled ingestion
+  api.post('/news/refresh', { tag: 'News', summary: 'Ingest the news feeds now', auth: true }, async () => {
+    const result = await ingestNews();
+    return { message: `${result.added} new article(s)`, ...result };
+  });
+
+  // News: /api/news/:symbol the ingested articles tagged with the symbol
+  api.get('/news/:symbol', { tag: 'News', summary: 'Scored news and summary', params: { symbol: SYMBOL } }, async ({ params }) => {
+    const stock = await findStock(params.symbol);
+    // Score each article locally and build an extractive summary
+    const { news: scored, sentiment: overall, summary } = sentiment.analyseNews(stock.news);
+    return { symbol: stock.symbol, news: scored, sentiment: overall, summary };
+  });
+
+  // Recommendation: /api/recommendation/:symbol; for a signed-in user with a
+  // risk profile, `suitability` says whether the symbol's volatility fits it
+  api.get('/recommendation/:symbol', { tag: 'Market data', summary: 'Buy, hold or sell recommendation', params: { symbol: SYMBOL } }, async ({ user, params }) => {
+    const stock = await findStock(params.symbol);
+    const prices = stock.priceData;
+    if (prices.length < 2) throw new ApiError('Not enough price data', 400);
+    const last = prices[prices.length - 1].close;
+    const prev = prices[prices.length - 2].close;
+    const { sentiment: newsSentiment } = sentiment.analyseNews(stock.news);
+    const result = recommend(prices, { sentiment: newsSentiment });
+    const profile = user && user.settings && user.settings.riskProfile;
+    const suitability = profile ? planner.suitability(profile, planner.annualVolatility(prices)) : null;
+    return { symbol: stock.symbol, ...result, lastPrice: last, previousPrice: prev, suitability };
+  });
+
+  // Backtest: /api/backtest/:symbol?cash=&positionSize=&commission=&commissionRate=&warmup=
+  api.get('/backtest/:symbol', {
+    tag: 'Market data',
+    summary: 'Backtest the recommendation strategy',
+    params: { symbol: SYMBOL },
+    query: {
+      cash: { type: 'number' },
+      positionSize: { type: 'number', description: 'Fraction of cash per trade, above 0 and at most 1' },
+      commission: { type: 'number', description: 'Flat fee per trade' },
+      commissionRate: { type: 'number', description: 'Fee as a fraction of the trade value' },
+      warmup: { type: 'integer', description: 'Bars before the first signal' }
+    }
+  }, async ({ params, query }) => {
+    const stock = await findStock(params.symbol);
+    return { symbol: stock.symbol, currency: stock.currency, ...runBacktest(stock.priceData, stock.news, query) };
+  });
+
+  // CSV import: POST /api/import/:symbol?name=...&currency=... with a
+  // Yahoo/Stooq OHLCV CSV as the body (text/csv), or JSON { csv, name, currency }
+  api.post('/import/:symbol', {
+    tag: 'Market data',
+    summary: 'Import daily prices from an OHLCV CSV',
+    auth: true,
+    params: { symbol: SYMBOL },
+    query: {
+      name: { type: 'string', description: 'Company name for a new symbol' },
+      currency: { ...CURRENCY, description: 'Currency the prices are quoted in (USD for a new symbol by default)' }
+    },
+    accepts: ['application/json', 'text/csv'],
+    maxBody: MAX_IMPORT_BYTES,
+    body: { type: 'object', required: ['csv'], properties: { csv: { type: 'string' }, name: { type: 'string' }, currency: CURRENCY } }
+  }, async ({ res, params, query, body }) => {
+    const csvText = typeof body === 'string' ? body : body.csv;
+    const name = (typeof body === 'object' && body.name) || query.name;
+    const rawCurrency = (typeof body === 'object' && body.currency) || query.currency;
+    const currency = rawCurrency ? fx.currencyCode(rawCurrency) : undefined;
+    if (!csvText) throw new ApiError('CSV data is required', 400, { field: 'csv' });
+    if (currency && !rates.supports(currency)) throw new ApiError(`No exchange rates for ${currency}`, 400, { field: 'currency' });
+    let parsed;
+    try {
+      parsed = parseOhlcv(csvText);
+    } catch (err) {
+      throw new ApiError(err.message, 400);
+    }
+    if (parsed.bars.length === 0) {
+      sendError(res, new ApiError('CSV contains no valid price rows', 400), { skipped: parsed.skipped });
+      return;
+    }
+    const result = await provider.importBars(params.symbol.toUpperCase(), parsed.bars, { name, currency });
+    // Simulated prices start again from the last imported close
+    await ticker.reset(params.symbol.toUpperCase());
+    // New bars may reach the price of orders waiting for them
+    await fillOrders(params.symbol.toUpperCase(), parsed.bars);
+    return { message: 'Prices imported', provider: provider.name, ...result, skipped: parsed.skipped };
+  });
+
+  // Corporate actions: POST /api/import/:symbol/actions with { actions: [{ type:
+  // split, date, ratio } | { type: dividend, date, amount }] } adds splits and
+  // cash dividends to a symbol; one of the same type and date is replaced.
+  // Held quantities, cost basis and dividend income follow automatically.
+  api.post('/import/:symbol/actions', {
+    tag: 'Market data',
+    summary: 'Record stock splits and cash dividends',
+    auth: true,
+    params: { symbol: SYMBOL },
+    body: {
+      type: 'object',
+      required: ['actions'],
+      properties: {
+        actions: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['type', 'date'],
+            properties: {
+              type: { type: 'string', enum: corporateActions.TYPES },
+              date: { type: 'string', format: 'date', description: 'Effective date (ex-date of a dividend)' },
+              ratio: { type: 'number', description: 'split: new shares per old share, e.g. 4, or 0.1 for 1-for-10' },
+              amount: { type: 'number', description: 'dividend: cash per share' }
+            }
+          }
+        }
+      }
+    }
+  }, async ({ params, body }) => {
+    const actions = body.actions.map(corporateActions.createAction);
+    const result = await provider.importActions(params.symbol.toUpperCase(), actions);
+    // Simulated sessions are rebuilt on the history the actions now apply to
+    await ticker.reset(params.symbol.toUpperCase());
+    return { message: 'Corporate actions imported', provider: provider.name, ...result };
+  });
+
+  // Backups: GET /api/portfolios/backups lists the backups of portfolio.json
+  // that hold any of the user's portfolios, newest first
+  api.get('/portfolios/backups', { tag: 'Portfolios', summary: 'Backups holding the user\'s portfolios', auth: true }, async ({ user }) => (
+    store.listBackups('portfolios')
+      .map(backup => ({
+        ...backup,
+        portfolios: portfolios.portfoliosOf(store.readBackup('portfolios', backup.id), user.id).map(portfolios.describePortfolio)
+      }))
+      .filter(backup => backup.portfolios.length > 0)
+  ));
+
+  // Backups: POST /api/portfolios/backups/:id/restore with { portfolios?: [id] }
+  // puts the user's portfolios (or only the listed ones) back as they were in
+  // the backup. The current state is backed up first, so a restore can itself
+  // be undone.
+  api.post('/portfolios/backups/:id/restore', {
+    tag: 'Portfolios',
+    summary: 'Restore portfolios from a backup',
+    auth: true,
+    params: { id: { type: 'string' } },
+    body: { type: 'object', properties: { portfolios: { type: 'array', items: ID, description: 'Only these portfolios' } } }
+  }, async ({ user, params, body }) => {
+    const snapshot = store.readBackup('portfolios', params.id);
+    const restored = await store.update('portfolios', doc => portfolios.restorePortfolios(doc, user.id, snapshot, body.portfolios), { backup: 'restore' });
+    await syncOrderWatch();
+    return { message: `${restored.length} portfolio(s) restored`, portfolios: restored.map(portfolios.describePortfolio) };
+  });
+
+  // Portfolios: GET /api/portfolios lists the user's named portfolios
+  api.get('/portfolios', { tag: 'Portfolios', summary: 'The user\'s portfolios', auth: true }, async ({ user }) => (
+    portfolios.portfoliosOf(store.read('portfolios'), user.id).map(portfolios.describePortfolio)
+  ));
+
+  // Portfolios: POST /api/portfolios with { name }
+  api.post('/portfolios', {
+    tag: 'Portfolios',
+    summary: 'Create a portfolio',
+    auth: true,
+    status: 201,
+    body: { type: 'object', required: ['name'], properties: { name: NAME } }
+  }, async ({ user, body }) => {
+    const created = await store.update('portfolios', doc => portfolios.createPortfolio(doc, user.id, body.name));
+    return portfolios.describePortfolio(created);
+  });
+
+  // Portfolios: PUT /api/portfolios/:id with { name } renames a portfolio
+  api.put('/portfolios/:id', {
+    tag: 'Portfolios',
+    summary: 'Rename a portfolio',
+    auth: true,
+    params: { id: ID },
+    body: { type: 'object', required: ['name'], properties: { name: NAME } }
+  }, async ({ user, params, body }) => {
+    const renamed = await store.update('portfolios', doc => portfolios.renamePortfolio(doc, user.id, params.id, body.name));
+    return portfolios.describePortfolio(renamed);
+  });
+
+  // Portfolios: DELETE /api/portfolios/:id deletes a portfolio and its ledger
+  api.delete('/portfolios/:id', { tag: 'Portfolios', summary: 'Delete a portfolio', auth: true, params: { id: ID } }, async ({ user, params }) => {
+    await store.update('portfolios', doc => portfolios.deletePortfolio(doc, user.id, params.id));
+    await syncOrderWatch();
+    return { message: 'Portfolio deleted' };
+  });
+
+  // Portfolio routes below act on ?portfolio=<id>, defaulting to the user's
+  // first portfolio
+
+  // Portfolio: GET /api/portfolio?method=fifo|lifo|average
+  api.get('/portfolio', {
+    tag: 'Portfolio',
+    summary: 'Holdings and totals at live prices',
+    auth: true,
+    query: { portfolio: PORTFOLIO, method: COST_METHOD }
+  }, async ({ user, query }) => {
+    const { transactions } = loadLedger(user, query.portfolio);
+    const symbols = transactions.map(tx => tx.symbol);
+    const conversion = await conversionFor(user, symbols);
+    return ledger.summarise(transactions, query.method, await latestPrices(symbols), await actionsFor(symbols), conversion);
+  });
+
+  // Analytics: GET /api/portfolio/analytics?method=... value history,
+  // allocation, daily returns, risk against an equal-weighted benchmark of
+  // every tracked symbol and correlations between holdings
+  api.get('/portfolio/analytics', {
+    tag: 'Portfolio',
+    summary: 'Value history, allocation, returns and risk',
+    auth: true,
+    query: { portfolio: PORTFOLIO, method: COST_METHOD }
+  }, async ({ user, query }) => {
+    const { transactions } = loadLedger(user, query.portfolio);
+    return portfolioAnalytics(user, transactions, query.method);
+  });
+
+  // Export: GET /api/portfolio/export?format=csv|json&content=holdings|transactions&method=
+  // CSV downloads hold either the holdings or the transactions (in the layout
+  // the importer reads back); JSON holds both plus the targets
+  api.get('/portfolio/export', {
+    tag: 'Portfolio',
+    summary: 'Download the holdings or transactions',
+    auth: true,
+    produces: 'text/csv',
+    query: {
+      portfolio: PORTFOLIO,
+      format: { type: 'string', enum: ['csv', 'json'], default: 'csv' },
+      content: { type: 'string', enum: ['holdings', 'transactions'], default: 'transactions', description: 'What a CSV download holds' },
+      method: COST_METHOD
+    }
+  }, async ({ res, user, query }) => {
+    const data = loadLedger(user, query.portfolio);
+    const symbols = data.transactions.map(tx => tx.symbol);
+    const conversion = await conversionFor(user, symbols);
+    const summary = ledger.summarise(data.transactions, query.method, await latestPrices(symbols), await actionsFor(symbols), conversion);
+    const base = `${data.name.replace(/[^A-Za-z0-9_-]+/g, '-')}-${new Date().toISOString().slice(0, 10)}`;
+    if (query.format === 'json') {
+      sendDownload(res, 'application/json', `${base}.json`, JSON.stringify({
+        portfolio: data.name,
+        exportedAt: new Date().toISOString(),
+        method: summary.method,
+        currency: summary.currency,
+        holdings: summary.holdings,
+        totals: summary.totals,
+        targets: data.targets || {},
+        transactions: ledger.sortTransactions(data.transactions)
+      }, null, 2));
+    } else if (query.content === 'holdings') {
+      sendDownload(res, 'text/csv', `${base}-holdings.csv`, statements.holdingsCsv(summary));
+    } else {
+      sendDownload(res, 'text/csv', `${base}-transactions.csv`, statements.transactionsCsv(data.transactions));
+    }
+  });
+
+  // Report: GET /api/portfolio/report?method= printable HTML performance report
+  api.get('/portfolio/report', {
+    tag: 'Portfolio',
+    summary: 'Printable performance report',
+    auth: true,
+    produces: 'text/html',
+    query: { portfolio: PORTFOLIO, method: COST_METHOD }
+  }, async ({ res, user, query }) => {
+    const data = loadLedger(user, query.portfolio);
+    const symbols = data.transactions.map(tx => tx.symbol);
+    const prices = await latestPrices(symbols);
+    const html = statements.renderReport({
+      title: data.name,
+      owner: user.username,
+      summary: ledger.summarise(data.transactions, query.method, prices, await actionsFor(symbols), await conversionFor(user, symbols)),
+      analytics: await portfolioAnalytics(user, data.transactions, query.method),
+      transactions: data.transactions
+    });
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+  });
+
+  // Import layouts: GET /api/portfolio/import/layouts
+  api.get('/portfolio/import/layouts', { tag: 'Portfolio', summary: 'Broker statement layouts the importer knows', auth: true }, async () => (
+    statements.describeLayouts()
+  ));
+
+  // Import: POST /api/portfolio/import?layout=&dryRun=true with a CSV body
+  // (text/csv), or JSON { csv, layout?, mapping?, dryRun? }, or an exported
+  // JSON file { transactions: [...] }. Every row is validated first; any
+  // error rejects the whole file with 422 and nothing is written.
+  api.post('/portfolio/import', {
+    tag: 'Portfolio',
+    summary: 'Import transactions from a broker statement',
+    description: 'Answers 200 for a dry run, 201 once imported, and 422 with the rows at fault when any row is invalid.',
+    auth: true,
+    status: 201,
+    query: {
+      portfolio: PORTFOLIO,
+      layout: { type: 'string', description: 'Statement layout; detected from the header when omitted' },
+      dryRun: { type: 'boolean', default: false }
+    },
+    accepts: ['application/json', 'text/csv'],
+    maxBody: MAX_IMPORT_BYTES,
+    body: {
+      type: 'object',
+      properties: {
+        csv: { type: 'string' },
+        layout: { type: 'string' },
+        mapping: { type: 'object', description: 'Column per field, for statements in no known layout' },
+        dryRun: { type: 'boolean' },
+        transactions: { type: 'array', items: { type: 'object' }, description: 'Transactions from a JSON export' }
+      }
+    }
+  }, async ({ res, user, query, body }) => {
+    let options = { layout: query.layout, dryRun: query.dryRun };
+    let parsed;
+    if (typeof body === 'string') {
+      parsed = statements.parseStatement(body, options);
+    } else {
+      options = { layout: body.layout || options.layout, mapping: body.mapping, dryRun: body.dryRun === true || options.dryRun };
+      if (body.transactions) {
+        parsed = { layout: 'json', rows: body.transactions.map((input, i) => ({ line: i + 1, input })), skipped: [], errors: [] };
+      } else if (body.csv) {
+        parsed = statements.parseStatement(body.csv, options);
       } else {
-        res.writeHead(500);
-        res.end('Server error');
+        throw new statements.StatementError('Send CSV text, { csv } or { transactions }.');
       }
+    }
+    const symbols = [...new Set(parsed.rows.map(row => String(row.input.symbol || '').toUpperCase()).filter(Boolean))];
+    const known = new Set((await Promise.all(symbols.map(async symbol => ((await getStock(symbol)) ? symbol : null)))).filter(Boolean));
+    const validate = async data => {
+      const actions = await actionsFor([...data.transactions.map(tx => tx.symbol), ...known]);
+      const { transactions, errors } = statements.validateRows(data, parsed.rows, known, actions);
+      return {
+        layout: parsed.layout,
+        dryRun: options.dryRun,
+        rows: parsed.rows.length,
+        skipped: parsed.skipped,
+        errors: [...parsed.errors, ...errors].sort((a, b) => (a.line || 0) - (b.line || 0)),
+        transactions
+      };
+    };
+    // A real import validates against the ledger as it is when the rows are
+    // written, and writes nothing when any row fails
+    const report = options.dryRun ? await validate(loadLedger(user, query.portfolio)) : await updateLedger(user, query.portfolio, async data => {
+      const result = await validate(data);
+      if (result.errors.length === 0) data.transactions = [...data.transactions, ...result.transactions];
+      return result;
+    });
+    if (report.errors.length) {
+      const message = `The import has ${report.errors.length} error(s); nothing was imported.`;
+      sendError(res, new ApiError(message, 422, { code: 'import_invalid' }), report);
       return;
     }
-    const ext = path.extname(filePath).toLowerCase();
-    const mimeTypes = {
-      '.html': 'text/html',
-      '.js': 'application/javascript',
-      '.css': 'text/css',
-      '.png': 'image/png',
-      '.jpg': 'image/jpeg',
-      '.svg': 'image/svg+xml',
-      '.json': 'application/json'
+    sendJson(res, options.dryRun ? 200 : 201, {
+      message: `${report.transactions.length} transaction(s) ${options.dryRun ? 'ready to import' : 'imported'}`,
+      ...report
+    });
+  });
+
+  // Target allocation: GET /api/portfolio/targets
+  api.get('/portfolio/targets', {
+    tag: 'Portfolio',
+    summary: 'Target allocation',
+    auth: true,
+    query: { portfolio: PORTFOLIO }
+  }, async ({ user, query }) => ({ targets: loadLedger(user, query.portfolio).targets || {} }));
+
+  // Target allocation: PUT /api/portfolio/targets with { targets: { AAPL: 40, ... } }
+  // in percent; whatever is not allocated is meant to stay in cash
+  api.put('/portfolio/targets', {
+    tag: 'Portfolio',
+    summary: 'Set the target allocation',
+    auth: true,
+    query: { portfolio: PORTFOLIO },
+    body: {
+      type: 'object',
+      required: ['targets'],
+      properties: { targets: { type: 'object', description: 'Percent of the portfolio per symbol' } }
+    }
+  }, async ({ user, query, body }) => {
+    const targets = rebalance.validateTargets(body.targets);
+    for (const symbol of Object.keys(targets)) {
+      if (!(await getStock(symbol))) throw new rebalance.RebalanceError(`Stock not found: ${symbol}`, 404);
+    }
+    await updateLedger(user, query.portfolio, data => { data.targets = targets; });
+    return { targets };
+  });
+
+  // Rebalance plan: GET /api/portfolio/rebalance?cash=&minTrade= whole-share
+  // orders that move the holdings to the stored targets at the latest close;
+  // cash and order values are in the user's base currency
+  api.get('/portfolio/rebalance', {
+    tag: 'Portfolio',
+    summary: 'Orders that move the holdings to the targets',
+    auth: true,
+    query: {
+      portfolio: PORTFOLIO,
+      cash: { type: 'number', minimum: 0, description: 'Cash available to invest' },
+      minTrade: { type: 'number', minimum: 0, description: 'Smallest order value' }
+    }
+  }, async ({ user, query }) => {
+    const data = loadLedger(user, query.portfolio);
+    const targets = data.targets || {};
+    if (Object.keys(targets).length === 0) throw new rebalance.RebalanceError('No target allocation has been set');
+    const quantities = {};
+    ledger.summarise(data.transactions, 'fifo', {}, await actionsFor(data.transactions.map(tx => tx.symbol))).holdings
+      .filter(h => !h.closed)
+      .forEach(h => { quantities[h.symbol] = h.quantity; });
+    const symbols = [...Object.keys(quantities), ...Object.keys(targets)];
+    const prices = await latestCloses(symbols);
+    const conversion = await conversionFor(user, symbols);
+    const today = new Date().toISOString().slice(0, 10);
+    const fxRates = {};
+    symbols.forEach(symbol => { fxRates[symbol] = conversion.rate(symbol, today); });
+    const plan = rebalance.planRebalance(quantities, prices, targets, { cash: query.cash, minTrade: query.minTrade, rates: fxRates });
+    // Prices stay in each symbol's currency
+    const withCurrency = (entry) => ({ ...entry, currency: conversion.currencyOf(entry.symbol) });
+    return { ...plan, currency: conversion.base, orders: plan.orders.map(withCurrency), allocation: plan.allocation.map(withCurrency) };
+  });
+
+  // What-if: POST /api/portfolio/what-if with { trades: [{ type, symbol,
+  // quantity, price?, date? }], method?, commit? } previews the holdings, cost
+  // basis and P/L after the trades at the latest close; with commit: true the
+  // trades are recorded in the ledger (201)
+  api.post('/portfolio/what-if', {
+    tag: 'Portfolio',
+    summary: 'Preview, or record, a set of trades',
+    auth: true,
+    query: { portfolio: PORTFOLIO },
+    body: {
+      type: 'object',
+      required: ['trades'],
+      properties: {
+        trades: { type: 'array', items: TRADE, minItems: 1 },
+        method: COST_METHOD,
+        commit: { type: 'boolean', default: false }
+      }
+    }
+  }, async ({ res, user, query, body }) => {
+    for (const trade of body.trades) {
+      const symbol = trade.symbol.toUpperCase();
+      if (!(await getStock(symbol))) throw new rebalance.RebalanceError(`Stock not found: ${symbol}`, 404);
+    }
+    const preview = async data => {
+      const symbols = [...data.transactions, ...body.trades].map(tx => tx.symbol.toUpperCase());
+      const conversion = await conversionFor(user, symbols);
+      return rebalance.whatIf(data, body.trades, await latestCloses(symbols), body.method, await actionsFor(symbols), conversion);
     };
-    const type = mimeTypes[ext] || 'application/octet-stream';
-    res.writeHead(200, { 'Content-Type': type });
-    res.end(content);
+    if (!body.commit) return preview(loadLedger(user, query.portfolio));
+    const result = await updateLedger(user, query.portfolio, async data => {
+      refusePaper(data);
+      const planned = await preview(data);
+      data.transactions = [...data.transactions, ...planned.transactions];
+      return planned;
+    });
+    sendJson(res, 201, { message: 'Trades recorded', ...result });
+  });
+
+  // Goal planner: POST /api/portfolio/goal with { years, monthlyContribution?,
+  // target?, initialValue?, expectedReturn?, volatility?, paths?, seed? }
+  // simulates the portfolio's value in the base currency. The return and
+  // volatility are estimated from the open holdings' history (every tracked
+  // symbol, equally weighted, for an empty portfolio) unless both are given.
+  api.post('/portfolio/goal', {
+    tag: 'Planning',
+    summary: 'Monte Carlo simulation of a savings goal',
+    auth: true,
+    query: { portfolio: PORTFOLIO },
+    body: {
+      type: 'object',
+      required: ['years'],
+      additionalProperties: false,
+      properties: {
+        years: { type: 'integer', minimum: 1, maximum: planner.MAX_YEARS },
+        monthlyContribution: { type: 'number', minimum: 0, default: 0 },
+        target: { type: 'number', minimum: 0, description: 'Value to reach by the end, for the probability of reaching it' },
+        initialValue: { type: 'number', minimum: 0, description: 'Starting value; the portfolio\'s market value by default' },
+        expectedReturn: { type: 'number', description: 'Annual return in percent' },
+        volatility: { type: 'number', minimum: 0, description: 'Annual volatility in percent' },
+        paths: { type: 'integer', minimum: 100, maximum: planner.MAX_PATHS, default: 1000 },
+        seed: { type: 'integer', description: 'Random seed; the same seed gives the same outcomes' }
+      }
+    }
+  }, async ({ user, query, body }) => {
+    if ((body.expectedReturn === undefined) !== (body.volatility === undefined)) {
+      throw new ApiError('Give both expectedReturn and volatility, or neither to estimate them.', 400, { field: body.volatility === undefined ? 'volatility' : 'expectedReturn' });
+    }
+    const { transactions } = loadLedger(user, query.portfolio);
+    const symbols = transactions.map(tx => tx.symbol);
+    const conversion = await conversionFor(user, symbols);
+    const summary = ledger.summarise(transactions, 'fifo', await latestPrices(symbols), await actionsFor(symbols), conversion);
+    const open = summary.holdings.filter(h => !h.closed && h.marketValue > 0);
+    const marketValue = open.reduce((sum, h) => sum + h.marketValue, 0);
+
+    let model;
+    let basis;
+    if (body.expectedReturn !== undefined) {
+      model = { expectedReturn: body.expectedReturn, volatility: body.volatility, observations: null, clamped: false };
+      basis = 'given';
+    } else {
+      const weights = {};
+      if (open.length) {
+        open.forEach(h => { weights[h.symbol] = h.marketValue / marketValue; });
+        basis = 'holdings';
+      } else {
+        const tracked = (await provider.listSymbols()).map(item => item.symbol);
+        tracked.forEach(symbol => { weights[symbol] = 1 / tracked.length; });
+        basis = 'market';
+      }
+      // Adjusted closes in the base currency, so splits, dividends and
+      // exchange rates are part of the return
+      const modelConversion = await conversionFor(user, Object.keys(weights));
+      const histories = {};
+      await Promise.all(Object.keys(weights).map(async symbol => {
+        const stock = await getStock(symbol);
+        if (stock) histories[symbol] = stock.priceData.map(bar => ({ date: bar.date, close: bar.close * modelConversion.rate(symbol, bar.date) }));
+      }));
+      model = planner.estimateModel(histories, weights);
+    }
+
+    const plan = planner.simulateGoal({
+      ...body,
+      initialValue: body.initialValue === undefined ? marketValue : body.initialValue,
+      expectedReturn: model.expectedReturn,
+      volatility: model.volatility
+    });
+    const profile = user.settings && user.settings.riskProfile;
+    return {
+      currency: summary.currency,
+      assumptions: { basis, ...model },
+      suitability: profile ? planner.suitability(profile, model.volatility) : null,
+      ...plan
+    };
+  });
+
+  // Lots for one holding: GET /api/portfolio/:symbol/lots?method=... in the
+  // symbol's own currency
+  api.get('/portfolio/:symbol/lots', {
+    tag: 'Portfolio',
+    summary: 'Tax lots of one holding',
+    auth: true,
+    params: { symbol: SYMBOL },
+    query: { portfolio: PORTFOLIO, method: COST_METHOD }
+  }, async ({ user, params, query }) => {
+    const symbol = params.symbol.toUpperCase();
+    const prices = await latestPrices([symbol]);
+    const lots = ledger.lotsFor(loadLedger(user, query.portfolio).transactions, symbol, query.method, prices[symbol], await actionsFor([symbol]));
+    if (!lots) throw new ApiError('No transactions for this symbol', 404);
+    const stock = await provider.getStock(symbol);
+    return { ...lots, currency: stock ? stock.currency : fx.DEFAULT_CURRENCY };
+  });
+
+  // Portfolio: POST /api/portfolio records a buy
+  api.post('/portfolio', {
+    tag: 'Portfolio',
+    summary: 'Record a buy',
+    auth: true,
+    status: 201,
+    query: { portfolio: PORTFOLIO },
+    body: { ...TRADE, required: ['symbol', 'quantity'] }
+  }, async ({ user, query, body }) => recordTransaction(user, query.portfolio, { ...body, type: 'buy' }));
+
+  // Portfolio: DELETE /api/portfolio/:symbol closes the position with a sell at
+  // the last close; the history stays in the ledger. A symbol that was never
+  // held is 404, a position that is already closed 409.
+  api.delete('/portfolio/:symbol', {
+    tag: 'Portfolio',
+    summary: 'Close a position',
+    auth: true,
+    params: { symbol: SYMBOL },
+    query: { portfolio: PORTFOLIO }
+  }, async ({ user, params, query }) => {
+    const symbol = params.symbol.toUpperCase();
+    const { transactions } = loadLedger(user, query.portfolio);
+    if (!transactions.some(tx => tx.symbol === symbol)) throw new ApiError('No position in this symbol', 404);
+    const quantity = ledger.quantityHeld(transactions, symbol, await actionsFor([symbol]));
+    if (quantity <= 0) throw new ApiError('The position is already closed', 409);
+    return recordTransaction(user, query.portfolio, { type: 'sell', symbol, quantity }, 'Position closed');
   });
-}
 
-const server = http.createServer((req, res) => {
-  setCors(res);
-  const parsedUrl = url.parse(req.url);
-  if (parsedUrl.pathname.startsWith('/api/')) {
-    handleApi(req, res);
-  } else if (req.method === 'OPTIONS') {
-    // Preflight CORS request
-    res.writeHead(204);
-    res.end();
-  } else {
-    handleStatic(req, res);
+  // Transactions: GET /api/transactions?symbol=...
+  api.get('/transactions', {
+    tag: 'Portfolio',
+    summary: 'The ledger, oldest first',
+    auth: true,
+    query: { portfolio: PORTFOLIO, symbol: SYMBOL }
+  }, async ({ user, query }) => {
+    const symbol = (query.symbol || '').toUpperCase();
+    return ledger.sortTransactions(loadLedger(user, query.portfolio).transactions)
+      .filter(tx => !symbol || tx.symbol === symbol);
+  });
+
+  // Transactions: POST /api/transactions with { type: buy|sell|dividend, ... }
+  api.post('/transactions', {
+    tag: 'Portfolio',
+    summary: 'Record a buy, sell or dividend',
+    auth: true,
+    status: 201,
+    query: { portfolio: PORTFOLIO },
+    body: { ...TRADE, required: ['type', 'symbol'] }
+  }, async ({ user, query, body }) => recordTransaction(user, query.portfolio, body));
+
+  // Settings of a paper trading account
+  const PAPER_SETTINGS = {
+    commission: { type: 'number', minimum: 0, description: 'Per order, in the symbol\'s currency' },
+    commissionPercent: { type: 'number', minimum: 0, maximum: 10, description: 'Percent of the value of each fill' },
+    slippagePercent: { type: 'number', minimum: 0, maximum: 10, description: 'Price move against market and stop fills, in percent' },
+    volumePercent: { type: 'number', minimum: 0, maximum: 100, description: 'Largest share of a bar\'s volume one order takes, in percent' }
+  };
+
+  // Paper trading: GET /api/paper the portfolio's paper account with its
+  // cash, the cash open buy orders may spend and the buying power left
+  // ({ account: null } for other portfolios)
+  api.get('/paper', {
+    tag: 'Paper trading',
+    summary: 'The portfolio\'s paper trading account',
+    auth: true,
+    query: { portfolio: PORTFOLIO }
+  }, async ({ user, query }) => {
+    const data = loadLedger(user, query.portfolio);
+    if (!data.paper) return { account: null };
+    return { account: paper.describeAccount(data.paper, await paperContext(data.paper, [])) };
+  });
+
+  // Paper trading: POST /api/paper with { cash, ...settings } makes the
+  // portfolio a paper trading account holding `cash` in the user's base
+  // currency. From then on it only trades through orders.
+  api.post('/paper', {
+    tag: 'Paper trading',
+    summary: 'Open a paper trading account',
+    auth: true,
+    status: 201,
+    query: { portfolio: PORTFOLIO },
+    body: {
+      type: 'object',
+      required: ['cash'],
+      additionalProperties: false,
+      properties: { cash: { type: 'number', description: 'Starting cash' }, ...PAPER_SETTINGS }
+    }
+  }, async ({ user, query, body }) => {
+    const account = await updateLedger(user, query.portfolio, data => paper.openAccount(data, body, baseCurrencyOf(user)));
+    return { account: paper.describeAccount(account, { prices: {}, rates: {} }) };
+  });
+
+  // Paper trading: PUT /api/paper with { ...settings } changes the commission,
+  // slippage or volume limit for fills from now on
+  api.put('/paper', {
+    tag: 'Paper trading',
+    summary: 'Change the paper trading settings',
+    auth: true,
+    query: { portfolio: PORTFOLIO },
+    body: { type: 'object', additionalProperties: false, properties: PAPER_SETTINGS }
+  }, async ({ user, query, body }) => {
+    const account = await updateLedger(user, query.portfolio, data => {
+      const current = paper.accountOf(data);
+      current.settings = paper.validateSettings(body, current.settings);
+      return current;
+    });
+    return { account: paper.describeAccount(account, await paperContext(account, [])) };
+  });
+
+  // Paper trading: DELETE /api/paper closes the account and drops its orders;
+  // the fills stay in the ledger
+  api.delete('/paper', {
+    tag: 'Paper trading',
+    summary: 'Close the paper trading account',
+    auth: true,
+    query: { portfolio: PORTFOLIO }
+  }, async ({ user, query }) => {
+    await updateLedger(user, query.portfolio, data => {
+      paper.accountOf(data);
+      delete data.paper;
+    });
+    await syncOrderWatch();
+    return { message: 'Paper trading account closed' };
+  });
+
+  // Orders: GET /api/orders?status=open|filled|cancelled|all, newest first
+  api.get('/orders', {
+    tag: 'Paper trading',
+    summary: 'Orders of the paper trading account',
+    auth: true,
+    query: {
+      portfolio: PORTFOLIO,
+      status: { type: 'string', enum: ['open', 'filled', 'cancelled', 'all'], default: 'all', description: 'open includes partially filled orders' }
+    }
+  }, async ({ user, query }) => paper.listOrders(paper.accountOf(loadLedger(user, query.portfolio)), query.status));
+
+  // Orders: POST /api/orders with { symbol, side, type?, quantity,
+  // limitPrice?, stopPrice? }. An order the live price already reaches fills
+  // at once, up to its share of the last session's volume; the rest waits
+  // for the simulated ticks or newly imported bars.
+  api.post('/orders', {
+    tag: 'Paper trading',
+    summary: 'Place an order',
+    auth: true,
+    status: 201,
+    query: { portfolio: PORTFOLIO },
+    body: {
+      type: 'object',
+      required: ['symbol', 'side', 'quantity'],
+      additionalProperties: false,
+      properties: {
+        symbol: SYMBOL,
+        side: { type: 'string', enum: paper.SIDES },
+        type: { type: 'string', enum: paper.ORDER_TYPES, default: 'market' },
+        quantity: { type: 'integer', minimum: 1, description: 'Whole shares' },
+        limitPrice: { type: 'number', description: 'Limit orders: the worst price accepted' },
+        stopPrice: { type: 'number', description: 'Stop orders: the price that triggers a market order' }
+      }
+    }
+  }, async ({ user, query, body }) => {
+    const stock = await findStock(body.symbol);
+    const quote = await ticker.getQuote(stock.symbol);
+    if (!quote) throw new ApiError('No price to trade at', 422);
+    const actions = await actionsFor([stock.symbol]);
+    const lastBar = stock.priceData[stock.priceData.length - 1];
+    const bar = { date: quote.date, open: quote.price, high: quote.price, low: quote.price, close: quote.price, volume: lastBar.volume };
+    const result = await updateLedger(user, query.portfolio, async data => {
+      const account = paper.accountOf(data);
+      const context = await paperContext(account, [stock.symbol]);
+      const order = paper.createOrder(data, { ...body, symbol: stock.symbol }, { ...context, actions, marketDate: quote.date });
+      paper.matchOrders(data, stock.symbol, bar, { rate: context.rates[stock.symbol], actions, orderId: order.id });
+      return { order, account: paper.describeAccount(account, context) };
+    });
+    await syncOrderWatch();
+    return { message: `Order ${result.order.status.replace('_', ' ')}`, ...result };
+  });
+
+  // Orders: DELETE /api/orders/:id cancels what is left of an open order
+  api.delete('/orders/:id', {
+    tag: 'Paper trading',
+    summary: 'Cancel an order',
+    auth: true,
+    params: { id: ID },
+    query: { portfolio: PORTFOLIO }
+  }, async ({ user, params, query }) => {
+    const order = await updateLedger(user, query.portfolio, data => paper.cancelOrder(paper.accountOf(data), params.id));
+    await syncOrderWatch();
+    return { message: 'Order cancelled', order };
+  });
+
+  // Watchlists: GET /api/watchlists lists them with a live quote per symbol
+  api.get('/watchlists', { tag: 'Watchlists', summary: 'The user\'s watchlists with live quotes', auth: true }, async ({ user }) => {
+    const lists = watchlists.watchlistsOf(store.read('watchlists'), user.id);
+    const symbols = lists.flatMap(list => list.symbols);
+    const { currencyOf } = await conversionFor(user, symbols);
+    const quotes = {};
+    await Promise.all([...new Set(symbols)].map(async symbol => {
+      const quote = await ticker.getQuote(symbol);
+      if (quote) quotes[symbol] = { ...quote, currency: currencyOf(symbol) };
+    }));
+    return lists.map(list => ({
+      ...list,
+      quotes: list.symbols.map(symbol => quotes[symbol]).filter(Boolean)
+    }));
+  });
+
+  // Watchlists: POST /api/watchlists with { name, symbols? }
+  api.post('/watchlists', {
+    tag: 'Watchlists',
+    summary: 'Create a watchlist',
+    auth: true,
+    status: 201,
+    body: { type: 'object', required: ['name'], properties: { name: NAME, symbols: { type: 'array', items: SYMBOL, default: [] } } }
+  }, async ({ user, body }) => {
+    const symbols = body.symbols.map(s => s.toUpperCase());
+    for (const symbol of symbols) {
+      if (!(await getStock(symbol))) throw new watchlists.WatchlistError(`Stock not found: ${symbol}`, 404);
+    }
+    return store.update('watchlists', data => watchlists.createWatchlist(data, { name: body.name, symbols }, user.id));
+  });
+
+  // Watchlists: PUT /api/watchlists/:id with { name } renames a watchlist
+  api.put('/watchlists/:id', {
+    tag: 'Watchlists',
+    summary: 'Rename a watchlist',
+    auth: true,
+    params: { id: ID },
+    body: { type: 'object', required: ['name'], properties: { name: NAME } }
+  }, async ({ user, params, body }) => store.update('watchlists', data => watchlists.renameWatchlist(data, params.id, body.name, user.id)));
+
+  // Watchlists: DELETE /api/watchlists/:id
+  api.delete('/watchlists/:id', { tag: 'Watchlists', summary: 'Delete a watchlist', auth: true, params: { id: ID } }, async ({ user, params }) => {
+    await store.update('watchlists', data => watchlists.deleteWatchlist(data, params.id, user.id));
+    return { message: 'Watchlist deleted' };
+  });
+
+  // Watchlist symbols: POST /api/watchlists/:id/symbols with { symbol }
+  api.post('/watchlists/:id/symbols', {
+    tag: 'Watchlists',
+    summary: 'Add a symbol to a watchlist',
+    auth: true,
+    params: { id: ID },
+    body: { type: 'object', required: ['symbol'], properties: { symbol: SYMBOL } }
+  }, async ({ user, params, body }) => {
+    const stock = await findStock(body.symbol);
+    return store.update('watchlists', data => watchlists.addSymbol(data, params.id, stock.symbol, user.id));
+  });
+
+  // Watchlist symbols: DELETE /api/watchlists/:id/symbols/:symbol
+  api.delete('/watchlists/:id/symbols/:symbol', {
+    tag: 'Watchlists',
+    summary: 'Remove a symbol from a watchlist',
+    auth: true,
+    params: { id: ID, symbol: SYMBOL }
+  }, async ({ user, params }) => store.update('watchlists', data => watchlists.removeSymbol(data, params.id, params.symbol.toUpperCase(), user.id)));
+
+  // Alert rules: GET /api/alerts/rules
+  api.get('/alerts/rules', { tag: 'Alerts', summary: 'The user\'s alert rules', auth: true }, async ({ user }) => alerts.rulesOf(alertData, user.id));
+
+  // Alert rules: POST /api/alerts/rules with { symbol, type, ...params } where
+  // type is price_cross { level, direction: above|below },
+  // percent_move { percent, days, direction: up|down|any },
+  // recommendation_change { to? } or sentiment_negative
+  api.post('/alerts/rules', {
+    tag: 'Alerts',
+    summary: 'Create an alert rule',
+    auth: true,
+    status: 201,
+    body: {
+      type: 'object',
+      required: ['symbol', 'type'],
+      properties: {
+        symbol: SYMBOL,
+        type: { type: 'string', enum: Object.keys(alerts.RULE_TYPES) },
+        level: { type: 'number', description: 'price_cross: the price level' },
+        percent: { type: 'number', description: 'percent_move: the size of the move' },
+        days: { type: 'integer', description: 'percent_move: over how many sessions' },
+        direction: { type: 'string', enum: ['above', 'below', 'up', 'down', 'any'] },
+        to: { type: 'string', description: 'recommendation_change: only changes to this recommendation' }
+      }
+    }
+  }, async ({ user, body }) => {
+    const stock = await findStock(body.symbol);
+    const quote = await ticker.getQuote(stock.symbol);
+    const rule = alerts.createRule(alertData, { ...body, symbol: stock.symbol }, { quote, stock }, user.id);
+    await saveAlerts();
+    await syncAlertWatch();
+    return rule;
+  });
+
+  // Alert rules: DELETE /api/alerts/rules/:id
+  api.delete('/alerts/rules/:id', { tag: 'Alerts', summary: 'Delete an alert rule', auth: true, params: { id: ID } }, async ({ user, params }) => {
+    alerts.deleteRule(alertData, params.id, user.id);
+    await saveAlerts();
+    await syncAlertWatch();
+    return { message: 'Alert rule deleted' };
+  });
+
+  // Triggered alerts: GET /api/alerts?status=new|acknowledged|dismissed|all
+  // (dismissed alerts are hidden unless asked for)
+  api.get('/alerts', {
+    tag: 'Alerts',
+    summary: 'Triggered alerts, newest first',
+    auth: true,
+    query: { status: { type: 'string', enum: ['new', 'acknowledged', 'dismissed', 'all'] } }
+  }, async ({ user, query }) => alerts.listAlerts(alertData, query.status, user.id));
+
+  // Triggered alerts: POST /api/alerts/:id/acknowledge and /api/alerts/:id/dismiss
+  [['acknowledge', 'acknowledged'], ['dismiss', 'dismissed']].forEach(([action, status]) => {
+    api.post(`/alerts/:id/${action}`, { tag: 'Alerts', summary: `Mark an alert ${status}`, auth: true, params: { id: ID } }, async ({ user, params }) => {
+      const entry = alerts.setAlertStatus(alertData, params.id, status, user.id);
+      await saveAlerts();
+      return entry;
+    });
+  });
+
+  // API description: GET /api/docs returns the OpenAPI document for every route
+  // above, for generating clients
+  api.get('/docs', { tag: 'Meta', summary: 'This API as an OpenAPI 3 document' }, async () => buildOpenApi(api.routes(), {
+    title: 'Investment Advisor API',
+    version: pkg.version,
+    description: 'Market data, portfolios, watchlists and alerts. Errors are { error: { code, message, field? } }.',
+    server: '/api/v1'
+  }));
+
+  // Serve static assets from the public directory. If the file exists it will be
+  // returned with the appropriate content type; otherwise the index.html is
+  // served to allow client‑side routing for the SPA.
+  const publicDir = path.join(__dirname, 'public');
+  const mimeTypes = {
+    '.html': 'text/html',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.md': 'text/markdown; charset=utf-8'
+  };
+  // The service worker and manifest must be revalidated so updates reach
+  // installed apps; the worker itself caches everything else
+  const revalidated = new Set(['/sw.js', '/manifest.webmanifest']);
+
+  function handleStatic(req, res) {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(req.url.split('?')[0]);
+    } catch (err) {
+      pathname = '/';
+    }
+    let filePath = path.join(publicDir, path.normalize(pathname));
+    // If the request is for the root, doesn't contain a dot or escapes the
+    // public directory we serve index.html
+    if (pathname === '/' || !path.extname(pathname) || !filePath.startsWith(publicDir + path.sep)) {
+      filePath = path.join(publicDir, 'index.html');
+    }
+    fs.readFile(filePath, (err, content) => {
+      if (err) {
+        // Fallback to index.html for unknown routes within SPA
+        if (err.code === 'ENOENT' || err.code === 'EISDIR') {
+          fs.readFile(path.join(publicDir, 'index.html'), (err2, indexContent) => {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(indexContent);
+          });
+        } else {
+          res.writeHead(500);
+          res.end('Server error');
+        }
+        return;
+      }
+      const ext = path.extname(filePath).toLowerCase();
+      const headers = { 'Content-Type': mimeTypes[ext] || 'application/octet-stream' };
+      if (revalidated.has(pathname)) headers['Cache-Control'] = 'no-cache';
+      res.writeHead(200, headers);
+      res.end(content);
+    });
   }
-});
 
-server.listen(PORT, () => {
-  console.log(`Server listening on port ${PORT}`);
-});
\ No newline at end of file
+  const server = http.createServer((req, res) => {
+    setCors(req, res);
+    const pathname = req.url.split('?')[0];
+    if (req.method === 'OPTIONS') {
+      // Preflight CORS request
+      res.writeHead(204);
+      res.end();
+    } else if (api.owns(pathname) && req.method !== 'GET' && !isAllowedOrigin(req)) {
+      // Changes may only come from our own pages or a configured origin
+      sendError(res, new ApiError('Origin not allowed', 403));
+    } else if (api.owns(pathname)) {
+      // Domain errors (ledger, backtest, provider, watchlist, alert,
+      // rebalance, auth, portfolio, screener, compare, chart, statement,
+      // storage, paper, news) carry their HTTP status; the router answers
+      // every failure in the same { error: { code, message, field? } } shape
+      api.handle(req, res);
+    } else {
+      handleStatic(req, res);
+    }
+  });
+
+  return {
+    server,
+    provider,
+    ticker,
+    store,
+
+    /**
+     * Starts listening and watching the symbols of alert rules and open
+     * orders, and ingests the news feeds.
+     * @param {number} [port] defaults to the configured port; 0 picks a free one
+     * @returns {Promise<number>} the port listened on, once the news is in
+     */
+    listen(port = config.port) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+          server.off('error', reject);
+          syncAlertWatch().catch(err => console.error(err));
+          syncOrderWatch().catch(err => console.error(err));
+          ingestNews()
+            .catch(err => console.error(err))
+            .then(() => resolve(server.address().port));
+        });
+      });
+    },
+
+    /**
+     * Stops the ticker, drops open connections (event streams included) and
+     * lets queued writes finish.
+     * @returns {Promise<void>}
+     */
+    async close() {
+      ticker.stop();
+      if (newsTimer) clearInterval(newsTimer);
+      await new Promise(resolve => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+      await store.close();
+    }
+  };
+}
+
+// Started directly (npm start) rather than required by the tests
+if (require.main === module) {
+  const config = loadConfig();
+  const app = createApp(config);
+
+  // Let queued writes finish before exiting
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    app.close().finally(() => process.exit(0));
+  }));
+
+  app.listen().then(port => {
+    console.log(`Server listening on port ${port} (data provider: ${app.provider.name}, storage: ${app.store.backend})`);
+    if (!config.auth.secret) {
+      console.warn('No session secret configured (SESSION_SECRET); sessions will not survive a restart.');
+    }
+  }).catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = { createApp };
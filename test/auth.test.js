@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('accounts and settings', () => {
+  let server;
+  let ann;
+
+  before(async () => {
+    server = await startServer();
+    ann = server.client();
+  });
+  after(() => server.close());
+
+  it('rejects signed-out requests to private routes', async () => {
+    const res = await ann.get('/api/v1/auth/me');
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, 'unauthorized');
+    assert.equal((await ann.get('/api/v1/portfolio')).status, 401);
+  });
+
+  it('registers, signs in and out', async () => {
+    const registered = await ann.post('/api/v1/auth/register', { username: 'ann', password: 'correct horse' });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.username, 'ann');
+    assert.match(registered.headers.get('set-cookie'), /HttpOnly/);
+
+    const me = await ann.get('/api/v1/auth/me');
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.username, 'ann');
+    assert.equal(me.body.portfolios.length, 1);
+
+    assert.equal((await ann.post('/api/v1/auth/logout')).status, 200);
+    assert.equal((await ann.get('/api/v1/auth/me')).status, 401);
+
+    const login = await ann.post('/api/v1/auth/login', { username: 'ann', password: 'correct horse' });
+    assert.equal(login.status, 200);
+    assert.equal((await ann.get('/api/v1/auth/me')).status, 200);
+  });
+
+  it('rejects taken usernames, invalid usernames and wrong passwords', async () => {
+    const other = server.client();
+    const taken = await other.post('/api/v1/auth/register', { username: 'ann', password: 'correct horse' });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.error.code, 'conflict');
+    assert.equal((await other.post('/api/v1/auth/register', { username: 'a', password: 'correct horse' })).status, 400);
+    const missing = await other.post('/api/v1/auth/register', { username: 'bea' });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error.field, 'password');
+    const wrong = await other.post('/api/v1/auth/login', { username: 'ann', password: 'wrong horse' });
+    assert.equal(wrong.status, 401);
+  });
+
+  it('reads and changes the base currency', async () => {
+    const settings = await ann.get('/api/v1/settings');
+    assert.deepEqual(settings.body, { settings: { baseCurrency: 'USD' }, currencies: ['USD', 'EUR'] });
+
+    const changed = await ann.put('/api/v1/settings', { baseCurrency: 'eur' });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.settings.baseCurrency, 'EUR');
+
+    const unsupported = await ann.put('/api/v1/settings', { baseCurrency: 'JPY' });
+    assert.equal(unsupported.status, 400);
+    assert.equal(unsupported.body.error.field, 'baseCurrency');
+    assert.equal((await ann.put('/api/v1/settings', { theme: 'dark' })).status, 400);
+
+    const reset = await ann.put('/api/v1/settings', { baseCurrency: null });
+    assert.equal(reset.body.settings.baseCurrency, 'USD');
+  });
+
+  it('scores and stores the risk profile', async () => {
+    const empty = await ann.get('/api/v1/risk-profile');
+    assert.equal(empty.status, 200);
+    assert.equal(empty.body.riskProfile, null);
+    assert.equal(empty.body.questions.length, 5);
+    assert.equal(empty.body.questions[0].options[0].points, undefined);
+
+    const incomplete = await ann.put('/api/v1/risk-profile', { answers: { horizon: 'under3' } });
+    assert.equal(incomplete.status, 400);
+
+    const answers = { horizon: 'under3', drawdown: 'sellAll', goal: 'preserve', experience: 'funds', safetyNet: 'months' };
+    const saved = await ann.put('/api/v1/risk-profile', { answers });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.riskProfile.profile, 'conservative');
+    assert.equal(saved.body.riskProfile.score, 7);
+
+    const stored = await ann.get('/api/v1/risk-profile');
+    assert.deepEqual(stored.body.riskProfile.answers, answers);
+  });
+
+  it('refuses changes from other origins', async () => {
+    const res = await ann.post('/api/v1/portfolios', { name: 'Elsewhere' }, { Origin: 'http://evil.example' });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error.code, 'forbidden');
+  });
+});
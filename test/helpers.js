@@ -0,0 +1,121 @@
+/*
+ * Fixture server for the API tests. Each call to startServer() copies the
+ * fixture market data into a fresh temporary directory, keeps every stored
+ * document and news feed there and listens on an ephemeral port with
+ * simulated ticks and scheduled news ingestion switched off, so test files
+ * run offline, in parallel and without touching the project's own data.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../server');
+const { loadConfig } = require('../lib/config');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Starts a server on the fixture data.
+ * @param {Object} [options]
+ * @param {Object<string, Object>} [options.documents] stored documents to
+ *   seed, by file name (e.g. `{ 'alerts.json': {...} }`)
+ * @param {Object<string, string>} [options.feeds] RSS/Atom feed files, by
+ *   file name, in the feeds directory `<dir>/feeds`
+ * @param {Object<string, string>} [options.env] extra configuration variables
+ * @returns {Promise<Object>} the server's `url`, `dir` and `dataFile`, the
+ *   `app` (to drive its ticker) and its `config`, a `client()` factory and
+ *   `close()`
+ */
+async function startServer(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'advisor-test-'));
+  const dataFile = path.join(dir, 'market.json');
+  fs.copyFileSync(path.join(FIXTURES, 'market.json'), dataFile);
+  Object.entries(options.documents || {}).forEach(([name, doc]) => {
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(doc));
+  });
+  fs.mkdirSync(path.join(dir, 'feeds'));
+  Object.entries(options.feeds || {}).forEach(([name, text]) => {
+    fs.writeFileSync(path.join(dir, 'feeds', name), text);
+  });
+  const config = loadConfig({
+    DATA_FILE: dataFile,
+    FX_FILE: path.join(FIXTURES, 'fx_rates.json'),
+    STORAGE_DIR: dir,
+    BACKUP_DIR: path.join(dir, 'backups'),
+    SQLITE_FILE: path.join(dir, 'advisor.db'),
+    TICK_INTERVAL_MS: '0',
+    NEWS_DIR: path.join(dir, 'feeds'),
+    NEWS_INTERVAL_MINUTES: '0',
+    SESSION_SECRET: 'test-secret',
+    ...options.env
+  }, path.join(dir, 'config.json'));
+  const app = createApp(config);
+  const port = await app.listen(0);
+  const url = `http://127.0.0.1:${port}`;
+  return {
+    url,
+    dir,
+    dataFile,
+    app,
+    config,
+    client: () => createClient(url),
+    async close() {
+      await app.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * An HTTP client that keeps the session cookie between requests.
+ * @param {string} baseUrl
+ * @returns {Object} client with request() and register()
+ */
+function createClient(baseUrl) {
+  let cookie = '';
+
+  /**
+   * Sends a request. Objects are sent as JSON, strings as they are.
+   * @param {string} method
+   * @param {string} url path, e.g. /api/v1/portfolio
+   * @param {Object|string} [body]
+   * @param {Object<string, string>} [headers]
+   * @returns {Promise<{status: number, headers: Headers, body: *, text: string}>}
+   *   `body` is the parsed JSON for JSON responses
+   */
+  async function request(method, url, body, headers = {}) {
+    const init = { method, headers: { ...headers }, redirect: 'manual' };
+    if (cookie) init.headers.Cookie = cookie;
+    if (body !== undefined) {
+      init.body = typeof body === 'string' ? body : JSON.stringify(body);
+      if (!init.headers['Content-Type']) init.headers['Content-Type'] = 'application/json';
+    }
+    const res = await fetch(baseUrl + url, init);
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    const text = await res.text();
+    const json = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, headers: res.headers, body: json && text ? JSON.parse(text) : text, text };
+  }
+
+  return {
+    request,
+    get: (url, headers) => request('GET', url, undefined, headers),
+    post: (url, body, headers) => request('POST', url, body, headers),
+    put: (url, body, headers) => request('PUT', url, body, headers),
+    delete: (url, headers) => request('DELETE', url, undefined, headers),
+
+    /**
+     * Registers and signs in a new account.
+     * @param {string} username
+     * @returns {Promise<Object>} the user
+     */
+    async register(username) {
+      const res = await request('POST', '/api/v1/auth/register', { username, password: 'correct horse' });
+      if (res.status !== 201) throw new Error(`Registration failed: ${res.text}`);
+      return res.body.user;
+    }
+  };
+}
+
+module.exports = { startServer, createClient, FIXTURES };
@@ -0,0 +1,237 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+describe('market data', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startServer();
+    client = server.client();
+  });
+  after(() => server.close());
+
+  it('searches symbols and names, also under the unversioned prefix', async () => {
+    const byName = await client.get('/api/v1/search?q=alpha');
+    assert.equal(byName.status, 200);
+    assert.deepEqual(byName.body, [{ symbol: 'AAA', name: 'Alpha Industries' }]);
+    const legacy = await client.get('/api/search?q=BBB');
+    assert.equal(legacy.body[0].symbol, 'BBB');
+  });
+
+  it('lists screener fields and screens symbols', async () => {
+    const fields = await client.get('/api/v1/screener/fields');
+    assert.ok(fields.body.some(field => field.name === 'rsi'));
+
+    const res = await client.get('/api/v1/screener?filter=price>20&sort=-price');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map(r => r.symbol), ['AAA', 'BBB']);
+
+    const bad = await client.get('/api/v1/screener?filter=nonsense>1');
+    assert.equal(bad.status, 400);
+  });
+
+  it('compares symbols on aligned dates', async () => {
+    const res = await client.get('/api/v1/compare?symbols=AAA,BBB&from=2024-07-15');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.series.length, 2);
+    assert.equal(res.body.dates[0], Date.parse('2024-07-15'));
+    assert.equal((await client.get('/api/v1/compare?symbols=AAA')).status, 400);
+  });
+
+  it('returns exchange rates', async () => {
+    const res = await client.get('/api/v1/fx/rates?base=EUR&date=2024-07-01');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.rates, [{ currency: 'USD', rate: 0.925926, date: '2024-07-01' }]);
+    const unknown = await client.get('/api/v1/fx/rates?base=JPY');
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error.field, 'base');
+  });
+
+  it('returns bars, indicators, actions and the live quote', async () => {
+    const res = await client.get('/api/v1/stock/AAA?indicators=sma:5,rsi:14');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.priceData.length, 40);
+    assert.equal(res.body.indicators['sma:5'].length, 40);
+    assert.equal(res.body.actions[0].type, 'dividend');
+    assert.equal(res.body.quote.price, 116.23);
+
+    const weekly = await client.get('/api/v1/stock/aaa?interval=weekly&adjust=none');
+    assert.equal(weekly.body.priceData.length, 8);
+    assert.equal(weekly.body.priceData[7].close, 116.23);
+
+    const euro = await client.get('/api/v1/stock/BBB');
+    assert.equal(euro.body.currency, 'EUR');
+
+    assert.equal((await client.get('/api/v1/stock/AAA?indicators=foo:1')).status, 400);
+    assert.equal((await client.get('/api/v1/stock/AAA?interval=hourly')).status, 400);
+  });
+
+  it('answers 404 for unknown symbols', async () => {
+    for (const url of ['/api/v1/stock/ZZZ', '/api/v1/quote/ZZZ', '/api/v1/news/ZZZ', '/api/v1/recommendation/ZZZ', '/api/v1/backtest/ZZZ']) {
+      const res = await client.get(url);
+      assert.equal(res.status, 404, url);
+      assert.equal(res.body.error.code, 'not_found');
+    }
+  });
+
+  it('quotes a symbol', async () => {
+    const res = await client.get('/api/v1/quote/AAA');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.symbol, 'AAA');
+    assert.equal(res.body.previousClose, 116.23);
+  });
+
+  it('anchors quotes on imported bars', async () => {
+    const fresh = await startServer();
+    try {
+      const { ticker } = fresh.app;
+      await ticker.watch(['AAA']);
+      for (let i = 0; i < 390; i++) ticker.tick();
+      assert.equal(ticker.getCompletedBars('AAA').length, 1);
+
+      const importer = fresh.client();
+      await importer.register('importer');
+      const csv = 'Date,Open,High,Low,Close,Volume\n2030-01-02,500,505,498,502,1000\n2030-01-03,502,512,501,510,1000\n';
+      await importer.request('POST', '/api/v1/import/AAA', csv, { 'Content-Type': 'text/csv' });
+      const quote = (await importer.get('/api/v1/quote/AAA')).body;
+      assert.equal(quote.previousClose, 510);
+      assert.equal(quote.price, 510);
+      assert.equal(new Date(quote.date).toISOString().slice(0, 10), '2030-01-04');
+      assert.deepEqual(ticker.getCompletedBars('AAA'), []);
+      ticker.unwatch(['AAA']);
+    } finally {
+      await fresh.close();
+    }
+  });
+
+  it('keeps simulated sessions out of the stored history', async () => {
+    const fresh = await startServer({ documents: { 'config.json': { ticker: { ticksPerSession: 2, keepSessions: 3 } } } });
+    try {
+      const { ticker } = fresh.app;
+      const before = (await fresh.client().get('/api/v1/stock/AAA')).body.priceData;
+      await ticker.watch(['AAA']);
+      for (let i = 0; i < 20; i++) ticker.tick();
+      assert.equal(ticker.getCompletedBars('AAA').length, 3);
+      const after = (await fresh.client().get('/api/v1/stock/AAA')).body.priceData;
+      assert.deepEqual(after, before);
+      ticker.unwatch(['AAA']);
+    } finally {
+      await fresh.close();
+    }
+  });
+
+  it('streams quotes as server-sent events', async () => {
+    const controller = new AbortController();
+    const res = await fetch(`${server.url}/api/v1/stream?symbols=AAA,ZZZ`, { signal: controller.signal });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+    const reader = res.body.getReader();
+    let text = '';
+    while (!text.includes('event: quote')) text += Buffer.from((await reader.read()).value).toString();
+    controller.abort();
+    assert.match(text, /event: subscribed\ndata: {"symbols":\["AAA"\]}/);
+  });
+
+  it('scores news sentiment', async () => {
+    const res = await client.get('/api/v1/news/BBB');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.sentiment.label, 'negative');
+    assert.equal(res.body.news.length, 1);
+  });
+
+  it('recommends, and needs more than one bar to do so', async () => {
+    const res = await client.get('/api/v1/recommendation/AAA');
+    assert.equal(res.status, 200);
+    assert.ok(['Buy', 'Hold', 'Sell'].includes(res.body.recommendation));
+    assert.equal(res.body.lastPrice, 116.23);
+    assert.equal(res.body.suitability, null);
+
+    const short = await client.get('/api/v1/recommendation/CCC');
+    assert.equal(short.status, 400);
+    assert.equal(short.body.error.message, 'Not enough price data');
+  });
+
+  it('leaves out the volume trend for bars without volume', async () => {
+    const rows = Array.from({ length: 30 }, (_, i) => {
+      const close = 20 + Math.sin(i / 3);
+      return `${new Date(Date.UTC(2024, 6, 1 + i)).toISOString().slice(0, 10)},${close},${close + 0.5},${close - 0.5},${close}`;
+    });
+    const client = server.client();
+    await client.register('novolume');
+    await client.request('POST', '/api/v1/import/NOV', `Date,Open,High,Low,Close\n${rows.join('\n')}\n`, { 'Content-Type': 'text/csv' });
+    const res = await client.get('/api/v1/recommendation/NOV');
+    assert.equal(res.status, 200);
+    const volume = res.body.factors.find(f => f.key === 'volume');
+    assert.equal(volume.available, false);
+    assert.ok(res.body.factors.every(f => typeof f.score === 'number'));
+  });
+
+  it('reads a flat series as neutral momentum', async () => {
+    const rows = Array.from({ length: 30 }, (_, i) => `${new Date(Date.UTC(2024, 6, 1 + i)).toISOString().slice(0, 10)},50,50,50,50,1000`);
+    const client = server.client();
+    await client.register('flat');
+    await client.request('POST', '/api/v1/import/FLAT', `Date,Open,High,Low,Close,Volume\n${rows.join('\n')}\n`, { 'Content-Type': 'text/csv' });
+    const stock = await client.get('/api/v1/stock/FLAT?indicators=rsi:14');
+    assert.deepEqual(stock.body.indicators['rsi:14'].slice(14), new Array(16).fill(50));
+    const res = await client.get('/api/v1/recommendation/FLAT');
+    assert.equal(res.body.recommendation, 'Hold');
+  });
+
+  it('backtests, and rejects a series shorter than the warm-up', async () => {
+    const res = await client.get('/api/v1/backtest/AAA?warmup=10&commission=1');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.parameters.warmup, 10);
+    assert.equal(res.body.equityCurve.length, res.body.period.bars);
+
+    const short = await client.get('/api/v1/backtest/CCC');
+    assert.equal(short.status, 400);
+    assert.equal((await client.get('/api/v1/backtest/AAA?positionSize=2')).status, 400);
+  });
+
+  it('imports prices and corporate actions for signed-in users', async () => {
+    const csv = 'Date,Open,High,Low,Close,Volume\n2024-08-26,10,11,9,10.5,1000\n2024-08-27,10.5,11,10,10.8,1200\n';
+    const anonymous = await client.request('POST', '/api/v1/import/DDD', csv, { 'Content-Type': 'text/csv' });
+    assert.equal(anonymous.status, 401);
+
+    await client.register('importer');
+    const imported = await client.request('POST', '/api/v1/import/DDD?name=Delta%20Co&currency=eur', csv, { 'Content-Type': 'text/csv' });
+    assert.equal(imported.status, 200);
+    assert.equal(imported.body.added, 2);
+    const stock = await client.get('/api/v1/stock/DDD');
+    assert.equal(stock.body.name, 'Delta Co');
+    assert.equal(stock.body.currency, 'EUR');
+    // Imports are kept apart from the data file, which is never rewritten
+    assert.equal(JSON.parse(fs.readFileSync(server.dataFile, 'utf8')).DDD, undefined);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(server.dir, 'imports.json'), 'utf8')).DDD.name, 'Delta Co');
+
+    const asJson = await client.post('/api/v1/import/DDD', { csv: 'Date,Open,High,Low,Close,Volume\n2024-08-28,10.8,11,10.6,10.9,900\n' });
+    assert.equal(asJson.body.total, 3);
+
+    const invalid = await client.request('POST', '/api/v1/import/DDD', 'nonsense', { 'Content-Type': 'text/csv' });
+    assert.equal(invalid.status, 400);
+    assert.equal((await client.post('/api/v1/import/EEE', { csv, currency: 'JPY' })).status, 400);
+
+    const actions = await client.post('/api/v1/import/DDD/actions', { actions: [{ type: 'split', date: '2024-08-27', ratio: 2 }] });
+    assert.equal(actions.status, 200);
+    assert.equal(actions.body.added, 1);
+    const adjusted = await client.get('/api/v1/stock/DDD');
+    assert.equal(adjusted.body.priceData[0].close, 5.25);
+
+    const badAction = await client.post('/api/v1/import/DDD/actions', { actions: [{ type: 'merger', date: '2024-08-01' }] });
+    assert.equal(badAction.status, 400);
+    assert.equal(badAction.body.error.field, 'actions[0].type');
+    assert.equal((await client.post('/api/v1/import/ZZZ/actions', { actions: [{ type: 'split', date: '2024-08-01', ratio: 2 }] })).status, 404);
+  });
+
+  it('publishes an OpenAPI document of every route', async () => {
+    const res = await client.get('/api/v1/docs');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.openapi, '3.0.3');
+    assert.ok(res.body.paths['/portfolio/{symbol}/lots'].get);
+    assert.ok(res.body.paths['/portfolio/goal'].post);
+  });
+});
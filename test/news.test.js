@@ -0,0 +1,206 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0">
+  <channel>
+    <title>Test Wire</title>
+    <item>
+      <title>Alpha Industries and Beta Maschinen sign supply deal</title>
+      <link>https://example.com/deal</link>
+      <guid>wire-1</guid>
+      <pubDate>Mon, 19 Aug 2024 09:00:00 GMT</pubDate>
+      <description><![CDATA[<p>The agreement boosts growth at both companies.</p>]]></description>
+    </item>
+    <item>
+      <title>Markets drift ahead of the holiday</title>
+      <link>https://example.com/drift</link>
+      <pubDate>Fri, 23 Aug 2024 16:00:00 GMT</pubDate>
+      <description>Trading was quiet.</description>
+    </item>
+  </channel>
+</rss>`;
+
+// The deal again under a tracking link, and a story about a symbol that is
+// only imported later
+const ATOM = `<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Stub Desk</title>
+  <entry>
+    <title>Alpha Industries and Beta Maschinen sign supply deal</title>
+    <link href="https://example.com/deal?utm_source=atom"/>
+    <id>stub-1</id>
+    <updated>2024-08-19T11:00:00Z</updated>
+  </entry>
+  <entry>
+    <title>Delta Co warns of weaker sales</title>
+    <link href="https://example.com/delta"/>
+    <id>stub-2</id>
+    <updated>2024-08-22T08:00:00Z</updated>
+  </entry>
+</feed>`;
+
+describe('news', () => {
+  let stub;
+  let server;
+  let client;
+
+  before(async () => {
+    stub = http.createServer((req, res) => {
+      res.writeHead(req.url === '/atom' ? 200 : 404, { 'Content-Type': 'application/atom+xml' });
+      res.end(req.url === '/atom' ? ATOM : '');
+    });
+    await new Promise(resolve => stub.listen(0, resolve));
+    const base = `http://127.0.0.1:${stub.address().port}`;
+    server = await startServer({
+      feeds: { 'wire.xml': RSS, 'broken.rss': '<html>not a feed</html>', 'notes.txt': 'ignored' },
+      env: { NEWS_FEEDS: `${base}/atom,${base}/missing` }
+    });
+    client = server.client();
+  });
+  after(async () => {
+    await server.close();
+    await new Promise(resolve => stub.close(resolve));
+  });
+
+  it('ingests feeds and provider news at startup, tagging every symbol mentioned', async () => {
+    const res = await client.get('/api/v1/news');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 6);
+    const deal = res.body.articles.find(a => a.title.startsWith('Alpha Industries and Beta'));
+    assert.deepEqual(deal.symbols, ['AAA', 'BBB']);
+    assert.equal(deal.source, 'Test Wire');
+    assert.equal(deal.date, '2024-08-19');
+    assert.equal(deal.description, 'The agreement boosts growth at both companies.');
+    assert.equal(deal.sentiment.label, 'positive');
+    assert.deepEqual(res.body.articles.find(a => a.title.startsWith('Markets drift')).symbols, []);
+    assert.deepEqual(res.body.articles.find(a => a.title.startsWith('Delta Co')).symbols, []);
+  });
+
+  it('serves symbol news from the store', async () => {
+    const res = await client.get('/api/v1/news/BBB');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.news.map(a => a.date), ['2024-08-19', '2024-08-21']);
+    assert.equal(res.body.sentiment.articleCount, 2);
+  });
+
+  it('filters by symbol, dates, sentiment and words', async () => {
+    const aaa = await client.get('/api/v1/news?symbol=aaa');
+    assert.deepEqual(aaa.body.articles.map(a => a.date), ['2024-08-20', '2024-08-19', '2024-08-10']);
+
+    const range = await client.get('/api/v1/news?from=2024-08-20&to=2024-08-21');
+    assert.equal(range.body.total, 2);
+    const negative = await client.get('/api/v1/news?sentiment=negative');
+    assert.ok(negative.body.articles.every(a => a.sentiment.label === 'negative'));
+    assert.ok(negative.body.articles.some(a => a.symbols.includes('BBB')));
+    const words = await client.get('/api/v1/news?q=supply%20DEAL');
+    assert.equal(words.body.total, 1);
+    const page = await client.get('/api/v1/news?limit=2&offset=1');
+    assert.equal(page.body.articles.length, 2);
+    assert.equal(page.body.total, 6);
+
+    assert.equal((await client.get('/api/v1/news?sentiment=angry')).status, 400);
+    assert.equal((await client.get('/api/v1/news?from=2024-08-21&to=2024-08-20')).status, 400);
+    assert.equal((await client.get('/api/v1/news?from=yesterday')).status, 400);
+  });
+
+  it('reports feeds that could not be read', async () => {
+    const res = await client.get('/api/v1/news/feeds');
+    assert.equal(res.status, 200);
+    const byId = Object.fromEntries(res.body.map(feed => [feed.id, feed]));
+    assert.deepEqual(Object.keys(byId).sort(), [
+      'file:broken.rss', 'file:wire.xml',
+      `http://127.0.0.1:${stub.address().port}/atom`, `http://127.0.0.1:${stub.address().port}/missing`,
+      'provider'
+    ].sort());
+    assert.equal(byId['file:wire.xml'].added, 2);
+    assert.equal(byId['file:broken.rss'].error, 'Not an RSS or Atom feed');
+    assert.equal(byId[`http://127.0.0.1:${stub.address().port}/atom`].duplicates, 1);
+    assert.match(byId[`http://127.0.0.1:${stub.address().port}/missing`].error, /404/);
+  });
+
+  it('refreshes on request without storing duplicates, tagging newly tracked symbols', async () => {
+    assert.equal((await client.post('/api/v1/news/refresh')).status, 401);
+    await client.register('reader');
+
+    const again = await client.post('/api/v1/news/refresh');
+    assert.equal(again.status, 200);
+    assert.equal(again.body.added, 0);
+
+    // An edited headline under the same link is still the same story
+    const extra = '<item><title>Gamma Newco lists its shares</title><link>https://example.com/listing</link></item>\n  </channel>';
+    const edited = RSS.replace('<title>Markets drift', '<title>Markets climb').replace('</channel>', extra);
+    fs.writeFileSync(path.join(server.dir, 'feeds', 'wire.xml'), edited);
+    const csv = 'Date,Open,High,Low,Close,Volume\n2024-08-22,10,11,9,10.5,1000\n';
+    await client.request('POST', '/api/v1/import/DDD?name=Delta%20Co', csv, { 'Content-Type': 'text/csv' });
+    const refreshed = await client.post('/api/v1/news/refresh');
+    assert.equal(refreshed.body.added, 1);
+
+    const delta = await client.get('/api/v1/news/DDD');
+    assert.deepEqual(delta.body.news.map(a => a.title), ['Delta Co warns of weaker sales']);
+    assert.equal((await client.get('/api/v1/news?symbol=CCC')).body.articles[0].title, 'Gamma Newco lists its shares');
+    assert.equal((await client.get('/api/v1/news')).body.total, 7);
+  });
+});
+
+describe('news summaries', () => {
+  let server;
+
+  before(async () => {
+    const description = `Gamma Newco ${'reported another quarter of steady demand across its regional markets, '.repeat(6)}said the chief executive.`;
+    server = await startServer({
+      feeds: {
+        'long.xml': `<rss version="2.0"><channel><title>Long Wire</title><item>
+          <title>Gamma Newco reports</title><link>https://example.com/long</link>
+          <pubDate>Tue, 20 Aug 2024 09:00:00 GMT</pubDate><description>${description}</description>
+        </item></channel></rss>`
+      }
+    });
+  });
+  after(() => server.close());
+
+  it('cuts a sentence longer than the summary at a word', async () => {
+    const { summary } = (await server.client().get('/api/v1/news/CCC')).body;
+    assert.ok(summary.length > 0 && summary.length <= 300, summary);
+    assert.match(summary, /^Gamma Newco reported .* markets…$/);
+  });
+});
+
+describe('news sentiment', () => {
+  let server;
+
+  before(async () => {
+    const items = [
+      'Revenue did not miss. Shares fell.',
+      'Sales did not grow. Profits surged to a record.',
+      'Shares did not drop despite weak demand'
+    ].map((title, i) => `<item><title>${title}</title><link>https://example.com/negation-${i}</link>
+      <pubDate>Wed, 21 Aug 2024 09:00:00 GMT</pubDate></item>`);
+    server = await startServer({
+      feeds: { 'negation.xml': `<rss version="2.0"><channel><title>Negation Wire</title>${items.join('')}</channel></rss>` }
+    });
+  });
+  after(() => server.close());
+
+  /**
+   * The sentiment label of the feed article with the given title.
+   * @param {string} title
+   * @returns {Promise<string>}
+   */
+  async function labelOf(title) {
+    const { articles } = (await server.client().get(`/api/v1/news?q=${encodeURIComponent(title)}`)).body;
+    return articles.find(a => a.title === title).sentiment.label;
+  }
+
+  it('ends a negation at the end of its sentence', async () => {
+    assert.equal(await labelOf('Revenue did not miss. Shares fell.'), 'neutral');
+    assert.equal(await labelOf('Sales did not grow. Profits surged to a record.'), 'positive');
+  });
+
+  it('flips only the first term after a negation', async () => {
+    assert.equal(await labelOf('Shares did not drop despite weak demand'), 'neutral');
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('paper trading', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startServer();
+    client = server.client();
+    await client.register('trader');
+  });
+  after(() => server.close());
+
+  it('opens one account per portfolio and validates its settings', async () => {
+    assert.deepEqual((await client.get('/api/v1/paper')).body, { account: null });
+    assert.equal((await client.get('/api/v1/orders')).status, 409);
+
+    const opened = await client.post('/api/v1/paper', { cash: 5000, commission: 1 });
+    assert.equal(opened.status, 201);
+    assert.equal(opened.body.account.currency, 'USD');
+    assert.equal(opened.body.account.cash, 5000);
+    assert.equal(opened.body.account.settings.slippagePercent, 0.05);
+    assert.equal((await client.post('/api/v1/paper', { cash: 100 })).status, 409);
+
+    const changed = await client.put('/api/v1/paper', { commission: 2 });
+    assert.equal(changed.body.account.settings.commission, 2);
+    assert.equal((await client.put('/api/v1/paper', { slippagePercent: 20 })).status, 400);
+    await client.put('/api/v1/paper', { commission: 1 });
+
+    const [main] = (await client.get('/api/v1/portfolios')).body;
+    assert.equal(main.paper, true);
+  });
+
+  it('fills market orders with slippage and commission', async () => {
+    const res = await client.post('/api/v1/orders', { symbol: 'aaa', side: 'buy', quantity: 10 });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.message, 'Order filled');
+    assert.equal(res.body.order.averagePrice, 116.29);
+    assert.equal(res.body.order.fees, 1);
+    assert.equal(res.body.account.cash, 3836.1);
+
+    const holding = (await client.get('/api/v1/portfolio')).body.holdings.find(h => h.symbol === 'AAA');
+    assert.equal(holding.quantity, 10);
+    const [tx] = (await client.get('/api/v1/transactions?symbol=AAA')).body;
+    assert.match(tx.note, /^Paper order #/);
+  });
+
+  it('keeps cash for open limit orders and cancels them once', async () => {
+    const limit = await client.post('/api/v1/orders', { symbol: 'AAA', side: 'buy', type: 'limit', quantity: 5, limitPrice: 100 });
+    assert.equal(limit.status, 201);
+    assert.equal(limit.body.order.status, 'open');
+    assert.equal(limit.body.account.reserved, 501);
+
+    const tooBig = await client.post('/api/v1/orders', { symbol: 'AAA', side: 'buy', quantity: 30 });
+    assert.equal(tooBig.status, 400);
+    assert.match(tooBig.body.error.message, /^Insufficient buying power/);
+
+    assert.deepEqual((await client.get('/api/v1/orders?status=open')).body.map(o => o.id), [limit.body.order.id]);
+    assert.equal((await client.delete(`/api/v1/orders/${limit.body.order.id}`)).status, 200);
+    assert.equal((await client.delete(`/api/v1/orders/${limit.body.order.id}`)).status, 409);
+    assert.equal((await client.delete('/api/v1/orders/999')).status, 404);
+    assert.equal((await client.get('/api/v1/orders?status=cancelled')).body.length, 1);
+    assert.equal((await client.get('/api/v1/orders?status=pending')).status, 400);
+  });
+
+  it('rejects orders it cannot take', async () => {
+    const oversell = await client.post('/api/v1/orders', { symbol: 'AAA', side: 'sell', quantity: 11 });
+    assert.equal(oversell.status, 400);
+    assert.equal(oversell.body.error.message, 'Only 10 AAA share(s) are available to sell.');
+
+    const wrongStop = await client.post('/api/v1/orders', { symbol: 'AAA', side: 'buy', type: 'stop', quantity: 1, stopPrice: 100 });
+    assert.equal(wrongStop.status, 400);
+    const stray = await client.post('/api/v1/orders', { symbol: 'AAA', side: 'buy', quantity: 1, limitPrice: 100 });
+    assert.equal(stray.status, 400);
+    assert.equal((await client.post('/api/v1/orders', { symbol: 'AAA', side: 'buy', quantity: 1.5 })).status, 400);
+    assert.equal((await client.post('/api/v1/orders', { symbol: 'ZZZ', side: 'buy', quantity: 1 })).status, 404);
+  });
+
+  it('only changes through orders', async () => {
+    assert.equal((await client.post('/api/v1/portfolio', { symbol: 'AAA', quantity: 1 })).status, 409);
+    assert.equal((await client.post('/api/v1/transactions', { type: 'sell', symbol: 'AAA', quantity: 1 })).status, 409);
+    const commit = await client.post('/api/v1/portfolio/what-if', { trades: [{ type: 'buy', symbol: 'AAA', quantity: 1 }], commit: true });
+    assert.equal(commit.status, 409);
+  });
+
+  it('fills part of an order within the volume limit', async () => {
+    await client.put('/api/v1/paper', { volumePercent: 0.001 });
+    const res = await client.post('/api/v1/orders', { symbol: 'AAA', side: 'sell', quantity: 8 });
+    assert.equal(res.body.message, 'Order partially filled');
+    assert.equal(res.body.order.filledQuantity, 5);
+    await client.delete(`/api/v1/orders/${res.body.order.id}`);
+    await client.put('/api/v1/paper', { volumePercent: 10 });
+  });
+
+  it('converts fills into the account currency', async () => {
+    const res = await client.post('/api/v1/orders', { symbol: 'BBB', side: 'buy', quantity: 3 });
+    assert.equal(res.body.order.status, 'filled');
+    const [fill] = res.body.order.fills;
+    const { rate } = (await client.get('/api/v1/fx/rates?base=USD')).body.rates.find(r => r.currency === 'EUR');
+    assert.ok(Math.abs(-fill.cash - (fill.quantity * fill.price + fill.fee) * rate) < 0.01);
+  });
+
+  it('fills waiting orders as the simulated price moves', async () => {
+    const { price } = (await client.get('/api/v1/quote/AAA')).body;
+    const limitPrice = Math.round((price - 0.3) * 100) / 100;
+    const placed = await client.post('/api/v1/orders', { symbol: 'AAA', side: 'buy', type: 'limit', quantity: 1, limitPrice });
+    assert.equal(placed.body.order.status, 'open');
+
+    let order = placed.body.order;
+    for (let i = 0; i < 500 && order.status === 'open'; i++) {
+      server.app.ticker.tick();
+      await new Promise(resolve => setTimeout(resolve, 5));
+      order = (await client.get('/api/v1/orders')).body.find(o => o.id === order.id);
+    }
+    assert.equal(order.status, 'filled');
+    assert.ok(order.averagePrice <= limitPrice);
+  });
+
+  it('fills waiting orders from imported bars', async () => {
+    const placed = await client.post('/api/v1/orders', { symbol: 'AAA', side: 'buy', type: 'limit', quantity: 2, limitPrice: 90 });
+    assert.equal(placed.body.order.status, 'open');
+    const csv = 'Date,Open,High,Low,Close,Volume\n2024-08-26,95,96,88,89,400000\n';
+    assert.equal((await client.request('POST', '/api/v1/import/AAA', csv, { 'Content-Type': 'text/csv' })).status, 200);
+
+    const order = (await client.get('/api/v1/orders?status=filled')).body.find(o => o.id === placed.body.order.id);
+    assert.equal(order.averagePrice, 90);
+  });
+
+  it('closes the account and keeps its trades', async () => {
+    const before = (await client.get('/api/v1/transactions')).body.length;
+    assert.equal((await client.delete('/api/v1/paper')).status, 200);
+    assert.equal((await client.delete('/api/v1/paper')).status, 409);
+    assert.deepEqual((await client.get('/api/v1/paper')).body, { account: null });
+    assert.equal((await client.get('/api/v1/transactions')).body.length, before);
+    assert.equal((await client.post('/api/v1/portfolio', { symbol: 'AAA', quantity: 1 })).status, 201);
+  });
+});
@@ -0,0 +1,270 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createApp } = require('../server');
+const { startServer, createClient } = require('./helpers');
+
+/**
+ * node:sqlite, or null on Node versions without it.
+ * @returns {Object|null}
+ */
+function loadSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch (err) {
+    return null;
+  }
+}
+
+describe('portfolio', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startServer();
+    client = server.client();
+    await client.register('owner');
+  });
+  after(() => server.close());
+
+  it('records buys and rejects unknown symbols, bad quantities and bad JSON', async () => {
+    const bought = await client.post('/api/v1/portfolio', { symbol: 'aaa', quantity: 10, price: 100, date: '2024-07-01' });
+    assert.equal(bought.status, 201);
+    assert.equal(bought.body.transaction.symbol, 'AAA');
+    assert.equal(bought.body.portfolio.holdings[0].quantity, 10);
+
+    const unknown = await client.post('/api/v1/portfolio', { symbol: 'ZZZ', quantity: 1 });
+    assert.equal(unknown.status, 404);
+    for (const quantity of [0, -5]) {
+      const res = await client.post('/api/v1/portfolio', { symbol: 'AAA', quantity });
+      assert.equal(res.status, 400, `quantity ${quantity}`);
+      assert.equal(res.body.error.message, 'Symbol and a positive quantity are required.');
+    }
+    for (const input of [{ quantity: 1e308, price: 1e308 }, { quantity: 1, price: -3 }, { quantity: 1, price: 1e13 }]) {
+      const res = await client.post('/api/v1/portfolio', { symbol: 'AAA', ...input });
+      assert.equal(res.status, 400, JSON.stringify(input));
+    }
+    for (const date of ['2024-02-31', '2023-02-29', '2024-13-01']) {
+      const res = await client.post('/api/v1/portfolio', { symbol: 'AAA', quantity: 1, date });
+      assert.equal(res.status, 400, date);
+      assert.match(res.body.error.message, /YYYY-MM-DD/);
+    }
+    const badJson = await client.request('POST', '/api/v1/portfolio', '{"symbol": "AAA",');
+    assert.equal(badJson.status, 400);
+    assert.equal(badJson.body.error.code, 'invalid_json');
+  });
+
+  it('reports holdings with dividends received since the buy', async () => {
+    const res = await client.get('/api/v1/portfolio');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.currency, 'USD');
+    const [holding] = res.body.holdings;
+    assert.equal(holding.costBasis, 1000);
+    assert.equal(holding.dividends, 5);
+    assert.equal(res.body.totals.invested, 1000);
+  });
+
+  it('records sells and dividends and lists the ledger', async () => {
+    await client.post('/api/v1/transactions', { type: 'buy', symbol: 'BBB', quantity: 4, date: '2024-07-02' });
+    const sold = await client.post('/api/v1/transactions', { type: 'sell', symbol: 'AAA', quantity: 2, price: 110, date: '2024-08-01' });
+    assert.equal(sold.status, 201);
+    const oversold = await client.post('/api/v1/transactions', { type: 'sell', symbol: 'AAA', quantity: 50, date: '2024-08-02' });
+    assert.equal(oversold.status, 400);
+
+    const all = await client.get('/api/v1/transactions');
+    assert.deepEqual(all.body.map(tx => tx.type), ['buy', 'buy', 'sell']);
+    const onlyAaa = await client.get('/api/v1/transactions?symbol=aaa');
+    assert.equal(onlyAaa.body.length, 2);
+  });
+
+  it('shows tax lots of one holding', async () => {
+    const res = await client.get('/api/v1/portfolio/AAA/lots?method=lifo');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.method, 'lifo');
+    assert.equal(res.body.lots[0].quantity, 8);
+    assert.equal(res.body.realized.length, 1);
+    assert.equal((await client.get('/api/v1/portfolio/CCC/lots')).status, 404);
+  });
+
+  it('computes analytics and the printable report', async () => {
+    const analytics = await client.get('/api/v1/portfolio/analytics');
+    assert.equal(analytics.status, 200);
+    assert.ok(analytics.body.history.length > 0);
+
+    const report = await client.get('/api/v1/portfolio/report');
+    assert.equal(report.status, 200);
+    assert.match(report.headers.get('content-type'), /text\/html/);
+    assert.match(report.text, /AAA/);
+  });
+
+  it('exports transactions and holdings', async () => {
+    const csv = await client.get('/api/v1/portfolio/export');
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-disposition'), /attachment; filename=".*-transactions\.csv"/);
+    assert.equal(csv.text.trim().split('\n').length, 4);
+
+    const holdings = await client.get('/api/v1/portfolio/export?content=holdings');
+    assert.match(holdings.text, /^Symbol/);
+
+    const json = await client.get('/api/v1/portfolio/export?format=json');
+    const exported = JSON.parse(json.text);
+    assert.equal(exported.transactions.length, 3);
+    assert.equal((await client.get('/api/v1/portfolio/export?format=xml')).status, 400);
+  });
+
+  it('imports statements, validating every row first', async () => {
+    const layouts = await client.get('/api/v1/portfolio/import/layouts');
+    assert.ok(layouts.body.some(layout => layout.name === 'schwab'));
+
+    const created = await client.post('/api/v1/portfolios', { name: 'Imported' });
+    const target = `/api/v1/portfolio/import?portfolio=${created.body.id}`;
+    const csv = 'Date,Type,Symbol,Quantity,Price\n2024-07-03,buy,AAA,5,101\n2024-07-04,buy,BBB,2,50\n';
+
+    const dryRun = await client.request('POST', `${target}&dryRun=true`, csv, { 'Content-Type': 'text/csv' });
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.transactions.length, 2);
+    assert.equal((await client.get(`/api/v1/transactions?portfolio=${created.body.id}`)).body.length, 0);
+
+    const imported = await client.post(target, { csv });
+    assert.equal(imported.status, 201);
+    assert.equal(imported.body.layout, 'generic');
+
+    const invalid = await client.post(target, { csv: 'Date,Type,Symbol,Quantity,Price\n2024-07-05,buy,ZZZ,1,10\n2024-07-05,buy,AAA,lots,10\n2024-02-31,buy,AAA,1,10\n' });
+    assert.equal(invalid.status, 422);
+    assert.equal(invalid.body.error.code, 'import_invalid');
+    assert.equal(invalid.body.errors.length, 3);
+    assert.equal((await client.get(`/api/v1/transactions?portfolio=${created.body.id}`)).body.length, 2);
+
+    const malformed = await client.post(target, { transactions: [{ symbol: 5, type: 'buy', quantity: 1, price: 10 }, { symbol: 'AAA', type: 'buy', quantity: 1, price: 10 }] });
+    assert.equal(malformed.status, 422);
+    assert.deepEqual(malformed.body.errors, [{ line: 1, message: 'symbol must be a string' }]);
+    assert.equal((await client.post(target, { transactions: [null] })).status, 400);
+
+    assert.equal((await client.post(target, {})).status, 400);
+  });
+
+  it('stores targets and plans a rebalance', async () => {
+    const noTargets = await client.get('/api/v1/portfolio/rebalance');
+    assert.equal(noTargets.status, 400);
+
+    const saved = await client.put('/api/v1/portfolio/targets', { targets: { AAA: 50, BBB: 50 } });
+    assert.equal(saved.status, 200);
+    assert.deepEqual((await client.get('/api/v1/portfolio/targets')).body.targets, { AAA: 50, BBB: 50 });
+    assert.equal((await client.put('/api/v1/portfolio/targets', { targets: { ZZZ: 10 } })).status, 404);
+    assert.equal((await client.put('/api/v1/portfolio/targets', { targets: { AAA: 80, BBB: 40 } })).status, 400);
+
+    const plan = await client.get('/api/v1/portfolio/rebalance?cash=500');
+    assert.equal(plan.status, 200);
+    assert.equal(plan.body.cash.before, 500);
+    assert.ok(plan.body.orders.length > 0);
+    assert.equal(plan.body.allocation.find(a => a.symbol === 'BBB').currency, 'EUR');
+  });
+
+  it('previews trades and records them on commit', async () => {
+    const trades = [{ type: 'buy', symbol: 'BBB', quantity: 1 }];
+    const preview = await client.post('/api/v1/portfolio/what-if', { trades });
+    assert.equal(preview.status, 200);
+    const held = summary => summary.holdings.find(h => h.symbol === 'BBB').quantity;
+    assert.equal(held(preview.body.projected), held(preview.body.current) + 1);
+    assert.equal((await client.get('/api/v1/transactions?symbol=BBB')).body.length, 1);
+
+    const committed = await client.post('/api/v1/portfolio/what-if', { trades, commit: true });
+    assert.equal(committed.status, 201);
+    assert.equal((await client.get('/api/v1/transactions?symbol=BBB')).body.length, 2);
+
+    assert.equal((await client.post('/api/v1/portfolio/what-if', { trades: [] })).status, 400);
+    assert.equal((await client.post('/api/v1/portfolio/what-if', { trades: [{ type: 'sell', symbol: 'AAA', quantity: 500 }] })).status, 400);
+  });
+
+  it('simulates a savings goal', async () => {
+    const body = { years: 5, monthlyContribution: 100, target: 10000, expectedReturn: 6, volatility: 15, paths: 200, seed: 7 };
+    const res = await client.post('/api/v1/portfolio/goal', body);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.assumptions.basis, 'given');
+    assert.equal(res.body.bands.length, 61);
+    assert.deepEqual((await client.post('/api/v1/portfolio/goal', body)).body, res.body);
+
+    const estimated = await client.post('/api/v1/portfolio/goal', { years: 2, paths: 100 });
+    assert.equal(estimated.body.assumptions.basis, 'holdings');
+
+    const half = await client.post('/api/v1/portfolio/goal', { years: 2, volatility: 10 });
+    assert.equal(half.status, 400);
+    assert.equal(half.body.error.field, 'expectedReturn');
+    assert.equal((await client.post('/api/v1/portfolio/goal', { years: 0 })).status, 400);
+    assert.equal((await client.post('/api/v1/portfolio/goal', { years: 2, colour: 'red' })).status, 400);
+  });
+
+  it('closes positions once', async () => {
+    const closed = await client.delete('/api/v1/portfolio/AAA');
+    assert.equal(closed.status, 200);
+    assert.equal(closed.body.message, 'Position closed');
+    assert.equal((await client.delete('/api/v1/portfolio/AAA')).status, 409);
+    assert.equal((await client.delete('/api/v1/portfolio/CCC')).status, 404);
+  });
+
+  it('creates, renames, deletes and restores portfolios', async () => {
+    const list = await client.get('/api/v1/portfolios');
+    assert.deepEqual(list.body.map(p => p.name), ['Main', 'Imported']);
+    const [main, imported] = list.body;
+
+    const renamed = await client.put(`/api/v1/portfolios/${main.id}`, { name: 'Long term' });
+    assert.equal(renamed.body.name, 'Long term');
+    assert.equal((await client.post('/api/v1/portfolios', { name: '' })).status, 400);
+
+    assert.equal((await client.delete(`/api/v1/portfolios/${imported.id}`)).status, 200);
+    assert.equal((await client.get(`/api/v1/portfolio?portfolio=${imported.id}`)).status, 404);
+
+    // The scheduled backup from the first write holds the portfolio as it was
+    const backups = await client.get('/api/v1/portfolios/backups');
+    assert.equal(backups.status, 200);
+    const [backup] = backups.body;
+    assert.deepEqual(backup.portfolios.map(p => p.name), ['Main']);
+
+    const restored = await client.post(`/api/v1/portfolios/backups/${backup.id}/restore`, { portfolios: [main.id] });
+    assert.equal(restored.status, 200);
+    assert.equal((await client.get('/api/v1/portfolios')).body[0].name, 'Main');
+    assert.equal((await client.post('/api/v1/portfolios/backups/nope/restore', {})).status, 404);
+  });
+
+  it('keeps portfolios private to their owner', async () => {
+    const other = server.client();
+    await other.register('stranger');
+    const mine = (await client.get('/api/v1/portfolios')).body[0];
+    assert.equal((await other.get(`/api/v1/portfolio?portfolio=${mine.id}`)).status, 404);
+    assert.equal((await other.get('/api/v1/transactions')).body.length, 0);
+  });
+});
+
+describe('sqlite storage', { skip: !loadSqlite() && 'node:sqlite needs Node.js 22.5 or later' }, () => {
+  it('migrates a legacy file, saves to the database and loads it again after a restart', async () => {
+    // A holdings list from before the ledger, left where the json backend kept it
+    const legacy = [{ symbol: 'AAA', quantity: 5, price: 100 }];
+    const server = await startServer({ documents: { 'portfolio.json': legacy }, env: { STORAGE_BACKEND: 'sqlite' } });
+    let restarted;
+    try {
+      const client = server.client();
+      await client.register('owner');
+      await client.post('/api/v1/portfolio', { symbol: 'BBB', quantity: 2, price: 50, date: '2024-07-01' });
+      assert.deepEqual(JSON.parse(fs.readFileSync(path.join(server.dir, 'portfolio.json'), 'utf8')), legacy);
+
+      const db = new (loadSqlite().DatabaseSync)(server.config.storage.sqlite.file);
+      const stored = JSON.parse(db.prepare('SELECT body FROM documents WHERE name = ?').get('portfolios').body);
+      const backups = db.prepare('SELECT reason, body FROM backups WHERE name = ?').all('portfolios');
+      db.close();
+      assert.equal(stored.version, 2);
+      assert.deepEqual(stored.portfolios[0].transactions.map(t => [t.symbol, t.quantity]).sort(), [['AAA', 5], ['BBB', 2]]);
+      assert.deepEqual(backups.map(b => [b.reason, JSON.parse(b.body)]), [['migration', legacy]]);
+
+      await server.app.close();
+      restarted = createApp(server.config);
+      const again = createClient(`http://127.0.0.1:${await restarted.listen(0)}`);
+      assert.equal((await again.post('/api/v1/auth/login', { username: 'owner', password: 'correct horse' })).status, 200);
+      const { holdings } = (await again.get('/api/v1/portfolio')).body;
+      assert.deepEqual(holdings.map(h => [h.symbol, h.quantity]).sort(), [['AAA', 5], ['BBB', 2]]);
+    } finally {
+      if (restarted) await restarted.close();
+      fs.rmSync(server.dir, { recursive: true, force: true });
+    }
+  });
+});
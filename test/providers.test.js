@@ -0,0 +1,198 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createApp } = require('../server');
+const { loadConfig } = require('../lib/config');
+const { startServer, createClient, FIXTURES } = require('./helpers');
+
+/**
+ * Thirty weekdays of bars from 2024-07-01, rising a little every day.
+ * @returns {Array<{day: string, close: number}>}
+ */
+function series() {
+  const days = [];
+  for (let time = Date.UTC(2024, 6, 1); days.length < 30; time += 86400000) {
+    const day = new Date(time);
+    if (day.getUTCDay() === 0 || day.getUTCDay() === 6) continue;
+    days.push({ day: day.toISOString().slice(0, 10), close: 150 + days.length });
+  }
+  return days;
+}
+
+/**
+ * Answers Alpha Vantage style /query requests for IBM only.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function alphaVantage(req, res) {
+  const url = new URL(req.url, 'http://stub');
+  const params = Object.fromEntries(url.searchParams);
+  let body;
+  if (url.pathname !== '/query' || params.apikey !== 'stub-key') {
+    body = { Information: 'Invalid API key' };
+  } else if (params.function === 'SYMBOL_SEARCH') {
+    body = { bestMatches: [{ '1. symbol': 'IBM', '2. name': 'International Business Machines' }] };
+  } else if ((params.symbol || params.tickers) !== 'IBM') {
+    body = { 'Error Message': 'Invalid API call.' };
+  } else if (params.function === 'TIME_SERIES_DAILY') {
+    const daily = {};
+    series().forEach(({ day, close }) => {
+      daily[day] = { '1. open': String(close - 1), '2. high': String(close + 1), '3. low': String(close - 2), '4. close': String(close), '5. volume': '1000' };
+    });
+    body = { 'Meta Data': { '2. Symbol': 'IBM' }, 'Time Series (Daily)': daily };
+  } else if (params.function === 'OVERVIEW') {
+    body = { Symbol: 'IBM', Name: 'International Business Machines', Currency: 'USD' };
+  } else if (params.function === 'NEWS_SENTIMENT') {
+    body = { feed: [{ title: 'IBM beats estimates on strong cloud growth', summary: 'Revenue rose.', url: 'https://example.com/ibm', source: 'Stub Wire', time_published: '20240805T120000' }] };
+  } else if (params.function === 'SPLITS') {
+    body = { data: [{ effective_date: '2024-07-15', split_factor: '2' }] };
+  } else {
+    body = { data: [] };
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+describe('http provider', () => {
+  let stub;
+  let server;
+  let client;
+
+  before(async () => {
+    stub = http.createServer(alphaVantage);
+    await new Promise(resolve => stub.listen(0, resolve));
+    server = await startServer({
+      documents: { 'config.json': { provider: { http: { symbols: ['IBM'] } } } },
+      env: { DATA_PROVIDER: 'http', PROVIDER_URL: `http://127.0.0.1:${stub.address().port}`, PROVIDER_API_KEY: 'stub-key' }
+    });
+    client = server.client();
+  });
+  after(async () => {
+    await server.close();
+    await new Promise(resolve => stub.close(resolve));
+  });
+
+  it('reads bars, name and splits in the Alpha Vantage format', async () => {
+    const res = await client.get('/api/v1/stock/IBM?adjust=none');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.name, 'International Business Machines');
+    assert.equal(res.body.priceData.length, 30);
+    assert.equal(res.body.priceData[0].close, 150);
+    assert.equal(res.body.priceData[29].close, 179);
+    assert.deepEqual(res.body.actions.map(a => [a.type, a.date]), [['split', '2024-07-15']]);
+    assert.equal((await client.get('/api/v1/stock/XYZ')).status, 404);
+  });
+
+  it('searches through the server', async () => {
+    const res = await client.get('/api/v1/search?q=business');
+    assert.deepEqual(res.body, [{ symbol: 'IBM', name: 'International Business Machines' }]);
+  });
+
+  it('ingests the news of the configured symbols', async () => {
+    const res = await client.get('/api/v1/news/IBM');
+    assert.deepEqual(res.body.news.map(a => [a.date, a.title]), [['2024-08-05', 'IBM beats estimates on strong cloud growth']]);
+    assert.equal(res.body.news[0].sentiment.label, 'positive');
+  });
+
+  it('refuses imports', async () => {
+    await client.register('reader');
+    const csv = 'Date,Open,High,Low,Close,Volume\n2024-08-12,1,1,1,1,1\n';
+    const res = await client.request('POST', '/api/v1/import/IBM', csv, { 'Content-Type': 'text/csv' });
+    assert.equal(res.status, 405);
+  });
+});
+
+describe('csv provider', () => {
+  let server;
+  let client;
+  let dir;
+
+  before(async () => {
+    // Yahoo (with Adj Close and a null row) for MSFT, Stooq for SAP, names
+    // and news in symbols.json
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'advisor-csv-'));
+    const yahoo = ['Date,Open,High,Low,Close,Adj Close,Volume', ...series().map(({ day, close }) => `${day},${close - 1},${close + 1},${close - 2},${close},${close},2000`)];
+    yahoo.splice(3, 0, '2024-07-03,null,null,null,null,null,null');
+    fs.writeFileSync(path.join(dir, 'MSFT.csv'), yahoo.join('\n'));
+    fs.writeFileSync(path.join(dir, 'SAP.csv'), 'Date,Open,High,Low,Close,Volume\n2024-08-01,200,202,199,201,500\n2024-08-02,201,203,200,202,600\n');
+    fs.writeFileSync(path.join(dir, 'symbols.json'), JSON.stringify({
+      MSFT: { name: 'Microsoft Corp.', news: [{ date: '2024-08-02', title: 'Microsoft shares slump after weak guidance' }] },
+      SAP: { name: 'SAP SE', currency: 'EUR' }
+    }));
+    server = await startServer({ env: { DATA_PROVIDER: 'csv', CSV_DIR: dir } });
+    client = server.client();
+  });
+  after(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads Yahoo and Stooq exports with names from symbols.json', async () => {
+    const msft = await client.get('/api/v1/stock/MSFT');
+    assert.equal(msft.status, 200);
+    assert.equal(msft.body.name, 'Microsoft Corp.');
+    assert.equal(msft.body.priceData.length, 30);
+    const sap = await client.get('/api/v1/stock/SAP');
+    assert.equal(sap.body.currency, 'EUR');
+    assert.deepEqual(sap.body.priceData.map(bar => bar.close), [201, 202]);
+  });
+
+  it('searches the directory', async () => {
+    const res = await client.get('/api/v1/search?q=micro');
+    assert.deepEqual(res.body, [{ symbol: 'MSFT', name: 'Microsoft Corp.' }]);
+  });
+
+  it('ingests the news from symbols.json', async () => {
+    const res = await client.get('/api/v1/news/MSFT');
+    assert.equal(res.body.news.length, 1);
+    assert.equal(res.body.sentiment.label, 'negative');
+  });
+
+  it('imports into the directory', async () => {
+    await client.register('importer');
+    const csv = 'Date,Open,High,Low,Close,Volume\n2024-08-05,202,204,201,203,700\n';
+    const res = await client.request('POST', '/api/v1/import/SAP', csv, { 'Content-Type': 'text/csv' });
+    assert.equal(res.body.total, 3);
+    assert.match(fs.readFileSync(path.join(dir, 'SAP.csv'), 'utf8'), /^2024-08-05,202,204,201,203,700$/m);
+  });
+});
+
+describe('json provider imports', () => {
+  it('keeps imports out of the data file and lays them over it on restart', async () => {
+    const server = await startServer();
+    const client = server.client();
+    await client.register('importer');
+    const before = fs.readFileSync(server.dataFile, 'utf8');
+    const csv = 'Date,Open,High,Low,Close,Volume\n2024-08-26,117,118,116,117.5,1000\n';
+    await client.request('POST', '/api/v1/import/AAA', csv, { 'Content-Type': 'text/csv' });
+    await client.post('/api/v1/import/AAA/actions', { actions: [{ type: 'dividend', date: '2024-08-26', amount: 0.5 }] });
+    await client.request('POST', '/api/v1/import/DDD?name=Delta%20Co', csv, { 'Content-Type': 'text/csv' });
+    assert.equal(fs.readFileSync(server.dataFile, 'utf8'), before);
+
+    // A second app on the same files sees the data file plus the imports
+    const app = createApp(loadConfig({
+      DATA_FILE: server.dataFile,
+      FX_FILE: path.join(FIXTURES, 'fx_rates.json'),
+      STORAGE_DIR: server.dir,
+      BACKUP_DIR: path.join(server.dir, 'backups'),
+      TICK_INTERVAL_MS: '0',
+      NEWS_DIR: path.join(server.dir, 'feeds'),
+      NEWS_INTERVAL_MINUTES: '0'
+    }, path.join(server.dir, 'config.json')));
+    const port = await app.listen(0);
+    try {
+      const restarted = createClient(`http://127.0.0.1:${port}`);
+      const aaa = (await restarted.get('/api/v1/stock/AAA?adjust=none')).body;
+      assert.equal(aaa.name, 'Alpha Industries');
+      assert.equal(aaa.priceData[aaa.priceData.length - 1].close, 117.5);
+      assert.ok(aaa.actions.some(a => a.type === 'dividend' && a.date === '2024-08-26'));
+      assert.equal((await restarted.get('/api/v1/stock/DDD')).body.name, 'Delta Co');
+    } finally {
+      await app.close();
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,199 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const { startServer } = require('./helpers');
+
+const PUBLIC = path.join(__dirname, '..', 'public');
+
+/**
+ * Just enough of a DOM element for app.js functions that build markup:
+ * children, text and the markup last assigned.
+ */
+class FakeElement {
+  constructor(tagName = 'div') {
+    this.tagName = tagName;
+    this.children = [];
+    this.textContent = '';
+    this.markup = '';
+    this.dataset = {};
+    this.classList = { add() {}, remove() {}, toggle() {} };
+  }
+
+  set innerHTML(html) {
+    this.markup = html;
+    this.children = [];
+  }
+
+  get innerHTML() {
+    return this.markup;
+  }
+
+  append(...nodes) {
+    this.children.push(...nodes);
+  }
+
+  appendChild(node) {
+    this.children.push(node);
+    return node;
+  }
+
+  addEventListener() {}
+
+  querySelectorAll() {
+    return [];
+  }
+}
+
+/**
+ * Compiles one top-level function of public/app.js against the given
+ * globals, which stand in for the page.
+ * @param {string} name
+ * @param {Object} globals
+ * @returns {Function}
+ */
+function appFunction(name, globals) {
+  const source = fs.readFileSync(path.join(PUBLIC, 'app.js'), 'utf8');
+  const match = source.match(new RegExp(`\\n((?:async )?function ${name}\\([\\s\\S]*?\\n})\\n`));
+  const context = vm.createContext({ ...globals });
+  vm.runInContext(match[1], context);
+  return context[name];
+}
+
+describe('static files and routing', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startServer();
+    client = server.client();
+  });
+  after(() => server.close());
+
+  it('serves the page and its assets with their content types', async () => {
+    const page = await client.get('/');
+    assert.equal(page.status, 200);
+    assert.equal(page.headers.get('content-type'), 'text/html');
+    assert.equal(page.text, fs.readFileSync(path.join(PUBLIC, 'index.html'), 'utf8'));
+
+    const script = await client.get('/app.js');
+    assert.equal(script.headers.get('content-type'), 'application/javascript');
+    assert.equal(script.text, fs.readFileSync(path.join(PUBLIC, 'app.js'), 'utf8'));
+
+    const style = await client.get('/style.css');
+    assert.equal(style.headers.get('content-type'), 'text/css');
+  });
+
+  it('serves the vendored chart libraries instead of a CDN', async () => {
+    const page = fs.readFileSync(path.join(PUBLIC, 'index.html'), 'utf8');
+    assert.doesNotMatch(page, /<script src="https?:/);
+    const scripts = [...page.matchAll(/<script src="([^"]+)"/g)].map(match => match[1]);
+    assert.deepEqual(scripts.slice(0, 3), [
+      'vendor/chart.umd.js', 'vendor/chartjs-adapter-date-fns.bundle.min.js', 'vendor/chartjs-chart-financial.min.js'
+    ]);
+    for (const src of scripts) {
+      const res = await client.get(`/${src}?v=1`);
+      assert.equal(res.headers.get('content-type'), 'application/javascript', src);
+      assert.equal(res.text, fs.readFileSync(path.join(PUBLIC, src), 'utf8'), src);
+    }
+  });
+
+  it('serves the manifest and service worker for installing the app', async () => {
+    const manifest = await client.get('/manifest.webmanifest');
+    assert.equal(manifest.headers.get('content-type'), 'application/manifest+json');
+    assert.equal(manifest.headers.get('cache-control'), 'no-cache');
+    const { start_url: startUrl, icons } = JSON.parse(manifest.text);
+    assert.equal(startUrl, '/');
+    for (const icon of icons) {
+      const res = await client.get(`/${icon.src}`);
+      assert.equal(res.headers.get('content-type'), icon.type, icon.src);
+    }
+
+    const worker = await client.get('/sw.js');
+    assert.equal(worker.headers.get('content-type'), 'application/javascript');
+    assert.equal(worker.headers.get('cache-control'), 'no-cache');
+    // Everything the worker precaches must exist, or its install fails
+    const shell = JSON.parse(worker.text.match(/const SHELL = (\[[^\]]+\])/)[1].replace(/'/g, '"'));
+    for (const url of shell.filter(url => url !== '/')) {
+      assert.ok(fs.existsSync(path.join(PUBLIC, url)), url);
+    }
+  });
+
+  it('falls back to the page for unknown paths', async () => {
+    for (const url of ['/portfolio', '/missing.png', '/vendor', '/vendor/..%2f..%2fserver.js']) {
+      const res = await client.get(url);
+      assert.equal(res.status, 200, url);
+      assert.match(res.text, /<html/i);
+    }
+  });
+
+  it('answers unknown API paths and methods in JSON', async () => {
+    const missing = await client.get('/api/v1/nothing-here');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error.code, 'not_found');
+
+    const wrongMethod = await client.request('PATCH', '/api/v1/portfolio', {});
+    assert.equal(wrongMethod.status, 405);
+    assert.match(wrongMethod.headers.get('allow'), /GET/);
+  });
+
+  it('refuses oversize bodies in JSON, with or without a length', async () => {
+    const withLength = await client.post('/api/v1/auth/login', { username: 'x'.repeat(200 * 1024) });
+    assert.equal(withLength.status, 413);
+
+    // Chunked, so the size is only known while reading
+    const res = await new Promise((resolve, reject) => {
+      const req = http.request(`${server.url}/api/v1/auth/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, response => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { text += chunk; });
+        response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: JSON.parse(text) }));
+      });
+      req.on('error', reject);
+      for (let i = 0; i < 64; i++) req.write('x'.repeat(4096));
+      req.end();
+    });
+    assert.equal(res.status, 413);
+    assert.equal(res.headers.connection, 'close');
+    assert.equal(res.body.error.code, 'payload_too_large');
+  });
+
+  it('shows screener names as text rather than markup', async () => {
+    const name = '<img src=x onerror="alert(1)">';
+    await client.register('importer');
+    const csv = 'Date,Open,High,Low,Close,Volume\n2024-08-26,10,11,9,10.5,1000\n';
+    await client.request('POST', `/api/v1/import/XSS?name=${encodeURIComponent(name)}`, csv, { 'Content-Type': 'text/csv' });
+
+    const screenerBody = new FakeElement('tbody');
+    const runScreener = appFunction('runScreener', {
+      API_BASE: `${server.url}/api/v1`,
+      SCREENER_PAGE_SIZE: 25,
+      screenerSort: 'symbol',
+      screenerFilters: new FakeElement('tbody'),
+      screenerResults: new FakeElement(),
+      screenerSummary: new FakeElement(),
+      screenerHead: new FakeElement('thead'),
+      screenerBody,
+      document: { createElement: tag => new FakeElement(tag), getElementById: () => new FakeElement() },
+      fetch,
+      screenerLabel: key => key,
+      errorMessage: (data, fallback) => fallback,
+      alert: message => assert.fail(message),
+      URLSearchParams,
+      console
+    });
+    await runScreener(0);
+
+    const row = screenerBody.children.find(tr => tr.children[0].textContent === 'XSS');
+    assert.equal(row.markup, '');
+    assert.equal(row.children[1].tagName, 'td');
+    assert.equal(row.children[1].textContent, name);
+  });
+
+  it('answers CORS preflight requests', async () => {
+    const res = await client.request('OPTIONS', '/api/v1/portfolio');
+    assert.equal(res.status, 204);
+  });
+});
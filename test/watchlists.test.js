@@ -0,0 +1,110 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// A triggered alert left from before accounts existed; the first user to
+// register claims it
+const ALERTS = {
+  version: 1,
+  rules: [],
+  log: [{
+    id: 1,
+    owner: null,
+    ruleId: 1,
+    symbol: 'AAA',
+    type: 'price_cross',
+    description: 'Price crosses above 115.00',
+    message: 'AAA crossed above 115.00 at 116.23.',
+    value: 116.23,
+    status: 'new',
+    triggeredAt: '2024-08-23T15:00:00.000Z'
+  }]
+};
+
+describe('watchlists and alerts', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = await startServer({ documents: { 'alerts.json': ALERTS } });
+    client = server.client();
+    await client.register('watcher');
+  });
+  after(() => server.close());
+
+  it('creates watchlists with live quotes', async () => {
+    const created = await client.post('/api/v1/watchlists', { name: 'Tech', symbols: ['aaa'] });
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body.symbols, ['AAA']);
+
+    const lists = await client.get('/api/v1/watchlists');
+    assert.equal(lists.status, 200);
+    const tech = lists.body.find(list => list.name === 'Tech');
+    assert.equal(tech.quotes[0].symbol, 'AAA');
+    assert.equal(tech.quotes[0].currency, 'USD');
+
+    assert.equal((await client.post('/api/v1/watchlists', { name: 'Tech' })).status, 409);
+    assert.equal((await client.post('/api/v1/watchlists', { name: 'Bad', symbols: ['ZZZ'] })).status, 404);
+    assert.equal((await client.post('/api/v1/watchlists', { symbols: [] })).status, 400);
+  });
+
+  it('adds, removes and renames', async () => {
+    const tech = (await client.get('/api/v1/watchlists')).body.find(list => list.name === 'Tech');
+    const added = await client.post(`/api/v1/watchlists/${tech.id}/symbols`, { symbol: 'BBB' });
+    assert.equal(added.status, 200);
+    assert.deepEqual(added.body.symbols, ['AAA', 'BBB']);
+    assert.equal((await client.post(`/api/v1/watchlists/${tech.id}/symbols`, { symbol: 'ZZZ' })).status, 404);
+
+    const removed = await client.delete(`/api/v1/watchlists/${tech.id}/symbols/aaa`);
+    assert.deepEqual(removed.body.symbols, ['BBB']);
+    assert.equal((await client.delete(`/api/v1/watchlists/${tech.id}/symbols/AAA`)).status, 404);
+
+    const renamed = await client.put(`/api/v1/watchlists/${tech.id}`, { name: 'Europe' });
+    assert.equal(renamed.body.name, 'Europe');
+  });
+
+  it('keeps watchlists private and deletes them', async () => {
+    const list = (await client.get('/api/v1/watchlists')).body.find(l => l.name === 'Europe');
+    const other = server.client();
+    await other.register('someone');
+    assert.equal((await other.delete(`/api/v1/watchlists/${list.id}`)).status, 404);
+
+    assert.equal((await client.delete(`/api/v1/watchlists/${list.id}`)).status, 200);
+    assert.equal((await client.delete(`/api/v1/watchlists/${list.id}`)).status, 404);
+  });
+
+  it('creates and deletes alert rules', async () => {
+    const rule = await client.post('/api/v1/alerts/rules', { symbol: 'aaa', type: 'price_cross', level: 150, direction: 'above' });
+    assert.equal(rule.status, 201);
+    assert.equal(rule.body.symbol, 'AAA');
+    assert.equal(rule.body.enabled, true);
+
+    const rules = await client.get('/api/v1/alerts/rules');
+    assert.deepEqual(rules.body.map(r => r.id), [rule.body.id]);
+
+    assert.equal((await client.post('/api/v1/alerts/rules', { symbol: 'AAA', type: 'price_cross', level: -1, direction: 'above' })).status, 400);
+    assert.equal((await client.post('/api/v1/alerts/rules', { symbol: 'AAA', type: 'volume_spike' })).status, 400);
+    assert.equal((await client.post('/api/v1/alerts/rules', { symbol: 'ZZZ', type: 'sentiment_negative' })).status, 404);
+
+    assert.equal((await client.delete(`/api/v1/alerts/rules/${rule.body.id}`)).status, 200);
+    assert.equal((await client.delete(`/api/v1/alerts/rules/${rule.body.id}`)).status, 404);
+  });
+
+  it('lists, acknowledges and dismisses triggered alerts', async () => {
+    const list = await client.get('/api/v1/alerts');
+    assert.equal(list.status, 200);
+    assert.equal(list.body.unread, 1);
+    assert.equal(list.body.alerts[0].symbol, 'AAA');
+
+    const acknowledged = await client.post('/api/v1/alerts/1/acknowledge');
+    assert.equal(acknowledged.status, 200);
+    assert.equal(acknowledged.body.status, 'acknowledged');
+    assert.equal((await client.get('/api/v1/alerts')).body.unread, 0);
+
+    await client.post('/api/v1/alerts/1/dismiss');
+    assert.equal((await client.get('/api/v1/alerts')).body.alerts.length, 0);
+    assert.equal((await client.get('/api/v1/alerts?status=dismissed')).body.alerts.length, 1);
+    assert.equal((await client.get('/api/v1/alerts?status=read')).status, 400);
+    assert.equal((await client.post('/api/v1/alerts/99/dismiss')).status, 404);
+  });
+});